@@ -3,6 +3,15 @@
 // Submit → Preview → Approve → Publish → Notify
 // ============================================================================
 
+import { buildPageTitle, renderPage } from '../../lib/render.js';
+import { toModel, withPageDefaults } from '../../lib/model.js';
+import { formToRecord } from '../../lib/intake.js';
+import { PAGE_SCHEMA, validate } from '../../lib/schema.js';
+import { partials, template } from '../../lib/worker-templates.js';
+import { buildArchive, findVideoPosters } from '../../lib/archive.js';
+import { encodeQr, qrPng, qrSvg } from '../../lib/qr.js';
+import funeralHomes from '../../funeral-homes.json';
+
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
@@ -40,12 +49,24 @@ export default {
         return corsResponse(await handleApprove(approveMatch[1], url, env));
       }
 
+      // GET /m/{id}/qr.svg, qr-dark.png, … — QR codes for printed programs
+      const qrMatch = path.match(/^\/m\/([a-z0-9-]+)\/(qr(?:-dark)?\.(?:svg|png))$/);
+      if (qrMatch && request.method === 'GET') {
+        return corsResponse(await handleQrCode(qrMatch[1], qrMatch[2], url, env));
+      }
+
       // GET /m/{id} — Serve published memorial
       const publishedMatch = path.match(/^\/m\/([a-z0-9-]+)$/);
       if (publishedMatch && request.method === 'GET') {
         return corsResponse(await handlePublished(publishedMatch[1], env));
       }
 
+      // GET /api/archive/{id}?format=zip|html — Download a self-contained copy
+      const archiveMatch = path.match(/^\/api\/archive\/([a-z0-9-]+)$/);
+      if (archiveMatch && request.method === 'GET') {
+        return corsResponse(await handleArchive(archiveMatch[1], url, env));
+      }
+
       return corsResponse(Response.json({ error: 'Not found' }, { status: 404 }));
     } catch (err) {
       console.error('Unhandled error:', err);
@@ -88,11 +109,17 @@ async function handleSubmit(request, env) {
   const slug = generateSlug(name, body.personName2);
   const token = crypto.randomUUID();
 
-  // Map intake form fields to renderMemorialPage data structure
-  const pageData = mapFormToPageData(body);
+  // Map intake form fields to a memorial record; its address is known from here on
+  const pageData = { ...withPageDefaults(formToRecord(body)), memorialUrl: `${new URL(request.url).origin}/m/${slug}` };
 
-  // Generate the HTML
-  const html = renderMemorialPage(pageData);
+  // Checked like /api/build checks a record: every problem with its path
+  const report = validate(pageData, PAGE_SCHEMA);
+  if (report.errors.length) {
+    return Response.json({ error: 'Invalid memorial data', errors: report.errors, warnings: report.warnings }, { status: 400 });
+  }
+
+  // The draft stays out of search results; approval renders the public page
+  const html = renderMemorialPage(pageData, { noindex: true });
 
   // Store as draft
   const draft = {
@@ -129,7 +156,7 @@ async function handlePreview(id, env, url) {
 
   const draft = JSON.parse(draftJson);
   const approveUrl = `${url.origin}/api/approve/${id}?token=${draft.token}`;
-  const displayName = draft.data.name || 'Memorial';
+  const displayName = buildPageTitle(toModel(draft.data)) || 'Memorial';
 
   // Inject preview banner after <body>
   const bannerHtml = `
@@ -202,7 +229,7 @@ async function handleApprove(id, url, env) {
     if (published) {
       const pubData = JSON.parse(published);
       const permanentUrl = `${url.origin}/m/${id}`;
-      return new Response(successPage(pubData.data?.name || 'Memorial', permanentUrl, true), {
+      return new Response(successPage((pubData.data && buildPageTitle(toModel(pubData.data))) || 'Memorial', permanentUrl, true), {
         status: 200,
         headers: { 'Content-Type': 'text/html; charset=utf-8' },
       });
@@ -222,10 +249,12 @@ async function handleApprove(id, url, env) {
     });
   }
 
-  // Move from draft to published
+  // Move from draft to published, re-rendered without the draft's noindex
+  const permanentUrl = `${url.origin}/m/${id}`;
+  const data = { ...draft.data, memorialUrl: draft.data.memorialUrl || permanentUrl };
   const published = {
-    html: draft.html,
-    data: draft.data,
+    html: renderMemorialPage(data),
+    data,
     email: draft.email,
     funeralHomeName: draft.funeralHomeName,
     createdAt: draft.createdAt,
@@ -235,9 +264,15 @@ async function handleApprove(id, url, env) {
   await env.PAGES.put(`published:${id}`, JSON.stringify(published));
   await env.PAGES.delete(`draft:${id}`);
 
+  try {
+    await storeQrCodes(id, permanentUrl, published.data, env);
+  } catch (e) {
+    console.error('QR code generation failed:', e);
+    // /m/{id}/qr.svg regenerates them on first request
+  }
+
   // Send Telegram notification
-  const permanentUrl = `${url.origin}/m/${id}`;
-  const displayName = draft.data?.name || 'Unknown';
+  const displayName = (draft.data && buildPageTitle(toModel(draft.data))) || 'Unknown';
   const funeralHome = draft.funeralHomeName || 'N/A';
 
   try {
@@ -277,6 +312,112 @@ async function handlePublished(id, env) {
   });
 }
 
+// ============================================================================
+// QR codes — made at publish time, stored as qr:{id}:{file}
+// ============================================================================
+
+async function storeQrCodes(id, permanentUrl, data, env) {
+  // The funeral home logo goes in the SVGs only; the worker has no image decoders for PNG
+  const logo = data?.funeralHomeLogo ? await fetchDataUri(data.funeralHomeLogo) : null;
+  const qr = encodeQr(permanentUrl, { ecLevel: env.QR_EC_LEVEL || (logo ? 'H' : 'M') });
+
+  const files = {};
+  for (const style of ['light', 'dark']) {
+    const name = style === 'light' ? 'qr' : 'qr-dark';
+    files[`${name}.svg`] = qrSvg(qr, { style, logo });
+    files[`${name}.png`] = await qrPng(qr, { style });
+  }
+
+  await Promise.all(Object.entries(files).map(([file, contents]) => env.PAGES.put(`qr:${id}:${file}`, contents)));
+  return files;
+}
+
+async function fetchDataUri(src) {
+  try {
+    const resp = await fetch(src);
+    if (!resp.ok) return null;
+    const type = (resp.headers.get('content-type') || 'image/png').split(';')[0];
+    const bytes = new Uint8Array(await resp.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return `data:${type};base64,${btoa(binary)}`;
+  } catch (e) {
+    console.error('Logo fetch failed:', e);
+    return null;
+  }
+}
+
+async function handleQrCode(id, file, url, env) {
+  let contents = await env.PAGES.get(`qr:${id}:${file}`, { type: file.endsWith('.png') ? 'arrayBuffer' : 'text' });
+
+  // Memorials published before QR codes existed get theirs on first request
+  if (contents === null) {
+    const pubJson = await env.PAGES.get(`published:${id}`);
+    if (!pubJson) {
+      return Response.json({ error: 'Memorial not found' }, { status: 404 });
+    }
+    const files = await storeQrCodes(id, `${url.origin}/m/${id}`, JSON.parse(pubJson).data, env);
+    contents = files[file];
+  }
+
+  return new Response(contents, {
+    status: 200,
+    headers: {
+      'Content-Type': file.endsWith('.png') ? 'image/png' : 'image/svg+xml',
+      'Content-Disposition': `inline; filename="${id}-${file}"`,
+      'Cache-Control': 'public, max-age=86400',
+    },
+  });
+}
+
+// ============================================================================
+// GET /api/archive/{id} — Self-contained archive of a published memorial
+// Fonts and photos are embedded so the family's copy works offline for good.
+// ============================================================================
+
+async function handleArchive(id, url, env) {
+  const format = url.searchParams.get('format') || 'zip';
+  if (format !== 'zip' && format !== 'html') {
+    return Response.json({ error: 'format must be zip or html' }, { status: 400 });
+  }
+
+  const pubJson = await env.PAGES.get(`published:${id}`);
+  if (!pubJson) {
+    return new Response(notFoundPage('Memorial Not Found', 'This memorial page does not exist or has been removed.'), {
+      status: 404,
+      headers: { 'Content-Type': 'text/html; charset=utf-8' },
+    });
+  }
+
+  const pub = JSON.parse(pubJson);
+  const pageUrl = `${url.origin}/m/${id}`;
+
+  // Relative photo paths resolve against the published page
+  const load = async (src, headers = {}) => {
+    const response = await fetch(new URL(src, pageUrl), { headers });
+    if (!response.ok) return null;
+    const type = (response.headers.get('content-type') || 'application/octet-stream').split(';')[0];
+    return { bytes: new Uint8Array(await response.arrayBuffer()), type };
+  };
+
+  // Re-render as an archive: video stills instead of players (Vimeo's looked
+  // up, as the generator's --archive does), no memory form
+  const data = toModel(pub.data);
+  const pageData = { ...data, videos: await findVideoPosters(data.videos, load) };
+  const html = renderPage(pageData, template, partials, { funeralHomes, archive: true });
+
+  const archive = await buildArchive({ html, title: buildPageTitle(data), data, load });
+
+  return new Response(format === 'html' ? archive.html : archive.zip, {
+    status: 200,
+    headers: {
+      'Content-Type': format === 'html' ? 'text/html; charset=utf-8' : 'application/zip',
+      'Content-Disposition': `attachment; filename="${id}-archive.${format}"`,
+      'Cache-Control': 'no-store',
+    },
+  });
+}
+
 // ============================================================================
 // Telegram Notification
 // ============================================================================
@@ -342,65 +483,6 @@ function generateSlug(name, partnerName) {
   return `${base}-${suffix}`;
 }
 
-function mapFormToPageData(body) {
-  const isCouple = body.isCouple || false;
-  const name = body.personName1 || body.name || '';
-  const partnerName = isCouple ? (body.personName2 || '') : '';
-
-  // Parse story into paragraphs
-  const storyText = body.storyText || '';
-  const storyParagraphs = storyText
-    .split(/\n\s*\n/)
-    .map(p => p.trim())
-    .filter(p => p.length > 0);
-
-  // Map timeline items
-  const timelineItems = (body.timelineItems || [])
-    .filter(item => item.year || item.text || item.title)
-    .map(item => ({
-      year: item.year || '',
-      title: item.title || item.text || '',
-      description: item.description || '',
-    }));
-
-  // Map family members
-  const familyMembers = (body.familyMembers || [])
-    .filter(m => {
-      if (typeof m === 'string') return m.trim().length > 0;
-      return m && m.name && m.name.trim().length > 0;
-    })
-    .map(m => {
-      if (typeof m === 'string') return { name: m, relationship: '' };
-      return { name: m.name || '', relationship: m.relationship || '' };
-    });
-
-  return {
-    name,
-    partnerName,
-    isCouple,
-    birthDate: body.personBorn1 || body.birthDate || '',
-    deathDate: body.personDied1 || body.deathDate || '',
-    partnerBirthDate: isCouple ? (body.personBorn2 || '') : '',
-    partnerDeathDate: isCouple ? (body.personDied2 || '') : '',
-    heroQuote: body.heroQuote || '',
-    heroQuoteAttribution: body.heroQuoteAttribution || '',
-    storyParagraphs,
-    timelineItems,
-    photos: [],
-    familyMembers,
-    closingQuote: body.closingQuote || '',
-    closingQuoteAttribution: body.closingQuoteAttribution || '',
-    funeralHomeName: body.funeralHomeName || '',
-    funeralHomeUrl: body.funeralHomeWebsite || body.funeralHomeUrl || '',
-    funeralHomeLogo: '',
-    memoryFormEnabled: true,
-    customCss: '',
-    heroImage: '',
-    portraitImage: '',
-    partnerPortraitImage: '',
-  };
-}
-
 // ============================================================================
 // Page Templates (Not Found, Error, Success)
 // ============================================================================
@@ -464,6 +546,9 @@ function successPage(displayName, permanentUrl, alreadyPublished) {
   .share-section p { font-size: 0.9rem; color: rgba(232,224,216,0.6); }
   .view-btn { display: inline-block; margin-top: 1.5rem; padding: 0.8rem 2.5rem; background: transparent; color: #c4a478; border: 1px solid #c4a478; border-radius: 6px; text-decoration: none; font-family: 'Playfair Display', serif; font-size: 1rem; transition: all 0.3s; }
   .view-btn:hover { background: rgba(196,164,120,0.1); }
+  .qr-preview { width: 160px; height: 160px; margin: 1rem auto 0.5rem; display: block; border-radius: 6px; }
+  .qr-links a { color: #c4a478; text-decoration: none; margin: 0 0.4rem; font-size: 0.9rem; }
+  .qr-links a:hover { text-decoration: underline; }
 </style>
 </head>
 <body>
@@ -482,7 +567,13 @@ function successPage(displayName, permanentUrl, alreadyPublished) {
 
   <div class="share-section">
     <h3>Share This Memorial</h3>
-    <p>Send the link above to family and friends. You can also generate a QR code at <a href="https://qrcode.tec-it.com/en/url?data=${encodeURIComponent(permanentUrl)}" target="_blank" style="color: #c4a478;">qrcode.tec-it.com</a> for printed programs or cards.</p>
+    <p>Send the link above to family and friends. For printed programs and prayer cards, use the QR code:</p>
+    <img class="qr-preview" src="${esc(permanentUrl)}/qr-dark.svg" alt="QR code for this memorial">
+    <p class="qr-links">
+      Light: <a href="${esc(permanentUrl)}/qr.svg" download>SVG</a><a href="${esc(permanentUrl)}/qr.png" download>PNG</a>
+      &nbsp;·&nbsp;
+      Dark: <a href="${esc(permanentUrl)}/qr-dark.svg" download>SVG</a><a href="${esc(permanentUrl)}/qr-dark.png" download>PNG</a>
+    </p>
     <p style="margin-top: 0.5rem;">Visitors can leave memories and tributes directly on the page.</p>
   </div>
 </div>
@@ -502,576 +593,11 @@ function copyLink() {
 }
 
 // ============================================================================
-// HTML Template Renderer (from existing worker)
+// Memorial page — the shared renderer (lib/render.js), same as the generator
 // ============================================================================
 
-function renderMemorialPage(data) {
-  const {
-    name = 'In Loving Memory',
-    partnerName = '',
-    isCouple = false,
-    birthDate = '',
-    deathDate = '',
-    partnerBirthDate = '',
-    partnerDeathDate = '',
-    heroQuote = '',
-    heroQuoteAttribution = '',
-    storyParagraphs = [],
-    timelineItems = [],
-    photos = [],
-    familyMembers = [],
-    closingQuote = '',
-    closingQuoteAttribution = '',
-    funeralHomeName = '',
-    funeralHomeUrl = '',
-    funeralHomeLogo = '',
-    memoryFormEnabled = true,
-    customCss = '',
-    heroImage = '',
-    portraitImage = '',
-    partnerPortraitImage = '',
-  } = data;
-
-  const displayName = isCouple && partnerName ? `${name} & ${partnerName}` : name;
-  const dateDisplay = buildDateDisplay(data);
-  const safeDisplayName = esc(displayName);
-
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width, initial-scale=1.0">
-<title>${safeDisplayName} — Memorial | GentlyTold</title>
-<meta name="description" content="A memorial tribute to ${safeDisplayName}. Celebrating a life well lived.">
-<meta property="og:title" content="${safeDisplayName} — Memorial">
-<meta property="og:description" content="A memorial tribute to ${safeDisplayName}">
-${heroImage ? `<meta property="og:image" content="${esc(heroImage)}">` : ''}
-<link rel="preconnect" href="https://fonts.googleapis.com">
-<link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-<link href="https://fonts.googleapis.com/css2?family=Playfair+Display:ital,wght@0,400;0,600;0,700;1,400&family=Lato:wght@300;400;700&display=swap" rel="stylesheet">
-<style>
-/* ========== Reset & Base ========== */
-*, *::before, *::after { margin: 0; padding: 0; box-sizing: border-box; }
-html { scroll-behavior: smooth; }
-body {
-  font-family: 'Lato', sans-serif;
-  font-weight: 300;
-  background: #0a0a0a;
-  color: #e8e0d8;
-  line-height: 1.8;
-  -webkit-font-smoothing: antialiased;
-}
-img { max-width: 100%; display: block; }
-a { color: #c4a478; text-decoration: none; transition: color 0.3s; }
-a:hover { color: #d4b88a; }
-
-/* ========== Typography ========== */
-h1, h2, h3, h4 { font-family: 'Playfair Display', serif; font-weight: 400; }
-.section-title {
-  font-size: clamp(1.5rem, 3vw, 2.2rem);
-  color: #c4a478;
-  text-align: center;
-  margin-bottom: 2rem;
-  letter-spacing: 0.03em;
-}
-.section-title::after {
-  content: '';
-  display: block;
-  width: 60px;
-  height: 1px;
-  background: #c4a478;
-  margin: 0.8rem auto 0;
-}
-
-/* ========== Layout ========== */
-.container { max-width: 900px; margin: 0 auto; padding: 0 1.5rem; }
-section { padding: 5rem 0; }
-.divider {
-  width: 40px;
-  height: 1px;
-  background: rgba(196, 164, 120, 0.4);
-  margin: 0 auto;
-}
-
-/* ========== Hero ========== */
-.hero {
-  min-height: 100vh;
-  display: flex;
-  flex-direction: column;
-  justify-content: center;
-  align-items: center;
-  text-align: center;
-  position: relative;
-  overflow: hidden;
-  padding: 4rem 1.5rem;
-}
-.hero::before {
-  content: '';
-  position: absolute;
-  inset: 0;
-  background: ${heroImage ? `url('${heroImage}') center/cover no-repeat` : 'linear-gradient(180deg, #0a0a0a 0%, #121210 50%, #0a0a0a 100%)'};
-  opacity: ${heroImage ? '0.25' : '1'};
-  z-index: 0;
-}
-.hero > * { position: relative; z-index: 1; }
-
-.hero-portraits {
-  display: flex;
-  gap: 1.5rem;
-  justify-content: center;
-  margin-bottom: 2.5rem;
-}
-.portrait {
-  width: 160px;
-  height: 160px;
-  border-radius: 50%;
-  object-fit: cover;
-  border: 2px solid rgba(196, 164, 120, 0.5);
-  box-shadow: 0 8px 32px rgba(0,0,0,0.5);
-}
-
-.hero h1 {
-  font-size: clamp(2.2rem, 5vw, 4rem);
-  color: #e8e0d8;
-  letter-spacing: 0.04em;
-  margin-bottom: 0.5rem;
-  line-height: 1.2;
-}
-.hero-dates {
-  font-size: 1.1rem;
-  color: rgba(232, 224, 216, 0.6);
-  letter-spacing: 0.15em;
-  text-transform: uppercase;
-  font-weight: 300;
-  margin-bottom: 2rem;
-}
-.hero-quote {
-  max-width: 600px;
-  font-family: 'Playfair Display', serif;
-  font-style: italic;
-  font-size: clamp(1rem, 2vw, 1.25rem);
-  color: rgba(196, 164, 120, 0.85);
-  line-height: 1.7;
-}
-.hero-quote-attribution {
-  margin-top: 0.5rem;
-  font-family: 'Lato', sans-serif;
-  font-style: normal;
-  font-size: 0.85rem;
-  color: rgba(196, 164, 120, 0.5);
-}
-
-/* ========== Story ========== */
-.story p {
-  font-size: 1.05rem;
-  line-height: 2;
-  margin-bottom: 1.5rem;
-  color: rgba(232, 224, 216, 0.9);
-}
-.story p:first-of-type::first-letter {
-  font-family: 'Playfair Display', serif;
-  font-size: 3.5rem;
-  float: left;
-  line-height: 1;
-  margin-right: 0.1em;
-  color: #c4a478;
-}
-
-/* ========== Timeline ========== */
-.timeline { position: relative; padding-left: 2rem; }
-.timeline::before {
-  content: '';
-  position: absolute;
-  left: 0;
-  top: 0;
-  bottom: 0;
-  width: 1px;
-  background: linear-gradient(180deg, transparent, #c4a478 10%, #c4a478 90%, transparent);
-}
-.timeline-item {
-  position: relative;
-  margin-bottom: 2.5rem;
-  padding-left: 1.5rem;
-}
-.timeline-item::before {
-  content: '';
-  position: absolute;
-  left: -2.35rem;
-  top: 0.4rem;
-  width: 8px;
-  height: 8px;
-  border-radius: 50%;
-  background: #c4a478;
-  box-shadow: 0 0 12px rgba(196, 164, 120, 0.4);
-}
-.timeline-year {
-  font-family: 'Playfair Display', serif;
-  font-size: 0.9rem;
-  color: #c4a478;
-  letter-spacing: 0.1em;
-  margin-bottom: 0.25rem;
-}
-.timeline-title {
-  font-family: 'Playfair Display', serif;
-  font-size: 1.15rem;
-  color: #e8e0d8;
-  margin-bottom: 0.3rem;
-}
-.timeline-desc {
-  font-size: 0.95rem;
-  color: rgba(232, 224, 216, 0.65);
-}
-
-/* ========== Gallery ========== */
-.gallery-grid {
-  display: grid;
-  grid-template-columns: repeat(auto-fill, minmax(250px, 1fr));
-  gap: 1rem;
-}
-.gallery-item {
-  aspect-ratio: 4/3;
-  overflow: hidden;
-  border-radius: 4px;
-  cursor: pointer;
-  position: relative;
-}
-.gallery-item img {
-  width: 100%;
-  height: 100%;
-  object-fit: cover;
-  transition: transform 0.6s ease;
-}
-.gallery-item:hover img { transform: scale(1.05); }
-.gallery-caption {
-  position: absolute;
-  bottom: 0;
-  left: 0;
-  right: 0;
-  padding: 1rem;
-  background: linear-gradient(transparent, rgba(0,0,0,0.8));
-  font-size: 0.85rem;
-  color: rgba(232, 224, 216, 0.8);
-  opacity: 0;
-  transition: opacity 0.3s;
-}
-.gallery-item:hover .gallery-caption { opacity: 1; }
-
-/* ========== Lightbox ========== */
-.lightbox {
-  display: none;
-  position: fixed;
-  inset: 0;
-  background: rgba(0,0,0,0.95);
-  z-index: 1000;
-  justify-content: center;
-  align-items: center;
-  cursor: pointer;
-}
-.lightbox.active { display: flex; }
-.lightbox img {
-  max-width: 90vw;
-  max-height: 90vh;
-  object-fit: contain;
-  border-radius: 4px;
-}
-
-/* ========== Memory Form ========== */
-.memory-form {
-  max-width: 600px;
-  margin: 0 auto;
-}
-.memory-form textarea,
-.memory-form input {
-  width: 100%;
-  background: rgba(232, 224, 216, 0.05);
-  border: 1px solid rgba(196, 164, 120, 0.2);
-  color: #e8e0d8;
-  font-family: 'Lato', sans-serif;
-  font-size: 1rem;
-  padding: 0.9rem 1rem;
-  border-radius: 4px;
-  margin-bottom: 1rem;
-  transition: border-color 0.3s;
-}
-.memory-form textarea:focus,
-.memory-form input:focus {
-  outline: none;
-  border-color: #c4a478;
-}
-.memory-form textarea { min-height: 150px; resize: vertical; }
-.memory-form button {
-  background: transparent;
-  color: #c4a478;
-  border: 1px solid #c4a478;
-  padding: 0.8rem 2.5rem;
-  font-family: 'Lato', sans-serif;
-  font-size: 0.9rem;
-  letter-spacing: 0.1em;
-  text-transform: uppercase;
-  cursor: pointer;
-  transition: all 0.3s;
-  display: block;
-  margin: 0 auto;
-  border-radius: 4px;
-}
-.memory-form button:hover {
-  background: #c4a478;
-  color: #0a0a0a;
-}
-
-/* ========== Family ========== */
-.family-grid {
-  display: grid;
-  grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
-  gap: 1.5rem;
-  text-align: center;
-}
-.family-member {
-  padding: 1.5rem 1rem;
-  background: rgba(232, 224, 216, 0.03);
-  border: 1px solid rgba(196, 164, 120, 0.1);
-  border-radius: 4px;
-}
-.family-member-name {
-  font-family: 'Playfair Display', serif;
-  font-size: 1.1rem;
-  color: #e8e0d8;
-  margin-bottom: 0.25rem;
-}
-.family-member-relation {
-  font-size: 0.85rem;
-  color: #c4a478;
-  text-transform: uppercase;
-  letter-spacing: 0.08em;
-}
-
-/* ========== Closing Quote ========== */
-.closing-quote {
-  text-align: center;
-  padding: 4rem 1.5rem;
-}
-.closing-quote blockquote {
-  font-family: 'Playfair Display', serif;
-  font-style: italic;
-  font-size: clamp(1.1rem, 2.5vw, 1.5rem);
-  color: rgba(196, 164, 120, 0.8);
-  max-width: 700px;
-  margin: 0 auto;
-  line-height: 1.8;
-}
-.closing-quote .attribution {
-  margin-top: 0.75rem;
-  font-family: 'Lato', sans-serif;
-  font-style: normal;
-  font-size: 0.85rem;
-  color: rgba(196, 164, 120, 0.45);
-}
-
-/* ========== Footer ========== */
-footer {
-  text-align: center;
-  padding: 3rem 1.5rem;
-  border-top: 1px solid rgba(196, 164, 120, 0.1);
-}
-.footer-funeral-home {
-  margin-bottom: 1.5rem;
-}
-.footer-funeral-home img {
-  max-height: 40px;
-  margin: 0 auto 0.5rem;
-  opacity: 0.7;
-}
-.footer-funeral-home-name {
-  font-size: 0.85rem;
-  color: rgba(232, 224, 216, 0.5);
-  letter-spacing: 0.05em;
-}
-.footer-brand {
-  font-size: 0.75rem;
-  color: rgba(232, 224, 216, 0.25);
-  letter-spacing: 0.08em;
-}
-.footer-brand a { color: rgba(196, 164, 120, 0.4); }
-.footer-brand a:hover { color: rgba(196, 164, 120, 0.7); }
-
-/* ========== Animations ========== */
-.fade-in {
-  opacity: 0;
-  transform: translateY(20px);
-  transition: opacity 0.8s ease, transform 0.8s ease;
-}
-.fade-in.visible {
-  opacity: 1;
-  transform: translateY(0);
-}
-
-/* ========== Responsive ========== */
-@media (max-width: 600px) {
-  .portrait { width: 120px; height: 120px; }
-  .hero-portraits { gap: 1rem; }
-  section { padding: 3.5rem 0; }
-  .timeline { padding-left: 1.5rem; }
-  .gallery-grid { grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); }
-  .family-grid { grid-template-columns: 1fr 1fr; }
-}
-
-${customCss ? customCss : ''}
-</style>
-</head>
-<body>
-
-<!-- ==================== Hero ==================== -->
-<section class="hero">
-  ${(portraitImage || partnerPortraitImage) ? `
-  <div class="hero-portraits">
-    ${portraitImage ? `<img src="${esc(portraitImage)}" alt="${esc(name)}" class="portrait">` : ''}
-    ${isCouple && partnerPortraitImage ? `<img src="${esc(partnerPortraitImage)}" alt="${esc(partnerName)}" class="portrait">` : ''}
-  </div>` : ''}
-  <h1>${safeDisplayName}</h1>
-  <p class="hero-dates">${esc(dateDisplay)}</p>
-  ${heroQuote ? `
-  <div class="hero-quote">
-    <p>\u201C${esc(heroQuote)}\u201D</p>
-    ${heroQuoteAttribution ? `<p class="hero-quote-attribution">\u2014 ${esc(heroQuoteAttribution)}</p>` : ''}
-  </div>` : ''}
-</section>
-
-<div class="divider"></div>
-
-<!-- ==================== Story ==================== -->
-${storyParagraphs.length > 0 ? `
-<section class="story fade-in">
-  <div class="container">
-    <h2 class="section-title">${isCouple ? 'Their Story' : 'A Life Remembered'}</h2>
-    ${storyParagraphs.map(p => `<p>${esc(p)}</p>`).join('\n    ')}
-  </div>
-</section>
-<div class="divider"></div>` : ''}
-
-<!-- ==================== Timeline ==================== -->
-${timelineItems.length > 0 ? `
-<section class="fade-in">
-  <div class="container">
-    <h2 class="section-title">Life\u2019s Journey</h2>
-    <div class="timeline">
-      ${timelineItems.map(item => `
-      <div class="timeline-item">
-        <div class="timeline-year">${esc(item.year || '')}</div>
-        <div class="timeline-title">${esc(item.title || '')}</div>
-        ${item.description ? `<div class="timeline-desc">${esc(item.description)}</div>` : ''}
-      </div>`).join('')}
-    </div>
-  </div>
-</section>
-<div class="divider"></div>` : ''}
-
-<!-- ==================== Gallery ==================== -->
-${photos.length > 0 ? `
-<section class="fade-in">
-  <div class="container">
-    <h2 class="section-title">Cherished Moments</h2>
-    <div class="gallery-grid">
-      ${photos.map((photo, i) => `
-      <div class="gallery-item" onclick="openLightbox('${esc(photo.url || photo)}')">
-        <img src="${esc(photo.url || photo)}" alt="${esc(photo.caption || `Photo ${i + 1}`)}" loading="lazy">
-        ${photo.caption ? `<div class="gallery-caption">${esc(photo.caption)}</div>` : ''}
-      </div>`).join('')}
-    </div>
-  </div>
-</section>
-<div class="divider"></div>` : ''}
-
-<!-- ==================== Share a Memory ==================== -->
-${memoryFormEnabled ? `
-<section class="fade-in">
-  <div class="container">
-    <h2 class="section-title">Share a Memory</h2>
-    <form class="memory-form" id="memoryForm" onsubmit="submitMemory(event)">
-      <input type="text" name="authorName" placeholder="Your name" required>
-      <input type="text" name="relationship" placeholder="Your relationship (e.g., friend, neighbor, coworker)">
-      <textarea name="memory" placeholder="Share your favorite memory or what ${esc(name)} meant to you..." required></textarea>
-      <button type="submit">Share Memory</button>
-    </form>
-    <div id="memoryConfirmation" style="display:none; text-align:center; color:#c4a478; margin-top:1.5rem;">
-      <p>Thank you for sharing your memory. It means the world to the family.</p>
-    </div>
-  </div>
-</section>
-<div class="divider"></div>` : ''}
-
-<!-- ==================== Family ==================== -->
-${familyMembers.length > 0 ? `
-<section class="fade-in">
-  <div class="container">
-    <h2 class="section-title">${isCouple ? 'Their Family' : 'Family'}</h2>
-    <div class="family-grid">
-      ${familyMembers.map(member => `
-      <div class="family-member">
-        <div class="family-member-name">${esc(member.name || '')}</div>
-        <div class="family-member-relation">${esc(member.relationship || '')}</div>
-      </div>`).join('')}
-    </div>
-  </div>
-</section>` : ''}
-
-<!-- ==================== Closing Quote ==================== -->
-${closingQuote ? `
-<section class="closing-quote fade-in">
-  <blockquote>
-    <p>\u201C${esc(closingQuote)}\u201D</p>
-    ${closingQuoteAttribution ? `<p class="attribution">\u2014 ${esc(closingQuoteAttribution)}</p>` : ''}
-  </blockquote>
-</section>` : ''}
-
-<!-- ==================== Footer ==================== -->
-<footer>
-  ${funeralHomeName ? `
-  <div class="footer-funeral-home">
-    ${funeralHomeLogo ? `<img src="${esc(funeralHomeLogo)}" alt="${esc(funeralHomeName)}">` : ''}
-    <p class="footer-funeral-home-name">${funeralHomeUrl ? `<a href="${esc(funeralHomeUrl)}" target="_blank" rel="noopener">${esc(funeralHomeName)}</a>` : esc(funeralHomeName)}</p>
-  </div>` : ''}
-  <p class="footer-brand">Created with care by <a href="https://gentlytold.com" target="_blank" rel="noopener">GentlyTold</a></p>
-</footer>
-
-<!-- ==================== Lightbox ==================== -->
-<div class="lightbox" id="lightbox" onclick="closeLightbox()">
-  <img id="lightboxImg" src="" alt="Photo">
-</div>
-
-<!-- ==================== Scripts ==================== -->
-<script>
-// Intersection observer for fade-in
-const observer = new IntersectionObserver((entries) => {
-  entries.forEach(entry => {
-    if (entry.isIntersecting) {
-      entry.target.classList.add('visible');
-      observer.unobserve(entry.target);
-    }
-  });
-}, { threshold: 0.15 });
-document.querySelectorAll('.fade-in').forEach(el => observer.observe(el));
-
-// Lightbox
-function openLightbox(src) {
-  document.getElementById('lightboxImg').src = src;
-  document.getElementById('lightbox').classList.add('active');
-}
-function closeLightbox() {
-  document.getElementById('lightbox').classList.remove('active');
-}
-document.addEventListener('keydown', e => { if (e.key === 'Escape') closeLightbox(); });
-
-// Memory form
-function submitMemory(e) {
-  e.preventDefault();
-  const form = e.target;
-  form.style.display = 'none';
-  document.getElementById('memoryConfirmation').style.display = 'block';
-}
-</script>
-
-</body>
-</html>`;
+function renderMemorialPage(data, options = {}) {
+  return renderPage(data, template, partials, { funeralHomes, ...options });
 }
 
 // ============================================================================
@@ -1087,22 +613,3 @@ function esc(str) {
     .replace(/"/g, '&quot;')
     .replace(/'/g, '&#39;');
 }
-
-// ============================================================================
-// Utility: Build display date string
-// ============================================================================
-
-function buildDateDisplay(data) {
-  const { birthDate, deathDate, isCouple, partnerBirthDate, partnerDeathDate, name, partnerName } = data;
-
-  if (isCouple && partnerName) {
-    const p1 = [birthDate, deathDate].filter(Boolean).join(' \u2013 ');
-    const p2 = [partnerBirthDate, partnerDeathDate].filter(Boolean).join(' \u2013 ');
-    if (p1 && p2) return `${name}: ${p1}  \u00B7  ${partnerName}: ${p2}`;
-    if (p1) return p1;
-    if (p2) return p2;
-    return '';
-  }
-
-  return [birthDate, deathDate].filter(Boolean).join(' \u2013 ');
-}
@@ -2,357 +2,456 @@
 
 /**
  * GentlyTold Memorial Page Generator
- * 
- * Usage: node generate.js <data.json> [output.html] [template.html]
- * 
+ *
+ * Usage: node generate.js <data.json> [output.html] [template.html] [--memories[=file]]
+ *        node generate.js <data-dir> [output-dir] [template.html] [--force]
+ *        node generate.js --validate <data.json | data-dir>
+ *        node generate.js --archive <data.json> [archive.zip | archive.html]
+ *        node generate.js --program <data.json> [program.html] [--trifold]
+ *        node generate.js --qr <data.json> [output-dir] [--ec=L|M|Q|H] [--logo[=file]]
+ *        node generate.js serve <data.json> [template.html] [--port=4000]
+ *
  * Reads a JSON data file and template, outputs a complete memorial page.
+ * Given a directory, builds one page per data file plus funeral home indexes.
+ * Data is checked against lib/schema.js first; pages with errors are never written.
+ * Local photos are resized and copied into an images/ folder beside the page.
+ * --memories bakes the visitors' approved memories into the page (see lib/memories.js).
+ * --archive writes a self-contained copy for safekeeping (see lib/archive.js).
+ * --program writes a printable folded funeral program (see lib/program.js).
+ * --qr writes light and dark QR codes for the memorial's address (see lib/qr.js).
+ * serve previews a memorial with live reload while you edit it (see lib/serve.js).
  * No npm dependencies required.
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { DEFAULT_PARTIALS_DIR, FUNERAL_HOMES_FILE, buildPageTitle, listSections, loadFuneralHomes, loadPartials, renderPage } = require('./lib/page');
+const { buildSite } = require('./lib/site');
+const { decodeImage, processImages } = require('./lib/images');
+const { validate, parseJSON, formatReport } = require('./lib/schema');
+const { toModel } = require('./lib/model');
+const { BROWSER_HEADERS, buildArchive, findVideoPosters, typeFromPath } = require('./lib/archive');
+const { fetchMemories, memoriesUrl, mergeMemories, normalizeMemories } = require('./lib/memories');
+const { unplacedPlaces } = require('./lib/places');
+const { missingProgramFields, renderProgram } = require('./lib/program');
+const { encodeQr, qrPng, qrSvg } = require('./lib/qr');
+const { startServer } = require('./lib/serve');
+const { slugify } = require('./lib/util');
 
 // --- Args ---
-const args = process.argv.slice(2);
+const argv = process.argv.slice(2);
+const flags = new Set(argv.filter(a => a.startsWith('--')));
+const args = argv.filter(a => !a.startsWith('--'));
+
+// `serve` is a command rather than a flag: node generate.js serve <data.json>
+const isServe = args[0] === 'serve';
+if (isServe) args.shift();
+
+// Value of a --name=value flag, or null
+function flagValue(name) {
+    const flag = argv.find(a => a.startsWith(`${name}=`));
+    return flag ? flag.slice(name.length + 1) : null;
+}
+
 if (args.length < 1) {
-    console.error('Usage: node generate.js <data.json> [output.html] [template.html]');
+    console.error('Usage: node generate.js <data.json> [output.html] [template.html] [--memories[=file]]');
+    console.error('       node generate.js <data-dir> [output-dir] [template.html] [--force]');
+    console.error('       node generate.js --validate <data.json | data-dir>');
+    console.error('       node generate.js --archive <data.json> [archive.zip | archive.html]');
+    console.error('       node generate.js --program <data.json> [program.html] [--trifold]');
+    console.error('       node generate.js --qr <data.json> [output-dir] [--ec=L|M|Q|H] [--logo[=file]]');
+    console.error('       node generate.js serve <data.json> [template.html] [--port=4000]');
     console.error('');
     console.error('Examples:');
     console.error('  node generate.js data/jerry-gloria.json');
     console.error('  node generate.js data/jerry-gloria.json output/rhodes.html');
     console.error('  node generate.js data/jerry-gloria.json output/rhodes.html template.html');
+    console.error('  node generate.js data/jerry-gloria.json --memories   # with the approved shared memories');
+    console.error('  node generate.js data/                  # batch: output/<slug>/index.html');
+    console.error('  node generate.js data/ output/ --force  # rebuild even unchanged memorials');
+    console.error('  node generate.js --validate data/       # check every data file, write nothing');
+    console.error('  node generate.js --archive data/jerry-gloria.json  # output/<slug>-archive.zip');
+    console.error('  node generate.js --program data/jerry-gloria.json  # output/<slug>-program.html');
+    console.error('  node generate.js --qr data/jerry-gloria.json --logo  # output/<slug>-qr[-dark].svg/.png');
+    console.error('  node generate.js serve data/jerry-gloria.json        # live preview at http://localhost:4000/');
     process.exit(1);
 }
 
-const dataFile = args[0];
-const outputFile = args[1] || 'output/index.html';
-const templateFile = args[2] || path.join(__dirname, 'template.html');
+const dataPath = args[0];
+const templateFile = (isServe ? args[1] : args[2]) || path.join(__dirname, 'template.html');
 
-// --- Load files ---
-let data, template;
+// Built-in partials, overridden by a partials/ folder next to a custom template
+const partialDirs = [DEFAULT_PARTIALS_DIR, path.join(path.dirname(path.resolve(templateFile)), 'partials')];
+const partials = loadPartials(...partialDirs);
 
+// Funeral home defaults (theme) from funeral-homes.json
+let funeralHomes;
 try {
-    data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    funeralHomes = loadFuneralHomes();
 } catch (e) {
-    console.error(`Error reading data file: ${e.message}`);
+    console.error(`Error reading funeral-homes.json: ${e.message}`);
     process.exit(1);
 }
 
+let isBatch = false;
 try {
-    template = fs.readFileSync(templateFile, 'utf8');
+    isBatch = fs.statSync(dataPath).isDirectory();
 } catch (e) {
-    console.error(`Error reading template: ${e.message}`);
-    process.exit(1);
-}
-
-// --- Helper: Escape HTML ---
-function esc(str) {
-    if (!str) return '';
-    return String(str)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;');
+    // Fall through — the single-file read below reports the missing path
 }
 
-// --- Build page title ---
-function buildPageTitle() {
-    const first = data.personName1.split(' ');
-    const firstName1 = first[0];
-    if (data.isCouple && data.personName2) {
-        const second = data.personName2.split(' ');
-        const firstName2 = second[0];
-        // Use last name from person 1
-        const lastName = first[first.length - 1];
-        return `${data.personName1} & ${data.personName2}`;
+if (isServe) {
+    serveOne();
+} else if (flags.has('--validate')) {
+    validateAll();
+} else if (flags.has('--archive')) {
+    if (isBatch) {
+        console.error('--archive takes one data file, not a directory');
+        process.exit(1);
+    }
+    archiveOne().catch(e => {
+        console.error(`Error building archive: ${e.message}`);
+        process.exit(1);
+    });
+} else if (flags.has('--program')) {
+    if (isBatch) {
+        console.error('--program takes one data file, not a directory');
+        process.exit(1);
+    }
+    programOne();
+} else if (flags.has('--qr')) {
+    qrOne().catch(e => {
+        console.error(`Error creating QR codes: ${e.message}`);
+        process.exit(1);
+    });
+} else if (isBatch) {
+    if (wantsMemories()) {
+        console.error('--memories takes one data file, not a directory');
+        process.exit(1);
     }
-    return data.personName1;
+    buildAll();
+} else {
+    buildOne().catch(e => {
+        console.error(e.message);
+        process.exit(1);
+    });
 }
 
-const pageTitle = buildPageTitle();
-
-// --- Build hero content ---
-function buildHeroContent() {
-    let html = '';
-    
-    if (data.isCouple && data.personName2) {
-        // Extract first names for display
-        const name1Parts = data.personName1.split(' ');
-        const name2Parts = data.personName2.split(' ');
-        // Remove last name from person2 if same as person1
-        const lastName1 = name1Parts[name1Parts.length - 1];
-        const lastName2 = name2Parts[name2Parts.length - 1];
-        
-        let displayName1 = data.personName1;
-        let displayName2 = data.personName2;
-        
-        // If couple shares last name, show "First Middle <amp> First Middle LastName"
-        if (lastName1 === lastName2) {
-            const withoutLast1 = name1Parts.slice(0, -1).join(' ');
-            html += `<h1>${esc(withoutLast1)} <span class="ampersand">&amp;</span> ${esc(displayName2)}</h1>\n`;
-        } else {
-            html += `<h1>${esc(displayName1)} <span class="ampersand">&amp;</span> ${esc(displayName2)}</h1>\n`;
+// --- Validate mode ---
+function validateAll() {
+    const files = isBatch
+        ? fs.readdirSync(dataPath).filter(f => f.endsWith('.json')).sort().map(f => path.join(dataPath, f))
+        : [dataPath];
+
+    let failed = 0;
+    for (const file of files) {
+        let raw;
+        try {
+            raw = fs.readFileSync(file, 'utf8');
+        } catch (e) {
+            console.error(`✗ ${file}: ${e.message}`);
+            failed++;
+            continue;
         }
-        
-        html += `        <div class="dates">\n`;
-        html += `            ${esc(data.personBorn1)} — ${esc(data.personDied1)} &nbsp;&nbsp;·&nbsp;&nbsp; ${esc(data.personBorn2)} — ${esc(data.personDied2)}\n`;
-        html += `        </div>\n`;
-    } else {
-        html += `<h1>${esc(data.personName1)}</h1>\n`;
-        html += `        <div class="dates">\n`;
-        html += `            ${esc(data.personBorn1)} — ${esc(data.personDied1)}\n`;
-        html += `        </div>\n`;
-    }
-    
-    if (data.heroQuote) {
-        html += `        <p class="in-memoriam">"${esc(data.heroQuote)}"</p>\n`;
-    }
-    
-    if (data.heroPhoto && data.heroPhoto.src) {
-        html += `        <div class="photo-frame">\n`;
-        html += `            <img src="${esc(data.heroPhoto.src)}" alt="${esc(data.heroPhoto.alt || '')}">\n`;
-        html += `        </div>\n`;
-    } else {
-        html += `        <div class="photo-frame">\n`;
-        html += `            <span class="photo-placeholder">Photo</span>\n`;
-        html += `        </div>\n`;
+
+        let { data, error } = parseJSON(raw);
+        try {
+            if (!error) data = toModel(data);
+        } catch (e) {
+            error = e.message;
+        }
+        if (error) {
+            console.error(`✗ ${file}\n    ✗ $: ${error}`);
+            failed++;
+            continue;
+        }
+
+        const report = validate(data);
+        if (report.errors.length) failed++;
+        console.log(formatReport(file, report));
     }
-    
-    return html;
-}
 
-// --- Build story paragraphs ---
-function buildStoryParagraphs() {
-    if (!data.storyParagraphs || data.storyParagraphs.length === 0) return '';
-    return data.storyParagraphs.map(p => `        <p>\n            ${p}\n        </p>`).join('\n');
+    console.log('');
+    if (failed) {
+        console.error(`✗ ${failed} of ${files.length} file(s) have errors`);
+        process.exit(1);
+    }
+    console.log(`✓ ${files.length} file(s) valid`);
 }
 
-// --- Build timeline ---
-function buildTimeline() {
-    if (!data.timelineItems || data.timelineItems.length === 0) return '';
-    return data.timelineItems.map(item => {
-        return `            <div class="timeline-item">
-                <div class="timeline-year">${esc(item.year)}</div>
-                <div class="timeline-text">${item.text}</div>
-            </div>`;
-    }).join('\n');
-}
+// --- Batch mode ---
+function buildAll() {
+    const outDir = args[1] || 'output';
+    console.log(`Building memorials from ${dataPath} → ${outDir}/`);
+
+    let stats;
+    try {
+        stats = buildSite({
+            dataDir: dataPath,
+            outDir,
+            templateFile,
+            indexTemplateFile: path.join(__dirname, 'funeral-home-template.html'),
+            partials,
+            funeralHomes,
+            force: flags.has('--force')
+        });
+    } catch (e) {
+        console.error(`Error building site: ${e.message}`);
+        process.exit(1);
+    }
 
-// --- Build news section ---
-function buildNewsSection() {
-    if (!data.newsArticles || data.newsArticles.length === 0) return '';
-    
-    let html = `    <!-- In the News -->\n    <section class="section">\n        <h2>In the News</h2>\n        <div class="section-divider"></div>\n`;
-    
-    if (data.newsIntro) {
-        html += `        <p>${data.newsIntro}</p>\n\n`;
+    console.log(`✓ ${stats.built} built, ${stats.skipped} unchanged, ${stats.indexes} funeral home index(es) updated`);
+    if (stats.removed) {
+        console.log(`  ${stats.removed} memorial(s) no longer in ${dataPath} — their old pages were left in place`);
     }
-    
-    data.newsArticles.forEach(article => {
-        html += `        <div class="card">\n`;
-        html += `            <h3>${article.title}</h3>\n`;
-        if (article.url) {
-            html += `            <div class="location"><a href="${esc(article.url)}" target="_blank" style="color: #c4a478;">${esc(article.source)} ↗</a></div>\n`;
-        } else {
-            html += `            <div class="location">${esc(article.source)}</div>\n`;
-        }
-        html += `            <p>${article.description}</p>\n`;
-        html += `        </div>\n\n`;
-    });
-    
-    if (data.newsFootnote) {
-        html += `        <p style="text-align: center; font-style: italic; color: #a89880; margin-top: 2rem;">\n            ${data.newsFootnote}\n        </p>\n`;
+    if (stats.failed) {
+        console.error(`✗ ${stats.failed} data file(s) failed`);
+        process.exit(1);
     }
-    
-    html += `    </section>`;
-    return html;
 }
 
-// --- Build businesses section ---
-function buildBusinessesSection() {
-    if (!data.businesses || data.businesses.length === 0) return '';
-    
-    let html = `    <!-- Businesses -->\n    <section class="section">\n        <h2>${esc(data.businessesSectionTitle || 'Business')}</h2>\n        <div class="section-divider"></div>\n`;
-    
-    if (data.businessesIntro) {
-        html += `        <p>${data.businessesIntro}</p>\n\n`;
+// --- Serve mode: live preview while editing ---
+function serveOne() {
+    if (isBatch) {
+        console.error('serve takes one data file, not a directory');
+        process.exit(1);
     }
-    
-    data.businesses.forEach(biz => {
-        html += `        <div class="card">\n`;
-        html += `            <h3>${esc(biz.name)}</h3>\n`;
-        html += `            <div class="location">${biz.location}</div>\n`;
-        html += `            <p>${biz.description}</p>\n`;
-        html += `        </div>\n\n`;
+    const port = Number(flagValue('--port') || 4000);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        console.error(`Invalid --port: ${flagValue('--port')}`);
+        process.exit(1);
+    }
+
+    const server = startServer({ dataPath, templateFile, partialDirs, funeralHomesFile: FUNERAL_HOMES_FILE, port });
+    server.on('error', e => {
+        console.error(`Error starting preview server: ${e.message}`);
+        process.exit(1);
     });
-    
-    html += `    </section>`;
-    return html;
 }
 
-// --- Build videos section ---
-function buildVideosSection() {
-    if (!data.videos || data.videos.length === 0) return '';
-
-    let html = `    <!-- Cherished Moments -->\n    <section class="section">\n        <h2>Cherished Moments</h2>\n        <div class="section-divider"></div>\n        <div class="videos-grid">\n`;
+// --- Read and validate one data file, plus the template (exits on error) ---
+function loadOne() {
+    let data, template;
+
+    try {
+        const parsed = parseJSON(fs.readFileSync(dataPath, 'utf8'));
+        if (parsed.error) throw new Error(parsed.error);
+        data = toModel(parsed.data);
+    } catch (e) {
+        console.error(`Error reading data file: ${e.message}`);
+        process.exit(1);
+    }
 
-    data.videos.forEach(video => {
-        html += `            <div class="video-card">\n`;
-        html += `                <div class="video-wrapper">\n`;
+    const report = validate(data);
+    if (report.errors.length) {
+        console.error(formatReport(dataPath, report));
+        console.error('');
+        console.error('Not generated — fix the errors above and try again.');
+        process.exit(1);
+    }
 
-        if (video.type === 'youtube') {
-            const videoId = extractYouTubeId(video.url);
-            if (videoId) {
-                html += `                    <iframe src="https://www.youtube-nocookie.com/embed/${esc(videoId)}" title="${esc(video.caption || '')}" allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" allowfullscreen loading="lazy"></iframe>\n`;
-            }
-        } else if (video.type === 'vimeo') {
-            const videoId = extractVimeoId(video.url);
-            if (videoId) {
-                html += `                    <iframe src="https://player.vimeo.com/video/${esc(videoId)}?dnt=1" title="${esc(video.caption || '')}" allow="autoplay; fullscreen; picture-in-picture" allowfullscreen loading="lazy"></iframe>\n`;
-            }
-        } else if (video.type === 'direct') {
-            html += `                    <video controls preload="metadata"`;
-            if (video.thumbnail) {
-                html += ` poster="${esc(video.thumbnail)}"`;
-            }
-            html += `>\n`;
-            html += `                        <source src="${esc(video.url)}" type="video/mp4">\n`;
-            html += `                        Your browser does not support the video tag.\n`;
-            html += `                    </video>\n`;
-        }
+    try {
+        template = fs.readFileSync(templateFile, 'utf8');
+    } catch (e) {
+        console.error(`Error reading template: ${e.message}`);
+        process.exit(1);
+    }
 
-        html += `                </div>\n`;
+    return { data, template };
+}
 
-        if (video.caption) {
-            html += `                <div class="video-caption">${esc(video.caption)}</div>\n`;
-        }
+// --- Shared memories: --memories fetches the approved ones from the memories
+// worker, --memories=<file> reads a saved copy of that list instead ---
+function wantsMemories() {
+    return flags.has('--memories') || flagValue('--memories') !== null;
+}
 
-        html += `            </div>\n`;
-    });
+async function withMemories(data) {
+    if (!wantsMemories()) return data;
+    const file = flagValue('--memories');
+    const from = file || memoriesUrl(data, buildPageTitle(data));
+
+    let imported;
+    try {
+        imported = file
+            ? normalizeMemories(JSON.parse(fs.readFileSync(file, 'utf8')), data.memoriesApi)
+            : await fetchMemories(from);
+    } catch (e) {
+        throw new Error(`Error importing memories from ${from}: ${e.message}`);
+    }
 
-    html += `        </div>\n    </section>`;
-    return html;
+    console.log(`✓ ${imported.length} approved ${imported.length === 1 ? 'memory' : 'memories'} from ${from}`);
+    return { ...data, memories: mergeMemories(data.memories, imported) };
 }
 
-function extractYouTubeId(url) {
-    if (!url) return null;
-    // Handle youtube.com/watch?v=ID, youtu.be/ID, youtube.com/embed/ID, youtube.com/shorts/ID
-    const patterns = [
-        /(?:youtube\.com\/watch\?.*v=|youtu\.be\/|youtube\.com\/embed\/|youtube\.com\/shorts\/)([a-zA-Z0-9_-]{11})/,
-    ];
-    for (const pattern of patterns) {
-        const match = url.match(pattern);
-        if (match) return match[1];
+// --- Single-file mode ---
+async function buildOne() {
+    const outputFile = args[1] || 'output/index.html';
+    const loaded = loadOne();
+    const template = loaded.template;
+    const data = await withMemories(loaded.data);
+
+    // --- Photos: resized copies in <output dir>/images/ ---
+    const outputDir = path.dirname(outputFile);
+    let images;
+    try {
+        images = processImages(data, { sourceDirs: [path.dirname(dataPath), outputDir], outDir: outputDir });
+    } catch (e) {
+        console.error(`Error processing photos: ${e.message}`);
+        process.exit(1);
     }
-    return null;
-}
 
-function extractVimeoId(url) {
-    if (!url) return null;
-    const match = url.match(/vimeo\.com\/(?:video\/)?(\d+)/);
-    return match ? match[1] : null;
-}
+    let output;
+    try {
+        output = renderPage(images.data, template, partials, { funeralHomes });
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
 
-// --- Build gallery ---
-function buildGallery() {
-    if (!data.photos || data.photos.length === 0) {
-        return `            <div class="gallery-item">\n                <span class="photo-placeholder">Photos coming soon</span>\n            </div>`;
+    // --- Write output ---
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
     }
-    return data.photos.map(photo => {
-        return `            <div class="gallery-item">
-                <img src="${esc(photo.src)}" alt="${esc(photo.alt || '')}">
-            </div>`;
-    }).join('\n');
-}
 
-// --- Build family names ---
-function buildFamilyNames() {
-    if (!data.familyMembers || data.familyMembers.length === 0) return '';
-    return data.familyMembers.join(' &nbsp;·&nbsp; ');
+    fs.writeFileSync(outputFile, output, 'utf8');
+    console.log(`✓ Memorial page generated: ${outputFile}`);
+    console.log(`  Title: ${buildPageTitle(data)}`);
+    console.log(`  Sections: ${listSections(data)}`);
+    console.log(`  Funeral home: ${data.funeralHomeName || 'none'}`);
+    console.log(`  Photos: ${images.stats.resized} resized (JPEG and PNG only, no WebP or AVIF), ${images.stats.copied} copied, ${images.stats.missing} not found`);
+    for (const name of unplacedPlaces(data.places)) {
+        console.log(`  ⚠ No map pin for "${name}" — end the name with a state or country, or add lat and lon`);
+    }
 }
 
-// --- Build family note ---
-function buildFamilyNote() {
-    if (!data.familyNote) return '';
-    return `            <p class="note">${esc(data.familyNote)}</p>`;
-}
+// --- Program mode: printable bifold or trifold funeral program ---
+function programOne() {
+    const { data } = loadOne();
+    const fold = flags.has('--trifold') ? 'trifold' : 'bifold';
+    const outputFile = args[1] || path.join('output', `${slugify(buildPageTitle(data))}-program.html`);
+    const outputDir = path.dirname(outputFile);
+
+    let template, output, images;
+    try {
+        template = fs.readFileSync(path.join(__dirname, 'program-template.html'), 'utf8');
+        images = processImages(data, { sourceDirs: [path.dirname(dataPath), outputDir], outDir: outputDir });
+        output = renderProgram(images.data, template, partials, { funeralHomes, fold });
+    } catch (e) {
+        console.error(`Error building program: ${e.message}`);
+        process.exit(1);
+    }
 
-// --- Build funeral home branding ---
-function buildFuneralHomeBranding() {
-    if (!data.funeralHomeName) return '';
-    
-    let html = `    <!-- Funeral Home Branding -->\n    <div class="funeral-home-branding">\n`;
-    html += `        <div class="prepared-by">Memorial lovingly prepared by</div>\n`;
-    
-    if (data.funeralHomeLogo) {
-        html += `        <img src="${esc(data.funeralHomeLogo)}" alt="${esc(data.funeralHomeName)}" class="fh-logo"><br>\n`;
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(outputFile, output, 'utf8');
+    console.log(`✓ Program generated (${fold}): ${outputFile}`);
+    console.log(`  Title: ${buildPageTitle(data)}`);
+    for (const field of missingProgramFields(data)) {
+        console.log(`  ⚠ No ${field} in the data file — left off the program`);
     }
-    
-    html += `        <div class="fh-name">${esc(data.funeralHomeName)}</div>\n`;
-    html += `        <div class="fh-details">\n`;
-    
-    const details = [];
-    if (data.funeralHomePhone) {
-        details.push(esc(data.funeralHomePhone));
+    console.log('  Print landscape, double-sided (flip on short edge)');
+}
+
+// --- QR mode: light and dark SVG/PNG codes for memorialUrl ---
+async function qrOne() {
+    const { data } = loadOne();
+    if (!data.memorialUrl) {
+        console.error('No memorialUrl in the data file — add the online memorial\'s address first.');
+        process.exit(1);
     }
-    if (data.funeralHomeWebsite) {
-        details.push(`<a href="${esc(data.funeralHomeWebsite)}" target="_blank">${esc(data.funeralHomeWebsite.replace(/^https?:\/\//, ''))}</a>`);
+
+    // --logo uses funeralHomeLogo; --logo=file picks another image
+    const logoPath = flagValue('--logo') || (flags.has('--logo') ? data.funeralHomeLogo : null);
+    if (flags.has('--logo') && !logoPath) {
+        console.error('--logo needs funeralHomeLogo in the data file, or --logo=<file>');
+        process.exit(1);
     }
-    
-    if (details.length > 0) {
-        html += `            ${details.join(' &nbsp;·&nbsp; ')}\n`;
+    const logo = logoPath ? await readLogo(logoPath, flagValue('--logo') ? '.' : path.dirname(dataPath)) : null;
+
+    const qr = encodeQr(data.memorialUrl, { ecLevel: flagValue('--ec') || (logo ? 'H' : 'M') });
+    const outDir = args[1] || 'output';
+    const base = path.join(outDir, `${slugify(buildPageTitle(data))}-qr`);
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const written = [];
+    for (const style of ['light', 'dark']) {
+        const file = style === 'light' ? base : `${base}-dark`;
+        fs.writeFileSync(`${file}.svg`, qrSvg(qr, { style, logo: logo && logo.dataUri }));
+        fs.writeFileSync(`${file}.png`, await qrPng(qr, { style, logo: logo && logo.pixels }));
+        written.push(`${file}.svg`, `${file}.png`);
     }
-    
-    html += `        </div>\n`;
-    
-    if (data.funeralHomeTagline) {
-        html += `        <div class="fh-tagline">${esc(data.funeralHomeTagline)}</div>\n`;
+
+    console.log(`✓ QR codes for ${data.memorialUrl}`);
+    written.forEach(file => console.log(`  ${file}`));
+    console.log(`  Version ${qr.version}, error correction ${qr.ecLevel}${logo ? ', with logo' : ''}`);
+    if (logo && !logo.pixels) {
+        console.log('  ⚠ Logo left off the PNGs — only PNG logos (or JPEGs with jpeg-js installed) can be drawn into them');
     }
-    
-    html += `    </div>`;
-    return html;
 }
 
-// --- Perform replacements ---
-let output = template;
-
-const replacements = {
-    '{{pageTitle}}': pageTitle,
-    '{{heroContent}}': buildHeroContent(),
-    '{{storyTitle}}': esc(data.storyTitle || (data.isCouple ? 'Their Story' : 'Their Story')),
-    '{{storyParagraphsHTML}}': buildStoryParagraphs(),
-    '{{timelineTitle}}': esc(data.timelineTitle || (data.isCouple ? 'A Life Together' : 'A Life Remembered')),
-    '{{timelineHTML}}': buildTimeline(),
-    '{{newsSection}}': buildNewsSection(),
-    '{{businessesSection}}': buildBusinessesSection(),
-    '{{videosSection}}': buildVideosSection(),
-    '{{galleryHTML}}': buildGallery(),
-    '{{shareMemoryText}}': data.shareMemoryText || `If they touched your life, we'd love to hear from you. Share a story, a memory, or a photo.`,
-    '{{relationshipLabel}}': esc(data.relationshipLabel || 'How did you know them?'),
-    '{{formEmail}}': esc(data.formEmail || ''),
-    '{{closingQuote}}': esc(data.closingQuote || ''),
-    '{{familyIntro}}': data.familyIntro || '',
-    '{{familyNamesHTML}}': buildFamilyNames(),
-    '{{familyNoteHTML}}': buildFamilyNote(),
-    '{{funeralHomeBrandingHTML}}': buildFuneralHomeBranding(),
-    '{{heroQuote}}': esc(data.heroQuote || '')
-};
-
-for (const [key, value] of Object.entries(replacements)) {
-    // Replace all occurrences
-    while (output.includes(key)) {
-        output = output.replace(key, value);
+// Logo file or URL → data URI for SVG, decoded pixels for PNG
+async function readLogo(src, baseDir) {
+    let bytes, type;
+    if (/^https?:\/\//i.test(src)) {
+        const response = await fetch(src);
+        if (!response.ok) throw new Error(`Could not fetch logo ${src} (${response.status})`);
+        bytes = Buffer.from(await response.arrayBuffer());
+        type = (response.headers.get('content-type') || typeFromPath(src)).split(';')[0];
+    } else {
+        bytes = fs.readFileSync(path.resolve(baseDir, src));
+        type = typeFromPath(src);
     }
+    return {
+        dataUri: `data:${type};base64,${bytes.toString('base64')}`,
+        pixels: decodeImage(bytes)
+    };
 }
 
-// --- Write output ---
-const outputDir = path.dirname(outputFile);
-if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
-}
+// --- Archive mode: one self-contained .zip (or .html) ---
+async function archiveOne() {
+    const loaded = loadOne();
+    const template = loaded.template;
+    const data = await withMemories(loaded.data);
+    const title = buildPageTitle(data);
+    const outputFile = args[1] || path.join('output', `${slugify(title)}-archive.zip`);
+    const sourceDirs = [path.dirname(dataPath), path.dirname(outputFile)];
+
+    // Resized photos go to a scratch folder; the archive embeds them
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gentlytold-archive-'));
+    try {
+        const images = processImages(data, { sourceDirs, outDir: workDir });
+
+        const load = async (url, headers = {}) => {
+            if (/^(https?:)?\/\//i.test(url)) {
+                const response = await fetch(url.startsWith('//') ? `https:${url}` : url, { headers: { ...BROWSER_HEADERS, ...headers } });
+                if (!response.ok) return null;
+                const type = (response.headers.get('content-type') || typeFromPath(new URL(response.url).pathname)).split(';')[0];
+                return { bytes: new Uint8Array(await response.arrayBuffer()), type };
+            }
+            for (const dir of [workDir, ...sourceDirs]) {
+                const file = path.resolve(dir, decodeURI(url));
+                if (fs.existsSync(file) && fs.statSync(file).isFile()) {
+                    return { bytes: new Uint8Array(fs.readFileSync(file)), type: typeFromPath(file) };
+                }
+            }
+            return null;
+        };
+
+        const pageData = { ...images.data, videos: await findVideoPosters(images.data.videos, load) };
+        const html = renderPage(pageData, template, partials, { funeralHomes, archive: true });
+        const archive = await buildArchive({ html, title, data, load });
+
+        fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+        fs.writeFileSync(outputFile, outputFile.endsWith('.html') ? archive.html : archive.zip);
 
-fs.writeFileSync(outputFile, output, 'utf8');
-console.log(`✓ Memorial page generated: ${outputFile}`);
-console.log(`  Title: ${pageTitle}`);
-console.log(`  Sections: story, timeline${data.newsArticles ? ', news' : ''}${data.businesses ? ', businesses' : ''}${data.videos && data.videos.length ? ', videos' : ''}, gallery, memories, family`);
-console.log(`  Funeral home: ${data.funeralHomeName || 'none'}`);
+        console.log(`✓ Archive written: ${outputFile}`);
+        console.log(`  Title: ${title}`);
+        console.log(`  Embedded: ${archive.manifest.assets.length} file(s) — fonts, photos, video stills`);
+        for (const url of archive.manifest.missing) {
+            console.log(`  ⚠ Could not fetch, not embedded: ${url}`);
+        }
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
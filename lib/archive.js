@@ -0,0 +1,224 @@
+/**
+ * GentlyTold Memorial Archive
+ *
+ * Turns a rendered memorial page into something a family can keep for good:
+ * one HTML file with its fonts, photos and video posters embedded as data URIs,
+ * and a ZIP holding that file, the memorial data and a manifest of SHA-256
+ * checksums. Videos themselves stay online; the page links to them.
+ *
+ * Uses only web APIs (crypto.subtle, TextEncoder, btoa) plus a caller-supplied
+ * loader, so generate.js --archive and the engine worker share it:
+ *
+ *   load(url, headers) → Promise<{ bytes: Uint8Array, type: 'image/jpeg' } | null>
+ */
+
+const { createZip } = require('./zip');
+
+const ARCHIVE_FORMAT = 'gentlytold-archive';
+const ARCHIVE_VERSION = 1;
+const MANIFEST_ID = 'gentlytold-archive';
+
+// Google Fonts sends WOFF2 only to browsers it recognises
+const BROWSER_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36'
+};
+const FONT_SUBSETS = ['latin', 'latin-ext'];
+const FONT_CSS = /@import url\('(https:\/\/fonts\.googleapis\.com\/[^']+)'\);|<link href="(https:\/\/fonts\.googleapis\.com\/[^"]+)" rel="stylesheet">/g;
+const MIME_TYPES = {
+    '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif',
+    '.webp': 'image/webp', '.avif': 'image/avif', '.svg': 'image/svg+xml', '.woff2': 'font/woff2'
+};
+const VIDEO_FILE = /\.(mp4|webm|mov|m4v|m3u8|mp3|m4a|ogg|wav)(\?|#|$)/i;
+
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+async function sha256(bytes) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function unescapeAttr(value) {
+    return value.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+}
+
+// Content type for a local file, by extension
+function typeFromPath(file) {
+    const ext = (file.match(/\.[a-z0-9]+$/i) || [''])[0].toLowerCase();
+    return MIME_TYPES[ext] || 'application/octet-stream';
+}
+
+// Replace every match of a global regex with an async replacement
+async function replaceAsync(text, pattern, replacer) {
+    const matches = [...text.matchAll(pattern)];
+    const replacements = await Promise.all(matches.map(match => replacer(...match)));
+    let i = 0;
+    return text.replace(pattern, () => replacements[i++]);
+}
+
+/**
+ * Wraps the caller's loader: caches by URL and records every asset embedded
+ * (for the manifest) and every URL that could not be fetched.
+ */
+function assetStore(load) {
+    const cache = new Map();
+    const store = { assets: [], missing: [] };
+
+    const fetchAsset = async (url, headers) => {
+        let asset = null;
+        try {
+            asset = await load(url, headers);
+        } catch (e) {
+            // Recorded as missing below
+        }
+        if (!asset) store.missing.push(url);
+        return asset;
+    };
+
+    // data: URI for a URL, or null when it can't be loaded
+    store.dataUri = (url, headers) => {
+        if (!cache.has(url)) {
+            cache.set(url, fetchAsset(url, headers).then(async asset => {
+                if (!asset) return null;
+                store.assets.push({ source: url, type: asset.type, bytes: asset.bytes.length, sha256: await sha256(asset.bytes) });
+                return `data:${asset.type};base64,${toBase64(asset.bytes)}`;
+            }));
+        }
+        return cache.get(url);
+    };
+
+    store.text = async (url, headers) => {
+        const asset = await fetchAsset(url, headers);
+        return asset ? new TextDecoder().decode(asset.bytes) : null;
+    };
+
+    return store;
+}
+
+// --- Web fonts: the Google Fonts stylesheet, trimmed to Latin subsets, font files inlined ---
+async function embedFonts(html, store) {
+    html = html.replace(/[ \t]*<link rel="preconnect"[^>]*>\n?/g, '');
+
+    return replaceAsync(html, FONT_CSS, async (match, importUrl, linkUrl) => {
+        const css = await store.text(unescapeAttr(importUrl || linkUrl), BROWSER_HEADERS);
+        if (!css) return '';
+
+        const blocks = [...css.matchAll(/\/\* ([a-z-]+) \*\/\s*(@font-face\s*\{[^}]*\})/g)]
+            .filter(([, subset]) => FONT_SUBSETS.includes(subset))
+            .map(([, , block]) => block);
+
+        const inlined = await Promise.all(blocks.map(block =>
+            replaceAsync(block, /url\((https:[^)]+)\)/g, async (m, url) => {
+                const uri = await store.dataUri(url, BROWSER_HEADERS);
+                return uri ? `url(${uri})` : m;
+            })));
+
+        const fontCss = inlined.join('\n');
+        return importUrl ? fontCss : `<style>\n${fontCss}\n</style>`;
+    });
+}
+
+// --- Photos and posters: src/poster attributes and CSS url()s ---
+async function embedImages(html, store) {
+    // One embedded copy per image — the largest, which src already points at
+    html = html.replace(/ (srcset|sizes)="[^"]*"/g, '');
+
+    const embed = async (raw, wrap, original) => {
+        const url = unescapeAttr(raw);
+        if (/^(data:|#)/.test(url) || VIDEO_FILE.test(url)) return original;
+        const uri = await store.dataUri(url);
+        return uri ? wrap(uri) : original;
+    };
+
+    html = await replaceAsync(html, / (src|poster)="([^"]+)"/g, (match, attr, value) =>
+        embed(value, uri => ` ${attr}="${uri}"`, match));
+    return replaceAsync(html, /url\((['"]?)([^'")]+)\1\)/g, (match, quote, value) =>
+        embed(value, uri => `url(${quote}${uri}${quote})`, match));
+}
+
+/**
+ * Fill in poster images for Vimeo videos, which (unlike YouTube) need an API
+ * call to find. Returns a copy of the videos array.
+ */
+async function findVideoPosters(videos, load) {
+    return Promise.all((videos || []).map(async video => {
+        if (video.thumbnail || video.type !== 'vimeo' || !video.url) return video;
+        try {
+            const asset = await load(`https://vimeo.com/api/oembed.json?url=${encodeURIComponent(video.url)}`);
+            const info = asset ? JSON.parse(new TextDecoder().decode(asset.bytes)) : null;
+            return info && info.thumbnail_url ? { ...video, thumbnail: info.thumbnail_url } : video;
+        } catch (e) {
+            return video;
+        }
+    }));
+}
+
+function readme(title, createdAt) {
+    return `In Loving Memory — ${title}
+
+Open memorial.html in any web browser. It needs no internet connection:
+the fonts, photos and video stills are stored inside the file itself.
+
+manifest.json lists a SHA-256 checksum for every file in this archive and
+every image embedded in the page, so anyone can confirm nothing has changed.
+Videos were not copied; their links in the page lead to the originals online.
+
+Saved ${createdAt.toISOString().slice(0, 10)} by GentlyTold — https://gentlytold.com
+`;
+}
+
+/**
+ * buildArchive({ html, title, data, load }) → { html, zip, manifest }
+ *
+ *   html   the rendered page
+ *   title  display name, for the README
+ *   data   the memorial data, saved alongside as data.json (optional)
+ *   load   asset loader (see above)
+ */
+async function buildArchive({ html, title, data, load, createdAt = new Date() }) {
+    const store = assetStore(load);
+    let page = await embedFonts(html, store);
+    page = await embedImages(page, store);
+
+    const manifest = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        title,
+        createdAt: createdAt.toISOString(),
+        assets: store.assets.sort((a, b) => a.source.localeCompare(b.source)),
+        missing: store.missing
+    };
+
+    // The page carries its own asset list, so a lone HTML file is still checkable
+    const embedded = JSON.stringify(manifest, null, 2).replace(/</g, '\\u003c');
+    page = page.replace('</body>', `<script type="application/json" id="${MANIFEST_ID}">\n${embedded}\n</script>\n</body>`);
+
+    const encoder = new TextEncoder();
+    const files = [
+        { path: 'memorial.html', contents: encoder.encode(page) },
+        ...(data ? [{ path: 'data.json', contents: encoder.encode(JSON.stringify(data, null, 2) + '\n') }] : []),
+        { path: 'README.txt', contents: encoder.encode(readme(title, createdAt)) }
+    ];
+
+    manifest.files = await Promise.all(files.map(async file => ({
+        path: file.path,
+        bytes: file.contents.length,
+        sha256: await sha256(file.contents)
+    })));
+
+    files.push({ path: 'manifest.json', contents: encoder.encode(JSON.stringify(manifest, null, 2) + '\n') });
+
+    return { html: page, zip: createZip(files, createdAt), manifest };
+}
+
+module.exports = {
+    BROWSER_HEADERS,
+    buildArchive,
+    findVideoPosters,
+    typeFromPath
+};
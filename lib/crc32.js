@@ -0,0 +1,23 @@
+/**
+ * GentlyTold CRC-32
+ *
+ * The checksum PNG chunks and ZIP entries use. Works on any Uint8Array
+ * (Node Buffers included), so the workers can bundle it too.
+ */
+
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    CRC_TABLE[n] = c;
+}
+
+function crc32(bytes) {
+    let crc = -1;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ -1) >>> 0;
+}
+
+module.exports = {
+    crc32
+};
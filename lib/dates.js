@@ -0,0 +1,340 @@
+/**
+ * GentlyTold Dates
+ *
+ * Memorial dates are free text — "July 3, 1946", "Summer 2018", "Early
+ * 2000s", "circa 1900", "The Journey". parseDate() reads what it can into a
+ * structured date (how precise it is, the range it covers) and always keeps
+ * the text as written, so nothing is ever lost to a guess. Spanish dates
+ * ("3 de julio de 1946", "verano de 2018") read the same way. The renderer
+ * uses it to sort timelines, work out ages and years married, and print dates
+ * in a funeral home's chosen style and the page's language; service listings
+ * add the weekday and the time of day.
+ */
+
+const MONTHS = {
+    en: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+    es: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre']
+};
+
+// Northern-hemisphere months; winter is the start of its year
+const SEASONS = {
+    spring: [3, 5],
+    summer: [6, 8],
+    fall: [9, 11],
+    winter: [1, 2]
+};
+
+const SEASON_WORDS = {
+    spring: 'spring', summer: 'summer', fall: 'fall', autumn: 'fall', winter: 'winter',
+    primavera: 'spring', verano: 'summer', 'otoño': 'fall', invierno: 'winter'
+};
+
+// "Early 1980", "Late 1990s", "principios de 1980": which part of the year or decade
+const PARTS = {
+    early: [0, 1 / 3],
+    mid: [1 / 3, 2 / 3],
+    late: [2 / 3, 1]
+};
+
+const PART_WORDS = {
+    early: 'early', mid: 'mid', middle: 'mid', late: 'late',
+    principios: 'early', comienzos: 'early', mediados: 'mid', finales: 'late', fines: 'late'
+};
+
+const WEEKDAYS = {
+    en: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    es: ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado']
+};
+
+const APPROXIMATE = /^(?:circa|c\.|ca\.?|about|around|approximately|approx\.|abt\.?|hacia|alrededor de|aproximadamente|aprox\.|cerca de|~)\s*/i;
+
+const DATE_STYLES = ['original', 'long', 'abbreviated', 'day-month', 'numeric'];
+
+const pad = n => String(n).padStart(2, '0');
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function monthIndex(name) {
+    const word = name.toLowerCase().replace(/\.$/, '');
+    if (word.length < 3) return 0;
+    const matches = names => names.findIndex(m => m.toLowerCase().startsWith(word)) + 1;
+    return matches(MONTHS.en) || matches(MONTHS.es);
+}
+
+function validDay(year, month, day) {
+    return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth(year, month);
+}
+
+// --- Structured dates ---
+function dayDate(year, month, day) {
+    return { precision: 'day', year, month, day, start: `${year}-${pad(month)}-${pad(day)}`, end: `${year}-${pad(month)}-${pad(day)}` };
+}
+
+function monthDate(year, month) {
+    return { precision: 'month', year, month, start: `${year}-${pad(month)}-01`, end: `${year}-${pad(month)}-${pad(daysInMonth(year, month))}` };
+}
+
+function seasonDate(year, season) {
+    const [first, last] = SEASONS[season];
+    return {
+        precision: 'season',
+        year,
+        season,
+        start: `${year}-${pad(first)}-01`,
+        end: `${year}-${pad(last)}-${pad(daysInMonth(year, last))}`
+    };
+}
+
+// A year, or part of one: "Early 1980" is January–April
+function yearDate(year, part) {
+    if (!part) return { precision: 'year', year, start: `${year}-01-01`, end: `${year}-12-31` };
+    const [from, to] = PARTS[part];
+    const first = Math.round(from * 12) + 1;
+    const last = Math.round(to * 12);
+    return { precision: 'year', year, approximate: true, start: `${year}-${pad(first)}-01`, end: `${year}-${pad(last)}-${pad(daysInMonth(year, last))}` };
+}
+
+// "1960s", "Early 2000s": the decade, or part of it
+function decadeDate(decade, part) {
+    const [from, to] = part ? PARTS[part] : [0, 1];
+    const first = decade + Math.round(from * 10);
+    const last = decade + Math.round(to * 10) - 1;
+    return { precision: 'decade', year: decade, approximate: Boolean(part), start: `${first}-01-01`, end: `${last}-12-31` };
+}
+
+function parseExact(value) {
+    let match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (match) {
+        const [year, month, day] = match.slice(1).map(Number);
+        return validDay(year, month, day) ? dayDate(year, month, day) : null;
+    }
+
+    match = value.match(/^(\d{4})-(\d{2})$/);
+    if (match) {
+        const [year, month] = match.slice(1).map(Number);
+        return month >= 1 && month <= 12 ? monthDate(year, month) : null;
+    }
+
+    // July 3, 1946 · Jul. 3rd 1946
+    match = value.match(/^([A-Za-zÀ-ÿ]+\.?)\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/);
+    if (match) {
+        const month = monthIndex(match[1]);
+        const [day, year] = [Number(match[2]), Number(match[3])];
+        return month && validDay(year, month, day) ? dayDate(year, month, day) : null;
+    }
+
+    // 3 July 1946 · 3rd of July, 1946 · 3 de julio de 1946
+    match = value.match(/^(\d{1,2})(?:st|nd|rd|th|º)?\s+(?:of\s+|de\s+)?([A-Za-zÀ-ÿ]+\.?),?\s+(?:de\s+|del\s+)?(\d{4})$/i);
+    if (match) {
+        const month = monthIndex(match[2]);
+        const [day, year] = [Number(match[1]), Number(match[3])];
+        return month && validDay(year, month, day) ? dayDate(year, month, day) : null;
+    }
+
+    // 7/3/1946 (month first, as written in the US)
+    match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (match) {
+        const [month, day, year] = match.slice(1).map(Number);
+        return validDay(year, month, day) ? dayDate(year, month, day) : null;
+    }
+
+    // July 1946 · July of 1946 · Summer 2018 · Early 1980 · julio de 1946
+    match = value.match(/^([A-Za-zÀ-ÿ]+\.?),?\s+(?:of\s+|de\s+|del\s+)?(\d{4})$/i);
+    if (match) {
+        const word = match[1].toLowerCase();
+        if (SEASON_WORDS[word]) return seasonDate(Number(match[2]), SEASON_WORDS[word]);
+        if (PART_WORDS[word]) return yearDate(Number(match[2]), PART_WORDS[word]);
+        const month = monthIndex(match[1]);
+        return month ? monthDate(Number(match[2]), month) : null;
+    }
+
+    // Early 2000s · the 1960s · mid-1970s
+    match = value.match(/^(?:(early|mid|middle|late)[\s-]+)?(?:the\s+)?(\d{3}0)'?s$/i);
+    if (match) return decadeDate(Number(match[2]), match[1] && PART_WORDS[match[1].toLowerCase()]);
+
+    // la década de 1960 · los años 1960 · principios de los 2000 ("los 60" stays as written)
+    match = value.match(/^(?:(principios|comienzos|mediados|finales|fines)\s+de\s+)?(?:los\s+(?:años\s+)?|la\s+década\s+de\s+)(\d{3}0)s?$/i);
+    if (match) return decadeDate(Number(match[2]), match[1] && PART_WORDS[match[1].toLowerCase()]);
+
+    match = value.match(/^\d{4}$/);
+    if (match) return yearDate(Number(value));
+
+    return null;
+}
+
+// "Saturday, March 14, 2026" reads as the date; the weekday is worked out when printed
+function stripWeekday(value) {
+    const match = value.match(/^([A-Za-zÀ-ÿ]+),?\s+(?=.*\d)/);
+    if (!match) return value;
+    const word = match[1].toLowerCase();
+    return [...WEEKDAYS.en, ...WEEKDAYS.es].some(day => day.toLowerCase() === word) ? value.slice(match[0].length) : value;
+}
+
+/**
+ * Read a date as written. Always returns an object with the original `text`;
+ * `precision` is 'day', 'month', 'season', 'year' or 'decade', or null when
+ * the text isn't a date ("The Journey"). Parsed dates also carry year (and
+ * month, day or season as far as known), `approximate` for "circa", "early…"
+ * and the like, and `start`/`end` — the ISO days the date could fall on.
+ */
+function parseDate(text) {
+    const value = text === undefined || text === null ? '' : String(text).trim();
+    const unknown = { text: value, precision: null, approximate: false, start: null, end: null };
+    if (!value) return unknown;
+
+    const approximate = APPROXIMATE.test(value);
+    const parsed = parseExact(stripWeekday(value.replace(APPROXIMATE, '').replace(/\s+/g, ' ')));
+    if (!parsed) return unknown;
+    return { text: value, ...parsed, approximate: approximate || Boolean(parsed.approximate) };
+}
+
+// --- Ordering: by the first day a date could be; undated text sorts last ---
+function compareDates(a, b) {
+    const x = typeof a === 'string' ? parseDate(a) : a;
+    const y = typeof b === 'string' ? parseDate(b) : b;
+    if (!x.start || !y.start) return (x.start ? -1 : 0) + (y.start ? 1 : 0);
+    return x.start < y.start ? -1 : x.start > y.start ? 1 : 0;
+}
+
+/**
+ * Timeline entries in date order. An entry whose label isn't a date ("The
+ * Journey", "Family") stays with the dated entry before it, and entries
+ * before the first date stay at the top, so the story reads as written.
+ * Equal dates keep their order. `label` picks the date text from an item.
+ */
+function sortTimeline(items, label = item => item.year) {
+    const groups = [];
+    for (const item of items || []) {
+        const date = parseDate(label(item));
+        if (date.start || !groups.length) groups.push({ date, items: [item] });
+        else groups[groups.length - 1].items.push(item);
+    }
+    const lead = groups.length && !groups[0].date.start ? groups.shift().items : [];
+    return lead.concat(groups.sort((a, b) => compareDates(a.date, b.date)).flatMap(group => group.items));
+}
+
+// --- Ages and anniversaries: only from dates known to the day ---
+function wholeYears(from, to) {
+    const a = typeof from === 'string' ? parseDate(from) : from;
+    const b = typeof to === 'string' ? parseDate(to) : to;
+    if (!a || !b || a.precision !== 'day' || b.precision !== 'day' || a.approximate || b.approximate) return null;
+    const years = b.year - a.year - (b.month < a.month || (b.month === a.month && b.day < a.day) ? 1 : 0);
+    return years >= 0 ? years : null;
+}
+
+// Age at death, from the birth and death dates
+function ageAt(born, died) {
+    return wholeYears(born, died);
+}
+
+// Years from the wedding to the first death
+function yearsMarried(married, ...deaths) {
+    const ends = deaths.map(parseDate).filter(date => date.precision === 'day' && !date.approximate);
+    if (!ends.length || ends.length < deaths.filter(Boolean).length) return null;
+    const first = ends.reduce((a, b) => (compareDates(a, b) <= 0 ? a : b));
+    return wholeYears(married, first);
+}
+
+// --- Display ---
+
+/**
+ * A date in one of the DATE_STYLES, in the page language ('en' or 'es'):
+ *   original     as written (default)
+ *   long         July 3, 1946 · July 1946       3 de julio de 1946 · julio de 1946
+ *   abbreviated  Jul 3, 1946 · Jul 1946         3 jul 1946 · jul 1946
+ *   day-month    3 July 1946 · July 1946        3 de julio de 1946 · julio de 1946
+ *   numeric      7/3/1946 · 7/1946              3/7/1946 · 7/1946
+ * Only dates known to the day or month are restyled; years, seasons,
+ * approximate dates and anything that isn't a date keep their wording.
+ */
+function formatDate(text, style = 'original', locale = 'en') {
+    if (text === undefined || text === null || text === '') return text;
+    const date = parseDate(text);
+    if (style === 'original' || !['day', 'month'].includes(date.precision) || date.approximate) return date.text;
+
+    const spanish = locale === 'es';
+    const name = MONTHS[spanish ? 'es' : 'en'][date.month - 1];
+    const short = name.slice(0, 3);
+    const { day, month, year } = date;
+    if (date.precision === 'month') {
+        if (style === 'numeric') return `${month}/${year}`;
+        if (style === 'abbreviated') return `${short} ${year}`;
+        return spanish ? `${name} de ${year}` : `${name} ${year}`;
+    }
+    switch (style) {
+    case 'long':
+        return spanish ? `${day} de ${name} de ${year}` : `${name} ${day}, ${year}`;
+    case 'abbreviated':
+        return spanish ? `${day} ${short} ${year}` : `${short} ${day}, ${year}`;
+    case 'day-month':
+        return spanish ? `${day} de ${name} de ${year}` : `${day} ${name} ${year}`;
+    case 'numeric':
+        return spanish ? `${day}/${month}/${year}` : `${month}/${day}/${year}`;
+    default:
+        return date.text;
+    }
+}
+
+// --- Day-precision dates with the weekday: "Saturday, March 14, 2026" ---
+function formatWeekdayDate(text, locale = 'en') {
+    const date = parseDate(text);
+    if (date.precision !== 'day' || date.approximate) return formatDate(text, 'long', locale);
+    const spanish = locale === 'es';
+    const weekday = WEEKDAYS[spanish ? 'es' : 'en'][new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay()];
+    return `${weekday}, ${formatDate(date.start, 'long', locale)}`;
+}
+
+// --- Times of day: "10 AM", "2:30 p.m.", "14:00", "noon" ---
+function parseTime(text) {
+    const value = String(text || '').trim().toLowerCase();
+    if (/^(noon|midday|mediod[ií]a)$/.test(value)) return { hours: 12, minutes: 0 };
+    const match = value.match(/^(\d{1,2})(?:[:.h](\d{2}))?\s*(?:([ap])\.?\s*m\.?)?$/);
+    if (!match) return null;
+    let hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    if (match[3]) {
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (match[3] === 'p' ? 12 : 0);
+    } else if (match[2] === undefined) {
+        // A bare number isn't a time ("10" could be anything)
+        return null;
+    }
+    return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+}
+
+// "10:00 AM" in English, "10:00 a. m." in Spanish; text that isn't a time is kept as written
+function formatTime(text, locale = 'en') {
+    const time = parseTime(text);
+    if (!time) return text;
+    const hour = time.hours % 12 || 12;
+    const suffix = time.hours < 12 ? 'AM' : 'PM';
+    return locale === 'es'
+        ? `${hour}:${pad(time.minutes)} ${suffix === 'AM' ? 'a. m.' : 'p. m.'}`
+        : `${hour}:${pad(time.minutes)} ${suffix}`;
+}
+
+// ISO 8601 for machines (schema.org, <time>): as precise as the date is known, or null
+function isoDate(text) {
+    const date = parseDate(text);
+    if (date.approximate) return null;
+    if (date.precision === 'day') return date.start;
+    if (date.precision === 'month') return date.start.slice(0, 7);
+    if (date.precision === 'year') return String(date.year);
+    return null;
+}
+
+module.exports = {
+    DATE_STYLES,
+    ageAt,
+    compareDates,
+    formatDate,
+    formatTime,
+    formatWeekdayDate,
+    isoDate,
+    parseDate,
+    parseTime,
+    sortTimeline,
+    yearsMarried
+};
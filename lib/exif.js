@@ -0,0 +1,216 @@
+/**
+ * GentlyTold Image Metadata
+ *
+ * Reads just enough of JPEG and PNG files to size them, find their EXIF
+ * orientation and embedded thumbnail, and rewrite them without metadata —
+ * GPS position, camera serials, XMP and comments all go. Pure byte work, no
+ * pixel decoding, so it runs without any codec installed.
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Segments that affect how the image decodes; every other APPn and COM is dropped
+const JPEG_KEEP_APP = new Set([0xe0, 0xe2, 0xee]); // JFIF, ICC profile, Adobe
+
+// Chunks that can carry location or other personal details
+const PNG_DROP_CHUNKS = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']);
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_THUMBNAIL_OFFSET = 0x0201;
+const TAG_THUMBNAIL_LENGTH = 0x0202;
+
+function detectFormat(buffer) {
+    if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.length > 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+    return null;
+}
+
+// --- TIFF / EXIF ---
+
+// Parse a TIFF block (the body of an EXIF segment or PNG eXIf chunk)
+function readTiff(tiff) {
+    const result = { orientation: 1, thumbnail: null };
+    if (tiff.length < 8) return result;
+
+    const little = tiff.toString('latin1', 0, 2) === 'II';
+    const u16 = offset => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+    const u32 = offset => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+    const readIfd = offset => {
+        const entries = {};
+        if (offset + 2 > tiff.length) return { entries, next: 0 };
+        const count = u16(offset);
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > tiff.length) break;
+            const tag = u16(entry);
+            const type = u16(entry + 2);
+            // SHORT values sit in the first two bytes of the value field
+            entries[tag] = type === 3 ? u16(entry + 8) : u32(entry + 8);
+        }
+        const nextAt = offset + 2 + count * 12;
+        return { entries, next: nextAt + 4 <= tiff.length ? u32(nextAt) : 0 };
+    };
+
+    try {
+        const ifd0 = readIfd(u32(4));
+        const orientation = ifd0.entries[TAG_ORIENTATION];
+        if (orientation >= 1 && orientation <= 8) result.orientation = orientation;
+
+        if (ifd0.next) {
+            const ifd1 = readIfd(ifd0.next).entries;
+            const start = ifd1[TAG_THUMBNAIL_OFFSET];
+            const length = ifd1[TAG_THUMBNAIL_LENGTH];
+            if (start && length && start + length <= tiff.length) {
+                result.thumbnail = Buffer.from(tiff.subarray(start, start + length));
+            }
+        }
+    } catch (e) {
+        // Damaged EXIF is treated as no EXIF
+    }
+
+    return result;
+}
+
+// A minimal EXIF segment holding only the orientation tag
+function orientationOnlyExif(orientation) {
+    const exif = Buffer.alloc(6 + 8 + 2 + 12 + 4);
+    exif.write('Exif\0\0', 0, 'latin1');
+    exif.write('MM', 6, 'latin1');
+    exif.writeUInt16BE(42, 8);
+    exif.writeUInt32BE(8, 10);
+    exif.writeUInt16BE(1, 14);
+    exif.writeUInt16BE(TAG_ORIENTATION, 16);
+    exif.writeUInt16BE(3, 18);
+    exif.writeUInt32BE(1, 20);
+    exif.writeUInt16BE(orientation, 24);
+    exif.writeUInt32BE(0, 28);
+    return exif;
+}
+
+// --- JPEG ---
+
+function jpegSegments(buffer) {
+    const segments = [];
+    let pos = 2;
+
+    while (pos + 4 <= buffer.length) {
+        if (buffer[pos] !== 0xff) throw new Error('Not a valid JPEG (bad marker)');
+        const marker = buffer[pos + 1];
+        if (marker === 0xff) {
+            pos++; // fill byte
+            continue;
+        }
+        const length = buffer.readUInt16BE(pos + 2);
+        const body = buffer.subarray(pos + 4, pos + 2 + length);
+        if (marker === 0xda) {
+            // Start of scan: the rest of the file is image data
+            segments.push({ marker, body, rest: buffer.subarray(pos) });
+            break;
+        }
+        segments.push({ marker, body, raw: buffer.subarray(pos, pos + 2 + length) });
+        pos += 2 + length;
+    }
+
+    return segments;
+}
+
+function isSof(marker) {
+    return marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+}
+
+function readJpeg(buffer) {
+    const info = { format: 'jpeg', width: 0, height: 0, orientation: 1, thumbnail: null };
+
+    for (const { marker, body } of jpegSegments(buffer)) {
+        if (marker === 0xe1 && body.toString('latin1', 0, 6) === 'Exif\0\0') {
+            Object.assign(info, readTiff(body.subarray(6)));
+        } else if (isSof(marker)) {
+            info.height = body.readUInt16BE(1);
+            info.width = body.readUInt16BE(3);
+        }
+    }
+
+    return info;
+}
+
+// Copy of the JPEG without metadata; orientation survives so browsers still rotate it
+function stripJpeg(buffer, orientation = 1) {
+    const parts = [buffer.subarray(0, 2)];
+    let wroteExif = orientation === 1;
+
+    for (const segment of jpegSegments(buffer)) {
+        const { marker } = segment;
+        if (!wroteExif && marker !== 0xe0) {
+            const exif = orientationOnlyExif(orientation);
+            const header = Buffer.from([0xff, 0xe1, 0, 0]);
+            header.writeUInt16BE(exif.length + 2, 2);
+            parts.push(header, exif);
+            wroteExif = true;
+        }
+        if (segment.rest) {
+            parts.push(segment.rest);
+        } else if (!(marker >= 0xe0 && marker <= 0xef && !JPEG_KEEP_APP.has(marker)) && marker !== 0xfe) {
+            parts.push(segment.raw);
+        }
+    }
+
+    return Buffer.concat(parts);
+}
+
+// --- PNG ---
+
+function pngChunks(buffer) {
+    const chunks = [];
+    let pos = 8;
+    while (pos + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(pos);
+        const type = buffer.toString('latin1', pos + 4, pos + 8);
+        chunks.push({ type, data: buffer.subarray(pos + 8, pos + 8 + length), raw: buffer.subarray(pos, pos + 12 + length) });
+        pos += 12 + length;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+function readPng(buffer) {
+    const info = { format: 'png', width: 0, height: 0, orientation: 1, thumbnail: null };
+    for (const { type, data } of pngChunks(buffer)) {
+        if (type === 'IHDR') {
+            info.width = data.readUInt32BE(0);
+            info.height = data.readUInt32BE(4);
+        } else if (type === 'eXIf') {
+            info.orientation = readTiff(data).orientation;
+        }
+    }
+    return info;
+}
+
+function stripPng(buffer) {
+    const kept = pngChunks(buffer).filter(chunk => !PNG_DROP_CHUNKS.has(chunk.type));
+    return Buffer.concat([PNG_SIGNATURE, ...kept.map(chunk => chunk.raw)]);
+}
+
+/**
+ * Size, orientation and embedded thumbnail of a JPEG or PNG, or null for
+ * any other format. Width and height are as stored, before orientation.
+ */
+function readImageInfo(buffer) {
+    const format = detectFormat(buffer);
+    if (format === 'jpeg') return readJpeg(buffer);
+    if (format === 'png') return readPng(buffer);
+    return null;
+}
+
+function stripMetadata(buffer, info) {
+    if (info.format === 'jpeg') return stripJpeg(buffer, info.orientation);
+    if (info.format === 'png') return stripPng(buffer);
+    return buffer;
+}
+
+module.exports = {
+    PNG_SIGNATURE,
+    detectFormat,
+    readImageInfo,
+    stripMetadata
+};
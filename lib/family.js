@@ -0,0 +1,217 @@
+/**
+ * GentlyTold Family
+ *
+ * `familyMembers` can be a plain list of names, or people with their
+ * relationship, whether they died before the person remembered, a spouse, a
+ * photo and their own children — so grandchildren sit under their parents.
+ * The structured form is shown in generation groups (Children, Grandchildren…)
+ * and also written out the traditional way: "…is survived by… and preceded
+ * in death by…". Plain names keep the single line of names.
+ */
+
+const FAMILY_ROLES = ['spouse', 'child', 'grandchild', 'great-grandchild', 'parent', 'sibling', 'other'];
+
+// A relationship word → its role. First match wins, so in-laws and
+// grandparents sit above "daughter" and "mother", and "great-grand" above
+// "grand". English or Spanish.
+const ROLE_WORDS = [
+    { role: 'other', match: /in[- ]law|grand(mother|father|parent|ma|pa)|pol[ií]tic[oa]|suegr|yerno|nuera|cuñad|abuel/ },
+    { role: 'great-grandchild', match: /great[- ]?grand|bisniet/ },
+    { role: 'grandchild', match: /grand(son|daughter|child|kid)|niet[oa]/ },
+    { role: 'spouse', match: /wife|husband|spouse|partner|widow|espos[oa]|pareja|viud[oa]/ },
+    { role: 'child', match: /\b(step)?(son|daughter|child(ren)?)\b|hij[oa]|hijastr[oa]/ },
+    { role: 'parent', match: /mother|father|parent|\bmom\b|\bdad\b|madre|padre/ },
+    { role: 'sibling', match: /brother|sister|sibling|herman[oa]/ }
+];
+
+// A person's children are one generation down
+const NEXT_ROLE = { child: 'grandchild', grandchild: 'great-grandchild', spouse: 'child' };
+
+// Wording per page language. The relationship words the intake form offers
+// are shown in the page language; anything else as the family wrote it.
+const WORDING = {
+    en: {
+        groups: {
+            spouse: 'Spouse',
+            child: 'Children',
+            grandchild: 'Grandchildren',
+            'great-grandchild': 'Great-Grandchildren',
+            parent: 'Parents',
+            sibling: 'Siblings',
+            other: 'Extended Family'
+        },
+        plurals: {
+            spouse: 'spouses',
+            child: 'children',
+            grandchild: 'grandchildren',
+            'great-grandchild': 'great-grandchildren',
+            parent: 'parents',
+            sibling: 'siblings'
+        },
+        relationships: {
+            spouse: 'spouse', wife: 'wife', husband: 'husband', partner: 'partner',
+            son: 'son', daughter: 'daughter', child: 'child',
+            grandson: 'grandson', granddaughter: 'granddaughter', grandchild: 'grandchild',
+            'great-grandchild': 'great-grandchild',
+            parent: 'parent', mother: 'mother', father: 'father',
+            sibling: 'sibling', brother: 'brother', sister: 'sister'
+        },
+        childrenOf: 'Children',
+        inMemory: 'in memory',
+        and: 'and',
+        // Plain lists for one person; "their children" for a couple
+        possessive: (plural, couple) => (couple ? 'their ' : ''),
+        survivedBy: (subject, list, { couple }) => (couple ? `They are survived by ${list}.` : `${subject} is survived by ${list}.`),
+        precededBy: (subject, list, { couple }) => (couple ? `They were preceded in death by ${list}.` : `${subject} was preceded in death by ${list}.`)
+    },
+    es: {
+        groups: {
+            spouse: 'Cónyuge',
+            child: 'Hijos',
+            grandchild: 'Nietos',
+            'great-grandchild': 'Bisnietos',
+            parent: 'Padres',
+            sibling: 'Hermanos',
+            other: 'Otros familiares'
+        },
+        plurals: {
+            spouse: 'cónyuges',
+            child: 'hijos',
+            grandchild: 'nietos',
+            'great-grandchild': 'bisnietos',
+            parent: 'padres',
+            sibling: 'hermanos'
+        },
+        relationships: {
+            spouse: 'cónyuge', wife: 'esposa', husband: 'esposo', partner: 'pareja',
+            son: 'hijo', daughter: 'hija', child: 'hijo',
+            grandson: 'nieto', granddaughter: 'nieta', grandchild: 'nieto',
+            'great-grandchild': 'bisnieto',
+            parent: 'progenitor', mother: 'madre', father: 'padre',
+            sibling: 'hermano', brother: 'hermano', sister: 'hermana'
+        },
+        childrenOf: 'Hijos',
+        inMemory: 'en memoria',
+        and: 'y',
+        possessive: plural => (plural ? 'sus ' : 'su '),
+        // The verb agrees with how many people are listed
+        survivedBy: (subject, list, { couple, count }) => `${couple ? 'Les' : `A ${subject} le`} ${count > 1 ? 'sobreviven' : 'sobrevive'} ${list}.`,
+        precededBy: (subject, list, { couple, count }) => `${couple ? 'Les' : 'Le'} ${count > 1 ? 'precedieron' : 'precedió'} en la muerte ${list}.`
+    }
+};
+
+function wordingFor(locale) {
+    return WORDING[locale] || WORDING.en;
+}
+
+function familyRole(member, implied) {
+    if (FAMILY_ROLES.includes(member.role)) return member.role;
+    const relationship = (member.relationship || '').toLowerCase();
+    const word = ROLE_WORDS.find(entry => entry.match.test(relationship));
+    return word ? word.role : implied || 'other';
+}
+
+/**
+ * True when the list says more than names — relationships, who died first,
+ * spouses, photos or children — and can be shown as a family tree.
+ */
+function isStructured(members) {
+    return (members || []).some(member => member && typeof member === 'object'
+        && Boolean(member.relationship || member.role || member.deceased || member.spouse || member.photo || (member.children && member.children.length)));
+}
+
+// --- One person, with the words the page shows ---
+function buildMember(member, implied, words) {
+    const person = typeof member === 'string' ? { name: member } : member;
+    const role = familyRole(person, implied);
+    const word = (person.relationship || '').toLowerCase();
+    // An intake-form word, or the same word already in the page language
+    const known = words.relationships[word] || (Object.values(words.relationships).includes(word) ? word : null);
+    return {
+        name: person.name,
+        role,
+        relationship: known || person.relationship || null,
+        // The group heading already says "Children"; "stepson" or "niece" still shows
+        detail: known ? null : person.relationship || null,
+        spouse: person.spouse || null,
+        deceased: Boolean(person.deceased),
+        inMemory: person.deceased ? words.inMemory : null,
+        photo: person.photo && person.photo.src ? person.photo : null,
+        children: (person.children || []).map(child => buildMember(child, NEXT_ROLE[role] || 'other', words))
+    };
+}
+
+/**
+ * The family in generation groups — Spouse, Children (each with their own
+ * children listed under them), Grandchildren, … — for partials/family-tree.html.
+ */
+function buildFamilyTree(members, locale) {
+    if (!isStructured(members)) return null;
+    const words = wordingFor(locale);
+    const people = members.map(member => buildMember(member, null, words));
+    return FAMILY_ROLES
+        .map(role => ({
+            role,
+            title: words.groups[role],
+            childrenTitle: words.childrenOf,
+            members: people.filter(person => person.role === role)
+        }))
+        .filter(group => group.members.length);
+}
+
+// "A, B and C"
+function joinList(items, and) {
+    return items.length > 1 ? `${items.slice(0, -1).join(', ')} ${and} ${items[items.length - 1]}` : items[0] || '';
+}
+
+// Everyone in the tree, children after their parents' generation
+function flatten(people) {
+    return people.flatMap(person => [person, ...flatten(person.children)]);
+}
+
+// "their children Karen (Tom), Kimberly and Cindy; and grandson Ethan"
+function describeGroups(people, words, couple) {
+    const groups = FAMILY_ROLES
+        .map(role => people.filter(person => person.role === role))
+        .filter(group => group.length)
+        .flatMap(group => {
+            const names = group.map(person => (person.spouse ? `${person.name} (${person.spouse})` : person.name));
+            const role = group[0].role;
+            if (role === 'other' || group.length === 1) {
+                return group.map((person, i) => {
+                    // Grandchildren listed under a parent have no relationship of their own
+                    const label = person.relationship || (role === 'other' ? null : words.relationships[role]);
+                    return label ? `${words.possessive(false, couple)}${label.toLowerCase()} ${names[i]}` : names[i];
+                });
+            }
+            return [`${words.possessive(true, couple)}${words.plurals[role]} ${joinList(names, words.and)}`];
+        });
+    if (groups.length < 2) return groups[0] || '';
+    const glue = groups.some(group => group.includes(',')) ? '; ' : ', ';
+    const last = glue === '; ' ? `; ${words.and} ` : ` ${words.and} `;
+    return `${groups.slice(0, -1).join(glue)}${last}${groups[groups.length - 1]}`;
+}
+
+/**
+ * The traditional obituary lines: { survivedBy, precededBy }, each null when
+ * there's no one to list. `subject` is the page title; couples read "They".
+ */
+function buildSurvivors(members, { locale, subject, isCouple }) {
+    if (!isStructured(members)) return { survivedBy: null, precededBy: null };
+    const words = wordingFor(locale);
+    const people = flatten(members.map(member => buildMember(member, null, words)));
+    const living = people.filter(person => !person.deceased);
+    const died = people.filter(person => person.deceased);
+    return {
+        survivedBy: living.length ? words.survivedBy(subject, describeGroups(living, words, isCouple), { couple: isCouple, count: living.length }) : null,
+        precededBy: died.length ? words.precededBy(subject, describeGroups(died, words, isCouple), { couple: isCouple, count: died.length }) : null
+    };
+}
+
+module.exports = {
+    FAMILY_ROLES,
+    buildFamilyTree,
+    buildSurvivors,
+    familyRole,
+    isStructured
+};
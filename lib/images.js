@@ -0,0 +1,354 @@
+/**
+ * GentlyTold Image Pipeline
+ *
+ * Copies the photos a memorial references (heroPhoto, heroPhoto2, photos[],
+ * family members' photos) into an images/ folder next to the page, ready for slow connections: several widths
+ * for srcset, EXIF orientation applied, GPS and other metadata removed, and a
+ * tiny blurred placeholder inlined into the page.
+ *
+ * Works offline with no native code. Photos keep their format — JPEG in, JPEG
+ * out; PNG in, PNG out — and no WebP or AVIF copies are made. PNGs use the
+ * built-in codec in lib/png.js. JPEGs are resized when the optional pure-JS
+ * `jpeg-js` package is installed (`npm install` in the repo root, which
+ * package.json lists it for); without it they are copied at full size,
+ * metadata stripped, with orientation left for the browser to apply.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const png = require('./png');
+const { readImageInfo, stripMetadata } = require('./exif');
+const { slugify } = require('./util');
+
+const IMAGES_DIR = 'images';
+const WIDTHS = [320, 640, 1024, 1600];
+const PLACEHOLDER_WIDTH = 16;
+const JPEG_QUALITY = 80;
+
+// --- Codecs: decode to / encode from 8-bit RGBA ---
+function loadCodecs() {
+    const codecs = {
+        png: { ext: 'png', mime: 'image/png', decode: png.decode, encode: png.encode }
+    };
+
+    let jpeg = null;
+    try {
+        jpeg = require('jpeg-js');
+    } catch (e) {
+        // Optional — JPEGs are copied without resizing
+    }
+    if (jpeg) {
+        codecs.jpeg = {
+            ext: 'jpg',
+            mime: 'image/jpeg',
+            decode: buffer => jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024 }),
+            encode: (image, quality = JPEG_QUALITY) => jpeg.encode(image, quality).data
+        };
+    }
+
+    return codecs;
+}
+
+const CODECS = loadCodecs();
+
+// --- Pixel operations ---
+
+// Turn stored pixels upright according to the EXIF orientation (1-8)
+function orient(image, orientation) {
+    if (!orientation || orientation === 1) return image;
+
+    const { width: w, height: h, data } = image;
+    const swap = orientation >= 5;
+    const width = swap ? h : w;
+    const height = swap ? w : h;
+    const out = new Uint8Array(data.length);
+
+    const source = {
+        2: (x, y) => [w - 1 - x, y],
+        3: (x, y) => [w - 1 - x, h - 1 - y],
+        4: (x, y) => [x, h - 1 - y],
+        5: (x, y) => [y, x],
+        6: (x, y) => [y, h - 1 - x],
+        7: (x, y) => [w - 1 - y, h - 1 - x],
+        8: (x, y) => [w - 1 - y, x]
+    }[orientation];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [sx, sy] = source(x, y);
+            const from = (sy * w + sx) * 4;
+            const to = (y * width + x) * 4;
+            out[to] = data[from];
+            out[to + 1] = data[from + 1];
+            out[to + 2] = data[from + 2];
+            out[to + 3] = data[from + 3];
+        }
+    }
+
+    return { width, height, data: out };
+}
+
+// For each output pixel along one axis: the source pixels it covers and how much
+function coverage(sourceLength, targetLength) {
+    const scale = sourceLength / targetLength;
+    const spans = [];
+    for (let i = 0; i < targetLength; i++) {
+        const start = i * scale;
+        const end = Math.min(sourceLength, start + scale);
+        const taps = [];
+        for (let j = Math.floor(start); j < Math.ceil(end); j++) {
+            taps.push([j, (Math.min(end, j + 1) - Math.max(start, j)) / scale]);
+        }
+        spans.push(taps);
+    }
+    return spans;
+}
+
+// Downscale by averaging the area each output pixel covers (box filter, two passes)
+function resize(image, width, height) {
+    const { width: w, height: h, data } = image;
+    const columns = coverage(w, width);
+    const rows = coverage(h, height);
+
+    const horizontal = new Float32Array(width * h * 4);
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < width; x++) {
+            const to = (y * width + x) * 4;
+            for (const [sx, weight] of columns[x]) {
+                const from = (y * w + sx) * 4;
+                horizontal[to] += data[from] * weight;
+                horizontal[to + 1] += data[from + 1] * weight;
+                horizontal[to + 2] += data[from + 2] * weight;
+                horizontal[to + 3] += data[from + 3] * weight;
+            }
+        }
+    }
+
+    const out = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const to = (y * width + x) * 4;
+            let r = 0, g = 0, b = 0, a = 0;
+            for (const [sy, weight] of rows[y]) {
+                const from = (sy * width + x) * 4;
+                r += horizontal[from] * weight;
+                g += horizontal[from + 1] * weight;
+                b += horizontal[from + 2] * weight;
+                a += horizontal[from + 3] * weight;
+            }
+            out[to] = Math.round(r);
+            out[to + 1] = Math.round(g);
+            out[to + 2] = Math.round(b);
+            out[to + 3] = Math.round(a);
+        }
+    }
+
+    return { width, height, data: out };
+}
+
+function scaledHeight(image, width) {
+    return Math.max(1, Math.round((image.height * width) / image.width));
+}
+
+// Widths to generate: the standard ones below the original, then the original (capped)
+function targetWidths(width) {
+    const widths = WIDTHS.filter(w => w < width);
+    const largest = Math.min(width, WIDTHS[WIDTHS.length - 1]);
+    if (!widths.includes(largest)) widths.push(largest);
+    return widths;
+}
+
+// --- Blurred placeholder: a tiny image inside an SVG blur filter ---
+function placeholderUri(mime, bytes, width, height) {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}">`
+        + `<filter id="b" color-interpolation-filters="sRGB"><feGaussianBlur stdDeviation="1"/>`
+        + `<feComponentTransfer><feFuncA type="discrete" tableValues="1 1"/></feComponentTransfer></filter>`
+        + `<image filter="url(#b)" width="100%" height="100%" preserveAspectRatio="none" href="data:${mime};base64,${bytes.toString('base64')}"/>`
+        + `</svg>`;
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+// --- Locating source files ---
+function isLocal(src) {
+    return Boolean(src) && !/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(src);
+}
+
+function resolveSource(src, sourceDirs) {
+    if (!isLocal(src)) return null;
+    for (const dir of sourceDirs) {
+        const file = path.resolve(dir, src);
+        if (fs.existsSync(file) && fs.statSync(file).isFile()) return file;
+    }
+    return null;
+}
+
+// Every photo object the pipeline handles
+function photoRefs(data) {
+    const family = people => (people || []).flatMap(person => (person && typeof person === 'object' ? [person.photo, ...family(person.children)] : []));
+    return [data.heroPhoto, data.heroPhoto2, ...(data.photos || []), ...family(data.familyMembers)].filter(photo => photo && photo.src);
+}
+
+/**
+ * Local files a memorial's photos resolve to — the batch builder hashes
+ * these so a changed photo rebuilds the page.
+ */
+function imageSources(data, sourceDirs) {
+    return photoRefs(data)
+        .map(photo => resolveSource(photo.src, sourceDirs))
+        .filter(Boolean);
+}
+
+function writeOnce(file, produce) {
+    if (fs.existsSync(file)) return false;
+    fs.writeFileSync(file, produce());
+    return true;
+}
+
+// --- Process one source file into <outDir>/images/ ---
+function processFile(file, { outDir, urlPrefix }) {
+    const buffer = fs.readFileSync(file);
+    let info = null;
+    try {
+        info = readImageInfo(buffer);
+    } catch (e) {
+        // Damaged header — copied as is below
+    }
+    const digest = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 10);
+    const base = `${slugify(path.basename(file, path.extname(file))) || 'photo'}-${digest}`;
+    const imagesDir = path.join(outDir, IMAGES_DIR);
+    fs.mkdirSync(imagesDir, { recursive: true });
+
+    // Not a JPEG or PNG: copy as is
+    if (!info) {
+        const name = `${base}${path.extname(file).toLowerCase()}`;
+        writeOnce(path.join(imagesDir, name), () => buffer);
+        return { result: { src: urlPrefix + name }, resized: false };
+    }
+
+    const codec = CODECS[info.format];
+    let decoded = null;
+    try {
+        decoded = codec ? codec.decode(buffer) : null;
+    } catch (e) {
+        // Unreadable by the codec — fall back to a stripped copy
+    }
+
+    // No codec: strip metadata, keep full size, lean on the embedded thumbnail
+    if (!decoded) {
+        const ext = info.format === 'jpeg' ? 'jpg' : 'png';
+        const name = `${base}.${ext}`;
+        writeOnce(path.join(imagesDir, name), () => stripMetadata(buffer, info));
+        const swap = info.orientation >= 5;
+        const result = {
+            src: urlPrefix + name,
+            width: swap ? info.height : info.width,
+            height: swap ? info.width : info.height
+        };
+        const thumbnail = info.thumbnail && info.orientation === 1 ? readImageInfo(info.thumbnail) : null;
+        if (thumbnail && thumbnail.width) {
+            result.placeholder = placeholderUri('image/jpeg', info.thumbnail, thumbnail.width, thumbnail.height);
+        }
+        return { result, resized: false, needsCodec: !codec };
+    }
+
+    const image = orient(decoded, info.orientation);
+    const variants = targetWidths(image.width).map(width => {
+        const name = `${base}-${width}.${codec.ext}`;
+        const height = scaledHeight(image, width);
+        writeOnce(path.join(imagesDir, name), () => codec.encode(width === image.width ? image : resize(image, width, height)));
+        return { url: urlPrefix + name, width, height };
+    });
+
+    const tiny = resize(image, Math.min(PLACEHOLDER_WIDTH, image.width), scaledHeight(image, Math.min(PLACEHOLDER_WIDTH, image.width)));
+    const largest = variants[variants.length - 1];
+
+    return {
+        result: {
+            src: largest.url,
+            srcset: variants.map(v => `${v.url} ${v.width}w`).join(', '),
+            width: largest.width,
+            height: largest.height,
+            placeholder: placeholderUri(codec.mime, Buffer.from(codec.encode(tiny, 50)), tiny.width, tiny.height)
+        },
+        resized: true
+    };
+}
+
+/**
+ * Upright RGBA pixels of a JPEG or PNG, or null when no installed codec can
+ * read it (used for logos on QR codes).
+ */
+function decodeImage(buffer) {
+    try {
+        const info = readImageInfo(buffer);
+        const codec = info && CODECS[info.format];
+        const decoded = codec ? codec.decode(buffer) : null;
+        return decoded ? orient(decoded, info.orientation) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Process every local photo in a memorial. Returns a copy of the data whose
+ * photo objects gain src/srcset/width/height/placeholder, plus counts.
+ *
+ *   sourceDirs  where relative photo paths are looked up, in order
+ *   outDir      the folder the page is written to; images go in outDir/images/
+ */
+function processImages(data, { sourceDirs, outDir, log = console.log }) {
+    const stats = { resized: 0, copied: 0, missing: 0 };
+    const done = new Map();
+    let needsCodec = false;
+
+    const processPhoto = photo => {
+        if (!photo || !isLocal(photo.src)) return photo;
+
+        const file = resolveSource(photo.src, sourceDirs);
+        if (!file) {
+            if (!done.has(photo.src)) {
+                log(`  ⚠ Photo not found, left as is: ${photo.src}`);
+                done.set(photo.src, null);
+                stats.missing++;
+            }
+            return photo;
+        }
+
+        if (!done.has(file)) {
+            const { result, resized, needsCodec: missingCodec } = processFile(file, { outDir, urlPrefix: `${IMAGES_DIR}/` });
+            done.set(file, result);
+            needsCodec = needsCodec || Boolean(missingCodec);
+            stats[resized ? 'resized' : 'copied']++;
+        }
+        return { ...photo, ...done.get(file) };
+    };
+
+    const processed = { ...data };
+    if (data.heroPhoto) processed.heroPhoto = processPhoto(data.heroPhoto);
+    if (data.heroPhoto2) processed.heroPhoto2 = processPhoto(data.heroPhoto2);
+    if (data.photos) processed.photos = data.photos.map(processPhoto);
+    // Family members' photos, down through their children
+    const processPerson = person => {
+        if (!person || typeof person !== 'object') return person;
+        const copy = { ...person };
+        if (person.photo) copy.photo = processPhoto(person.photo);
+        if (person.children) copy.children = person.children.map(processPerson);
+        return copy;
+    };
+    if (data.familyMembers) processed.familyMembers = data.familyMembers.map(processPerson);
+
+    if (needsCodec) {
+        log('  ⚠ JPEGs copied at full size — run `npm install` in the repo root (installs jpeg-js) to resize them');
+    }
+
+    return { data: processed, stats };
+}
+
+module.exports = {
+    IMAGES_DIR,
+    decodeImage,
+    imageSources,
+    processImages,
+    hasJpegCodec: Boolean(CODECS.jpeg)
+};
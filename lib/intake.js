@@ -0,0 +1,166 @@
+/**
+ * GentlyTold Intake Submissions
+ *
+ * What site/intake.html posts to the engine's /api/submit, turned into a
+ * memorial record: the story text split into paragraphs, blank rows dropped,
+ * video and service types checked, and the AI narrative's translations (when
+ * the form had the story written) in the page's shapes.
+ */
+
+const { MODEL_VERSION } = require('./model');
+const { LOCALES } = require('./locales');
+const { SERVICE_TYPES } = require('./services');
+const { VIDEO_TYPES, detectVideoType } = require('./videos');
+
+/**
+ * Intake form → memorial record (lib/model.js, current version). Fields the
+ * family left blank are left out rather than stored as ''.
+ */
+function formToRecord(body) {
+    const isCouple = Boolean(body.isCouple && body.personName2);
+
+    // Parse story into paragraphs
+    const storyParagraphs = (body.storyText || '')
+        .split(/\n\s*\n/)
+        .map(p => p.trim())
+        .filter(p => p.length > 0);
+
+    const timelineItems = mapTimeline(body.timelineItems);
+
+    // Map family members — names, or people with their own children (lib/family.js)
+    const mapFamily = members => (members || [])
+        .filter(m => (typeof m === 'string' ? m.trim() : m && m.name && m.name.trim()))
+        .map(m => {
+            if (typeof m === 'string') return m.trim();
+            const children = mapFamily(m.children);
+            return compact({
+                name: m.name.trim(),
+                relationship: m.relationship,
+                deceased: m.deceased ? true : undefined,
+                spouse: m.spouse && m.spouse.trim(),
+                children: children.length ? children : undefined
+            });
+        });
+    const familyMembers = mapFamily(body.familyMembers);
+
+    const videos = (body.videos || [])
+        .filter(video => video && video.url)
+        .map(video => compact({
+            // The intake form guesses the type from the link; an unknown one is guessed again here
+            type: VIDEO_TYPES.includes(video.type) ? video.type : detectVideoType(video.url),
+            url: video.url,
+            caption: video.caption,
+            transcript: video.transcript
+        }));
+
+    const services = (body.services || [])
+        .filter(service => service && service.date)
+        .map(service => compact({
+            type: SERVICE_TYPES.includes(service.type) ? service.type : 'other',
+            date: service.date,
+            time: service.time,
+            endTime: service.endTime,
+            venue: service.venue,
+            address: service.address,
+            livestreamUrl: service.livestreamUrl,
+            notes: service.notes
+        }));
+
+    // Places they called home; the map finds the state or country in the name
+    const places = (body.places || [])
+        .filter(place => place && place.name && place.name.trim())
+        .map(place => compact({
+            name: place.name.trim(),
+            years: place.years,
+            story: place.story,
+            lat: typeof place.lat === 'number' ? place.lat : undefined,
+            lon: typeof place.lon === 'number' ? place.lon : undefined
+        }));
+
+    const donations = (body.donations || [])
+        .filter(charity => charity && charity.name && charity.name.trim())
+        .map(charity => compact({
+            name: charity.name.trim(),
+            purpose: charity.purpose,
+            url: charity.url,
+            address: charity.address,
+            message: charity.message
+        }));
+
+    return compact({
+        version: MODEL_VERSION,
+        isCouple,
+        isPet: Boolean(body.isPet),
+        petType: body.petType,
+        petPronoun: body.petPronoun,
+        petBreed: body.petBreed,
+        petAdoptionDate: body.petAdoptionDate,
+        petAdoptedFrom: body.petAdoptedFrom,
+        theme: body.theme,
+        locale: body.locale,
+        secondLocale: body.secondLocale,
+        personName1: body.personName1 || body.name,
+        personBorn1: body.personBorn1 || body.birthDate,
+        personDied1: body.personDied1 || body.deathDate,
+        personName2: isCouple ? body.personName2 : '',
+        personBorn2: isCouple ? body.personBorn2 : '',
+        personDied2: isCouple ? body.personDied2 : '',
+        marriedDate: isCouple ? body.marriedDate : '',
+        heroQuote: body.heroQuote,
+        heroQuoteAttribution: body.heroQuoteAttribution,
+        services: services.length ? services : null,
+        storyParagraphs,
+        timelineItems,
+        places: places.length ? places : null,
+        videos: videos.length ? videos : null,
+        photos: [],
+        familyMembers,
+        familyNote: body.familyNote,
+        closingQuote: body.closingQuote,
+        closingQuoteAttribution: body.closingQuoteAttribution,
+        donations: donations.length ? donations : null,
+        translations: mapTranslations(body.translations),
+        formEmail: body.formEmail,
+        funeralHomeName: body.funeralHomeName,
+        funeralHomePhone: body.funeralHomePhone,
+        funeralHomeWebsite: body.funeralHomeWebsite || body.funeralHomeUrl,
+        funeralHomeTagline: body.funeralHomeTagline
+    });
+}
+
+// --- Timeline entries: the form's { year, text }, or the AI narrative's { year, title } ---
+function mapTimeline(items) {
+    return (items || [])
+        .filter(item => item && (item.year || item.text || item.title))
+        .map(item => compact({
+            year: item.year || '',
+            text: item.text || item.title || '',
+            description: item.description
+        }));
+}
+
+// --- The AI narrative in the page's second language ---
+// /api/generate's `translations` as the form received them: story paragraphs,
+// timeline entries (in the same order as the page's) and the two quotes
+function mapTranslations(translations) {
+    if (!translations || typeof translations !== 'object') return null;
+    const mapped = Object.entries(translations)
+        .filter(([code, fields]) => LOCALES[code] && fields && typeof fields === 'object')
+        .map(([code, fields]) => [code, compact({
+            storyParagraphs: Array.isArray(fields.storyParagraphs)
+                ? fields.storyParagraphs.filter(p => typeof p === 'string' && p.trim())
+                : null,
+            timelineItems: Array.isArray(fields.timelineItems) ? mapTimeline(fields.timelineItems) : null,
+            heroQuote: fields.heroQuote,
+            closingQuote: fields.closingQuote
+        })]);
+    return mapped.length ? Object.fromEntries(mapped) : null;
+}
+
+function compact(record) {
+    return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== '' && value !== null && value !== undefined));
+}
+
+module.exports = {
+    formToRecord
+};
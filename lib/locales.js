@@ -0,0 +1,254 @@
+/**
+ * GentlyTold Page Languages
+ *
+ * Every fixed word a memorial page or printed program shows — headings, form
+ * labels, the footer, the share-card title — in each language GentlyTold
+ * speaks. A data file picks one with `locale`; `secondLocale` makes the page
+ * bilingual, with a language toggle and the family's own text in the second
+ * language taken from `translations`. Words a data file sets itself (a story
+ * title, a relationship label) always win over these defaults.
+ */
+
+const DEFAULT_LOCALE = 'en';
+
+const LOCALES = {
+    en: {
+        name: 'English',
+        englishName: 'English',
+        ogLocale: 'en_US',
+        strings: {
+            servicesTitle: 'Services',
+            serviceVisitation: 'Visitation',
+            serviceFuneral: 'Funeral Service',
+            serviceMemorial: 'Memorial Service',
+            serviceCelebration: 'Celebration of Life',
+            serviceGraveside: 'Graveside Service',
+            serviceReception: 'Reception',
+            serviceOther: 'Service',
+            serviceHeldOn: '{type} held on {day}',
+            addToCalendar: 'Add to calendar',
+            directions: 'Directions',
+            watchLivestream: 'Watch the livestream',
+            watchRecording: 'Watch the recording',
+            storyTitle: 'Their Story',
+            timelineTitle: 'A Life Remembered',
+            timelineTitleCouple: 'A Life Together',
+            placesTitle: 'Places They Called Home',
+            placesTitleCouple: 'Places They Called Home',
+            placesMapLabel: 'Map of the places below, numbered as in the list',
+            placesInTimeline: 'In the timeline:',
+            newsTitle: 'In the News',
+            businessesTitle: 'Business',
+            galleryTitle: 'Memories',
+            photosComingSoon: 'Photos coming soon',
+            photo: 'Photo',
+            morePhotos: 'More Photos',
+            closePhoto: 'Close',
+            previousPhoto: 'Previous photo',
+            nextPhoto: 'Next photo',
+            photoCounter: '{n} of {total}',
+            videosTitle: 'Cherished Moments',
+            watchOnline: 'Watch online',
+            videoUnsupported: 'Your browser does not support the video tag.',
+            playVideo: 'Play',
+            playsFrom: 'Plays from {site}',
+            listenOnline: 'Listen online',
+            audioUnsupported: 'Your browser does not support audio playback.',
+            transcript: 'Transcript',
+            memoriesTitle: 'Memories Shared',
+            memoryPhotoAlt: 'Photo shared by {author}',
+            shareMemoryTitle: 'Share a Memory',
+            shareMemoryText: "If they touched your life, we'd love to hear from you. Share a story, a memory, or a photo.",
+            memorySubject: '{name} Memorial — New Memory Shared',
+            yourName: 'Your Name',
+            yourNamePlaceholder: 'Your name',
+            relationshipLabel: 'How did you know them?',
+            relationshipPlaceholder: 'Family, friend, neighbor...',
+            memoryLabel: 'Your Memory or Story',
+            memoryPlaceholder: 'Share a favorite memory, a funny story, or just what they meant to you...',
+            photoLabel: 'Upload a Photo (optional)',
+            submitMemory: 'Share This Memory',
+            memorySent: 'Thank you. Your memory was sent to the family and will appear here once they approve it.',
+            memorySendFailed: "Your memory couldn't be sent. Please try again in a moment.",
+            donationsTitle: 'In Lieu of Flowers',
+            donationsIntro: 'In lieu of flowers, the family welcomes gifts in their memory to:',
+            donateOnline: 'Give online',
+            donateByMail: 'By mail',
+            donationMessageLabel: 'Suggested note',
+            donationMessage: 'In memory of {name}',
+            familyTitle: 'Family',
+            familyClosing: 'Their love, values, and spirit live on through every generation they helped raise and every life they touched.',
+            inLovingMemoryOf: 'In Loving Memory of {name}',
+            foreverInOurHearts: 'Forever in our hearts',
+            archivedOn: 'Archived copy, saved {date}',
+            preparedBy: 'Memorial lovingly prepared by',
+            credit: 'A life, gently told',
+            age: 'Age {n}',
+            marriedYear: 'Married {n} year',
+            marriedYears: 'Married {n} years',
+            pageTitle: 'In Loving Memory — {name}',
+            descriptionLead: 'In loving memory of {name}.',
+            descriptionFallback: 'A life, gently told.',
+            languageToggle: 'Language',
+            programTitle: 'Program — {name}',
+            celebratingLifeOf: 'Celebrating the life of',
+            inLovingMemoryOfPet: 'In loving memory of',
+            orderOfService: 'Order of Service',
+            pallbearers: 'Pallbearers',
+            scanToVisit: 'Scan to visit the online memorial and share a memory',
+            arrangementsBy: 'Arrangements by'
+        }
+    },
+
+    es: {
+        name: 'Español',
+        englishName: 'Spanish',
+        ogLocale: 'es_US',
+        strings: {
+            servicesTitle: 'Servicios',
+            serviceVisitation: 'Velorio',
+            serviceFuneral: 'Servicio fúnebre',
+            serviceMemorial: 'Servicio conmemorativo',
+            serviceCelebration: 'Celebración de vida',
+            serviceGraveside: 'Servicio en el cementerio',
+            serviceReception: 'Recepción',
+            serviceOther: 'Servicio',
+            serviceHeldOn: '{type}: se celebró el {day}',
+            addToCalendar: 'Agregar al calendario',
+            directions: 'Cómo llegar',
+            watchLivestream: 'Ver la transmisión en vivo',
+            watchRecording: 'Ver la grabación',
+            storyTitle: 'Su historia',
+            timelineTitle: 'Una vida recordada',
+            timelineTitleCouple: 'Una vida juntos',
+            placesTitle: 'Los lugares que llamó hogar',
+            placesTitleCouple: 'Los lugares que llamaron hogar',
+            placesMapLabel: 'Mapa de los lugares de abajo, numerados como en la lista',
+            placesInTimeline: 'En la línea de tiempo:',
+            newsTitle: 'En las noticias',
+            businessesTitle: 'Negocios',
+            galleryTitle: 'Recuerdos',
+            photosComingSoon: 'Fotos próximamente',
+            photo: 'Foto',
+            morePhotos: 'Más fotos',
+            closePhoto: 'Cerrar',
+            previousPhoto: 'Foto anterior',
+            nextPhoto: 'Foto siguiente',
+            photoCounter: '{n} de {total}',
+            videosTitle: 'Momentos queridos',
+            watchOnline: 'Ver en línea',
+            videoUnsupported: 'Su navegador no puede reproducir este video.',
+            playVideo: 'Reproducir',
+            playsFrom: 'Se reproduce desde {site}',
+            listenOnline: 'Escuchar en línea',
+            audioUnsupported: 'Su navegador no puede reproducir este audio.',
+            transcript: 'Transcripción',
+            memoriesTitle: 'Recuerdos compartidos',
+            memoryPhotoAlt: 'Foto compartida por {author}',
+            shareMemoryTitle: 'Comparta un recuerdo',
+            shareMemoryText: 'Si tocó su vida, nos encantaría saber de usted. Comparta una historia, un recuerdo o una foto.',
+            memorySubject: 'Memorial de {name} — Nuevo recuerdo compartido',
+            yourName: 'Su nombre',
+            yourNamePlaceholder: 'Su nombre',
+            relationshipLabel: '¿Cuál era su relación?',
+            relationshipPlaceholder: 'Familia, amistad, vecindad...',
+            memoryLabel: 'Su recuerdo o historia',
+            memoryPlaceholder: 'Comparta un recuerdo favorito, una anécdota divertida o simplemente lo que significó para usted...',
+            photoLabel: 'Suba una foto (opcional)',
+            submitMemory: 'Compartir este recuerdo',
+            memorySent: 'Gracias. Su recuerdo fue enviado a la familia y aparecerá aquí cuando lo aprueben.',
+            memorySendFailed: 'No se pudo enviar su recuerdo. Inténtelo de nuevo en un momento.',
+            donationsTitle: 'En lugar de flores',
+            donationsIntro: 'En lugar de flores, la familia agradece los donativos en su memoria a:',
+            donateOnline: 'Donar en línea',
+            donateByMail: 'Por correo',
+            donationMessageLabel: 'Mensaje sugerido',
+            donationMessage: 'En memoria de {name}',
+            familyTitle: 'Familia',
+            familyClosing: 'Su amor, sus valores y su espíritu siguen vivos en cada generación que ayudaron a criar y en cada vida que tocaron.',
+            inLovingMemoryOf: 'En memoria de {name}',
+            foreverInOurHearts: 'Siempre en nuestros corazones',
+            archivedOn: 'Copia archivada el {date}',
+            preparedBy: 'Memorial preparado con cariño por',
+            credit: 'Una vida, contada con ternura',
+            age: '{n} años',
+            marriedYear: 'Casados {n} año',
+            marriedYears: 'Casados {n} años',
+            pageTitle: 'En memoria de {name}',
+            descriptionLead: 'En memoria de {name}.',
+            descriptionFallback: 'Una vida, contada con ternura.',
+            languageToggle: 'Idioma',
+            programTitle: 'Programa — {name}',
+            celebratingLifeOf: 'Celebrando la vida de',
+            inLovingMemoryOfPet: 'En memoria de',
+            orderOfService: 'Orden del servicio',
+            pallbearers: 'Portadores del féretro',
+            scanToVisit: 'Escanee para visitar el memorial en línea y compartir un recuerdo',
+            arrangementsBy: 'Servicios a cargo de'
+        }
+    }
+};
+
+// The family's own words that `translations` can give in another language.
+// Lists are matched item by item (timeline entry 3 ↔ translated entry 3).
+const TRANSLATABLE_FIELDS = [
+    'heroQuote', 'heroQuoteAttribution', 'petBreed', 'petAdoptedFrom',
+    'services',
+    'storyTitle', 'storyParagraphs',
+    'timelineTitle', 'timelineItems',
+    'placesTitle', 'placesIntro', 'places',
+    'newsIntro', 'newsArticles', 'newsFootnote',
+    'businessesSectionTitle', 'businessesIntro', 'businesses',
+    'videos', 'photos', 'albums',
+    'familyTitle', 'familyIntro', 'familyMembers', 'familyNote',
+    'donationsTitle', 'donationsIntro', 'donations',
+    'closingQuote', 'closingQuoteAttribution',
+    'shareMemoryText', 'relationshipLabel', 'metaDescription'
+];
+
+function resolveLocale(code) {
+    return LOCALES[code] ? code : DEFAULT_LOCALE;
+}
+
+/**
+ * The fixed strings for a language with {placeholders} filled from vars,
+ * e.g. localeStrings('es', { name: 'Ana' }).inLovingMemoryOf → "En memoria de Ana".
+ */
+function localeStrings(code, vars = {}) {
+    const { strings } = LOCALES[resolveLocale(code)];
+    return Object.fromEntries(Object.entries(strings).map(([key, text]) => [
+        key,
+        text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] === undefined || vars[name] === null ? match : vars[name]))
+    ]));
+}
+
+// --- A record with its `translations` for one language laid over it ---
+function mergeItem(item, translated) {
+    if (translated === undefined || translated === null) return item;
+    const bothObjects = item && typeof item === 'object' && typeof translated === 'object';
+    return bothObjects ? { ...item, ...translated } : translated;
+}
+
+function translateRecord(data, code) {
+    const translation = (data.translations || {})[code];
+    if (!translation) return data;
+    const merged = { ...data };
+    for (const field of TRANSLATABLE_FIELDS) {
+        const value = translation[field];
+        if (value === undefined) continue;
+        // Story paragraphs are replaced whole; other lists line up with the original
+        merged[field] = Array.isArray(value) && Array.isArray(data[field]) && field !== 'storyParagraphs'
+            ? data[field].map((item, i) => mergeItem(item, value[i]))
+            : value;
+    }
+    return merged;
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    LOCALES,
+    TRANSLATABLE_FIELDS,
+    localeStrings,
+    resolveLocale,
+    translateRecord
+};
@@ -0,0 +1,238 @@
+/**
+ * GentlyTold Map Data — generated by scripts/build-map-data.js; don't edit.
+ *
+ * State outlines from us-atlas 3.0.1 (US Census Bureau
+ * cartographic boundaries) and country outlines from world-atlas
+ * 2.0.2 (Natural Earth 1:110m), both public domain; the
+ * packages are ISC-licensed by Mike Bostock. Paths are already projected with
+ * lib/projections.js (Albers USA, Natural Earth).
+ */
+
+module.exports = {
+    STATES: [
+        {"name":"Alabama","abbr":"AL","center":[-86.8,32.8],"box":[606,311,664,405],"path":"M606.8 315l39.2-3.5 10.9 38.8 4.4 7.9-.4 2 1.9 .9-2.3 2.6 .3 2.3-1 3.4 2.2 5.9-.3 6.2 2.1 3.3-41.2 4.3-.2 2.8 3.8 2.9-.5 2.8 1.5 1.6-2.2 3.1-7.6 1.7 3.8-1.5-2.6-2-.4-3.9-1.7-1.1-.7 .8-.8 6.1-2-1-2.2 .5-3.5-28.4 1.3-56.7-1.8-1.8z"},
+        {"name":"Alaska","abbr":"AK","center":[-152.7,64.5],"box":[31,381,246,496],"path":"M160.3 468l.9-.1 2-3.6 .8-.1-.5 1.9 1.2-.3 .1 .9 .5-.5-.4 1.1-.5-.5-1.1 1-.2-.6-.7 1.2-2.1-.4zM155.6 472.6l1.9-1.9 .9 0 .3 1 .1-1 .7 .1-1-1.1 1-.5 .6 1 .5-.8-.6-.7 1.3 .7-.6-.9 2 0-.4 1.6 1.5-1.5 0 1 .7 .1-1 .4 .2 .9 1.1-.1-.7 1.3-1.9-.6 .9 1.2-1.5 0 .4 .5-.9 .3 1.2 .4-1.5 1.1-.1-1.4-1.2 .7 .4 .6-1.5 1.7-.6 0 1.2-2.7-1.7 2-1.7-3.4zM132.9 484.7l.6-.5 1.4 .8-.9-.3 0 1.3-.6-.5-.5 .5 0-1.3zM115.1 449.6l1.9 .3 2.5-1 .1 .8 1.2 .4-.1 2.5-2.1 .7-3.3-2.7-.2-1zM104.5 493.5l2.7-.5 .8-1.4 .9 .4-1-1.3 .5-.6 1.6-.2 .1 .9 1.2-.4-1.3 1.5 1.9-.5-3 2.1-3.6 .6-.8-.6zM120.5 414.2l10.8-4.1 2 .5-1.6 2.2 .7 .9 5.1 1 1.1-1.5 1.3 .3-1.3-1.2-1 .3 .2-1.1-1.7-2.5 .9-.4 1.5 3.4 .8-.4-1.4-1.5 1.2-1.4-5.4-1.6-.8-3.7-5.7-5.6 1.5-.5 .7-2.6 4.6 .4 1.9-1.1 1.8-4.1 3-3 2.4 0 3.9-2.8 1.1 .6 2-.4 2.7-3 2.1 1.3-.8 2.1 1.6-.9 .4-1.1 1.8 2.5 2.1-1 2.2 .6-.4 1.4 1.6 .3-.3 .8 1.4 .3 3.9-1.2 4.1 1.7 4.2-.2 2.2 1.1 3.6-1.8 5.6 2.3 11.9 59.7 3.3 .1 .7-1.1 1.9-.6 .1 1.8 6.4 4.2 .8 2.1 2.6-2.5-.2-2 .7-.6-.5-.3 2.4-2.1 .9 .5 1.7 2.3 6.7 3.8 8.9 9.7 4.1 .1 3.5 1.3 .1 1.6 1.7 2.8-1.1 4.1-1.3-.1-1.3-2.1 .5-.9-1-2.4-1.7-1.4 2.4 3.6-.5-.3-.1 1.6-.4-1.3-.5 1.3-1.9-.9 .3-1-.7-1.8-.2 2.7-.9-.3-.7-.9 .2-3.1-.5 2.5-1.1-1.1-.3 .5-.8-1.1 .4-1 .7 .1-.5-1.2 .9 .5-.2-.5-1.6-.7-1.9-2.5-2.4 .2 .5-1.3-.7 0-1.3-1.9 1.8 .1-3.8-1.9-.6-2.2 0 1.4-1.7 .2-4.9-5.9 3.6 6.7-1.6-1-1.5 .6-1.9-3.5 .1 1.4-1.3-1.1-1.2 .5 1.7 .7 .3 1.1 .7-.7 1.1 1.7-1.9 1.6-3.9-1.7-2.2-2.1-6.2-2.1 .8-1.3-.5-2.2-.5 1.6-1.5 1.2-3.8-.4 .3-.9-1.1-1 .8 .9-.7 .5-4.3-.1-4.1 1.3-1.1 1.5 1.5-1.9-2.9-.7 .5-.4-.7 0 .1-1.2-1.1 1.1-2.3-.7 .5-.9-1.8 1.1 .9 .5-1.7 1 0-1.6 2.5-1-.7 0 .2-.7-1 .7 .5-1.1-1.9 .8 1.5-1.3-2 .6 .4-1.9 1-.3-2 1.4-.5-1.4-.7 1.9-.7-1.2 0 1.5-.6-.4 .2 .6-1.3 .3 1-3.2-2 3.3 .4 .7 .7-.5-.5 1.8 .7-.8 .5 .9-.1 1.1-.9 .3 1.6 1.6-1.3 .5-.4-1.4-.2 1.4-2.1 0 0-.6-.9 1.5-.3-1.9-.1 2.8-.8-1.6 .1 2.1-1-1 .4 .8-1.4 2.2 .1-1.7-.4 1-.3-.9-1.2 2.4-1.6-.2-1 .8-.9-.6 .3-1.1 2.4-1.2 .5-1.3-1.7 1.1-1.1-.7 1.6-4.3-.4-2.2 3.1-2.2 1.3 1.1 .7-.7 2.5 .7-3.6-1.9 1.9-2-.6-.3-1 1.7-2.1-.2-3 2.3-.2 1.6-3.2 3.3 .6 1-.5 1-1.6 .4 .7 .5-.7 1-.8-1-.9 2.3-1.3 .5-.1 2.3 1.5-.4 1.5 1.4-2.7 2.4-.5 2.4-2.7 .7-1.1 1.9-1.1-.3-.4 1.4-1.1-.1 0 .8-1.8 .7 .7 .2-.9 2-1.2 .1-1.1 1.3-.9-.6-.1 1.4-2.1 .1 .6 .8-1.9 0-.4 .8 1 .3-.5 .5 .8 0-1.3 1.5-.5-1-.3 1.1-.7-.3-2.1 1.2-.4-.6-.5 1.8 .2-1.4-.8-.3-2.3 1-.5 1.2-.3-.7-.2 .7-.7-.5-1.5 1-1-.2 .7-1.6-.6-.1-2.3 3.4-.4-.6-.4 .8-.8-.3-.4-1.7 0 2.2-1.1 .2-1.1-1.3 .4 1.1-1.4 .7 1.1 1.1-1-.7-5.6 1.5-.6-1.4 2.1-1.9 3.6-.3 .7 1.2 .2-1.6 1.7-.1 4.5-4.1 3.7-.5-.2 1.9 .6 0-.4-1 1.7 1-.9-1.5 1-1.9 5.4-3.3 .9 .4 1.2-2.8 2.3-1.8 .7 .4 .2-4.2 .8-.6-.5-1.3 2.2-3.5-4.2 2.1-1.4-1.3 .2-1.3-1.5 3.9-2.2-3.8-1 .9-1.2-2-5.2 2.9-1.3-.8 1.4-.7-.5-3.3 1.3-1.3-1.6-4.7-.7 1.2-4.7 .5-3.2-4.7 .6-.6-1.2 0 1.5-1.2 .4-1.4-.9-.3 .9-.5-.9-.9-1.1 .3-.6-2.2 .6-.4-1.2-.3 .2-1.3 0 .5 1-.1-.7-1.1 1.4 .1 0-1.5 3.4-3.5 1.7-3.2 1.2-.2 2.7 1.8 2.5-2.9 .8 .7 2.6-.1 1.3-2-.3-2.7-1.4-1.4 .5-.6 .9 .3 .8-1.4-1-1.4-.5 .9-2.4 .4-2 2-.8-2.2-.2 1.6-1-1.2-4.1 .2-3.2-1.6-1.1-3.9 .7 .3 .9-.9-2.6-1.3-1.6-2.1zM99.2 495.3l1.6-1.8 1.7-.1 .3-1.4 2.2 .2-3.4 2.5-2.4 .6zM107.1 425.1l.7-1.4 2 2 1.9-.3 .8 1.9 3.1 1.7-.7 .8-1.5-.4-1 1.2-2-3.3-3.3-.9 0-1.3zM73.6 493.8l4.3 .1-.4-.8 1.3-.3 .5 .8-.9 .3 .1 .9-1.4 .1-3.5-1.1zM66.4 494l1.5-1.8 .9 .2-.4 .9 1.2 .2-.3 .8-2.9-.3zM62.2 490.7l2.3 1-1.8 1.1-.5-.7 .8-.4-.8-1zM31.3 468.8l2.5 .9 .6 1.5-2.1-.6-1-1.8zM232 473.8l0-.7 .6 .5 1-.9-.5 2.2-1.1-1.1zM230.9 470.7l.7-1.2-.8-1.2 1.7-.6 5.3 4.2-1.5-.3-.2 .7 1.1-.3 .9 1.5 .7-.6-.2 1.9 .7-.4 .5 2-1.9 .1 .5-.6-1.2-.4-.5-1.4-.1 1.4-1.8-1.2 1.6 2 .9-.3 .3 1.4-.8 0-2.3-2.8-.9 .2 1-1.5-.7-1-2.2-.6 1.2-.7-.9-1-.6 1-.5-.3zM227.2 465.8l.7-1 1.5 .7-1.3-1.2 .4-.6 2.8-.3 2.8 2-3 2-1-.5-.4 3.9-2.5-5zM222.4 456.5l1.3 1.3 1.8-.5 2.1 2.9-1.7-1.2 2.1 3-1.5 2.7-.8-1.1 .3-1.2-3.6-5.9zM221.9 463.8l.5-1.5 2.2 .4 3 7.6-1.9-2.4-2.1-.6-.4-3.1-1.3-.4zM221.5 464.7l.2-.7 1.4 .4-.4 1.6-.7 .3-.5-1.6zM217.9 461.1l0-2.4 .7 .5 1.3-1.1 1.2 .4-.2 1.3 .6-1.2 1.6 .2 .3 .7-.8 .3 2 2.3-.9 .5-2.4-.8 .8 1.4-1 .5-3.2-2.6zM178.2 455.8l2-3.9 .6 0-.9 3.2-1.7 .7z"},
+        {"name":"Arizona","abbr":"AZ","center":[-111.7,34.3],"box":[195,256,297,375],"path":"M198.2 334l3.1-.1 1.2-1.5-.1-3.5-2.2-.5-.5-1.2 1.1-3.2-.6-.9 .4-1.8 1 .1 2.6-2.2 .9-2.6 .3-4.4 2.6-3 4.6-1.9-.3-1.8-2.7-2.6-.4-5-1.9-3.4 .5-2.4 .2-1.9 1.3-.4 .2-1.2-.5-5.8 .7-2.2-.1-3.6 1-1.1-.5-4.3 2.9-.5 2.9 .7 1.5 2.8 1.3 0 2.1-2.8 2.8-15 73 12.1-14.7 105.6-31.8-4.8-54.2-31.8 .5-2.3 1.8-1.6z"},
+        {"name":"Arkansas","abbr":"AR","center":[-92.4,34.9],"box":[509,288,584,357],"path":"M509.2 291.4l66.4-2.5 .2 1.4 1.2 .6-.1 2.2-4.1 5.4 9.6-.7 1.3 2.1-1.3-.3-.4 .8 1.1 .5-3.8 2.4 .4 1 1.2-.1 .2 .6-1.4 .7 .5 1.7-1.7-.7-.2 2.9-.6-1.4-1.1 1.1-.2 .8 .8-.6 .8 .5-.4 1.5-.8 .2 1.4 1.3-.6 .7 .9 .9-1.2 .1-.9 2.1-1.3-.1-.2 .8 1.1 1.5-2.6 1.6-.9-.9 .5 2.7-.7 .4-.2-1.5-.6 .5 .2 1.4 1.2 .5-.7 .8-.6-1-.6 .3 .9 2.4-.7 .9 .4 1.3-1.3 1 .1 1-.5-.8-1 .1 .2 1.1-1.4 .8-.1 1.2-.9-.7-.5 .5 2 1-2.2 .6 1.3 1-.3 1.1-1.4 .1 .5 .7-1.8 .1 1.1 .9-.9 1.3 1.3 1.3-2.3 .4 0 .9 1.8 .9-2.9-.2 1.4 1.8-1.5 .7 .8 1-.7 1.3 1-.3-.1-.8 .8 .4-1.3 1.4 .6 .3 1.4-1.4-.8 3 .7 1.1 .8-.6-.7 2.5-1.4 0-.2 .6 1.3 .9-.6 1-44.8 1.3-.2-10-2.2-.7-.6 .8-1.2-.5-.9 .7-2-1.8 .3-33-3.1-20.8z"},
+        {"name":"California","abbr":"CA","center":[-119.6,37.3],"box":[93,130,213,334],"path":"M142.3 307l3.2 2.1 .2 2.2-2-1 .1-1.8-1.5-1.5zM140.3 315.2l2.9 4.7-1.2 .1-.8-1-.9-3.8zM125.3 291.2l3.2 1.9 2.5 .4-3.3 .6-2.1-1-.3-1.9zM120.1 291.3l3.2 .2 .6 1.9-2.4 .3-1.4-2.4zM105.6 130.6l55.8 15.8-14.1 54.7 60.5 91-.5 2.4 1.9 3.4 .4 5 2.7 2.6 .3 1.8-4.6 1.9-2.6 3-.3 4.4-.9 2.6-2.6 2.2-1-.1-.4 1.8 .6 .9-1.1 3.2 .5 1.2 2.2 .5 .1 3.5-1.2 1.5-3.1 .1-37.5-4.4-.1-2.7-1.2-.2 0-3 .8-.8-.2-4.8-1.8-4.5-7.1-9.3-1.1-.9-1.5 .8-2.2-1.3 .8-1.7-1.4-4.2-4.1-.3-4.4-3-1.1-1.1-.3-2.5-3.5-3.7-4.7-1.1-3.7-2.2-5-.8-.3-1.7-1.4-.8 1.7-5.5-.7-1.1 1.6-3.8-2.9-2.4 .5-4.6-1.4-.6-1.5-3.8-1.1-.7-2-5 .1-2.3-4-6.7 .1-5.6 .8-1 .8 .9 1.2-1.2 1-2.1-.4-2.6-.9-1.2-2.5-.2-3-5.6 .9-2.9-.7-3.4 1.3-4.7 1.7-.2-.5 4.2 3.8 3.7-.7-4.5-1.7-2.6 .7-2.2-1.1-1.4 2.7-.8-.2-1.3-1.1-1-1.5 .1-.6 1.4 .5 1.1-1.1 .8 .7 1.2-.8-.5 0 1.2-.8 0-3.8-5.2-2-.1 1.7-2.5 .2-1.8-1-1.3-.2-3-2.1-2.9-3.6-8.7 1.2-1.6-.2-6.1 1.9-3.3 .4-5.3-2.1-5.9-2.5-3.9 .3-3.4 7.3-9.4 0-2.3 2.9-4.9 .3-5.8-1-1.2 1.8-3.7z"},
+        {"name":"Colorado","abbr":"CO","center":[-105.5,39],"box":[296,194,405,280],"path":"M306.8 194.2l39.3 4.9 30.1 2.8 27.9 2.1-1.2 18.7-3.4 56.7-14.2-1.1-47.1-4.2-41.6-5.2 10.2-74.7z"},
+        {"name":"Connecticut","abbr":"CT","center":[-72.7,41.6],"box":[795,145,822,171],"path":"M795.8 150.4l9-2 .2 .7 .6-.9 12.9-2.7 2.8 10.7-.3 2-4.5 1.1-4.5 2.6-4.7 1.3-.4-.9-2.3 3.4-.7-.2-5.7 4.9-1.5-1.9 2.8-2.8-1.3-1.3-2.4-14z"},
+        {"name":"Delaware","abbr":"DE","center":[-75.5,39],"box":[774,197,790,224],"path":"M774.1 200.3l1.4-2.2 3.5-.4-.8 2.4-1.2 1.5 .9 1 .1 1.9 3.4 3.2 .8 3.5 1.8 2.3 2.2 1.8 1.3-.2 2.1 6.3-9.1 1.9-6.4-23z"},
+        {"name":"District of Columbia","abbr":"DC","center":[-77,38.9],"box":[758,217,762,222],"path":"M758.5 218.7l.9-1.3 2.2 1.5-1.4 2.2-.3-1.5-1.4-.9z"},
+        {"name":"Florida","abbr":"FL","center":[-82.5,28.6],"box":[622,381,758,497],"path":"M743.3 492l3-1.9 .4 .4-2.5 1.7-.9-.2zM732 496.3l.9-1.8 4.7-3.6 2.5 .7 1.3 1.3-2.5 1.3-1.9 0-2.8 2-2.2 .1zM718.6 458.5l2 3.4 2.9 .5-1.3 .7-1.9-1-1.7-3.6zM663.8 384.8l2.8 5.1 42.5-2.9 1.2 3.8 2.1-.5-.1-3.9-1-3.1 1.3-1.7 3.8 1 4.5 0 .5 3.8 4.9 12.3 7.2 12.1 7.5 8.7 1.2 2.2-1 2 1.4 4.8 4.1 6.1 8.7 16.3 1.5 18.9-.1 2.1-.7-1.4-1.5 2.5-.2 3 .8 1.4-.8 1.2 0 .8 1.2-.8 1.4-3.4-2 6.6-4.3 5.5 2.3-3.2 .5-2.8-1.5-.3-3 1.8-1.8-.4-4.3 2-1.2-.7-.6-1 .2-3-3.6-5.2-1 .2-.8-1.5-4.3-1.6-1.1 1-2.5-4.1-1.9-5.1-3.6-2.7 .2 1-.9 .3-1.7-3.4 .9-.5 .6 .6 .3-2.6-.8-2.8-1.6 1 .9 2.2-1.7 .8-.2 .8-.6-1.9-9.4-12 .8 .6 1.9-2.3 2.3-4.6-.5-1.2-1.3-.1 .5 1.7-1.3-.3-.4-2.1-2.4-.8-.3 1.5 1.7 .5 .8 1.6-.5 2.2-1.2 .3-.1 1.6-.4-1.9-2.2-2.5-1.1-6.5 1.7 2.8-.5-2.3 1.3-5-.5-4.7-.9-.4-.6-2.3 .6-1.1-2.6-2.9 .1-1.3-3.2-.2-.8 1-.7-2.2-1.6-.5-1.5-2.5-2.8-1.2-.6-2.8-2.1-.7-2-2.8-6.7-3.2-2.1 .8-1.8-.2-1.4 1.8 .6 2-3.1 .2-5.1 3.9-.7-.9-1.1 1.5-2.1 .2 2 1.5 4.9-3.2-5.4 3.9-3-1.3-2.1 .5-1.4-3.2 .4-.8 1.1 3.4 .4-2.2-2.3-2.4-8.5-4.5-6.3-1.7-7.3 .2-12.1 3.2 2.2-3.1-1.5-1.6 .5-2.8-3.8-2.9 .2-2.8 41.2-4.3z"},
+        {"name":"Georgia","abbr":"GA","center":[-83.4,32.6],"box":[646,306,727,391],"path":"M646 311.5l19.4-2.4 18.2-2.6 0 1.2-2.7 3.2 0 2 5.6 3.3 2-.4 3.2 5.8 3 3.5 3.4 1.5 1.8 1.4 1.1 2.1 4.6 2.5 .2 2.3 3 1.9 .5 1.4 4.3 1.8 2.3 7.1 3.8 2.3 1.7 3.2-.4 .8 1 2.4 3.8 .9 .7 0-.2 1.1-1.3 .4-.2 .9 .6 0-.7 1.1-1.3-.2 .3 2-1.9 1.3 1.2 .2 .1 1.4-.2 1-1.5 .7 1.3 .4-.9 2.2 0 3.8-1.4 1.6-.1 2.3-1 .8 1.4-.2 .2 5.1-4.5 0-3.8-1-1.3 1.7 1 3.1 .1 3.9-2.1 .5-1.2-3.8-42.5 2.9-2.8-5.1-2.1-3.3 .3-6.2-2.2-5.9 1-3.4-.3-2.3 2.3-2.6-1.9-.9 .4-2-4.4-7.9-10.9-38.8z"},
+        {"name":"Hawaii","abbr":"HI","center":[-155.5,19.6],"box":[256,433,353,496],"path":"M330.1 480l3.9-4.3-1.2-4.8 1.7-.5 3.6 2.5 2.4 .4 4.7 2.4 2.1 2.2-.1 2.1 1.5 0 .4 1.8 3.1 2.3-3 3.2-2.7 1.3-2.9 .3-3.8 2.5-2.8 4-3.8-2.3-.6-1.5 .5-4.2-3-7.4zM318.8 458.2l1-2 .9-.1 2.1 2.5 2.6-1 1.6 .4 2.1 1.9 1.9 .6 .3 1.3-1.3 1.3-5.5 1.4-1.1-.4-.5-3.3-2.9-.8-1.2-1.8zM318.7 465.4l2.2-1.4 .7 .5 0 1-.8 .3-2.1-.4zM312.4 458.5l2.9-.2 1.6 1.7-.6 1.1-2.2 .5-1.7-3.1zM308.1 454.8l.8-2.2 9.7 1.2-2.9 2-3.8-1-3.8 0zM291.1 445.9l2.7-.1 2.8-2.3 2 2.8 .2 1.9 1.1 .8 .2-.9 .8 .1-.3 1 1.5 2-2.8 .7-1.4-.9-3.9 .1-2.9-5.2zM264.8 437.3l1.1-2 2.5-1.5 3.2-.1 1.8 1.6-.6 3.4-2 1.7-2.8-.5-3.2-2.6zM256.8 440.6l3-2.8-.1 2-2.3 1.9-.6-1.1z"},
+        {"name":"Idaho","abbr":"ID","center":[-114.7,44.4],"box":[201,28,290,172],"path":"M219.1 83.2l-.5-1.8 1.1-1.3-.9-4 11.1-47.6 11.9 2.6-4 18.5 2.9 5.9 .1 2-.9 .9 1.2 1.3-1.8 .7 4.7 4.2 2.4 5.9 1.3 1.2-.4 1.1 1.9 2.3-.2 1.1 1-.6 .8 .8-.1 1.2 3.6 .3-3.1 6.9-.1 1.8-.8-.1-.3 .7 .7 .7-.6 1.7 .8 .6 0 1.7-2.7 1.7 .6 1.3-1.1 1.2-.1 1.4 1.2 .2 1.1 2.2 1.5-1.4 1.5 .1 2.4-2.3 .8 1.7 1.2 .6-.6 1.4 .9 .2-.4 3.6 1.4 4.1 1.4 1.5-.3 1.9-.6 .1 .2 1.6 1.2 1.7 1.3-.4 1.4 1.1 .6 6.3 1.7 2.1 1.3-2.2 5.1 1.6 1.7-2 2.2 1.3 3.2-.3 .4 1.1 1.7-.7 3 .9-.5-1.1 .9-2 1.4-.7 2.7 5.4 .9 .5-7.3 45.8-40.7-6.9-40.2-8.6 7.4-33.1 1.9-3-.1-1.9 1.3-1-.6-1.8-3-1.6 .6-.8-.5-1.3 4-5.8 1.7-.4 1.2-1.3 .8-2.8 7.3-9.5-.4-2.6-2.6-2.1-1.2-3.7z"},
+        {"name":"Illinois","abbr":"IL","center":[-89.2,40.1],"box":[552,173,612,280],"path":"M553.2 216.8l.6-.3-.5-2.8 .6-1.1 3.3-1.5 .2-2.9 1.7-1.9 .1-3.3-2.5-2.6 .8-3.3 7.9-2.5 1.7-1.4 .2-2.8 1.7-1.4-.1-5.8-3-1.7-.8-2.1-3.1-2.4-.1-.8 38.8-2.4-.2 3.6 5.3 10.7 3.9 44.3-1 .8 .6 1.7-.9 1.1 1.2 3.2 1 .6-.4 1.8 1 2.1-1.6 2.1-.3 2.5-1.2 .8-1.3 3.9-1.1-.4-.8 1 1.1 1.9-1.1 1.3 .6-.4 0 .6-1 .4 .5 1.4-.7 1.1 .8 .4-1.3 0 1.2 1.8-1.7 2.7 1.7 2.7-.3 .8-5.6 2.1-.5 2 1.6 2.4-.4 1.5-7.9-2.3-2.5 3.1 .7 1.7-.6 .2-1.5-1.6-.7 .2 .9 .7-.5 .4-1.4-.8-2.3-4.5 1.2-2.2-1.5-2.5-.2-.8 .7-.1-.7-2-2.3-1 .1-.6-2.9-2.1-1.5 .5 0-1.6-2.2-.7-4.1-3.5-.3-2.4 2.4-5.3-.6-2 1.3-2.5-4.3-1.9-2.5 1.9-2.1-3.4-.2-3.3-9.8-8.9-2.4-8.3 1.1-3.9z"},
+        {"name":"Indiana","abbr":"IN","center":[-86.3,39.9],"box":[603,183,650,263],"path":"M605.8 188.1l1.7 .5-.2 .6 2.8 .1 5.2-3.1 27.8-2.9 .1 1.2 5.6 48.5-1 1.1 1.1 1.6-.3 1.2 1.2 .4-.2 1.5-2.4 .5-2.3 2-1.6-.7-2.7 .8 .8 3.1-2.5 2.2-.7 2.7-2.2 .7-.8 4.9-1.7 1.4-3.4-1.5-.2-1.5-1.6-.9 .8 1.1-1.9 .8 .2 .9-.9 .2 .4 2.2-1.2 .2-.5 1.6-.2-1.2-1.1 .3-1.3-1.7-.9 .2-2.6 2-.1 1.6-.9 .5-.5-.9-3.4-1.6-1.7 .7-1.6-1.1 .4 2.1-.6 .7-.6 0-.2-1.4-2.2 .7-1.1-.8-.4 .7 .6 1.4-.6 .8-1.2-.4-1.2-1.8 1.3 0-.8-.4 .7-1.1-.5-1.4 1-.4 0-.6-.6 .4 1.1-1.3-1.1-1.9 .8-1 1.1 .4 1.3-3.9 1.2-.8 .3-2.5 1.6-2.1-1-2.1 .4-1.8-1-.6-1.2-3.2 .9-1.1-.6-1.7 1-.8-3.9-44.3z"},
+        {"name":"Iowa","abbr":"IA","center":[-93.5,42.1],"box":[480,158,570,217],"path":"M482.5 159.7l33.5-.3 37.1-1.3 .4 2.8 2 1.8-1.5 2.2 .7 4.3 1.3 3 4.9 1.7 1 2.3 .1 .8 3.1 2.4 .8 2.1 3 1.7 .1 5.8-1.7 1.4-.2 2.8-1.7 1.4-7.9 2.5-.8 3.3 2.5 2.6-.1 3.3-1.7 1.9-.2 2.9-3.3 1.5-.6 1.1 .5 2.8-.6 .3-1.5-.5-.1-.9-2.9-2.8-32.4 1.8-24.3 .1-.3-1.4-1.4-1.2 1-3.3-1-3 0-1.9 .6-.3-1.2-.4 .6-2.3-1-.4 .3-2.4-1-.1 .1-1.3-.6 .6-.7-.4-.4-2.9 .7-2.2-1.3-2 .5-1.2-1.5-.8-.5-2-1-.9 .3-1.2-1.2-2.1 .4-1.9-.8-.9-2.6-5.3 1.3-1.5 .4-3.7 1.1-1.3-.6-1.9-1.1-.1 .5-3.2-1.1-1 .1-.9 1.9 0z"},
+        {"name":"Kansas","abbr":"KS","center":[-98.4,38.5],"box":[399,222,510,282],"path":"M402.9 222.7l45.6 2.2 50 .6 2.4 2.3 3-.3 .8 3-1.2-.3-2.1 4.1 3.3 2.9-.5 .4 1.2 2.6 3.5 1.1 .2 40.7-55.2-.3-54.4-2.3 3.4-56.7z"},
+        {"name":"Kentucky","abbr":"KY","center":[-85.3,37.5],"box":[586,232,694,289],"path":"M590.1 278.8l-.7-1.7 2.5-3.1 7.9 2.3 .4-1.5-1.6-2.4 .5-2 5.6-2.1 .3-.8-1.7-2.7 1.7-2.7 1.2 .4 .6-.8-.6-1.4 .4-.7 1.1 .8 2.2-.7 .2 1.4 .6 0 .6-.7-.4-2.1 1.6 1.1 1.7-.7 3.4 1.6 .5 .9 .9-.5 .1-1.6 2.6-2 .9-.2 1.3 1.7 1.1-.3 .2 1.2 .5-1.6 1.2-.2-.4-2.2 .9-.2-.2-.9 1.9-.8-.8-1.1 1.6 .9 .2 1.5 3.4 1.5 1.7-1.4 .8-4.9 2.2-.7 .7-2.7 2.5-2.2-.8-3.1 2.7-.8 1.6 .7 2.3-2 2.4-.5 .2-1.5-1.2-.4 .3-1.2-1.1-1.6 1-1.1 .8-.9 2.3 1.1 2.2-1.1 .3 1.1 1.6 .4 2.1 3.9 3.8-.1 4.5 2.4 1.9-1.6 3.2 1.5 2.2-.7 1.6-2.3 1.8-.7 1.1 2.9 1.8 .4 2.2 2.3 .8 2.9-.6 2.5 2.9 2.6-.4 .9 2.7 2.4 1 2.1 2.9 1.7 2.2 .1-4.9 5.9-5 3.6 .2 1.3-1.9 1.5 .1 1.7-2.8 1-.7 2.3-7.5 3.7-61.8 6 0-.6-3.2 0 .5 3.4-20.2 1.5 .5-2.3 .7-.3 1 1.2 1.4-2-.7-.9 1.1-1.2-.9-.5 .8-1.6-.3-1.7z"},
+        {"name":"Louisiana","abbr":"LA","center":[-92,31.1],"box":[519,355,603,430],"path":"M596 408.8l2.4-2.1-.6 1.3 1 .9-.8 .9-.3-.8-1.7-.2zM553.3 419.9l2.7-.8 2.3 1.3-1.7 1.6-3.3-2.1zM519.1 356.7l44.8-1.3-.7 1.6 1.3-.1-.1-1.1 .6-.1 .5 1.2-1.4 2.1 0 1.2 1.8 .4-1.5 1.6 .2 .8 1.5-.2 .3-.8 .4 .6-1.2 1.1 1.5 1.2-1.8-.6-.1 1 1.9 .4 .1 1.8 1.8-.2-.8 1.3-.7-.1-.1 1.6-.8-.5-1.9 .9 0 1.2 1.8 .1-.2-1 .9 .4-1.4 2.1-1-.2 1.1 .4 0 .8-1.4 .7-1 2.9-.6-.9-.7 .2-.3 1.5 1.7 .1-2.1 1 0 1.8-1.6-.4-.3 .6 1.8 .7-1.8 .9 1 2.9-1.3-1.1-.5 .6 1.2 2.2-2 .3 .9 1.8-.5 1.2 1 .7-1.1 1.4 30-1.8 .4 .6-1.6 5.9 3 3.7 1.3 4.2 1.5 .7-2.3 1.5-.5 1.6-1.7-.2-.2 1.8 1.8-.3 .3 1.5 1.6 0 .4-2.4 1.5-1.6 1.8 .3-.9 1.5 1.1 1.2 1.4-1.7 1 .4-1.6 1.7 1.1 .3-1.7 .5 .8 1 .6-.4-.3 1-1.4-.5-.6 2.5-1.6-1.2 .8 1.9-2.9-.2 1.1 1.1-1.4-.7 .7 .8-.5 .8 1.8 .7 1.1 1.9 3.2-.2 1.3 1.3 .6-.7 1.6 2.6 1.4-.3 .4 .6-1.3 .3-.1 .6 .9-.1-.4 .9-.7-.3-.4 2.2-1.9-1.5-2.5 3 1.9-4.8-.6-.4-1.1 1.6-4.3-2.9-3.3-.3-5.9 4.8-1.6-3.3-1.2-.4-.3 1.1-.6-2.1-.7 1.1-1.7-.3 .4 1.4-.7 0-1.3 2.2-1.6 .4-.3 1.2-.9-.2-1.7-2.2-4.2-.6-2-1.3 1.1-1.2 1.6 .6 0 1.1 .9 .2-.3-1.7-1.5-1.6-1.9 .9-.4-2.3-1.7 .9-.6-1.3-.6 .2-.4-1.9-1.5 .1 .3-1.9-1.9-.2-1.9 .8-.4-.8 .7-1.4-2.2 0-2.3 1.8-1.4-.2 .6 1 1 .1-.5 .5 .5 1 1.5-.1-4.9 1.7-4.8-.8-9.2-3.1-8.2 .6-2.5 1.1-1.5-1.9 3.6-5.1-.6-.3 .7-1.1-.3-2.8-1-.8 1.1-2-.8-1.9 2.9-5.4 .4-2-.7-1.4 .8-.3-.3-3-1.1 .2-2.4-6.5-1.6-1.4 .2-3.3-3.6-4-.4-19.3z"},
+        {"name":"Maine","abbr":"ME","center":[-69.2,45.4],"box":[812,36,867,123],"path":"M850.8 94.6l-.1-1.4 1.6 1-.5 .9-1-.5zM845.3 97.1l1.1-1.8 1.4 1.9-1.1 1.2-1.4-1.3zM827.9 122.5l-2-.8-.2-1.8-3.1-2.2-.3-3.2-10.3-31.3 .8-1 2.4 1.6 0-3.9 2.1 .4-1.7-2.1 1.4-3.3 1.7-1.8-.7-1 1.5-2.2-1.3-2.2 .3-2.5-.8-.5 .3-2.9 1.4-2.1-.6-5.2 5.6-16.3 .6-.2 1.8 .1 .8 3 2.2 .9 3.1-2.2 .3-.9 2.4-.7-.3-.9 1.7-.8 7 3.4 6.7 20.3-.5 .8 1 .9-.5 .7 .7 2.1 1.1-.4 1.7 .9 2-.5 1 1.7-1 .5 1.6 1.7-.3 2 2.7 2.2 .3-1.3 1.8-.1 3.6 3.8 .6 1.8-2.4 4.8-.6 .3-.6-2-1 .9 .8 .7-.4 .8-1.9 1.3 1.2 .9-.8 1.2-1.3-1.3-.9 1-.6-.8-.4 2.6-1.9 .8-.1 1.6-1.1-1-.9 .5 0 2.3 .7 .4-2.7 .5-1.3-1.4 1.1-1.3-.7-.5-.4 .7-.6-.5 .4 1-.5-.9-.9 1.2 1.3 2-.6 2.3 .9 2.5-.7 .4-.7-2.3-1-.4 0-1.9-.9-.9-1.2 .6-.4-3.4-.9 1.5-.7-.4-.8 .9 1 1-.6 5.1 1 .2-.1 2.1-1.2 .3-1.3 2.7-.1-1.5-.9 .8-.1-1.1-.8 .4-.3 2.4-.8-.6-.4 1.4-.7-.2 .2 1-.9-.6-.2 1.6-1.1 1.1-.6-1.2-.7 .1-.6 1.5-2 1.3-.1 2.7-.7-.3-1.1 1.6 .3 2.6-1.6 1.1-.7 5.3z"},
+        {"name":"Maryland","abbr":"MD","center":[-76.8,39],"box":[722,200,790,234],"path":"M722.6 210.4l51.5-10.1 6.4 23 9.1-1.9-.9 8.4-5.4 1.8-.4 1-1.7-.1-1.4 1.4-.1-2.3 .7-.6-.9 .2 .4-1.5-1.9 .3 .1-1 1.2-.7-1.2-.7 .4-2-1.1 2.4-.9-2.2-.3 2.9-1.1 .1-2.1-1.3-1.7-2.9 1-.4 .1-.7-1-.5 .8-1.2 3.2 .5-4-2.4-1 1.2 .4-3.3 1.2 .3-.5-1.9-1.8 .8-.4 1.1 .4-3.4 .5 .7 1.5-.7-.1-1.7-.8 .3 .4 1.3-.7-.2-.9-2 .6-3.5 .8-1.2 1.6-.2-.7-.3 .7-1.3-.5 0 .2-2-1.7 .7-.1 .8 .9 .8-1.9 2.2-.8-1.7 .2 2.9-.6-1.5-.8-.1 .6 1.6-.6 .7 .7 .2-1.2 1.4-2.1-.8 2.6 2 1 2.1-1.1 .9 .3 3-.6 1.1 1.4 4.1 2.6 2.9-1.1 .8 1.5 .3 1.8 4.7-2.2-2-.3 1.2-2.1-1.7-3 .2-.8-2-.6 .4 .7 1.4-1.3-.5-1.9-2.5-2.4 2.1-.7-.3-.7-1.8 1.5-3.2 .9-1.8-.2-1.4 1.4-2.2-2.2-1.5-.9 1.3-2-.6-.1-.7-4.2-1 .5-2.2-1.8-1.1-2.3 .1-1.3-2.4-1.9-1.5 .7-1-2.5 .5-2.8-1.2-1.1 1.6-2.1 .5 .6 .4-.6 .1 .5 .7-.6 .7-2.7 .2-2.1-1.3-1.8 3.8-2.1-.3-2.2 3.8-2.4 2.2-1.6-9.6z"},
+        {"name":"Massachusetts","abbr":"MA","center":[-71.8,42.3],"box":[795,126,847,155],"path":"M842.3 152.7l2.1-.3 1-1.7 1.4 1.9-2.1 .7-2.4-.6zM834.6 154l.9-.3 1.5-2.9 2.1 1.3 .3-.8 .3 1.4-3.4 1-.7 1-1-.7zM795.7 136.9l10.7-2.3 15.5-3.4 2.7-3.9 2.7-1 1.4 3.1 2.6 0-.4 1.6-2.7 1.4 .8 .7-1.7 2.3 .9 1-.7 0 .2 1.3 1.5-.9 2.7 1.2 1.7 1.9-.4 2.1 2.3 .5 .7 2 2.1 .8 2.2 0 2.9-2.7-2.3-3.7-.9-.3-.5 .9-.7-.8 1.6-.3 2.8 2.2 1.6 3.9-.1 2.9-.7-2.2-4.6 1.9-1.4 2-5.4 4.3 3.2-3.5-.4-3.2-1.3-.1-.2 1.6-1.9 1.2 0 2.1-2.2 .9-.9-2.9-.9-.1-.6-.5-1.7-.9-1.9-4.2-5.5 1.7-12.9 2.7-.6 .9-.2-.7-9 2-.1-13.5z"},
+        {"name":"Michigan","abbr":"MI","center":[-84.6,43.5],"box":[560,68,673,187],"path":"M636 106.7l4.1 1.2-.7 1-1.1-.1-2.3-2.1zM624 113l.4-3.1 .9 0 .4 2.7-.8 .8-.9-.4zM615.3 186.2l2.6-2.7 2.9-6.9 1.2-6.8-.9-7.8-5.3-10.9 1.1-3.3-1.6-4.7 2.7-5.9 .2-4.2-.7-2.3 2.1-1.1 0-2.7 1.6-1.8 1.7 .2 2-4.7 1-.5-.8 6.9 .9 1.4 1.2-4.3-.9 4.4 .7 .2 1.4-3.6-.4-6.4 1.9-1.8 3.7-1.1-2.4-1.3-.6-1.8 2-2.8-1-.8 2.8-.1 .2-.8 4.4 2.1 3.2-.1 2.4 2.4 1.5-.2 4.8 2 1.3-.3 1.7 1.5-.3 .5 2.4 3.8-1.8-.6-.6 .7 .4 1.7 1.7 1 1 3 .2 7-2.5 2.1-.1 3.6-1.3 .6 .1 .7-2.5 1-.6 4 .8 1.4 3.7 .8 2-2.6 .2-3 .3 .8 .8-.6-.9-.9 1.2-.1 .6-1.1 4.4-2.4 2.5 1.1 1.7 2.4 3.2 11.4 2.1 4.6-.5 6.9-1.9 2-.6-1.4 1-1.5-2.3 .6 .4 1.6-1.1 .9 .1 2.7-2.2 1.5-.6 1.7 .3 2.7-3.5 5.8 0 1.4-18.5 3.1-.1-1.2-27.8 2.9zM573.8 75l7.1-5.4 2.8-1.2-2.8 3.6-4 2.2 1.1 .2-2.6 1.4-1.6-.8zM560.5 100.2l4.9-2.3 2.9-2.8 4.5-.7 3.6-3 2.3-.6 .5-1.5 6.2-6 5-2.2 2.3-.1 1.2 1.2-3.1 .6 .3 .7-3.4 3-2.4 4.5-.4 4 1.4-2.3 2.8-1.9-1.6 2.6 2.5-1.8 3.4 .2 3 1.8 1.4 2.4 1.6 .8 .6 1.7 3.2-.2 1-.8 2.8 1.5 .3-.7 1.2 .6-.3-2 .7-.4 .2 1.4 .8 .4 5.4-4.5 8.3-1 3.8-2 2.8-.5-.8 1.5 .5 3.9 3 .4 2-1 .7 1.3 2.5-2.1 3.2-.8 .8 5.4-1.3 .2-.3 1.1 1.6-.3 1.4 .8-.5 .7 1.2 1.1 1.6 .5 1.3-.6-.9-1.5 3.1-.2 1.6 1.8-.3 1.1-7.9 .1-3.2 1.2-3.9-1.7-.7 4.1-3.9-2.8-6.6-.9-2.1 2.8-2.5 .1-.2 1-2.1-.7-2.6 .7-.9 3-2.7 1.8-.2 1.9-1.5-1 1-2.2 .6 0 .4-2.2-1.3 1.2-1.8-.2-.5 2.5-1.5 1.1-1-3-.4 2.5-1.3 1-4.6 11-2.1-1.7 .9-3.3-2.5 .7 .5-4.8-.7-1.2 .5-.2-1.4-1.4-3.4-.9 .7-.9-.4-1.1-5.4-1.4-2 .7-5.8-2.3-13.5-2.8-1.5-3-1.7-.6-.9-.5z"},
+        {"name":"Minnesota","abbr":"MN","center":[-94.3,46.3],"box":[473,50,571,160],"path":"M473.4 57.1l25.8 .1-.1-7.1 2.4 .3 1.7 1.3 2.4 10.2 2.4 .9 2.3-.2 .5 .9 4.9 .4 .5 2 4.1-.7 0-.8 1.4-.7 4.6-.1 4.4 1.3-.9 1.6 2.5 .2 1.9 4.1 1.2-.5-.5-1.3 .6-.8 2.6-.1 1.5 2.3 2.9 .4 .1 1.6 1.9 0-.1 1.2 4-.9 4.4-3.2 1.7 2.6 7.9-.7 3.4 2.1 1.5-.8 3.3 0-5.9 3.8-6.9 2.8-4.1 2.9-7.3 8.4-7.6 6.6 1.1 1.5-1-.8-1.5 .9-.1 1-1-.2 .4 11-.7 1.1-1.1-.1-3.5 2.6-1.8 3.2-.2 2.7 2.1 .6 1.1 1.9-1.4 2.8 .3 3.4-.7 1 .8 2.2-.7 3.2 3.7 3.6 2.9 .4 1.2 1.8 3.5 1.3 1.5 3 4.1 3.1 1.9 .4 2.8 4.2-.3 1.8 .9 3.3-37.1 1.3-33.5 .3 .2-33.8-.5-1-2.5-1-2.3-3.7 3.7-4.1 .2-2-.4-7.4-1.5-2-1-4.2 .5-5-.8-.7-.3-11.9-3.4-9.8-.3-7.6 .9-2.5-1.6-5.9z"},
+        {"name":"Mississippi","abbr":"MS","center":[-89.7,32.8],"box":[557,315,611,407],"path":"M563.9 355.4l.6-1-1.3-.9 .2-.6 1.4 0 .7-2.5-.8 .6-.7-1.1 .8-3-1.4 1.4-.6-.3 1.3-1.4-.8-.4 .1 .8-1 .3 .7-1.3-.8-1 1.5-.7-1.4-1.8 2.9 .2-1.8-.9 0-.9 2.3-.4-1.3-1.3 .9-1.3-1.1-.9 1.8-.1-.5-.7 1.4-.1 .3-1.1-1.3-1 2.2-.6-2-1 .5-.5 .9 .7 .1-1.2 1.4-.8-.2-1.1 1-.1 .5 .8-.1-1 1.3-1-.4-1.3 .7-.9-.9-2.4 .6-.3 .6 1 .7-.8-1.2-.5-.2-1.4 .6-.5 .2 1.5 .7-.4-.5-2.7 .9 .9 2.6-1.6-1.1-1.5 31.9-2.3 1.8 1.8-1.3 56.7 3.5 28.4-1.1 1-8.2-.7-5 2-.4-1.3-1.9 3.6-1.3 .2-1.5-.7-1.3-4.2-3-3.7 1.6-5.9-.4-.6-30 1.8 1.1-1.4-1-.7 .5-1.2-.9-1.8 2-.3-1.2-2.2 .5-.6 1.3 1.1-1-2.9 1.8-.9-1.8-.7 .3-.6 1.6 .4 0-1.8 2.1-1-1.7-.1 .3-1.5 .7-.2 .6 .9 1-2.9 1.4-.7 0-.8-1.1-.4 1 .2 1.4-2.1-.9-.4 .2 1-1.8-.1 0-1.2 1.9-.9 .8 .5 .1-1.6 .7 .1 .8-1.3-1.8 .2-.1-1.8-1.9-.4 .1-1 1.8 .6-1.5-1.2 1.2-1.1-.4-.6-.3 .8-1.5 .2-.2-.8 1.5-1.6-1.8-.4 0-1.2 1.4-2.1-.5-1.2-.6 .1 .1 1.1-1.3 .1 .7-1.6z"},
+        {"name":"Missouri","abbr":"MO","center":[-92.5,38.4],"box":[491,212,591,299],"path":"M492 214.5l24.3-.1 32.4-1.8 2.9 2.8 .1 .9 1.5 .5-1.1 3.9 2.4 8.3 9.8 8.9 .2 3.3 2.1 3.4 2.5-1.9 4.3 1.9-1.3 2.5 .6 2-2.4 5.3 .3 2.4 4.1 3.5 2.2 .7 0 1.6 1.5-.5 2.9 2.1-.1 .6 2.3 1 .7 2-.7 .1 .2 .8 1.5 2.5-1.2 2.2 2.3 4.5 1.4 .8 .5-.4-.9-.7 .7-.2 1.5 1.6 .6-.2 .3 1.7-.8 1.6 .9 .5-1.1 1.2 .7 .9-1.4 2-1-1.2-.7 .3-.5 2.3-.4 .7-.7-.5 0-1.5-1.1 .1 .3 1.4 .7 2.3-1.5 1.3 1.3 1-2.4 .1 1.5 2.5-1.8 2.3-9.6 .7 4.1-5.4 .1-2.2-1.2-.6-.2-1.4-66.4 2.5-.1-9.4-.2-40.7-3.5-1.1-1.2-2.6 .5-.4-3.3-2.9 2.1-4.1 1.2 .3-.8-3-3 .3-2.4-2.3-1.6-.9 .4-1.3-1.4-2.5-1.8-1.2-1.2-3 .6-1.3-1.6 .2 .1-1z"},
+        {"name":"Montana","abbr":"MT","center":[-109.6,47],"box":[237,31,389,128],"path":"M241.8 31.1l28.6 5.8 43.1 7.3 33.6 4.5 41.8 4.3-4.7 56.5-1.7 17.6-39.7-4-51.8-7.2-1.5 9.7-.9-.5-2.7-5.4-1.4 .7-.9 2 .5 1.1-3-.9-1.7 .7-.4-1.1-3.2 .3-2.2-1.3-1.7 2-5.1-1.6-1.3 2.2-1.7-2.1-.6-6.3-1.4-1.1-1.3 .4-1.2-1.7-.2-1.6 .6-.1 .3-1.9-1.4-1.5-1.4-4.1 .4-3.6-.9-.2 .6-1.4-1.2-.6-.8-1.7-2.4 2.3-1.5-.1-1.5 1.4-1.1-2.2-1.2-.2 .1-1.4 1.1-1.2-.6-1.3 2.7-1.7 0-1.7-.8-.6 .6-1.7-.7-.7 .3-.7 .8 .1 .1-1.8 3.1-6.9-3.6-.3 .1-1.2-.8-.8-1 .6 .2-1.1-1.9-2.3 .4-1.1-1.3-1.2-2.4-5.9-4.7-4.2 1.8-.7-1.2-1.3 .9-.9-.1-2-2.9-5.9 4-18.5z"},
+        {"name":"Nebraska","abbr":"NE","center":[-99.8,41.5],"box":[376,164,499,226],"path":"M379.4 164.4l32.9 2.5 42.4 1.7 .4 1 6.1 3.6 1.5-.5 .8-1.4 8.6 .6 1.1 1.4 2.1 .2 .4 .8 3.6 1.2-.4 .9 1.4 1.9 2.3 .3 .8 .9-.4 1.9 1.2 2.1-.3 1.2 1 .9 .5 2 1.5 .8-.5 1.2 1.3 2-.7 2.2 .4 2.9 .7 .4 .6-.6-.1 1.3 1 .1-.3 2.4 1 .4-.6 2.3 1.2 .4-.6 .3 0 1.9 1 3-1 3.3 1.4 1.2 .3 1.4-.1 1 1.6-.2-.6 1.3 1.2 3 1.8 1.2 1.4 2.5-.4 1.3 1.6 .9-50-.6-45.6-2.2 1.2-18.7-27.9-2.1 3.2-37.5z"},
+        {"name":"Nevada","abbr":"NV","center":[-116.7,39.4],"box":[147,146,242,293],"path":"M161.4 146.4l39.9 9.5 40.2 8.6-17.9 92.3-2.8 15-2.1 2.8-1.3 0-1.5-2.8-2.9-.7-2.9 .5 .5 4.3-1 1.1 .1 3.6-.7 2.2 .5 5.8-.2 1.2-1.3 .4-.2 1.9-60.5-91 14.1-54.7z"},
+        {"name":"New Hampshire","abbr":"NH","center":[-71.6,43.7],"box":[803,83,828,135],"path":"M808.1 89.9l.4-3.8-.7-.4 1.7-1.7 .9 .7 1.3-.2 .3-1.3 10.3 31.3 .3 3.2 3.1 2.2 .2 1.8 2 .8-.6 3.8-2.7 1-2.7 3.9-15.5 3.4-1.9-1.9 0-2.2 .8-1.1-1.8-10.4 1.4-4.2 .8-6.4-1.1-4.1 2.6-1.4 2.4-3.5-.3-2.3-1.5-1.9 .9-3.5-1-1.2 .4-.6z"},
+        {"name":"New Jersey","abbr":"NJ","center":[-74.7,40.2],"box":[777,166,798,213],"path":"M777.7 201.3l.5-1.2 .8-2.4 3.6-2.7-.3-1.1 4.9-4.8-4.5-3.8-1.3 0-.6-2.2-1.9-.3-.6-2.1 1.4-3.8-1.6-1.6 1.8-2.6 1-4.1 1.6-1.7 12.2 4.1-.5 6.1-.3 .6-1.7 1-.2 2.5 1.2 .9 2.8-.1 0-.7 1.5 13-2 6.8-3.3 4.8-2 5.9-1.5 .4 .3-4.3-2.5-.6-1.6 .7-1.6-1.6-4.6-2.1-.2-2.2-.7-.4-.1-.4z"},
+        {"name":"New Mexico","abbr":"NM","center":[-106.1,34.4],"box":[281,268,386,377],"path":"M296.6 268.9l41.6 5.2 47.1 4.2-.7 9.4-.6-.1-6.6 84.4-55.8-5.2-.5 2.5 1.5 1.7-26.4-3.1-1 8.4-13.3-1.8 14.7-105.6z"},
+        {"name":"New York","abbr":"NY","center":[-75.5,42.9],"box":[710,95,823,182],"path":"M793.9 177.7l.2 1.7-2.1 1.8 .2-2.5 1.7-1zM710.5 163.8l7.3-6.7 .9-2.8 2.3-2.2-1.6-3-1.2-.3-.2-1.5-.9-.1-.6-3.4 7.4-3.5 9.3-1.1 3.8 1.3 1.8-1.2 5.8-1.1 2-1.1 4.1-4.9 1.7-.2 1-1.4-1.2-4.1-1.1-.5 2-1.5-1.3-1.2-1 .4-.7-1.1-.7 .1 .1-3.2 4.6-4.2 5.9-10.3 5.5-4.7 19.1-4.4 .3 3.3 .8 .7 0 3 2.1 3.2 .5 3.1-.7 4.6 2.4 4.7-.3 3.6 .6 .3 .1-1.1 .8-.3 1.1 1.2 3.4 14.7 .1 13.5 2.4 14 1.3 1.3-2.8 2.8 1.5 1.9-1.1 1.7 .2 1.2-.6 .2 .6 .8 .6-1.6 2.8-2.1 3.6-.1 1-1.4 6.8-2 4-4.5-.5 1.2 1.2 .9 1.3-.6 1.1 1 1.6-2 1.2 0-16.2 12.3-7.5 2.6-2.1 1.4 0-.6-1.1 .3-.9-2 .5-6.1-12.2-4.1-.9-1.2-3.5-.2-1.8-2-.8-3.5-2.8-.7-1.8-2.2-59.5 11.7-.9-5z"},
+        {"name":"North Carolina","abbr":"NC","center":[-79.4,35.5],"box":[665,258,796,317],"path":"M790.1 269.9l1 .1 1.1 1.7-.8 .1-1.3-1.9zM789.3 286.8l.3-1.1 6-4.2-.3-5.4-1.5-3.8 1.6 3 .5 6.8-6.6 4.7zM700.6 273.9l31.9-4.4 53.1-10.5 3.4 6.9 4.6 6.1-3.7-3.4-3.5-7.2-2.6-1.6-.6 .5 .6 .9 1.5 .3 3.2 6.1-2.5-2.8-.7 0 .4 1 .9 .4-1.7 0-2.9-1.6 2.4 2.3-1.6 .9-1.4-.9 .9 1.6-3.9-.9 2.7 1-2.8 2.4-2.5-.2-1.1-1.8-.1-2.4-.3 2.5 1.9 3.7 8.8-2.9 .8 .5-.3 2 1 3.5 .3-5.8 2-.4 1.8 2.3 .6 2.3-.4 2.3-1.7 .5-2.7 5.3-5.3 .2-2-2.2 1.7-.4 .1-.7-2.5 1.2 1.3 2.1-7-.5 1.1 .8 7.3 .7 .7 1-.8 3.4-3 3.1-3-1.2 .2 1 3.6 .9 3.6-2.6 .1-1 1.5 1.5 1-.1-.8-1.1 1.2 .2 .4 1.3-1.6 1.8-1 3.7-1-.1-.8-1.5 .3 1.3-.8 .3 2.5 .5 5.1-9.2 .5 .2-4.1 6.2-1.5 4-.4-1-2.1-.5-5.2 1.7-6.9 6.1-3.2 5.5-.9 6.1-3.5-.5-5.2 2.2-20.3-14.6-16.9 2.5-.1-2.2-2.8-2.8-1.4 1.4-.3-1.9-20 2.4-.4-.6-5.1 3.5-5.1 2-18.2 2.6-.1-4.5 1.1-.9 1.7 .2 1.1-1.2-.3-2 1.8-2.3 1.6-1 4.2-.7 4.5-4.3 2.3-.5 1.2-2.1-.3-1 .4-.5 .9 .4 2.5-3 .5 1.7 .8 .2 2.7-3.5 1.9-1.1 1.3 .8 1.5-.6 1.3-3.5 1.5-1.3 1.4 .2-.7-1.1 .4-3.6z"},
+        {"name":"North Dakota","abbr":"ND","center":[-100.5,47.4],"box":[384,53,482,115],"path":"M388.9 53l36.2 2.6 48.3 1.5 1.6 5.9-.9 2.5 .3 7.6 3.4 9.8 .3 11.9 .8 .7-.5 5 1 4.2 1.5 2 .4 7.4-44.7-1.2-52.4-3.4 4.7-56.5z"},
+        {"name":"Ohio","abbr":"OH","center":[-82.8,40.3],"box":[643,170,706,242],"path":"M643.2 184.5l18.5-3.1 7.7 3.2 1.2-1.6 5.4 3.1 6.1-3.4 3.8 0 5.4-6.1 9.8-5.7 4.1 24.9-1.9 1.6 1.4 1.8 .3 2.7-1.2 4.9 .3 3.1-.7-.1-.4 3.2 .7 .7-.5 1.9-3.9 4.9-2.4 1.4-1.3-1-1.1 1.4 0 1.4-1.5 .1-.9 1.9 .4 1.5-.9 .4 .9 2.9-.5-.3-.9 1.5-1.1-2.1-1.3-.5-2.1 4.7 1.2 3.2-1.7 1.1 0 2.4-3.9 1.1-2.2-2.3-1.8-.4-1.1-2.9-1.8 .7-1.6 2.3-2.2 .7-3.2-1.5-1.9 1.6-4.5-2.4-3.8 .1-2.1-3.9-1.6-.4-.3-1.1-2.2 1.1-2.3-1.1-.8 .9-5.6-48.5z"},
+        {"name":"Oklahoma","abbr":"OK","center":[-97.5,35.6],"box":[384,278,513,346],"path":"M385.3 278.3l14.2 1.1 54.4 2.3 55.2 .3 .1 9.4 3.1 20.8-.3 33-.5 .4-1-1.1-1.9-.1-1-1.3-1.5 .2-1.6-2.2-4-1.8-1 1.6-3.7 0-1-1.1-3.6 1.9-1.6-1-3.2 1-.5 1.4-1.8-.1-1.1 1.4-.9-1.7-1.2 .1-.4-.9-1.5-.4 .6-.9-1.3-.3-.5 1.4-1 .1-.2-.7-1.6-.1-.5-1.7-1.1 .2 .1 1.2-.9 .9-.7-.3 .6 .6-1.2 1.9-1.2-1.7 .5-.5-.6-1.5-.6 .9-3 .8-.2-1.6-1.5 .2-.5-1.1-1.5-.7-3 2.5-1.3-.6 .3-2-2.1-.3-.3-2.9-.9 .8-3-.9-1.9 1.7-2.4-2-1.8 .5-3.4-1.7-3.1 0-1-3.5-1.8-1.1-.3 1.5-1.8-.8-.9-.1-.4 .8-1.6-.3-3.2-3.7-1.1 .3 1.5-36.5-44.6-2.6 .7-9.4z"},
+        {"name":"Oregon","abbr":"OR","center":[-120.6,43.9],"box":[104,55,224,156],"path":"M137.1 56.8l1 .1 .7 2.6 3.3 .2 2.1 2.6 .5 2.5-.9 5.6 5.6 3.8 6.6-1.3 5.9 1.7 1.4 1 .1 1.3 1.7-.4 2.1 .7 3.8-1 2.7 1.7 2.5 .1 3.6-1 3.9 .4 1.5-.9 5.7 1.2 2-.7 26.2 6.2 1.2 3.7 2.6 2.1 .4 2.6-7.3 9.5-.8 2.8-1.2 1.3-1.7 .4-4 5.8 .5 1.3-.6 .8 3 1.6 .6 1.8-1.3 1 .1 1.9-1.9 3-7.4 33.1-39.9-9.5-55.8-15.8-1.2-2.2 0-3.1 .7-3.5 1.3-2.1-.6-5.6 2.1-2.5 2.4-5.2 3-3 3.6-6.9 5.6-15.1 4.2-8.7 2.4-6.7 .8-5.3 .9-.4 .6-1.6 0-3.2 1.4 2 0-.7 1.9 .6 2.4-.6z"},
+        {"name":"Pennsylvania","abbr":"PA","center":[-77.8,40.9],"box":[701,157,788,213],"path":"M701.1 170.9l4.2-2.9 .7-1.5 .8 .3 3.7-3 .9 5 59.5-11.7 1.8 2.2 2.8 .7 .8 3.5 1.8 2 3.5 .2 .9 1.2-1.6 1.7-1 4.1-1.8 2.6 1.6 1.6-1.4 3.8 .6 2.1 1.9 .3 .6 2.2 1.3 0 4.5 3.8-4.9 4.8 .3 1.1-3.6 2.7-3.5 .4-1.4 2.2-51.5 10.1-14.6 2.5-2.8-17.1-4.1-24.9z"},
+        {"name":"Rhode Island","abbr":"RI","center":[-71.6,41.7],"box":[818,143,831,159],"path":"M828.2 149.4l.9 .1 .9 2.9-.7 .9-1.5-2.7 .8 2.5-1.3 .9 .9-4.6zM821 158.2l.3-2-2.8-10.7 5.5-1.7 1.9 4.2 1.7 .9-.4 1.5-2.1-2.3 .7 2-1.1 0 1.1 1.6-.5 .3 .9 1.9-.4 2.1-4.8 2.2z"},
+        {"name":"South Carolina","abbr":"SC","center":[-80.9,33.9],"box":[680,299,756,357],"path":"M683.6 306.5l5.1-2 5.1-3.5 .4 .6 20-2.4 .3 1.9 1.4-1.4 2.8 2.8 .1 2.2 16.9-2.5 20.3 14.6-2.5 1.4-2.9 3.6-2.2 4.9-.1 4.6-1.8 1.7-.2 1.7-2.6-.1-.8 .7-.4 1.1 .8 .7-3.7 3.5-1.2-.3 1 .8-.1 .9-1.6 1.8-1.8 .6-2.9 2.6-2.2 0 .8 3.2-2.7 1.7-1.3-1.1-.6 .5 1.6 1.4-2.4 2.4-.4 1.6-3.8-.9-1-2.4 .4-.8-1.7-3.2-3.8-2.3-2.3-7.1-4.3-1.8-.5-1.4-3-1.9-.2-2.3-4.6-2.5-1.1-2.1-1.8-1.4-3.4-1.5-3-3.5-3.2-5.8-2 .4-5.6-3.3 0-2 2.7-3.2 0-1.2z"},
+        {"name":"South Dakota","abbr":"SD","center":[-100.2,44.4],"box":[379,109,483,179],"path":"M382.5 127.1l1.7-17.6 52.4 3.4 44.7 1.2-.2 2-3.7 4.1 2.3 3.7 2.5 1 .5 1-.2 33.8-1.9 0-.1 .9 1.1 1-.5 3.2 1.1 .1 .6 1.9-1.1 1.3-.4 3.7-1.3 1.5 2.6 5.3-2.3-.3-1.4-1.9 .4-.9-3.6-1.2-.4-.8-2.1-.2-1.1-1.4-8.6-.6-.8 1.4-1.5 .5-6.1-3.6-.4-1-42.4-1.7-32.9-2.5 3.1-37.3z"},
+        {"name":"Tennessee","abbr":"TN","center":[-86.3,35.8],"box":[574,273,701,318],"path":"M582.4 297.8l1.8-2.3-1.5-2.5 2.4-.1-1.3-1 1.5-1.3-.7-2.3 .8 0 .7 .5 .4-.7 20.2-1.5-.5-3.4 3.2 0 0 .6 61.8-6 29.4-3.9-.4 3.6 .7 1.1-1.4-.2-1.5 1.3-1.3 3.5-1.5 .6-1.3-.8-1.9 1.1-2.7 3.5-.8-.2-.5-1.7-2.5 3-.9-.4-.4 .5 .3 1-1.2 2.1-2.3 .5-4.5 4.3-4.2 .7-1.6 1-1.8 2.3 .3 2-1.1 1.2-1.7-.2-1.1 .9 .1 4.5-19.4 2.4-39.2 3.5-31.9 2.3 .2-.8 1.3 .1 .9-2.1 1.2-.1-.9-.9 .6-.7-1.4-1.3 .8-.2 .4-1.5-.8-.5-.8 .6 .2-.8 1.1-1.1 .6 1.4 .2-2.9 1.7 .7-.5-1.7 1.4-.7-.2-.6-1.2 .1-.4-1 3.8-2.4-1.1-.5 .4-.8 1.3 .3-1.3-2.1z"},
+        {"name":"Texas","abbr":"TX","center":[-99.3,31.5],"box":[321,287,529,491],"path":"M384.6 287.7l44.6 2.6-1.5 36.5 1.1-.3 3.2 3.7 1.6 .3 .4-.8 .9 .1 1.8 .8 .3-1.5 1.8 1.1 1 3.5 3.1 0 3.4 1.7 1.8-.5 2.4 2 1.9-1.7 3 .9 .9-.8 .3 2.9 2.1 .3-.3 2 1.3 .6 3-2.5 1.5 .7 .5 1.1 1.5-.2 .2 1.6 3-.8 .6-.9 .6 1.5-.5 .5 1.2 1.7 1.2-1.9-.6-.6 .7 .3 .9-.9-.1-1.2 1.1-.2 .5 1.7 1.6 .1 .2 .7 1-.1 .5-1.4 1.3 .3-.6 .9 1.5 .4 .4 .9 1.2-.1 .9 1.7 1.1-1.4 1.8 .1 .5-1.4 3.2-1 1.6 1 3.6-1.9 1 1.1 3.7 0 1-1.6 4 1.8 1.6 2.2 1.5-.2 1 1.3 1.9 .1 1 1.1 .5-.4 2 1.8 .9-.7 1.2 .5 .6-.8 2.2 .7 .2 10 .4 19.3 3.6 4-.2 3.3 1.6 1.4 2.4 6.5 1.1-.2 .3 3-.8 .3 .7 1.4-.4 2-2.9 5.4 .8 1.9-1.1 2 1 .8 .3 2.8-.7 1.1 .6 .3-3.6 5.1 1.5 1.9-4.8 1-7.4 3.4-2.2 1.9-.9-.1 1.8-1.9 2.9-1-.9-.8-3.6 .5 1.2-2.8 0-1.2-1-.4-1.8 1.9-.8 .4-.4-.7-1 .7 .4 1.1-.6 .8 1.8 1.2 .3 3.5-3.4 2.5-.9-.3-.1 1.5 .4 .4 5.1-4.1 0-.7 1.5 .2-10.6 8.8-15.7 8.4-6.2 4.7-4.8 4.7-4.9 8.9-1.4 5 .3 6.7 3.1 13.2-2-8.5-1.5-.3 1.1-.4-1.5-5.8 .8-8.6 4.7-10.3 2.7-3.4 8-4.5 .3-1.2-4.3 1.7-.3-1.6-1.1-.2-.6 3.4-2.2 1.9-1.7-1.2-1.9 1-1 1 1.2 .4 1.5-.9 .4 1.2-2.7 3.9-1.1-.9-4-.2-.4 .6 2.3 .3 .1 1.8 1.9 .9-2.7 6.9-1.6 .8-.7-.3 .9-.3-.3-1-2.1 1.7 1.6 .8 2-.6-1.1 8.4 .6 3.7 2.7 6.3-.4 2.3 .4 1.1 2 .5 .1 2-2.2 0-1.2 .5-.4 1.6-1.2-.2-3.5-3.3-4-.9-5.2 .1-4.5-3.2-3.2-.3-2.3-2.4-4.8-.8-2.8-8.4-2.9-3.4 .2-4.2-1.5-1.3 .9-1.8-.3-2.8-1.5-1.5-1.7-.3-2.7-2.8-.8-3.4-1-.3-1.4-2.9-2-.9-1.3-1.8-1.1-3.7 .5-.4-2.5-3.1-.7-3.1-1.5-2.3-.3-2.9-1.5-1.5-.3-1.3-3.4-2.5-.7-1.7-3.1-1.4 .2-1.9-.7 1-1.8-3.6-1.8-.1-.3-.8-2.7 .5-4.2-1.1-1.3 .4-3.9-2-.8 .2-.7 1.7-2-.4-2.7 .6-2.5 3.9-1.7 5.8-1.7 .3-2.3 3.5-2.7-.1-2.3-1.3-1.4-1.9-3.2-1.3-1.7-1.7-3.2-1.1-3.4-3.9-1.2-.2-2.5-2.5-2.3-5.5 0-5.9-2.1-3.1-.6-4.1-4.4-4.1-2.7-1.3-7.9-10.4-3.8-2.3-2.2-5.2-2.2-1.3-1.5-1.7 .5-2.5 55.8 5.2 6.6-84.4 .6 .1z"},
+        {"name":"Utah","abbr":"UT","center":[-111.7,39.3],"box":[223,164,307,269],"path":"M241.5 164.5l40.7 6.9-3 18.7 27.6 4.1-10.2 74.7-73-12.1 17.9-92.3z"},
+        {"name":"Vermont","abbr":"VT","center":[-72.7,44.1],"box":[784,89,810,137],"path":"M784.6 95.9l23.5-6-.4 .6 1 1.2-.9 3.5 1.5 1.9 .3 2.3-2.4 3.5-2.6 1.4 1.1 4.1-.8 6.4-1.4 4.2 1.8 10.4-.8 1.1 0 2.2 1.9 1.9-10.7 2.3-3.4-14.7-1.1-1.2-.8 .3-.1 1.1-.6-.3 .3-3.6-2.4-4.7 .7-4.6-.5-3.1-2.1-3.2 0-3-.8-.7-.3-3.3z"},
+        {"name":"Virginia","abbr":"VA","center":[-78.9,37.5],"box":[671,212,789,278],"path":"M782.9 232.6l.4-1 5.4-1.8-1 3.2-1.4 .5-.7 1.4-.5 6.8-1.4 3.3-.1 2.4-1.5 1.4 .3 .5-2-4 1-9.3 1.5-1.7-1.1-.6 1.1-1.1zM693.7 256.8l.6 .4-.7 1.2 .9 .2 .3 1.4 4.1 2.4 1.7-.4 2.5-2.8 2.3 1.6 4.2-2.1 .8-.9-.3-1.5 1.5 .9 3.4-2.7 .7 1 2.3-2-.6-1 1.3-1.4-1.3-1 .4-1.3 3.2-5.8 .3-2.9 1.6-1.9-.4-.7 1.3-2.6 .1-3.1 1.7 .5 1.2 1.6 2.5 .4 1.1-1.8 1.9-7.2 2.1 1.3 .6-2.2 2.5-2.2 2.1-4.3-.6-.5 .9-3-.5-2.2 8.4 4.8 .8-3.8 2.3-.1 1.8 1.1-.5 2.2 4.2 1 .1 .7 2 .6 1.4 .9 .3 1.5 .2 1.4-.9 1.8-1.7 .3-.4 2.8 .3 2.1 1 .8 2.9-1.9 1.8 3.2 3.7 .7 1.5-.5 1.9 1.9 4.6 1.7-.8 1.7 .2 2.9 .7 .3-.9 .7-1.8-.7-.4 .5-1.6-2.1-5.4-2.8 5 3.4 1.6 2.1 3.7 .3-.6 1.2 1.4 .1 .5 3.2-2.3-1.2-.4 .7 1.8 1.4-2 .9 .5 .6 1.1-.4 .1 1.2 1.7 .3 .3 2.3-1.7 1-3.3-2.2-.8-1.8-1.5 .9-1.9-1-1 .8 3.2 .9 .7-1.1 1.1 2.9 2.8 1.1 .2 1 1.8-.9 .7 .6-.5-1.3 .9-.3 2.7 .5 1.4-.6 3.3 6.5-53.1 10.5-31.9 4.4-29.4 3.9 7.5-3.7 .7-2.3 2.8-1-.1-1.7 1.9-1.5-.2-1.3 5-3.6 4.9-5.9z"},
+        {"name":"Washington","abbr":"WA","center":[-120.4,47.4],"box":[130,10,230,84],"path":"M155.5 40.8l1.4-2.5 .6 2.5-1.2 .5-.8-.5zM157 24.5l2.1-2.7 1 .4 .4 2-1.4-.4-1.5 .7 1.4 1.4-.3 3.2 .5-1.4 1.5 1.6-.7 2.3-.7-1.8-1 .1 .2-3.6-1.5-1.8zM153.7 16.4l1.3-.1 1.1 1.5-.5-1.3 2.1-1.1 1.8 1.5-1 .5-.9 3.4-.9-.1-2.8-2.6-.2-1.7zM229.9 28.5l-11.1 47.6 .9 4-1.1 1.3 .5 1.8-26.2-6.2-2 .7-5.7-1.2-1.5 .9-3.9-.4-3.6 1-2.5-.1-2.7-1.7-3.8 1-2.1-.7-1.7 .4-.1-1.3-1.4-1-5.9-1.7-6.6 1.3-5.6-3.8 .9-5.6-.5-2.5-2.1-2.6-3.3-.2-.7-2.6-1-.1-1.9-1.4-2.2 .5-1.4-1.9-1 .6 2.1-6.5-.7 4.8 .8 .2 .2-2.2 .4 .7 1-1.1-.3-2 2-1-.6-.8-1.8 .3-.7-.9 .3-3 .5 .8 3.2-.6-2.7-2.6-.6 1.7-.8 .1 1.1-3.7 .2-2.9-.6-1.5 .8-7.2-1.6-3.4 0-1.8 .2-3.5 1.8-2.7-.3-1.2 7.6 6.7 8.5 3.5 1.7-.7 .7 2 1.5 .3 0 1.8 .8-.7-.2-1.3 1.6-.2-.8 .9 .2 .9 1.1-.8-.1 1.6-.7 0 .8 2.5-1.2 .1-1.9 2.6-.6-.1 .8-1.9-6.5 6.9 3.1 .2 .3-.5-2.2 .4-.6-.7 2.9-2.9 3-.8 1.5-2 1.7-.6 0-1.6 .8 .9-.2 3-1-.3 .2 2.2-2.5 6.1-1 1-.8-1.6 .8-1.3-.9 .4-.6 .9 1 1.7-1.3 1.1-.9-2.8 1-1.3-1.2 1-.5 1.9 1.9 1.7 2.9-3.3 .8 1.2 1.9-1 0-4.4 1.1-.3-.8-1.2 2.9-4.7 1.1-.2-.7-5.1-1.2 .4 .6 2.7-1.3-1.8 .4-2.2 1.5 .4 .3-1.3-1.1-2.5-1.4 .1 .2-1.2-.6 .1 1.4-.7 1.5 1.4 .1-1.8 1.1-.3-.4-3.5-1.4 .3 .2 .8-.7-.8 .6-.8-.8-.4-.4-3.3 1-.6 32.6 9 36.2 8.7z"},
+        {"name":"West Virginia","abbr":"WV","center":[-80.6,38.6],"box":[682,195,749,263],"path":"M682.2 241.6l3.9-1.1 0-2.4 1.7-1.1-1.2-3.2 2.1-4.7 1.3 .5 1.1 2.1 .9-1.5 .5 .3-.9-2.9 .9-.4-.4-1.5 .9-1.9 1.5-.1 0-1.4 1.1-1.4 1.3 1 2.4-1.4 3.9-4.9 .5-1.9-.7-.7 .4-3.2 .7 .1-.3-3.1 1.2-4.9-.3-2.7-1.4-1.8 1.9-1.6 2.8 17.1 14.6-2.5 1.6 9.6 2.4-2.2 2.2-3.8 2.1 .3 1.8-3.8 2.1 1.3 2.7-.2 .6-.7-.5-.7 .6-.1-.6-.4 2.1-.5 1.1-1.6 2.8 1.2 2.5-.5-.7 1 1.9 1.5 1.3 2.4-.8 3.8-8.4-4.8 .5 2.2-.9 3 .6 .5-2.1 4.3-2.5 2.2-.6 2.2-2.1-1.3-1.9 7.2-1.1 1.8-2.5-.4-1.2-1.6-1.7-.5-.1 3.1-1.3 2.6 .4 .7-1.6 1.9-.3 2.9-3.2 5.8-.4 1.3 1.3 1-1.3 1.4 .6 1-2.3 2-.7-1-3.4 2.7-1.5-.9 .3 1.5-.8 .9-4.2 2.1-2.3-1.6-2.5 2.8-1.7 .4-4.1-2.4-.3-1.4-.9-.2 .7-1.2-.6-.4-2.2-.1-2.9-1.7-1-2.1-2.7-2.4 .4-.9-2.9-2.6 .6-2.5-.8-2.9z"},
+        {"name":"Wisconsin","abbr":"WI","center":[-90,44.6],"box":[529,91,609,177],"path":"M607.1 119.4l.2-1.3 1.5 .1-.9 2.1-.8-.9zM555.5 92l1.5-.7 1.3 1-1.4 1-1.4-1.3zM555.5 96.5l2.1-1.8 .7 .4-1.3 .6 .2 .6-1.7 .7 0-.5zM539.9 98.7l2.5 .2 3.9-1.5 8-4.2 1.6 1.3-1.6 2.6 .5 1.1-1.2 1.9 2.5-1.1 .2-.9 2.7 2 1.5 .1 .9 .5 1.7 .6 1.5 3 13.5 2.8 5.8 2.3 2-.7 5.4 1.4 .4 1.1-.7 .9 3.4 .9 1.4 1.4-.5 .2 .7 1.2-.5 4.8 2.5-.7-.9 3.3 2.1 1.7-.3 2.3-2.6 1-1.6 4.1-.6 3 1.6 .4 3.7-6 2.2-1.2 .8 .4-.4-.7 1.7-5.1 1.5-.5 .7-2 1-.1-.5 3.9-.9 .6-.8 3.5-1.3 1.7-1.6 4.7-.7 4.4 .6 2.6-1.5 1.5-.9 4.3 .7 3.7-2 8.6 .6 4.1 2.1 4.2 0 5.5-38.8 2.4-1-2.3-4.9-1.7-1.3-3-.7-4.3 1.5-2.2-2-1.8-.4-2.8-.9-3.3 .3-1.8-2.8-4.2-1.9-.4-4.1-3.1-1.5-3-3.5-1.3-1.2-1.8-2.9-.4-3.7-3.6 .7-3.2-.8-2.2 .7-1-.3-3.4 1.4-2.8-1.1-1.9-2.1-.6 .2-2.7 1.8-3.2 3.5-2.6 1.1 .1 .7-1.1-.4-11 1 .2 .1-1 1.5-.9 1 .8z"},
+        {"name":"Wyoming","abbr":"WY","center":[-107.6,43],"box":[279,115,383,202],"path":"M382.5 127.1l-3.1 37.3-3.2 37.5-30.1-2.8-39.3-4.9-27.6-4.1 3-18.7 7.3-45.8 1.5-9.7 51.8 7.2 39.7 4z"}
+    ],
+    COUNTRIES: [
+        {"name":"Afghanistan","center":[66.1,33.9],"box":[632,126,667,155],"path":"M645 129.6l3.4 .7 .8 .4 1.6-1 1 .6 .5-1.4 1.5 0 1-2.7 1.5 .7 1.1 3.6 1.3 1 2.9-2.3 4.3 .2 .7 .9-7.8 1.9-1.1 1.4 1.5 2.8-1 1.3-.1 2.3-2.4 0 1.4 2-1.5 .8-.7 1.8 .5 1.9-.8 .9-2.9 .1-.1 .9-1.9 0-1.1 1.7 .4 2.6-3.1 1.3-6.3 .5-4.5-1.6 1.8-2.8-.5-2-2-.5-1.8-4.4 .8-1.7-1.2-.5 .6-6.1 2.8 1.2 1.8-.4 .3-1.4 3.1-1.4 0-2.5 1.9-.6 .2-1.1 2.1 .9z"},
+        {"name":"Albania","center":[20,41.1],"box":[527,113,532,123],"path":"M531.4 118.9l-1.9 3.7-1.9-1.9-.5-5 .7-2.4 .9 .3 1.4 2.2 .2 2.4 1.1 .7z"},
+        {"name":"Algeria","center":[2.6,28.2],"box":[457,130,512,187],"path":"M457.7 160.5l.1-.8 0-3.7 4.2-2.3 4.7-1.3 1-1.6 2.9-1.2 .2-2.3 2.6-1.4 3.3-.5 .5-1.2-2.6-7.8 9-4.4 9.6-.4 2.3-1.2 5.4 .5 0 4.5-.5 2.6-1.5 1.7 .3 2.3 3.7 3.9 1.2 5.5 1.1 4.2-.2 7.6-1 1.3 2.6 5.3 1.2-.6 3.3 3.4-16.3 12-3.6 1.4-2.9 .3-.1-2-2.8-1.4-.6-1.4-17.5-13.5-9.6-7.5z"},
+        {"name":"Angola","center":[17.5,-12.3],"box":[510,258,544,301],"path":"M514.5 259.7l-2.2 3.1-.7-2.3 1.9-1.8 1 1zM512.7 263.8l2.8-.8 7.9 .1 2.9 6.7 2.7-.7 1.4 .5 1.1-2.6 1.8-.6 1.4 0-.3 1.1 3.2-.1 .3 6.9 .9 1.2-.2 3.6 4.6-.5 .2 6.1-5.5 0-.4 9.8 3.4 4.5-4.9 1.2-6.3-.4-1.8-1.5-11 .4-1.6-1.4-4.5 1 1.3-8.8 1.5-4.1 2.4-3.3 .3-2.3-2.2-6.6 1-1.9-2.4-7.5z"},
+        {"name":"Argentina","center":[-65.1,-35.2],"box":[301,312,343,415],"path":"M322.6 406.6l3.3 3.6 7 2.5-.6 1.4-2.1 .2-1.5-1.1-3.8-.1-2.3-6.5zM333.4 338.3l-.2 11.4 .1 1.6 3.6 2.7 0 2.1 1.8 1.4 .2 1.5-1.7 3.9-3.3 1.7-7.6 .3 1.7 5.7-1.2 1.1-2.4 .4-2.6-1.1-.8 .8 1.1 3 1.8 .9 1.1-.9 1.1 1.6-2 .9-1.4 1.9 .3 4.7-2.3 0-1.4 1.6-.1 2.2 3 2.2 2.4 .6 0 2.7-2.3 1.7-.4 3.5-1.8 1.2-.5 1.4 1.8 3.1 2.1 1.7-1.1-.2-7.9-.8-2.3-4-1.5 .2-1.2-1-1.3-3.2 1.4-1.3-.5-10-.8-1.8 .9-.6-1.9-1.7 .5-1.3-1.5-1.2-1.5-3.5 .8-.6-1.4-3.7-.2-5.9 1.2-1.1-2.1-5.9 1.4-2-.6-2.6 .8-3-.5-2.9-3-5.9 1-3.2-.8-3 .5-2.8 2.7-4.8-1-1.2-.4-6.2 2.6-1.5 .1-4 1.8-2.8 3.5 .8 1.8 2.2 .7-2.5 3 .1 .5 .7 5.3 5 2.2 .5 6.2 3.5 .6 1.4-2 4.7 5.7 1.3 1.9-.5 2.1-2.4 .1-2.7 1.2-.6 1.5 1.8 .2 2.5-3.5 2.9-5.3 7.3z"},
+        {"name":"Armenia","center":[45,40.2],"box":[586,117,595,126],"path":"M594.7 125.3l-.9 .1-1.3-2.3-2.5-.7-3-1.7-.6-2.6 3.3-.4 2.8 3.1-.6 1 2.4 1.3 .4 2.2z"},
+        {"name":"Australia","center":[134.4,-25.6],"box":[768,277,875,380],"path":"M841 371l1.4 .2-1.8 3.6-3.1 3.5-.4-.8-2.8 2.1-1.9-.2 .8-7.3 .8-1.4 3.2 1.3 3.8-1zM798.9 344.5l-5.7 2.3-2.4 2.8-9.6 .3-5.8 3.4-3.5-.1-3.1-2.6 .6-1.8 2.1-1.1 1.2-3.3 .6-8.5-1.6-10.3 .8 1.3-.1-2.9 1.5 2.1 .3-1.6-1.1-4.3 3.7-8.1-.3 2.3 1.6-2.1 6.1-3.5 1.8 .1 5.2-2.4 4.4-.8 4.5-4.6 .7-2.9 2.2-2.7 .7 2.7 1.2-.6-.7-1.5 1.1-1.5 1 .7 .7-2.4 4.1-4.1 1.1 .4 .2-.8 2.5-.9 3 3.3 3.2 .3-.3-1.7 3-3.3-.4-.7 1.4-1.8 1.8-1.1 3.6-.2 .1-1.6-1.8-1 1.5-.4 2.9 2 4.4 1.4 3.3-1.2 1 1.5-2.1 2.9-.9 .1 .1 1.3-2.1 3.9 6.4 5.6 1.9 .8 .2 .9 2.3 1.1 2-1.1 3.5-7.2 1.2-8.1 2.9-5.4 1.8 6.7 .2 5.3 1.9-1.2 1.7 2.5-.5 1.4 .7 10.9 5.3 4.4-.5 .8 1 1.9 .1 3.4 1.3-.7 .6 1.3 .8-.4-.5 3.2 3.4 5.6-.1 2.5-1.4 3.7 .3 2.6-5.9 11-11.8 12.5-3.4 5.4-2 1-2.8 .2-6.8 3.7-2.6-1.9 1.2-1.6-4.9 2.8-6.2-2.4-.7-1.9 .7-3.9-.7-1.3-2.2-.3 1.4-1.5 .3-2.3-2.1 2.1-2.4 .6 4.7-5 .7-2.3-5.1 3.7-2 2.4-1.4-1.2 .7-1.7-1.6-3.4 .8-.7-6.2-3.5-4.7 .3-6.9 2.2-2.3-.2z"},
+        {"name":"Austria","center":[14.1,47.6],"box":[502,94,520,102],"path":"M520 96.8l-.1 1.2-1.3 0 .5 .7-.7 1.9-3.6 1.3-2-.3-3.4-.7-.6-1.1-2.6 1.1-1.4-.4-2.3-.6 .2-1.3 1.9 .7 .3-.8 3.8-.5 1.9 .8-.3-2.5 1.6-1.8 1.8 1 2-1.5 4.1 1.4 .2 1.4z"},
+        {"name":"Azerbaijan","center":[47.7,40.3],"box":[589,115,604,127],"path":"M592.9 115.8l3.8 2.2 1.5-2.1 3.2 3.8 2.1 1-2 .3-.3 3.4-.7 .7 .3 1.6-2.4-1.5 .6-1.5-.9-.9-3.4 2.5-.4-2.2-2.4-1.3 .6-1-2.8-3.1 .5-.5 3.3 1-1.2-2 .6-.4zM593.8 125.4l-1.7-.4-2.1-2.6 2.5 .7 1.3 2.3z"},
+        {"name":"Bahamas","center":[-77.9,24.5],"box":[277,167,280,172],"path":"M278.3 167.2l.7 .2 .5 2.5-.2 1.8-.7 .2-1.2-2.7 .9-2z"},
+        {"name":"Bangladesh","center":[90.3,23.8],"box":[707,163,722,182],"path":"M720.8 177.1l.4 2.2-1-.5 .5 2.5-3.5-6.5-2.4-.1-.1 3-3.3-.7-2.1-4.9 .1-1.8-1.8-.9 1.8-2.2-2.2-1.7 .5-2.1 3.6 1.5 .6 2.2 6.5 .9-.7 2.6-1.1 .2-.5 1.7 1.7 1.6 .1-1.9 .7-.1 2.2 5z"},
+        {"name":"Belarus","center":[28,53.5],"box":[533,73,555,88],"path":"M543.1 73.1l2.9 1.4 3.4 .4 .1 2.1 2.7 3 2.4 1.3-3 .8 1.5 2.8-1.9 .2-.6 2.2-12.3-1.8-4 1-1.1-2.7 1.3-.6-1.1-3.6 2.2 .1 2.3-1.1 .3-1.7 1.8-.9-.4-1.3 3.5-1.6z"},
+        {"name":"Belgium","center":[4.6,50.7],"box":[485,86,495,93],"path":"M494.3 88.8l-.2 2-.6 .1-.2 1.7-2.1-1.4-1.2 .2-2.8-2.5-1-.1-.4-1 1.9-.6 3.8-.4 2.8 2z"},
+        {"name":"Belize","center":[-88.7,17.2],"box":[245,187,250,197],"path":"M246.4 190.1l2.5-2.1 .5 .5-1.4 5.6-1.7 2-.8 0 .9-6z"},
+        {"name":"Benin","center":[2.3,9.6],"box":[482,207,490,227],"path":"M487.1 225.7l-2.1 .4-.7-2.1 .1-7.1-.6-2.1-1.8-2 .4-1.7 3.3-2.9 1.8-.9 2 1.8 .3 4.9-2.6 4.8-.1 6.9z"},
+        {"name":"Bhutan","center":[90.5,27.4],"box":[707,157,717,163],"path":"M715 159.3l1.2 1 .2 1.9-5.8 .4-2.7-1.8 2.4-3.1 4.7 1.6z"},
+        {"name":"Bolivia","center":[-64.6,-16.7],"box":[296,275,330,316],"path":"M296.1 278.7l3.4 .2 4.1-3.3 3.4-.6 .1 5.6 3.1 2.8 3 .5 4.1 2.6 3.2 .9 1 4-.8 .1 1.3 3.6 5 .1 .2 3 1.5 .9 .7 1.9-.8 3.8 .4 1.7-.7 .7-.2-1-2.6-1.6-6.9 .9-1.4 8.1-.5-.7-3-.1-.7 2.5-1.8-2.2-3.5-.8-1.8 2.8-1.8 .4-3.4-7.7 .5-3-1.5-1.3-2.1-4.3 1.3-3.4-1.3-2.6 .5-1-.6-1.2 .9-1.5 .3-5.8-2.6-5z"},
+        {"name":"Bosnia and Herz.","center":[17.8,44.2],"box":[517,105,528,114],"path":"M525 113.4l-2.2-1.2-5-5.4 .4-1.3 .9 .7 1.6-.7 4.9 1.1 .8 0-.5 1.4 1.3 1.1-.8 1.6-1.2 1-.2 1.7z"},
+        {"name":"Botswana","center":[23.8,-22.1],"box":[531,299,557,328],"path":"M556.5 313.1l-6.3 4.6-1.8 3.2-1.4 .3-.8 2.4-3.8 .6-2.3-1.3-4.6 4.6-1.8 .3-.2-3-2.1-3.4 .3-9 2.6-.2 .4-11 6.1-1.1 .9 1.2 4-1.9 .5 .2 2.2 4.8 2.8 3.4 1.1 .4 .6 3 2 .5 1.6 1.4z"},
+        {"name":"Brazil","center":[-53.1,-10.8],"box":[283,228,388,350],"path":"M345.8 349.3l-1-1.8 .9-1.4-1.7-2.2-9-6-1.6 .4 5.3-7.3 3.5-2.9-.2-2.5-1.5-1.8-1.2 .6 .2-5.3-2.9-.2-1.5-5-1.8-.8-1.1 .6-2.8-.6-.2-4.2-.9-1.7 .7-.7-.4-1.7 .8-3.8-.7-1.9-1.5-.9-.2-3-5-.1-1.3-3.6 .8-.1-1-4-3.2-.9-4.1-2.6-3-.5-3.1-2.8-.1-5.6-3.4 .6-4.1 3.3-3.4-.2-2.7 .2-.1-4.7-2 1.8-2.4-.1-1.1-1.6-1.7-.2 .5-1.3-2.8-4.6 .6-1.9 1.5-.9-.3-1.7 .8-2.5 5.5-3.1 2.4 .1 1.1-9.7-1.6-2.9 0-2.3 2-.2 .1-1.1-1.5-.3 0-2 5.1 .1 .9-1.1 1.3 2.8 .5-.4 1.4 1.7 2.1-.2 5.8-4.4-.1-.6-2.3-.3-.2-4-1.1-.8 4.5 .9 5.7-2.4 1-1.1-.3-.9 1.4-.1 .6 .7-.4 1.3 1.5 1.9-1.2 3.7 .8 3 2.9 1.6 3.2-2.1 2.2 .2 1.4 .2 .1-2.1 3.8 .6 4.2 .6 3.5-6.3 .9-.1 2.1 7.1 1.4 .5 .1 2.1-2 2.5 .8 .9 4.7 .5 .1 3.1 2-2 7.8 3 1.3 1.8-.4 1.7 3.1-1 5.1 1.7 4-.2 4 2.6 3.4 3.4 4.3 1 1 1 1.5 5.8-1 5.1-8.9 12.5-.7 2.3 .5 5.8-.7 6.7-.7 1.3-.2 4.1-2.4 4-.2 3.2-2 1.4-.5 1.8-6.8 1.2-4.5 2.3-2.8 2.5-1.9 3 0 8.7-1.6 1.7-2.2 5.5-3.4 3.9-.7 2.9-1.4 1.8z"},
+        {"name":"Brunei","center":[114.9,4.7],"box":[783,228,787,233],"path":"M786.6 228.2l-.1 3.5-1.3-.1-.5 1.1-1.3-1.6 3.2-2.9z"},
+        {"name":"Bulgaria","center":[25.2,42.8],"box":[534,108,549,118],"path":"M534.5 108.5l.8 1.3 6.4 .4 3.8-1.5 3.4 1.4-1.8 3.5 1 1.7-2.2-.4-2.4 1 .2 1.5-2.2 .3-1.8-1.1-3.7 .8-.4-2-1.3-1 1.3-2.7-1.3-1.4 .2-1.8z"},
+        {"name":"Burkina Faso","center":[-1.8,12.3],"box":[465,198,486,216],"path":"M465.7 213.1l.5-4.2 2.1-2.5 1.1-2.9 1.3 .4 1.1-.6 2.9-3.1 2.5-1.3 3.8 .1 .1 2.9 1.5 2 .1 1.5 3 .7 0 2.1-3.3 2.9-2.3 0-7.9 .2 .3 4-1.8-.8-2.2 .9-2.8-2.3z"},
+        {"name":"Burundi","center":[29.9,-3.4],"box":[557,252,562,259],"path":"M561 252.4l.7 2.9-2.6 3.4-1.2 .1-.7-5.1 1.6 .3 .8-1.8 1.4 .2z"},
+        {"name":"Cambodia","center":[104.9,12.7],"box":[749,200,764,213],"path":"M750.9 207.5l-1-3.7 1.4-2.6 3.3-.6 2.6 .4 2.3 1.3 .9-2.2 2.5 1.2 .9 2 0 3.7-4.2 2.4 1.4 1.9-2.8 .2-2.1 1.2-2.3-.4-2.9-4.8z"},
+        {"name":"Cameroon","center":[12.6,5.7],"box":[502,205,523,240],"path":"M518.3 205.4l1 2 .2 4.1 1.4 2.8-3.4-.1-.5 1.4 2.7 2.3 1.2 3.4-.4 .9-1.9 3.6-.1 4.6 3.7 5.3 .4 2.3-.2 1.7-4.3-1.6-3.3-.1-4.8 0-4.3 0 .3-2.5-3.4-5.2 1.9-5.1 2.3-1.9 2.5 1.3 1.9-1.1 4.7-11.7 2.2-2.4 .4-1.6-1.1-1.2 .1-1 .8-.2z"},
+        {"name":"Canada","center":[-101.6,57.7],"box":[173,4,373,117],"path":"M192.1 94.2l-4.1-4.3-3.5-1.2 .3-2.6 1.5-1.8-2.1-1.3 1.1-2.3-1.3-2.2 .9-1.5 3.5-3.2-2.6-1.8 .3-5.3-1.6-2.4 0-1.5-6.3 2.5-1-3.1-3.5-.9 23.3-25.4 6.9 2.2 6.1-1.9 2.6 .3 8-1.8 .4 1.1 3.6-1.9 1.1 .3 1.3 2.3 4.3-1.7-1.5 1.9 4.2-1.1 2.4 .1 6 2.1 4.5 .2 1.7 1.4-3.9 1.3 3.3 .5 7.8-.7 1 1.5 3.2-1.3-1.2-1.1 2-.9 4.3-.4 2.2 2.1 2.4-.2 2.8 1.1 6.4-.3 .9-1.6 2.1-.5 2.5 .9-1.6 2.5 2.7-2.1 1.6 0 2.6-2.6-2.7-2.6 2.2-2.9 3.6-1.8 2.3 .4 1.2 1.1 .8 2.9-2.6 1.3 3.4 .5-1.7 2.7 4-2.1 1.3 1.7-1.8 1.9 .9 1.8 6.1-4.1 1.9-2.9 5.5 .6 1.9 1.3-.6 1.3-2.3 1.4 .6 1.4-.9 1.3-5.1 1.8-3.1 .4-1.7-.8-6 4.8-3.4 1.9-3.2 .1-2.3 1.2-1.1 1.8-2.7 .3-8 5.4-4 5.5 2.9 .4-.5 4.9 3.4-.6 3.6 1.2 2.6 2.5 4.3 2 6 .4-1.5 2.6-.5 2.9 .3 3.3 2.3 2.8 2.2-1 2.4-3 .7-4.6-1-1.6 4.2-1.3 5.4-4.1 .7-1.9-.5-2.4-1.7-2.1 3.9-3 1.5-6.9 1.8-.6 5.4 1 2.1-.7 3.5 2.5 .2 1.1 3.8 .2-1.8 5.9 1.9 .5 .9 1.6 3.8-1.5 5.2-4.4 3.6 9.5-1.5 1.8 3.9 3.3 4.6 1.7 .1 2.4 1.7 .4 .6 1.1-.8 3.3-3.9 2.2-4.1 1-3.6 2.5-14.8 0-2.6 2.1-3.4 1.4-8.2 6.7 2.2-.5 4.9-3.9 5.7-2.5 3.6-.3 1.7 1.4-2.8 2 0 5.6 2.6 1.5 4.1-.5 3.3-3.4-.4 2.2 1.2 1.1-11.9 5-3.2 2.2-1.8-.2 .6-2.6 4.8-2.5-6.6 .5-1.1-1.7 1.2-4.1-.8-.9-1.8 .5-.5-.8-5.2 6-2.4 1.4-8 0-6 4.2-4.6 0-1.2 .5 0 1.8-10.2 3.7-.8-1 3.9-4.8 .8-5.4-2-1.5 .5-.5-.9-.4-.2-1.2-1.2 .3-.1-1.4-6.7-4.3-2.4 .9-3.4-.8-2 .4-5.7-1.6-.2-2.1-.8 0-.5 1.2-64.9 0zM300.5 55.4l2.3-1.3 2.9 0-3.6 2.1-1.5-.1-.1-.7zM324.5 28l-1.3-1.3 1.7-1 4.2 .2 2.5 1.4-.2 .7-6.9 0zM301.5 22.7l-1.7 .9-4.5-.8 5.2-1.8 1 1.7zM303.3 13.7l1.4 .8-1.3 .9-3.1 .4-1-.5 .8-1.8 3.2 .2zM310.9 24.1l-7.4-1.1 1.1-2.5-1-1.1-5.2-1 1.5-1 8.8 .9 1 .8-1.1 .9 2.5 1.1 12.5-.4 2.9 .2 1.5 .9-.3 1-4.8 1.2-12 .1zM275.2 15.1l2.3 .4-1.4 .7-4.1 .7-2-.8 5.2-1zM351.5 87.3l-4 4.4 1.8-1 1.4 .7-1.1 1 1.9 .8 1.2-.7 2.1 .9-1.2 2.2 1.7-.5 .3 3.5-1.6 2.6-2.6-.5 1.1-2.4-.5-.4-3.4 2.6-1.4-.1 2-1.4-2.1-.7-7.1 0-.1-.8 1.7-1.1-.8-.8 2.4-1.8 3.7-4.8 4.2-2.7 1 .2-.6 .8zM304.6 48.1l3.8 1.8-.5 1.3 1.7-.2 1 .9-2.3 .8-3-.6-.5-1.2-6.7 2.8 .2-1.6-3 .3 2.6-1.4 3.5-4.6 1.4 .3-.3 1.1 1.3-.4 .8 .7zM325.8 29.2l2.4-1 5.7 2.5-.4 1.1 4-.6 1.2 1.6 4.3 1 1.2 1.1 .7 2.4-4.3 1.2 7 2.3 1.9 2.5 3.1 .1-1.4 1.9-4.9 3.1-2.1-1.1-2.2-2.6-2.8 .3-.9 1.6 4.3 3.5 .3 2.7-1.6 2-6.7-3 3.5 4.1-.1 .9-9.2-2.7-2-1.3 1.1-.8-4.9-2.7-.4 .8-6.2 .4-1.4-.9 2.4-2 8.4-.4-.2-1 1.4-1.3 3.9-2.6-.3-2.1-6.1-2.1 1.7-.7-1.3-1.6-2.7-1-5.4 1.1-13.7-1.8-1-.9 2.8-1.1-2.8-.1 1.1-2.5 5.7-3.3 5.5-.7-2.5 1.7 .5 1.5 3.1-2 5.6-1 1.7 2.6-1.3 1.6 4.3-.7zM298.3 24.7l7.1 .7-10.5 4.6-2.2-.1 1.3-3.4 4.3-1.8zM248.6 19.9l10.6-3.3 5.7-.3-4.5 2.6-9.8 1.5-2-.5zM178.5 79.3l2.3-.3-2.9 3.4 .5 2.3-.9 0-1-3.6 1.2-2.2 .8 .4zM288.6 12.5l7.3 1.2 .1 2-9-1.1 2.4-.7-1.6-.5 .8-.9zM189.7 95.6l-1.4 .4-3.1-1.3-1.5-3-2.1-.5 .1-1.6 .6-.7 5.2 1.4 .5 2.4 1.6 1.3 .1 1.6zM247 24l7 .6 2.4 1.8-9.4 2.4-5 2.8-6.4 1.3 0-1.2-3.3-1.3 8.2-4.5-.4-1.6 6.9-.3zM276.3 20.6l4-.3-2.9 2.3-12.6 1.4-3 .1 .5-.8 5-1.1-11.1-.1 7.3-3.1 4.5 .8 2 1.5 3.2 .2-.6-2.3 2.6-.9 1.6 .3-.5 2zM272.9 27.4l1.4 1-1.5 4.2 5.1 2.5-1.1 1.2-3.4 .2 .5 1-1.3 .9-6.3-1.1-16.2 1.7-.1-1.2-4.2-.5-.8-2 10.7-1.1-10.6-.4-.2-1 5.5-1-6-.6 5.6-2.9 6.6-1.5 1.6 .4-2 1.2 5-.7 1.6 1.2 3.3-1.3 1.1 .9-.5 2.4 1.9-1 .7-2.6 3.6 .1zM284 28.3l-.8-1.7 3.2-1.2 5.6 .3 0 .7-2.8 1.2 2.2 1-2 2.3-5.7 .8-4.1-2.9 .7-.8 3.7 .3zM273.9 26l3.7 .5-3.1 1.6-1.6-1.7 1-.4zM295.7 18.5l.5 1.1-3.3 3-3.3 .3-1.8-.4 1.3-1.4-3.3 .1 1.5-1.8 8.4-.9zM308.7 9.7l3.9-.8-.2-.4 4.2-.1 1.1 1.1 5 .8 .1 1.5 1.5 .7-7.9 2.3-6.9-.1-1.2-.9 2.8-1.4-3.3 0-1.3-.7-.1-1 2.3-1zM319.5 7.1l12.4-1.5 3.3 .6 2.5-1 6-.5 11.3-.2 17.8 1.1-12 2.3 3.8-.1-8.5 1.9-4.5 1.8-11.1 1 2.3 .3-1.6 .4 .7 1.1-10.3 3-.1 .6 3.2-.1-.3 .5-6 1.5-16.3-.7 .7-1.2 3.8-.5 .5-1.7 5.4 .9-1.3-1.5-2.7-.5 7.2-2.1-1.8-.9 .3-1.1 6 .3 3.5-.8-10.2-.1-2.4-.7-2-1.5 .4-.6zM325.9 41.9l-4.1 .9 .2-1.3 1.6-1.5 2.1-.3 1.2 .7-1 1.5zM286.4 36.5l.5 1-1.8 .9-2.2-.8-1.9 .3-1.9-1.2 4.5-1.9 2.8 1.7zM329.5 91.6l3.8 .5 1.9 1.7-3.9-.8-1.8-1.4zM328.3 100.1l.4 1.4 3.9 .3-2.5 1.5-2.6-1.3-.4-1 1.2-.9z"},
+        {"name":"Central African Rep.","center":[20.4,6.5],"box":[518,210,553,239],"path":"M552.7 228.9l-4.6-.1-2.2 1.1-1.1-.6-2.9 1.5-1.2-.3-1.2 2.1-3.9-.9-3.9-2.2-2.4 2.6-.3 2.1-3.5-.7-2.9 4.5-.4-2.3-3.7-5.3 .1-4.6 1.9-3.6 7.1-1.5 2.5-2.3-.3-1 3.4-.1 2.4-1.5 1.9-3.3 3-1.8 1.8 3.2-.1 3.5 2.9 2.3 7.6 9.2z"},
+        {"name":"Chad","center":[18.6,15.3],"box":[515,172,543,223],"path":"M542.3 184.7l.5 12.2-2.3-.2-1.8 4.2 .6 .7-.8 1 .3 1.2-.9 2.4 .9-.1 1.7 4.6-3 1.8-1.9 3.3-2.4 1.5-3.4 .1 .3 1-2.5 2.3-7.1 1.5 .4-.9-1.2-3.4-2.7-2.3 .5-1.4 3.4 .1-1.4-2.8-.2-4.1-1-2 .2-1.4-1.7-.1 0-2-1.1-1.1 1-4.1 3.3-2.9 1.5-11.6-2.2-2.9-.8-4.8 2.6-1.7 21.2 11.9z"},
+        {"name":"Chile","center":[-71.7,-37.3],"box":[295,299,329,416],"path":"M322.6 406.6l2.3 6.5 3.8 .1-.3 1.2-1.6 .9-7-1.6-6.4-3.2-4.4-3.3 9.5 3.6 .7-3.3 1.7-1.2 1.7 .3zM297.6 299.2l2.1 4.3 1.5 1.3-.5 3 3.4 7.7 1.8-.4-.1 4-2.6 1.5 .4 6.2 1 1.2-2.7 4.8-.5 2.8 .8 3-1 3.2 3 5.9 .5 2.9-.8 3 .6 2.6-1.4 2 2.1 5.9-1.2 1.1 .2 5.9 1.4 3.7-.8 .6 1.5 3.5 1.5 1.2-.5 1.3 1.9 1.7-.9 .6 .8 1.8 .5 10-1.4 1.3 1.3 3.2 1.2 1 1.5-.2 2.3 4 7.9 .8-2 0-2.6 1.8 .7 2.7-1 .1-9.7-4.7-5.4-10.6 .1-2.9 1.7-2.3-3.8-.9 1.4-2.7-.7-5 3 1-.6-6.3-1.8-.8 .3 3.8-1.7-.4-1.1-10.1 .6-2.1-2.5-6.5 1-.1 1.2-14.5-1.4-4.6 .3-2.6-1-3.8 .8-3.8-.6-19.4-1.8-9.4 1.3-.8 .5-1.5z"},
+        {"name":"China","center":[103.9,36.6],"box":[661,80,799,189],"path":"M766.6 188.9l-2.3-.9-.5-2.7 1.1-1.4 4.2-.8 .8 1.2-1.2 3.2-2.1 1.4zM674.8 114.3l-.7-1.8 1.4-.7-3.9-5.3 5.4-1.9-.2-5.4 5.1 1 .8-1.4-1-3 1.8-.3 1-2 .8-.2 1.5 2.1 6.4 2.7 2.6 2.4 .4 3.5 1.3 1.3 6.5 1 5.2 2.2 4.2 4.6 11 .2 6.9 2.3 2.9 0 1.5 1 2.1-1.7 9.5-2.2 2.3-2.7-2.1-2.1 .4-2 4.2 .9 1.6-1.6 3.1-1.2 .8-2 1.2-.8 5.3-.1-.3-1.1-5.6-3-1.2 1.1-3.7-.1-1.3-1.3 .1-5.2 3.4 1.1 2.2-1.9-.7-1.3 1-4-1-1.7-1.7-.7 1-1.4 5.5-.6 6.7 1.9 9.4 9 4.6 .9 4 2.2 2.6 2.8 3.6 0 1.4-1.2 3.3-.9 1.2 10.1-3.2-.6-1.5 1.1 3.5 6.2-1.2 .1 .8 1.6-2.4-1.8-.2 1.7-3.1 1.3 1.2 1.6-3.8-1.1-.7 2.2-3.1 3.6-3 .9-1.2 1.4-2.3 .9 .7-1.4-1-1.2 1-2.1-1.9-1.6-3.6 3.2-.7 2-2.3 .1-.7 1.5 2.1 2.1 2.2 .5 .7 1.4 2.3 .9 1.9-2.2 4.3 1.2 1 1.7-3.2 .8-.5 1.7-1.8 1.5-.5 2.2 3.3 1.7 7 8.3 .7 2.3-1.3 .8 2.9 2.6 .4 5-1.3 .3-3.5 11.1-5.9 5.5-2.9 .3-1.3 1.4-1.1-1-1.1 1.5-6 2-.3 3.3-1.4 .2-1.1-2.3 .4-1.1-3.7-1-1.1 .5-2.8-.8-1.5-1.3 .1-1.8-4-1.7-1.8 1.6-4.6 .4-1.2 .7-1.3 .5 1.1 3.5-1.4-.1-.4-.7-.3-1.3-1.8 .9-3.3-1.7 .3-2.6-1.8-.6-1.2-2.8-2.6 .5-.4-3.7 1.9-2.6-1.1-4.9-2.5-2.5-1.5 .2-2.8-.5 .5-1.3-1.6-1.9-1.5 1.3-2.3-.8-4.4 4.3-1.9 .4-4.7-1.6-2.4 3.1-.7-2.5-1.5 .7-6.1-1-4.4-2-1.2-1.5-4.5-2.5-2.2-.9-.9 .7-6.9-4.1-1.4-3.4 1.9 .4-.3-1.6-1.4-1.6-.3-2.5-3.5-3.6-4.4-1.3-1.3-2.3-2.2-1.5-.7-.9-1-2.9-2.4-.4-1.3-2.9 .5-.7-.5-.7 1.9-1.4 1.6-.6 2.7 .4 .4-2 3-.3 .5-1.3 3.4-1.6 .1-.7z"},
+        {"name":"Colombia","center":[-73.1,3.9],"box":[269,206,303,259],"path":"M302.2 241.1l-.5 .4-1.3-2.8-.9 1.1-5.1-.1 0 2 1.5 .3-.1 1.1-2 .2 0 2.3 1.6 2.9-1.1 9.7-2.2-1.7 1.7-3.1-2.1-1.5-6 .2-1.6-3.2-3.8-3.7-.7 .3-2.5-1.8-3 .1-.6-1.3-3.2-1.8-.3-.9 .9-.2 .6-2.7 1.3-.2 2.2-3.5-.9-.8 .6-5.4-1.3-4.2 .4-1.5 .8 .2 .6-.9-.2-2.3 1.4 .1 3.2-2.5 .7-3.6 1.6-1.4 4-.5 4.6-3.7 1.6 1-.6 1.1-1.7 .5-2.7 3.5-1.3 4 1.4 .2 .8 2.1-.2 3.1 1.3 1.3 4.9 .1 1.8 2.6 4.5-.5 .9 .5-1.4 4.9 1.3 3.7-1.4 1.5 1.7 1.8 .8 3z"},
+        {"name":"Congo","center":[15.1,-0.8],"box":[509,233,530,261],"path":"M529 234.2l-2.1 12.1-3.3 4.1-1.1 2.9 0 2.6-3.8 4.4-1.1-1.4-3.1 .8-1-1-1.9 1.8-2.1-3.3 2-1.7-1-2 2.7-1.1 .2-1.4 1.5 1.5 2.3 .1 .8-1.5 .1-4.4-1.3-1.8 1.2-3.6-.7-.6-2 .3-.5-3 3.3 .1 4.3 1.6 .2-1.7 2.9-4.5 3.5 .7z"},
+        {"name":"Costa Rica","center":[-84.2,10],"box":[252,210,262,220],"path":"M261.4 215.6l-1 .2 .4 1.7-.7 2.2-1.4-.7-.3-1.9-2.5-1.7-.8-1.4-.5 1.6-1.4-1.2 .2-2.5-.7-.4 .7-.6 2.7 0 2 1.1 .7-.7 2.6 4.3z"},
+        {"name":"Côte d'Ivoire","center":[-5.6,7.6],"box":[457,212,474,232],"path":"M458.7 213.6l3.2 .2 1.7-1.2 .4 1.3 1.7-.8 2.8 2.3 2.2-.9 1.8 .8 .7 4.4-1.8 6.1 1 3.8-4.7-.5-8.2 2.5 .4-4.2-2.7-2.3 .4-3.8 .4-1.9 1.2-.8-1.2-3.7 .7-1.3z"},
+        {"name":"Croatia","center":[16.6,45],"box":[512,101,527,114],"path":"M519.4 101.7l2.6 1.6 2.9 .2 1.5 2-.8 1.1-4.9-1.1-1.6 .7-.9-.7-.4 1.3 5 5.4 2.2 1.2-.3 .5-6-3.1-2.2-2.3 .5-.2-1.3-2.3-1.6-.5-.6 1.3-.7-2.1 3.8 .1 .9-2.3 1.9-.8z"},
+        {"name":"Cuba","center":[-79,21.6],"box":[259,173,287,184],"path":"M266.7 173.5l4.3 .3 3.1 2.1 2.5-.3 4.2 4 2.3 .6-.3 .9 1.9 .1 1.8 1.3-2.2 1.1-7.3 .2 2-1.7-2.6-1-1.2-2.7-7.8-1.8-.8-.6 1.1-.8-2.5-.1-3.7 2.4-2.4 0 3.5-2.8 4.1-1.2z"},
+        {"name":"Cyprus","center":[33,34.9],"box":[560,136,566,139],"path":"M561.9 136.5l3.1 .2-2.3 1.5-1.3-.4-.7-1.2 1.2-.1z"},
+        {"name":"Czechia","center":[15.3,49.8],"box":[508,87,525,96],"path":"M514.8 87.9l2.9 1.2-.1 .8 1.3 .6 .3-.7 1.6 .3 .3 .9 1.8 .2 1.2 1.5-4.3 2.7-4.1-1.4-2 1.5-1.8-1-2.6-2-.8-2.1 4.6-2.5 1.7 0z"},
+        {"name":"Dem. Rep. Congo","center":[23.6,-2.8],"box":[512,228,563,286],"path":"M557.9 258.8l.7 6.3 1.5 1.7 1.4 3.9-4.6 .2-1.5 2.3 .5 1.4-.9 6.7 2.5 1.8 .7-.6 .1 3.3-2 0-2-3-2-.4-.5-1.7-1.7 1-2.1-.4-.8-1.4-2.9-.2-.1-1-1-.1-4.6 .5 .2-3.6-.9-1.2-.3-6.9-3.2 .1 .3-1.1-1.4 0-1.8 .6-1.1 2.6-1.4-.5-2.7 .7-2.9-6.7-7.9-.1-2.8 .8-.4-1 2.2-3.1 3.1-.8 1.1 1.4 3.8-4.4 0-2.6 1.1-2.9 3.3-4.1 2.1-12.1 .3-2.1 2.4-2.6 3.9 2.2 3.9 .9 1.2-2.1 1.2 .3 2.9-1.5 1.1 .6 2.2-1.1 4.6 .1 1.6 2.5 1.2 .4 3.5-1 2.9 3.4-.1 3.6 1.1 .4-3.5 5-.7 5.9-1.5 4.6 .7 5.1z"},
+        {"name":"Denmark","center":[9.3,56.2],"box":[498,68,509,78],"path":"M502.4 76.5l-3.1 .1-1-1.6 .1-3.7 5-2.7-.6 2.4 1.6 1.3-2.7 2.8 .7 1.4zM507.7 73.3l.8 1.4-1.2 2.4-2.4-1.7-.4-1.2 3.2-.9z"},
+        {"name":"Djibouti","center":[42.5,11.8],"box":[590,205,595,212],"path":"M591.8 206.4l1.2 .3 .7-.8 .6 2.2-1.4 .8 1.1 .8-.9 1.7-2.7-.4-.3-1.8 1.7-2.8z"},
+        {"name":"Dominican Rep.","center":[-70.5,18.9],"box":[291,183,302,191],"path":"M292.2 189.4l-.4-1.8 .7-.5 .3-2.9 2.4-.5 2.1 .8 .4 1 1.4 0-.2 .9 2.3 1.3-1.1 1.2-3.2-.7-1.5 .8-.4-.8-2.1 2.6-.7-1.4z"},
+        {"name":"Ecuador","center":[-78.4,-1.5],"box":[264,240,280,261],"path":"M279.6 245.5l.3 2.3-.8 2-2.8 3.2-3.2 1.2-2 4.8-1.5 1.3-1.2-1.6-2.1-.1 .3-3.1 1.3-2.3-.6-1.4-1 1.5-1.6-1.4 .6-.9-.5-2.7 .9-.5 1.3-5.2 3.3-1.9 3.2 1.8 .6 1.3 3-.1 2.5 1.8z"},
+        {"name":"Egypt","center":[29.8,26.5],"box":[542,147,576,178],"path":"M575.8 177.2l-30.8 0-1.2-22.4-.9-2.5 0-3.3 .9-1.5 3.3 0 6.3 2.2 2.9-1.9 2.2-.2 1.8 .4 .8 1.5 .5-1 4.1 .9 1.2-.8 2.1 5.3-2.1 5.8-4.6-6.6 5.5 11.3 4.6 6.8-.3 2.6 3.7 3.4z"},
+        {"name":"El Salvador","center":[-88.9,13.7],"box":[242,200,249,205],"path":"M244.7 200.6l2 1.8 1.7-.2 .1 1.6-.4 .7-1.5 0-4.1-1.8 2.2-2.1z"},
+        {"name":"Eq. Guinea","center":[10.4,1.6],"box":[504,237,511,242],"path":"M505.7 238l4.3 0 0 3.7-4.8 .2-.5-.5 1-3.4z"},
+        {"name":"Eritrea","center":[38.7,15.4],"box":[575,189,594,207],"path":"M575.9 200.6l.8-7.8 2.7-1.5 1.2-1.7 2.6 6.4 10.5 9.9-.7 .8-1.2-.3-4-4.9-2.4-1.2-2.5-.7-1.5 .7-1.6-1.4-.8 2.3-3.1-.6z"},
+        {"name":"Estonia","center":[25.8,58.6],"box":[531,63,542,70],"path":"M541.2 63.7l.4 .5-1.3 1.6 1.1 2.6-.9 .9-1.8 0-3.1-1.4-1.8 .5 0-1.6-.7 .3-1.5-1-.5-1.6 5.4-1.2 4.7 .4z"},
+        {"name":"eSwatini","center":[31.4,-26.5],"box":[558,324,563,330],"path":"M562.4 327.5l-.6 1.4-1.5 .3-1.5-1.7 1.2-3.1 2 .3 .4 2.8z"},
+        {"name":"Ethiopia","center":[39.6,8.7],"box":[567,198,607,235],"path":"M606.7 220.4l-7.3 9.2-3.4 .1-4.8 3.2-1.8 0-1.1-1-2.4 1.3-.8 1.3-3.8-.6-3.4-2.6-1.8 0-.9-1-.1-1.7-1.4-.5-3.3-5.3-1.4-1.5-1.6-.3 .9-1.7 1.4-.1 .3-.9 .6-6 1.3-.9 1.2-3.6 1.6-1.5 1.2-5.7 3.1 .6 .8-2.3 1.6 1.4 1.5-.7 2.5 .7 2.4 1.2 4 4.9-1.7 2.8 .3 1.8 2.7 .4-.5 1.1 3.1 4.2 8.8 3.7 2.2 0z"},
+        {"name":"Falkland Is.","center":[-59.4,-51.7],"box":[338,402,347,406],"path":"M339 404.3l2.2-1.8 2.2 .8 1.1-1.2 2.2 1.3-.4 1.1-2.9 .8-1.3-1-1.6 1.3-1.5-1.3z"},
+        {"name":"Fiji","center":[178,-17.8],"box":[3,294,949,301],"path":"M946.9 298.9l.8-.5 .7 .9-.9 1.6-3 .1 .1-1.4 1.2-1.1 1.1 .4zM7.1 294.5l.5-.2 0 1.5-3.2 1.6-.6-1.1 3.3-1.8z"},
+        {"name":"Finland","center":[26.2,64.5],"box":[521,34,548,63],"path":"M537.7 37.6l.1 1.9 3.5 1.7-1.5 2 3 3.1-1 2.3 2.3 2-.5 1.8 3.5 1.8-.5 1.4-5.7 5.2-11 1.8-3.7-2.4 .1-2.8-1.4-2.4 .8-1.7 7.4-5.2-.4-1.1-3.1-1.3-.9-1-.7-4.1-6.3-3.1 1.1-.7 2.4 1.4 4.9 .5 1.8-1.2 .6-1.9 2.9-.8 2.8 1-.5 1.8z"},
+        {"name":"Fr. S. Antarctic Lands","center":[69.5,-49.3],"box":[640,394,646,399],"path":"M641.9 394.7l3.3 1.3-1.1 2-3.7 .2 1.5-3.5z"},
+        {"name":"France","center":[2.3,46.6],"box":[335,87,504,239],"path":"M342.7 232.2l-3.5 6.3-4.2-.6 1.5-4-1.2-4 1.4-2.6 2.9 1.1 3.1 3.8zM494.5 92.8l4.5 1.3-1.4 4.2-1.7 .2-1.6 2.5 0 1.4 1.2-.5 .8 1.3 .7 2-.8 .9 .7 2.4 1.3 .4-.3 1.3-2.1 1.7-4.8-.8-3.5 1-.3 1.8-2.8 .4-2.7-1.4-.9 .7-4.4-1.4-1-1.2 1.3-1.8 .5-6.1-4.2-4.7-3.6-1.1-.2-2.2 3.1-.6 3.9 .7-.7-3.4 2.2 1.3 5.4-2.3 .7-2.4 2-.6 .4 1 1 .1 2.8 2.5 1.2-.2 2.1 1.4 1.2 .2zM501.2 113.4l1.5-1.1 .5 2.6-.7 2.4-1.1-.7-.7-2 .5-1.2z"},
+        {"name":"Gabon","center":[11.7,-0.6],"box":[503,238,519,258],"path":"M510 238l4.8 0 .5 3 2-.3 .7 .6-1.2 3.6 1.3 1.8-.1 4.4-.8 1.5-2.3-.1-1.5-1.5-.2 1.4-2.7 1.1 1 2-2 1.7-6.1-8.8 1.8-6.5 4.8-.2 0-3.7z"},
+        {"name":"Gambia","center":[-15.4,13.5],"box":[435,202,444,205],"path":"M435.9 203.1l4.3-.8 1.1 .7 1.7-.5 .5 .9-1.2 .7-2.2-.7-2.1 1.2-2.4-.1 .3-1.4z"},
+        {"name":"Georgia","center":[43.5,42.2],"box":[576,110,594,119],"path":"M576.5 111l6 .6 4 2.1 1.4-.5 2.4 .6 2.6 2-.6 .4 1.2 2-3.3-1-.5 .5-3.3 .4-2.6-1.5-2.6 .2-.7-3.4-4-2.4z"},
+        {"name":"Germany","center":[10.3,51.1],"box":[493,76,515,100],"path":"M512.1 80.1l.7 1.5-.6 .8 2.6 5.5-1.7 0-4.6 2.5 .8 2.1 2.6 2-1.6 1.8 .3 2.5-1.9-.8-3.8 .5-.3 .8-1.9-.7-2.6-.9-.5 .6-2 0 1.4-4.2-4.5-1.3-.4-2 .2-2-.5-3.1 1.4 0 .5-1.1 0-3.7 2.4-.8 .4 .7 1.5-1.5-.7-2.7 3.1-.1 .1 1.1 2.3 .7 .1 1.1 3.5-1.4 3.7 2.1z"},
+        {"name":"Ghana","center":[-1.2,7.9],"box":[471,211,483,231],"path":"M480.1 211.1l1.8 8.3-.4 4.3 1.3 3.1-8 3.7-2.4-.9-1-3.8 1.8-6.1-.7-4.4-.3-4 7.9-.2z"},
+        {"name":"Greece","center":[22.6,39.3],"box":[529,115,546,138],"path":"M545.7 136l-.2 .9-3.6 .3-3.1-1.2 .4-1.3 1.4 1.1 5.1 .2zM536 117.4l3.7-.8 1.8 1.1 2.2-.3-.2-1.5 1.3 .8-1.1 2.3-2.8-.4-2.9 .8 1.8 1.7-1.2 .5-1.3 0-1.4-1.6-.5 .7 2.1 3.3-.9 .7 2.8 2.3 .2 1.7-2.4-.8 .9 1.6-1.6 .3 1.1 2.7-1.6 .1-2.1-1.4-1.7-4.5-2.7-4.1 1.9-3.7 4.6-1.5z"},
+        {"name":"Greenland","center":[-41.5,74.8],"box":[344,3,459,63],"path":"M399 5.6l15.1-1.7 19.6 0 10.2 1.5-18.8 1.4 11.3 .5 3.6-.6 1.2 .7-2.2 1.2 13.4-1.6 5.2 .4 .8 .9-8.6 2-5.8 .3 4.2 .1-4.2 3.1-.4 2.5 1.9 1.6-6.1 .8 3.2 1.3 .1 2-2 .2 2.1 2.1-4.3 .2 2.1 1-.8 .9-5.5 .4 2.1 1.7-.1 1.1-3.7-1-1.1 .6 4.8 2.2 .4 2.1-3.6 .5-3.6-2.5 .4 1.7-2.6 1.4 8 .3-11.6 4.3-8.4 .9-5.8 3.8-4.9 1.9-7.6 1.4-2.2 1.7-2.1 3.7-4 2.1 .3 2.2-3.4 5-3.1 .2-2.6-2.3-4.3 0-1.7-1.5-.6-2.7-2.6-3.4-.5-1.8 .6-2.5-2-2.4 1.4-2-1-.9 3.1-3.1 3.4-1 2.4-3.1-5.8 1.6-2.2-.8 1.9-3.1 5.7 .6-4.3-2.5-2.1 .4-1.4-.7 3.2-2.3-2.7-5.3-2-.9 .5-1.1-4.3-1.4-13.7 .1-4-2.2 9.1-.9-11.1-1.5 .9-.9 15.1-2.2 1.2-.8-4.3-.7 12.2-2.6 0-.9 10.2-.8 6.8 .6 5.4-1.1 9.3 1.5-3.5-1 .8-.9z"},
+        {"name":"Guatemala","center":[-90.4,15.7],"box":[237,190,249,203],"path":"M237.1 200.2l.3-2.2 1.5-2.5 3.4 0 .2-1-2.3-2.6 1.1-.1 .3-1.7 4.8 0-.9 6 .8 0 1.8 .5-2.7 2-.7 2-2.2 2.1-2.9-.6-2.5-1.9z"},
+        {"name":"Guinea","center":[-11.1,10.4],"box":[439,206,460,223],"path":"M443.8 206.3l3.2 .7 2.6-.3 .1 1.1 1.2-.4 2.2 1.1 2.8-1.4 2 2.8-.7 1.8 .9 .1 .6 1.8-.7 1.3 1.2 3.7-1.2 .8-.4 1.9-2 1.2-1.5-3.8-1.2 .4-.8 .2-.2-2.8-1.3-2.4-3.5 .6-2.2 2.9-4.9-6.6 1.2-1.5 2.5-.9 .1-2.3z"},
+        {"name":"Guinea-Bissau","center":[-15.1,12],"box":[435,206,444,212],"path":"M436 206.9l3-.8 4.8 .2-.1 2.3-2.5 .9-1.2 1.5-2.5-1.5-1.5-2.6z"},
+        {"name":"Guyana","center":[-59,4.8],"box":[316,219,330,242],"path":"M329.7 239.2l-2.2-.2-3.2 2.1-2.9-1.6-.8-3 1.2-3.7-1.5-1.9 .4-1.3-.6-.7-1.4 .1-1.7-2.3 .7-2.3 2.3-1.1-.8-1.1 .2-1.1 2.2-1.8 3.3 3.1 0 1.6 1 0 2.4 2.6-.5 2.8-1.7 .8-.3 2.3 1.1 2.2 .8 0 2 4.5z"},
+        {"name":"Haiti","center":[-72.7,18.9],"box":[285,183,293,190],"path":"M292.8 184.2l-.3 2.9-.7 .5 .4 1.8-4.5-.5-1.3 .5-1.3-.9 .3-1 4.3 .7 1.1-.7-1.1-1.4 .2-1.1-1.6-.5 .7-.9 3.8 .6z"},
+        {"name":"Honduras","center":[-86.6,14.8],"box":[244,195,262,206],"path":"M261.2 198.8l-3.5 1.2-1.2-.5-2.7 2.9-.7-.6-1.8 .9-.1 1.5-1.6 .8-1.1-1.2-.1-1.6-1.7 .2-2-1.8 .7-2 2.7-2 8.6-.9 4.5 3.1z"},
+        {"name":"Hungary","center":[19.4,47.2],"box":[518,95,534,104],"path":"M531.9 95.9l1.7 1.6-1.4 .6-2.2 4.1-1.8 .6-3.3 .7-2.9-.2-2.6-1.6-1-1.1 .7-1.9-.5-.7 1.3 0 .1-1.2 2.2 1.1 6.7-2.6 3 .6z"},
+        {"name":"Iceland","center":[-18.8,65.1],"box":[429,44,452,53],"path":"M450 44.5l-.6 1.7 2.2 1.9-3 2-8.1 2.4-8.5-1.3 2.2-1.2-4.4-1.3 3.8-.5 0-.8-4.2-.6 1.6-1.8 3.2-.4 3 1.8 3.4-1.4 2.5 .7 3.5-1.4 3.4 .2z"},
+        {"name":"India","center":[79.6,22.9],"box":[656,135,730,221],"path":"M729 157.8l.4 3.6-2-.5-2.9 2.1 .5 1.8-.8 4.1-.6 2.6-2.2-.8 .6 5.6-1.2 .8-2.2-5-.7 .1-.1 1.9-1.7-1.6 .5-1.7 1.1-.2 .7-2.6-6.5-.9-.6-2.2-3.6-1.5-.5 2.1 2.2 1.7-1.8 2.2 1.8 .9-.1 1.8 2.1 4.9-.2 1.1-4.9 .6 .5 2.4-1.1 1.8-3.5 2.1-2.5 3.6-4.1 4 .2 1.4-4.7 2-.6 2.4 1.3 6.6-.8 2.9 .3 5.2-1.3 .2-1.1 2.3 .9 1-2.4 .9-1.8 3-2.7-2.9-2.7-7.4-2.6-4.4-1.6-5.8-2.8-4.2-4.2-16.6-3.5 1.8-1.9-.3-3.9-3.8 1.1-1.1-.9-1.2-3.4-2.7 1.5-2 5.7 0-3.3-6.6-1.9-1.4 2.3-3.3 3.1 .3 5-9.5-.5-2.2 1.8-1.8-2.4-1.6-2.7-4.8 .9-1.3 4 .7 2.7-.4 1.8-2.6 3.5 3.6 .3 2.5 1.4 1.6 .3 1.6-1.9-.4 1.4 3.4 6.9 4.1-1.4 1.4-.4 2.9 9.1 4.5 3.6 .4 1.8 1.5 7.4 1-.8-4.5 1.5-.7 .7 2.5 2.7 1.8 5.8-.4-.2-1.9-1.2-1 1.9-.4 4.4-4.3 2.3 .8 1.5-1.3 1.6 1.9-.5 1.3 2.8 .5z"},
+        {"name":"Indonesia","center":[114,-0.3],"box":[733,228,855,277],"path":"M854.9 253l-1.3 20.1-2.1-2.6-2.6-.6-.8 .9-3.3 .1 1.3-2.5 1.8-.9-1.6-5.9-5-2.6-2.2-.3-3.8-2.8-.9 1.5-1 .3-.5-2.5-2-1.5 4.8-1.1-.2-.8-3.9 0-1-1.8-2.4-.6-1.1-1.5 4.9-1.8 4.3 1.3 1.1 6.1 2.6 1.9 2.4-3.3 3.1-1.9 2.3 0 7.1 2.8zM811.1 272.4l.2 1.5-1.9 2.3-2.7 .3 1.7-2.9 2.7-1.2zM793.2 232.3l-1.4 2.7 2.1 3-.5 1.4 3 2.8-3.1 .4-.9 2.1 .1 2.8-2.6 2.1-1.2 7.7-.4-1-3.1 1.3-1-1.8-3.1-1.2-3.2 1.1-1-1.5-3.9-.2-.3-4.1-1.3-.9-1.3-2.6-.4-2.7 .3-2.8 1.6-2.1 .5 2.1 1.8 1.7 3.4-.4 2.8-1.8 2.5 .9 2.2-.7 3.1-8.8 5.3 .5zM823.9 253.6l2.9 .9 .9 2.4-2.2-1.3-5.5-.2 .6-1.7 3.3-.1zM817.2 256.7l-1.8-.6-.5-1.3 2.7-.2 .6 1-1 1.1zM820.2 238.3l.2 1.7 1.5 .3 .3 1.2-.1 2.7-1.4-.3-.4 1.9 1.1 1.6-.7 .4-1.9-5.9 1.4-3.6zM806.9 242.3l3.1-.1 2.6-2.3 .4 .7-2.1 3.1-11.3 .6-.4 2.3 2.4 2.7 1.4-1.4 5-1-.2 1.4-1.2-.4-1.2 1.8-2.3 1.2 2.4 3.9-.5 1.1 2.2 3.5-.1 2-1.5 .9-.9-1 1.4-2.6-2.7 1.2-.6-.8 .4-1.2-1.9-1.8 .3-3-1.8 .9 0 8-1.7 .5-1.1-.9 .9-2.9-.3-2.9-1.1-.1-.8-2.1 3.5-10.3 2.3-2.3 5.4 1.3zM798.3 276.6l-3.3-2.2 2.6-.6 2.1 1.9-.2 .8-1.2 .1zM801.6 271.3l4.3-1.4-.6 1.7-4 .9-3.5-.4 .1-1.1 2.1-.7 1.6 1zM793.5 270.7l1.6-.2 .6 1.3-6.4 1 1-1.8 1.5 0 .8-1.1 .9 .8zM768 264.8l.3 1.1 5 .3 .7-1.3 4.8 1.5 .9 2 3.9 .5 3.1 1.9-3.1 1.1-2.8-1.2-5.2-.2-5.4-1.7-3.1 .1-4.7-1.3-.4-1.3-2.4-.2 2-3 3.2 .2 3.2 1.5zM757.5 248.3l1.4 3.9 1.9 .3 1.3 1.9-1.1 8.6-3 .1-5.4-5.1-6.3-11-2.3-2.6-1.8-5-8.8-9.7-.3-1.6 5.8 .8 8.7 9.6 2.7 .1 2.3 2.1 1.5 2.6 2 1.4-1 2.5 2.4 1.1z"},
+        {"name":"Iran","center":[54.3,32.5],"box":[588,122,643,168],"path":"M603.7 152.6l-1.6-1.6-.3-1.7-.8 0 .2-2.2-1.6-2.4-3.4-1.6-2.1-3 .3-2.4 1.1-1.1-.5-1.8-1.7-.9-2.2-3.7-1.7-2.5 .4-.9-1.3-3.5 1.5-.9 2.1 2.6 1.7 .4 .9-.1 3.4-2.5 .9 .9-.6 1.5 2.4 1.5 1.1 2.2 2.5 .7 2 1.5 3.6 .6 3.7-.9 .1-.7 2.1-.6 1.5-1.7 4.4-.2 5.1 1.9 3.4 2.7 1.8 .1 .7 2.6-.6 6.1 1.2 .5-.8 1.7 1.8 4.4 2 .5 .5 2-1.8 2.8 2.8 3.5 2.6 1.4 .5 2.7 1.3 .5 .4 1.5-3.5 1.5-.5 3.7-10.8-2.1-1.6-3.8-1.3-.6-4.3 2.1-3.3-1-2.8-2.4-2.6-.9-4.5-7.1-1.3 .5-1.7-1-.8 1.2z"},
+        {"name":"Iraq","center":[43.8,33],"box":[577,129,604,156],"path":"M579.1 145.7l-1.4-3.8 5.2-3.2 .4-3.7-.5-2.3 2.3-2.7 3.9-.1 1 .8 1.1-.5 2.2 3.7 1.7 .9 .5 1.8-1.1 1.1-.3 2.4 2.1 3 3.4 1.6 1.6 2.4-.2 2.2 .8 0 .3 1.7 1.6 1.6-1.6-.1-1.7-.3-1.5 3-4.8-.3-7.9-6.2-7.1-3z"},
+        {"name":"Ireland","center":[-8,53.2],"box":[457,76,467,87],"path":"M465.9 79.8l.3 2.1-1.8 2.6-4.2 1.7-3.2-.4 2-3.1-1-3 4.9-3.6-.1 3.1 3.1 .6z"},
+        {"name":"Israel","center":[35,31.5],"box":[566,142,571,154],"path":"M570.1 144l-.3 1-1-.4-.3 2 .7 .4-.7 1.2 1.2-.4-.7 6.1-2.1-5.3 1.6-5.8 1.7-.6-.1 1.8z"},
+        {"name":"Italy","center":[12.2,43.5],"box":[496,99,526,132],"path":"M504.8 100.5l1.4 .4 2.6-1.1 .6 1.1 3.4 .7 .5 2.8-1.9-.4-1.9 1.1-.1 2.3 .9 1.6 2.3 1.5 1.4 2.5 2.8 2.5 1.9 0 .7 .7-.7 .6 6.6 4.2-.4 1.1-1.4-1.5-2.2-.5-.9 2 1.8 1.2-.2 1.6-1 .2-1.2 2.6-1 .2 .9-3.2-1.9-3.4-10.6-7-1.8-1.8-.8-3-3.2-1.4-3.5 2.1 .3-1.3-1.3-.4-.7-2.4 .8-.9-.7-2 1.1 .7 2.4-1.2 1.6 .4 .4-1.2 2.8-.2 .2-1.2zM516.5 127.2l1.9-.3-.8 5-6.8-3.1 .3-1.5 5.4-.1zM501.3 118.7l1.2-.9 1.5 2.2-.2 4-1.1-.2-1 1.1-.9-.9-.9-5.4 1.4 .1z"},
+        {"name":"Jamaica","center":[-77.3,18.1],"box":[274,188,281,191],"path":"M277 188l1.7 .3 1.7 1.6-2.7 .6-1.4-.5-1.4-1.2 .4-.7 1.7-.1z"},
+        {"name":"Japan","center":[136.9,36],"box":[805,104,832,150],"path":"M829.3 124l-.8 3.1 2.8 7.2-.4 2.2-2.6 1.4-4.3 .2-2.2 3.6-2.2-1.2-1-2.3-4.1 .6-2.4 1.5-2.9 .1 3.4 2.2 .2 5.3-1.2 1.3-1.6-1.2-.4-2.8-1.9-.9-1.8-2.1 2-1 .6-1.9 1.9-1.6 1-2.1 4.6-.9 3 .6 .2-5.5 2.3 1.5 3.2-4.3-.3-3.8-2.1-3.4 .1-2 2.3-.5 4.6 6.7zM828.2 109.4l1-1.3 2.5 3.4-3.1 .8-.5 3.1-4.9-2.1 .4 3.3-2.7 .1-1.9-3.1-.1-2.3 2.5-.2-2.3-6.6 4.7 3.2 4.4 1.7zM813.2 141.7l.7-1.9 1.5 .4 .6-1.3 2.1 .6 .7 1.1-.7 1.9-1.4-1-1 .7 0 1.8-2-.9-.5-1.4z"},
+        {"name":"Jordan","center":[36.8,31.2],"box":[569,141,580,155],"path":"M569.8 145l.3-1 3 1.2 4.6-3.3 1.4 3.8-5.3 2 2.8 3.1-1.1 1.6-1.9 .4-1.6 2.1-2.8-.5-.2-.5 .7-6.1 .1-2.8z"},
+        {"name":"Kazakhstan","center":[67.3,48.2],"box":[589,75,685,120],"path":"M684.5 93.5l-1 2-1.8 .3 1 3-.8 1.4-5.1-1 .2 5.4-5.4 1.9 3.9 5.3-1.4 .7 .7 1.8-3.2-1.6-8.5 0-3.8-1.3-1.2 .6 .1 1.8-4.2-1-1.5 .4-.2 1.3-3.9 2.7-.5 2.2-.9 .1-1.1-1.5-3.1-.1-1.1-2.5-1.2 0-.6-3.1-3.4-2.2-6.8 .7-3-2.8-7-3.6-5.7 1.8 2.5 11.3-1.2 .1-4-3.2-2.7 .6-.8 1-.6-3.1-3.1-1-3.4-4.5 2.4 .3-.3-2.2 4.1-.1-1.1-4.8-4.5-.6-4.5 2-1.3-.5-.1-1.6-2-2-1.7 .1-2.4-2 1.2-6.2 2.8 1.7-.2-2.1 4-3.2 3.6-.1 8.6 3.2 2.2-1.2 3.6-.1 3.4 1.6 .4-.9 3.3 .1 .2-1.4-4.3-2 1.8-1.5-.7-.8 1.9-.7-2.2-2 .7-1 8.2-1.1 6.1-1.7 1.6-1.2 4.3 .6 1.8 3 2.1-.7 3.3 1 .4 1.6 2.1-.2 4.7-2.7-.5 .9 3.8 2.2 8 7.5 .7-1.5 3.8 1.7 3-.8 6.7 4.1 2.8-.4 2 1.8z"},
+        {"name":"Kenya","center":[37.8,0.6],"box":[570,228,592,260],"path":"M584.2 259.4l-3.8-3.1-.2-1.8-10-6.6-.1-3.2 3.1-5.6-2.8-7.2 3.3-3.8 1.4 .5 .1 1.7 .9 1 1.8 0 3.4 2.6 3.8 .6 .8-1.3 2.4-1.3 1.1 1 1.8 0-2.3 3.5 .1 11.2 1.6 2.6-3.6 2.7-1.8 5.5-1 1z"},
+        {"name":"Kosovo","center":[20.9,42.6],"box":[528,111,533,116],"path":"M530.1 115.8l-1.4-2.2 .4-.7 1.2-1.4 2.5 1.8-.4 1.3-2.3 1.2z"},
+        {"name":"Kuwait","center":[47.6,29.3],"box":[598,152,604,157],"path":"M602.1 152.5l1.7 4.4-1.8 .1-.8-1.5-2.3-.3 1.5-3 1.7 .3z"},
+        {"name":"Kyrgyzstan","center":[74.6,41.5],"box":[650,111,675,124],"path":"M652.3 114.5l.2-1.3 1.5-.4 4.2 1-.1-1.8 1.2-.6 3.8 1.3 8.5 0 3.2 1.6-.1 .7-3.4 1.6-.5 1.3-3 .3-.4 2-2.7-.4-1.6 .6-1.9 1.4 .5 .7-.5 .7-4.6 .5-3.2-1-2.6 .3-.2-1.8 2.8 .5 .6-1 2 .3 2.5-2.2-3.3-1.6-1.5 .8-2.1-1.2 1.5-1.9-.8-.4z"},
+        {"name":"Laos","center":[103.7,18.4],"box":[741,175,763,203],"path":"M762.9 201.3l-2.5-1.2-.9 2.2-2.3-1.3 .7-1.3-.3-2.7-2.5-2.6-.6-3.1-2.3-2.5-2-.2-.4 1.1-2.4-.5-2.5 1.9-.3-6.1-1.8-.1-.5-1.9-1.2-.9 2.2-3.2 .4 .7 1.4 .1-1.1-3.5 1.3-.5 3.6 5.3 3.2 0 1.5 2.7-2.1 1.9 3.4 1.9 7.1 8.5 1 2.2-.1 3.1z"},
+        {"name":"Latvia","center":[24.8,56.8],"box":[527,67,544,75],"path":"M540.5 69.3l1.2 .7 1.4 3.1-3.5 1.6-4-2.2-5.9 .1-2.5 .9-.2-2.2 .9-1.8 2-.9 2 2.1 1.8-.1 .1-2.2 1.8-.5 3.1 1.4 1.8 0z"},
+        {"name":"Lebanon","center":[35.9,33.9],"box":[568,138,572,143],"path":"M570.2 142.2l-1.7 .6 1.7-4.8 1.2 .2 .5 1.2-1.7 2.8z"},
+        {"name":"Lesotho","center":[28.2,-29.6],"box":[548,333,555,340],"path":"M554 334.4l.8 .9-1.4 2.5-2.9 1.8-1.7-2.4 2.9-3.2 1.3-.6 1 1z"},
+        {"name":"Liberia","center":[-9.4,6.4],"box":[449,218,460,232],"path":"M457.6 221.3l-.4 3.8 2.7 2.3-.4 4.2-3.4-1.5-6.5-6 3.3-5 1.2-.4 1.5 3.8 2-1.2z"},
+        {"name":"Libya","center":[18,27],"box":[503,142,546,185],"path":"M545 177.2l.2 6.2-3 0 .1 1.3-21.2-11.9-2.6 1.7-1.8 1.2-1.5-1.7-4.1-1.4-3.3-3.4-1.2 .6-2.6-5.3 1-1.3 .2-7.6-1.1-4.2 1.2-.7-.1-2.6 3.7-3 .1-2.4 9.5 2.7 1.3 2.7 8.7 3.5 2.4-2.3-.7-2.3 2.4-3 5.2 .2 .9 1.4 4.4 .9 .7 1-.9 1.5 0 3.3 .9 2.5 1.2 22.4z"},
+        {"name":"Lithuania","center":[23.9,55.3],"box":[527,72,540,80],"path":"M539.6 74.7l.4 1.3-1.8 .9-.3 1.7-2.3 1.1-2.2-.1-1.9-1.2-.1-1.5-3.5-1-.7-2.4 2.5-.9 5.9-.1 4 2.2z"},
+        {"name":"Macedonia","center":[21.7,41.6],"box":[530,114,536,119],"path":"M534.3 114.4l1.3 1 .4 2-4.6 1.5-1.1-.7-.2-2.4 2.3-1.2 1.9-.2z"},
+        {"name":"Madagascar","center":[46.7,-19.4],"box":[592,282,613,324],"path":"M610.8 283.4l1.2 3.3 .4 6.7-.5 .9-.8-1.8-.5 .9 0 3.6-9 24.9-4.6 2.1-3.3-1.9-1.2-6.9 .5-4.4 1.3-.6 1.9-5.3-.9-6.3 1.5-3.7 4.9-1.3 3.9-3.7 .9-1.5-.3-1.3 1.1 .3 2.7-5.3 .8 1.3z"},
+        {"name":"Malawi","center":[34.2,-13.2],"box":[566,273,575,297],"path":"M566.8 273.4l2.6 .6 1.3 2.3 .6 4.2-.8 2.3 .6 4 1.9 1 1 2.2 0 4-1.2 .6-.9 2.2-1.6-2 .4-4.8-3.2-2-1.3-.8 1.7-3.9-.4-2.6 1.1-3.3-.6-2.6-1.2-1.4z"},
+        {"name":"Malaysia","center":[114.7,3.5],"box":[745,223,797,243],"path":"M745.7 225.1l.4-.5 2.2 1.3 .3 1.6 1.7-.4 .9-1.2 3.4 4.2 .6 6.3 2 3.6 0 1-1.9 .2-5.8-4.7-3.4-7.8-.4-3.6zM793.2 232.3l-5.3-.5-3.1 8.8-2.2 .7-2.5-.9-2.8 1.8-3.4 .4-1.8-1.7-.5-2.1 2 1.1 2-.6 .5-2.6 4.3-1.2 3-4.4 1.3 1.6 .5-1.1 1.3 .1 .1-3.5 3.1-4.5 1.1 0 1.7 2.9 4 1.8-.1 1.2-1.8 .1 .6 1.5-2 1.1z"},
+        {"name":"Mali","center":[-3.5,17.3],"box":[447,167,492,214],"path":"M449.6 206.7l-1.6-6.7 1.3-2.4 2.7 .8 2.9-1.1 10.5 0 .6-2.2-2.7-27.1 4 0 17.5 13.5 .6 1.4 2.8 1.4 .1 2 2.9-.3 0 7.1-1.4 2.1-.2 1.9-6 .7-.9 1.1-1.7 .1-3.8-.1-2.5 1.3-2.9 3.1-1.1 .6-1.3-.4-1.1 2.9-2.1 2.5-.5 4.2-1.7 .8-.4-1.3-1.7 1.2-3.2-.2-.6-1.8-.9-.1 .7-1.8-2-2.8-2.8 1.4-2.2-1.1-1.2 .4-.1-1.1z"},
+        {"name":"Mauritania","center":[-10.3,20.2],"box":[435,160,468,200],"path":"M435.6 180.3l.6-1.1 10.1 .1-.3-4.5 .6-1.6 2.5-.3 .1-7.9 8.4 .2 .1-4.7 9.6 7.5-4 0 2.7 27.1-.6 2.2-10.5 0-2.9 1.1-2.7-.8-1.3 2.4-3.3-4.4-3-1.7-4 .4-1 1 1-6.1-.2-6.1-1.9-2.8z"},
+        {"name":"Mexico","center":[-102.6,23.9],"box":[184,143,254,201],"path":"M184.2 144.5l6.3-.5-.4 .6 8.4 3.7 7.1-.1 .4-1.2 4.4 0 2.7 3.4 .6 3.3 1.1 1 1.9 .9 2.2-2.5 2.1 0 1.5 1.2 2.3 5.7 .5 3.6 4.5 1.6-2.4 4.9-1.5 5.7 .8 5.6 2.5 5.6 2.6 .8 .9 1.3 8.3-2.3 1.8-1.2 2.1-5.3 4.7-1.6 3.9-.1 .2 2.1-2.5 3.8 .4 .5-1.6 3.7-1.1-.7-2.5 2.1-4.8 0-.3 1.7-1.1 .1 2.3 2.6-.2 1-3.4 0-1.5 2.5-.3 2.2-3.8-4.3-2-.8-5.2 1.7-10.6-4.7-2.5-2.3-3.9-1.2-3.5-3.1-1.3-3.5 .9-.3 .9-2.7-1.2-4.2-4.6-7.4-1.9-1.3 .5-2.7-2.2-2.2-.1-2.2-1.3-.2-1.9-3.2-.4-6.8-1.5-1.3-2-.7-1.3 5.1 4.9 10.8 .8 7.4 1.2 .1 1.4 2.8-2 1.6-.3-1.8-3.9-4.1 .6-3.9-4.7-3.5-1.1-1.8 1.3-.1 1.7-2.6-2.6-3-1.3-9.3z"},
+        {"name":"Moldova","center":[28.4,47.2],"box":[542,95,552,105],"path":"M542.7 96.5l2-.7 2.8 1 3.5 4.3 .4 .8-.6 .2-2.2-.2-1.1 2.8-.8-4-4-4.2z"},
+        {"name":"Mongolia","center":[102.9,46.8],"box":[685,85,765,117],"path":"M685.3 93.3l2.3-.5 6.3-4 4.8 .9 2.2 1.4 6.1 .9 1.3-2.1-1.7-1.7 .9-3.1 8.5 2.3 1.6 2.3 3.9 1.2 4.6-.9 2.6 .4 5.1 2.9 5.4 .5 4.6-1.3 2.3-2.1 3.3 1.4 2.7-.3-.1 5.2 1.3 1.3 3.7 .1 1.2-1.1 5.6 3 .3 1.1-5.3 .1-1.2 .8-.8 2-3.1 1.2-1.6 1.6-4.2-.9-.4 2 2.1 2.1-2.3 2.7-9.5 2.2-2.1 1.7-1.5-1-2.9 0-6.9-2.3-11-.2-4.2-4.6-5.2-2.2-6.5-1-1.3-1.3-.4-3.5-2.6-2.4-6.4-2.7-1.5-2.1z"},
+        {"name":"Montenegro","center":[19.3,42.8],"box":[524,110,530,116],"path":"M528.7 113.6l-.9-.3-.7 2.4-2.4-1.8 .3-.5 .2-1.7 1.2-1 2.7 2.2-.4 .7z"},
+        {"name":"Morocco","center":[-8.4,29.9],"box":[435,134,478,179],"path":"M474.6 136.4l2.6 7.8-.5 1.2-3.3 .5-2.6 1.4-.2 2.3-2.9 1.2-1 1.6-4.7 1.3-4.2 2.3 0 3.7-.4 1.6-2.4 .8-4.3 0-3 6.5-3.7 3.3-.9 4.3-1.5 2.5-5.9 .3 2.9-7.2 2.4-2.4 1.8-5.4 1.8-1.1 3.1-4.4 2.4-.4 5.5-5.5-.5-3.8 1.4-4.3 1.7-2.1 4.4-2.7 2.6-5.1 1.8 0 1.5 1.3 6.1 .5z"},
+        {"name":"Mozambique","center":[35.5,-17.2],"box":[559,276,588,328],"path":"M571.3 280.5l5.2 .6 2.5-.5 1-.9 4.5-1.2 2.2-1.7 .7 13.4-.9 2.2-3 4.1-5.4 2.7-7.3 6.8-.3 2.2 1.9 4.9-.8 4.5 .6 .5-1.6 2.4-6.7 3.9 .8 1.5-.3 1.6-2 0-.4-2.8 .5-4.5-1.5-6.6 4.2-6 1-11.1-4.3-2.7-2.2 .1-.1-1.1-.2-2.2 8.1-2.6 3.2 2-.4 4.8 1.6 2 .9-2.2 1.2-.6 0-4-1-2.2-1.9-1-.6-4 .8-2.3z"},
+        {"name":"Myanmar","center":[96.5,21],"box":[720,157,744,215],"path":"M741.1 182.1l-2.7 2-1.8 .2-.7 3.3-1.1 .6 5 7-.6 2.7-.8 .5 2.8 4 1.9 6-2.2 6-.4-2.3 .6-2.3-1.1-1.8-.1-3.4-1.3-1.6-2.2-7.6-1.5-2.5-4.2 3.7-3.2-1 .4-3.8-.9-2.9-2.6-3.6 .2-1.1-1.6-.4-2.3-2.5-.5-2.5 1 .5-.4-2.2 1.2-.8-.6-5.6 2.2 .8 .6-2.6 .8-4.1-.5-1.8 2.9-2.1 2 .5-.4-3.6 1.5-.2 2.5 2.5 1.1 4.9-1.9 2.6 .4 3.7 2.6-.5 1.2 2.8 1.8 .6-.3 2.6 3.3 1.7 1.8-.9 .3 1.3-2.2 3.2z"},
+        {"name":"Namibia","center":[17.2,-22.1],"box":[510,297,546,335],"path":"M531.4 321.4l-.5 11.4-3.8 1.8-2.7-.8-1.3-2.1-1.3 1.5-2.7-4.6-2.1-15.4-2.2-3.9-1.8-5.6-2.1-3-.1-2.4 4.5-1 1.6 1.4 11-.4 1.8 1.5 6.3 .4 4.9-1.2 2.1-.7 2.7 1.1-4 1.9-.9-1.2-6.1 1.1-.4 11-2.6 .2-.3 9z"},
+        {"name":"Nepal","center":[84,28.2],"box":[684,151,707,164],"path":"M705.7 159l.8 4.5-7.4-1-1.8-1.5-3.6-.4-9.1-4.5 .4-2.9 1.4-1.4 .9-.7 2.2 .9 4.5 2.5 1.2 1.5 4.4 2 6.1 1z"},
+        {"name":"Netherlands","center":[5.5,52.3],"box":[487,80,496,89],"path":"M495.7 80.9l0 3.7-.5 1.1-1.4 0 .5 3.1-2.8-2-3.8 .4 1.1-.8 2-4.4 3.1-1.2 1.8 .1z"},
+        {"name":"New Caledonia","center":[165.5,-21.3],"box":[907,306,915,315],"path":"M911.7 310l2.5 3.3-1.2 .8-1.2-.9-2.6-3-1.2-3.2 1.1 0 2.6 3z"},
+        {"name":"New Zealand","center":[170.5,-44],"box":[876,351,923,389],"path":"M913.8 368.7l-4.5 3.8-2.7 1.2-.6-1.3 3-2.5 .2-1.7-1.9-1.2 3.2-2.2 2.8-4.4 .5-2.6-.9-6.2 1-.2 .5 1.7 1.6 .8-.8 6 1.2-2.1 .7 .8-1 2.4 1.4 1 4.7-.6-4 4.5-1.9 0-2.5 2.8zM889.4 379.4l5.6-3.2 8-6.2-.5 2.6 2.5-1.2-.9 2.5-7 4.9-.1 1.5-4.7 1.2-5.5 5-4.6 2.3-5.5-1.3 .4-1.1 7.9-5.3 4.4-1.7z"},
+        {"name":"Nicaragua","center":[-85,12.8],"box":[248,198,262,212],"path":"M258.8 211.3l-.7 .7-2-1.1-2.7 0-4.7-5.6 .9-.3 1.6-.8 .1-1.5 1.8-.9 .7 .6 2.7-2.9 1.2 .5 3.5-1.2-2.9 11.2 .5 1.3z"},
+        {"name":"Niger","center":[9.3,17.3],"box":[480,172,522,210],"path":"M518.5 174.5l.8 4.8 2.2 2.9-1.5 11.6-3.3 2.9-1 4.1 1.1 1.1 0 2 1.7 .1-.2 1.4-.8 .2-.1 1-2.9-3.5-2 1.8-3.5-1.1-5.2 1.7-3.2-1.6-2.6 .7-3.7-2.3-3.5 1-1.3 5.8-2-1.8-1.8 .9 0-2.1-3-.7-.1-1.5-1.5-2-.1-2.9 1.7-.1 .9-1.1 6-.7 .2-1.9 1.4-2.1 0-7.1 3.6-1.4 16.3-12 4.1 1.4 1.5 1.7 1.8-1.2z"},
+        {"name":"Nigeria","center":[8,9.5],"box":[487,202,519,232],"path":"M487.1 225.7l.1-6.9 2.6-4.8-.3-4.9 1.3-5.8 3.5-1 3.7 2.3 2.6-.7 3.2 1.6 5.2-1.7 3.5 1.1 2-1.8 2.9 3.5 1.1 1.2-.4 1.6-2.2 2.4-4.7 11.7-1.9 1.1-2.5-1.3-2.3 1.9-1.9 5.1-4.8 1.7-2.1-.1-4.2-6.2-4.4 0z"},
+        {"name":"North Korea","center":[127.2,40.1],"box":[784,112,798,129],"path":"M797 114.2l.6 .5-1-.2-.8 2.1 1.1 2.2-3.7 3.4 .4 1.7 3.1 1.9 0 .7-2.6 .4-.4 1.4-1.2 .1-1.5-.6-.6 .9-2-1.4 .6-1.7-.6-2.2-3.5-1.7 3.1-3.6 .7-2.2 3.8 1.1-1.2-1.6 3.1-1.3 .2-1.7 2.4 1.8z"},
+        {"name":"Norway","center":[14.2,64.5],"box":[490,9,543,68],"path":"M507.4 11.7l.5-.7 2.6-.1 8.8 2.4-4.5 .9-.7 1.7-1.5 .4-.6 2-2.2 .1-4.2-1.5 1.5-.8-6.6-2.6-1.6-1.7 4.8-.8 1.1 .8 2.6-.1zM542.5 36.3l-4.8 1.3 .5-1.8-2.8-1-2.9 .8-.6 1.9-1.8 1.2-4.9-.5-2.4-1.4-1.1 .7-1.3 .1 0 1.7-3.9-.4-.4 1.5-1.9 0-5.8 8.6 .9 .9-.7 1.1-2.1 0-1.1 2.5 .4 3.7 1.4 1.4-.4 3.3-2.6 3.5-1.6-1.7-4.1 3.3-2.9 .6-3.1-1.4-1.8-9.5 1.9-1.8 5.5-2.3 4-2.8 8-8.9 8.4-5.2 4.2-1.2 3.3 .2 2.7-2.2 7.1-.4 6.6 1.9-2.4 .7 2.5 1.6zM529.3 10.9l-2.4 1.2-5.2 .2-5.4-.3-5.2-1.7 5.4-.6 2.7 .5 1.7-.6 8.4 1.3zM525.7 15.8l-4 1-3.3-.6 1.1-.6-1.2-.7 3.7-.5 3.7 1.4z"},
+        {"name":"Oman","center":[56.1,20.6],"box":[615,168,636,194],"path":"M623.3 175l.4-3.8 1.1-.6-.5-2.5 1.3 0 3 3.3 3.5 .9 3.2 3.9-2.8 5.8-1.2-.1-.5 .7 .1 4-2.8 1.2-.6 2.1-1.7 0-2 2.9-1.5-.3-2.9 1.2-3.4-7.2 7.5-3.1 1.2-6.2-1.4-2.2z"},
+        {"name":"Pakistan","center":[69.4,30],"box":[635,130,675,172],"path":"M674.5 135.4l-1.8 2.6-2.7 .4-4-.7-.9 1.3 2.7 4.8 2.4 1.6-1.8 1.8 .5 2.2-5 9.5-3.1-.3-2.3 3.3 1.9 1.4 3.3 6.6-5.7 0-1.5 2-2-.7-3.4-4.6-12.4 1.1 .5-3.7 3.5-1.5-.4-1.5-1.3-.5-.5-2.7-2.6-1.4-2.8-3.5 4.5 1.6 6.3-.5 3.1-1.3-.4-2.6 1.1-1.7 1.9 0 .1-.9 2.9-.1 .8-.9-.5-1.9 .7-1.8 1.5-.8-1.4-2 2.4 0 .1-2.3 1-1.3-1.5-2.8 1.1-1.4 7.8-1.9 2.2 1.5 1.3 2.3 4.4 1.3z"},
+        {"name":"Panama","center":[-80.1,8.5],"box":[260,215,276,223],"path":"M275 218.3l.2 2.3-.6 .9-.8-.2-.4 1.5-1.3-2.6 .6-.8-2.3-2.1-3.5 2.2-.3 .6 1.2 1.7-1.1 .8-1.3 .2-.4-1.9-1.2 .4-.5-1.3-3.2-.3 .7-2.2-.4-1.7 1-.2 .8 1.7 1.3-.1 .7 .8 5.1-2.6 1.4 .2 2.5 .9 1.8 1.8z"},
+        {"name":"Papua New Guinea","center":[144.3,-6.6],"box":[853,252,895,278],"path":"M854.9 253l9.3 3.9 3.2 3.1 .3 1.8 4.3 1.9 .5 1.7-2.5 .3 .5 2 2.1 2.1 1.4 3.2 1.6-.1-.3 1.4 2 .5-.9 .6 2.7 1.3-.4 .9-1.8 .2-.6-.8-4.8-.8-3.2-3.7-1.1-2.7-3.3-1.3-4 1.9 .1 2.2-2.2 1.1-4.2-.6 1.3-20.1zM885.7 256.3l1.2 2.5-.9 .9-1-3-4.5-3.3 .8-.7 4.4 3.6zM881.7 263l-4.3 1.4-3.6-1.7 .3-1 3.8 .2 .9-1.5 .2 1.6 1.5-.2 2.4-2.2-.2-1.8 1.6 0 .3 2.2-1 1.9-1.4 .2-.5 .9zM891 261.4l3.1 3.7-.4 .9-.8 .3-1.1-1.2-1-1.9-.4-2.4 .6 .6z"},
+        {"name":"Paraguay","center":[-58.4,-23.2],"box":[317,304,340,331],"path":"M328.3 307.2l.9 1.7 .2 4.2 2.8 .6 1.1-.6 1.8 .8 1.5 5 2.9 .2-.2 5.3-.1 2.7-2.1 2.4-1.9 .5-5.7-1.3 2-4.7-.6-1.4-6.2-3.5-2.2-.5-5.3-5 1.4-8.1 6.9-.9 2.6 1.6 .2 1z"},
+        {"name":"Peru","center":[-74.4,-9.2],"box":[263,245,299,302],"path":"M294.3 258.2l-2.4-.1-5.5 3.1-.8 2.5 .3 1.7-1.5 .9-.6 1.9 2.8 4.6-.5 1.3 1.7 .2 1.1 1.6 2.4 .1 2-1.8 .1 4.7 2.7-.2 2.6 5-.3 5.8-.9 1.5 .6 1.2-.5 1 1.3 2.6-1.3 3.4-.5 1.5-1.3 .8-2.8-1.7-.4-1.3-12.7-8.4-1.3-2.5 .3-.9-10.5-19.6-4.1-3.2 .8-1.4-1.4-2.9 .8-2.2 2.1-1.9-.3 3.1 2.1 .1 1.2 1.6 1.5-1.3 2-4.8 3.2-1.2 2.8-3.2 .8-2-.3-2.3 .7-.3 3.8 3.7 1.6 3.2 6-.2 2.1 1.5-1.7 3.1 2.2 1.7z"},
+        {"name":"Philippines","center":[121.5,15.8],"box":[790,187,816,228],"path":"M798.9 205.9l-1.6-2.4 2.3 .2 1 1.1-.3 2.6-1.4-1.5zM804.5 214.3l.7-2.8 1.4-.2-.2 2.1 1.6-3 .1 3-2.2 3.8-1.9-2.1 .5-.8zM815 219.1l.7 3.8-.7 2.8-1.2-3.1-1.1 1.5 1 2.3-.7 1.4-3.2-1.8-.9-2.2 .7-1.4-1.8-1.5-.7 1.3-1.3-.1-1.8 1.7-.5-.9 .8-2.6 3-2.1 1 1.4 2-.8 .3-1.4 1.8-.1-.3-2.3 2.2 1.4 .7 2.7zM793.9 216.3l-3.3 3 4.3-6.2 1-3.1 .8 2.5-2.8 3.8zM800.3 188.9l-.2 1.2 1.3 2.2-.3 2.6-1.4 1 .9 5 2.6 0 3.5 1.7 .9 3.8-3.5-3.1-.5 1.1-1.9-1.8-2.4 .4-1.4-.7 .7-2-.9-.7-.2 1.1-2.1-3.1-.6-3 1.3 1-.2-7.6 3.4 .9 .6-.8 .4 .8zM802.6 209.9l-.6-1.5 3.4 .9 .1 1.3-2.7 2.3-.2-3zM811.5 207.6l1.1 3.4-2.1-.8 1 2.9-1.2 .7-.3-2.2-.8-.1-.7-1.9 1.6 .3-.1-1.2-1.9-2.4 2.5 .1 .9 1.2z"},
+        {"name":"Poland","center":[19.3,52.1],"box":[512,76,536,94],"path":"M533.4 79.6l1.1 3.6-1.3 .6 1.1 2.7 1.3 3.4-1.1 .4-1.9 2.4 .3 1.2-2.4-1.1-4.1 .7-1.3-1.1-1 .3-1.2-1.5-1.8-.2-.3-.9-1.6-.3-.3 .7-1.3-.6 .1-.8-2.9-1.2-2.6-5.5 .6-.8-.7-1.5 7.7-3.2 2.3 .5 .3 .7 2.2 0 6.9 .3 1.9 1.2z"},
+        {"name":"Portugal","center":[-8.1,39.6],"box":[456,114,465,132],"path":"M458 115.7l1.9-1.2 .6 1.5 3.3-.3 .6 1.6-1.1 .8-.7 4.3-1 .2 .9 1.9-.7 2 .8 .9-1.3 2 .2 1-1 .8-2.6-.1 .3-4.3-1.1-.3-.6-1.1 2.1-6.2-.6-3.5z"},
+        {"name":"Puerto Rico","center":[-66.5,18.2],"box":[304,187,309,190],"path":"M306.6 188l1.7 .8-.8 .8-3.5 .1 .4-1.8 2.2 .1z"},
+        {"name":"Qatar","center":[51.2,25.3],"box":[610,164,613,170],"path":"M611.2 168.7l-.4-2.3 1.2-2 .9 1-.1 3.6-1.6-.3z"},
+        {"name":"Romania","center":[24.9,45.9],"box":[528,96,551,111],"path":"M547.5 104.7l3.3 .6 .2 .8-1.9 .4-.2 3.6-3.4-1.4-3.8 1.5-6.4-.4-.8-1.3-.5-.5 .5-.5-.6-.4-.7 .7-1.5-.9-.3-1.2-3.2-2.9 1.8-.6 2.2-4.1 1.4-.6 .9-.6 4.2 1 4-1.4 4 4.2 .8 4z"},
+        {"name":"Russia","center":[99.9,61.7],"box":[120,8,875,118],"path":"M646.4 8.8l3.3-.4 4.6 1 6.4 2.1 1.6 2-3.7 .3-9.5-1.5-3-1.6-2.8-.4 3.1-1.5zM666.7 12.6l5.9 1.3 .4 .9-9.5 .9 .4-3 2.8-.1zM741.4 19.9l13.5 1.3 .6 1.8-9.6 .6-5.5-1.6-.9-1.7 1.9-.4zM761.5 21.8l5.5 .6-1 1-3.3-.3-4.7-.9-.5-.8 4 .4zM751.1 26.6l.7-1 2.2-.2 4.8 1.6-7.7-.4zM560 9.8l6-.5 .7 .6 2.2-.8 2.9 .4-6.2 1.5-2.2-.5 .6-.7-4 0zM531.5 78.4l-6.9-.3 .3-1.2 3-1 3.5 1 .1 1.5zM583.3 25.7l3.7-2.2-1.1-1.1 9.1-2.8 12.2-1.6 1.9 .9-.9 .7-11.1 2.4-4.8 2.3-3.8 4.8 1.3 2.1 4.6 2.1-7.7-.1-1-1.1-3.8-.7-.8-1.4 1.8-.5-.7-1.4 3-2.1-1.9-.3zM805.4 80.2l4.8 5.8 8.9 8.2-4.1-1 1.3 4.4 4.2 3.1 1.2 2.1-2.9-1.9-.1 2.4-2-2.6-7.3-12.4-3.3-2.9-2.7-4 1.2-1.3-1.9-1.4 .7-.4 2 1.9zM797.6 114.7l-.6-.5-.8-1.6 1.2-.1-3.5-6.2 1.5-1.1 3.2 .6-1.2-10.1-3.3 .9-1.4 1.2-3.6 0-2.6-2.8-4-2.2-4.6-.9-9.4-9-6.7-1.9-5.5 .6-1 1.4 1.7 .7 1 1.7-1 4 .7 1.3-2.2 1.9-3.4-1.1-2.7 .3-3.3-1.4-2.3 2.1-4.6 1.3-5.4-.5-5.1-2.9-2.6-.4-4.6 .9-3.9-1.2-1.6-2.3-8.5-2.3-.9 3.1 1.7 1.7-1.3 2.1-6.1-.9-2.2-1.4-4.8-.9-6.3 4-2.3 .5-.8 .2-2-1.8-2.8 .4-6.7-4.1-3 .8-3.8-1.7-.7 1.5-8-7.5-3.8-2.2 .5-.9-4.7 2.7-2.1 .2-.4-1.6-3.3-1-2.1 .7-1.8-3-4.3-.6-1.6 1.2-6.1 1.7-8.2 1.1-.7 1 2.2 2-1.9 .7 .7 .8-1.8 1.5 4.3 2-.2 1.4-3.3-.1-.4 .9-3.4-1.6-3.6 .1-2.2 1.2-8.6-3.2-3.6 .1-4 3.2 .2 2.1-2.8-1.7-1.2 6.2 2.4 2 1.7-.1 2 2 .1 1.6 1.3 .5-.8 1.8-2.2 .5-1.7 3.1 2.7 2.9 .1 2 3.3 3.6-1.5 2.1-3.8-2.2-2.6-2-2.4-.6-1.4 .5-4-2.1-6-.6-8.8-5.5 1.7-.5 1.6-2.5-1.5-1.2 3.3-1.3-.2-.6-2 .5-.2-1.4 1.1-.8 2.2-.2-.6-2.7 .5-2.4-5-1-1.7-1.4-1.7 .5-3.1-1-1.1-1.9-1.9-.2 .2-1.5-1.8-1.6-4.4 .6-1.5-2.8 3-.8-2.4-1.3-2.7-3-.1-2.1-3.4-.4-2.9-1.4-1.4-3.1-1.2-.7 .9-.9-1.1-2.6 1.3-1.6-.4-.5 2.2-1.6-2.5-1.3 5.7-5.2 .5-1.4-3.5-1.8 .5-1.8-2.3-2 1-2.3-3-3.1 1.5-2-3.5-1.7-.1-1.9 4.8-1.3 1.9-.9 3.7 1.6 5.6 .6 10.4 4.2 .6 1.8-1.9 1.4-3.2 .7-9.7-2-1.4 .3 3.8 2 1.2 4 4.7 1.5 0-1.3-1.6-1.1 1.1-1.1 5.5 1.7 1.6-.6-1.9-2 4.1-2.6 4.1 1 .7-1.8-2.2-1.6 .5-1.6-2-1.6 6 .9 1.6 1.4-2.5 .4 .5 1.4 1.9 .9 3-.5 0-1.7 10.1-3.5 1.6 .1-1.4 1.6 2.6 .3 1.1-.9 3.8-.1 2.5-1.1 3 1.6 1.6-1.8-2.8-1.5 .7-.8 6.3 .8 11.9 3.8 .7-1.4-3.1-1.9-2.5-.3 .1-1.2-2.6-2.9 2.5-2.3 .1-2.3 1.2-.5 5.5 .7 1.2 1.4-.8 2.1 3.3 2.6 1.4 3.5 3 1.6 .1 1.8-2.2 3.8 2.5 .4 .4-1 1.9-.7-.1-1.3 1.1-1.3-1.9-1.5 0-1.7-2.3-.2-1.2-1.4 .2-2.6-3.7-2.1 2.5-1.7-1.4-1.8 2.7 1.3 .7 2.5 2.3 .4-1.9-1.8 2.7-1 4-.1 4.5 1.4-3-2.1-1.9-2.7 11.7-.7-2.4-1.3 1-1.6 9.7-1.6 .1-.6 6.8 .3 3.1-1.3 3.5 .1-.4-1.1 .9-1 3.5-.9 3.9 .7-2 .6 4.6 .4 1.6 1.1 6.6-.5 7.8 2.1 .7 1.2-6 2.8 6.1 1 1.3-.5 2.4 1.6 .3-.6 2.7-.4 6.6 .4 1.5 1.1 8.5 .4-1.7-1.9 7.6 .4 4.5 1.4 2.4 1.6-.1 1 8.5 3.1-.7-2.7 4.3 1.1 2.7-.7 4.6 .8 .7-.7 3.6 .4-3.9-2.4 1.5-1.1 19.4 1.7 10.7 3.4 12 0 2.8 1 2 1.9 3.3 .7 13.4-.3 6.3 2.3 1.5-.8-3.6-1.7-.5-1.2 11.2 .6 19.1 4.4 8.7 2.6 1.9 1.7 2.2 .6-2.9-1.9 6.1 .4 7.2 2.5-.6 1.2-3.1 .2 3.2 2.7-.2 .5-8.5-1.8-1.9-1.1-4.6-.1-3-2-1.7 .7 2.4 1.2 .2 1.2-1.3 1.2-3-.2 9.2 4.4 1.8 1.9-4.7-.6-5.3 2.4-2.6 3.7 .5 1.2-5.1-1.9-3.5 2.2-2-1-.9 1.2-3.3-.4 1.1 1.8-.1 2.8 1.1 1.1 3.1 .6 3.5 4.2-2 .1 1.1 2.4 2 1.3-2.7 1.5 2 3.3-2.9 .7 1.7 3-1.3 2.8-13.1-12.8-2.3-4 .4-1.7-1.1-1.4 2.9-.6 1.7-6.5 1.7-2.2-2.2-3.9-2.3 .2 1 2.3-2.5 3.1-5.1-3.4-4.6 .9-1.1 4.7 3.3 1.7-7.4 1-1.6-2-3.7-.4-1.6 1.4-7.1-.5-6.5 .8-6.3 12.4 3.8 .3 2.4 1.8 2.7 .7 .4-1.5 2.6 .2 5.6 3.2 1.9 2.5 .2 3 4.1 8.3-.9 4.4 .4 2.1-3.1 8.8-2.3 1.8-1.5 0-2.3-1.5-2.1 2.3 .1 1zM124.7 31.3l2.1-.1 1.9 .7-.6 .4-8 .9 4.6-1.9zM559.7 103.3l.5-.8 3.4 1.5 1.3 1 2.4-.2-.3 1.1-5.6 2.3-1.4-.7 .3-1.4-2.7-.9 2.5-1.6-.4-.3z"},
+        {"name":"Rwanda","center":[29.9,-2],"box":[557,248,562,254],"path":"M560.9 248.5l1 1.7-.1 1.8-.8 .4-1.4-.2-.8 1.8-1.6-.3 1.5-4.6 2.2-.6z"},
+        {"name":"S. Sudan","center":[30.2,7.3],"box":[543,207,574,235],"path":"M561.9 234.2l-2.9-3.4-3.5 1-1.2-.4-1.6-2.5-7.6-9.2-1.8-1.2 1.7-.9 1.3-4.2 1.9-.4 2.7 2.9 .9-.6 4.9 .8 2.7-2.8 2.2 1.8 1.4-.3 2.7-3.9-1-2.8 1.6-.1 .2-.7 1.2 .2 .1 4.5 1.4 1.2 .8 5.1-.3 .9-1.4 .1-.9 1.7 1.6 .3 1.4 1.5 3.3 5.3-3.3 3.8-1.7 1.4-4 .8-1.7-.7-1.1 .8z"},
+        {"name":"Saudi Arabia","center":[44.5,24.1],"box":[568,145,625,195],"path":"M569.2 154.4l2.8 .5 1.6-2.1 1.9-.4 1.1-1.6-2.8-3.1 5.3-2 7.1 3 7.9 6.2 4.8 .3 2.3 .3 .8 1.5 1.8-.1 1.3 2.7 3.8 3.1 .1 2.3 2.2 3.7 1.6 .3 .6 1.2 1.5 3.9 7.9 1.5 .5-.6 1.4 2.2-1.2 6.2-7.5 3.1-7.5 1.1-2.3 1.4-1.7 3.3-1.2 .5-.7-1-7.8-.2-1.1-.8-.3 2.9-1 .9-5.5-9.6-3.1-2.7-1.9-2.9-.5-4-1.7-3.4-2.8-1.9-1.7-4.1-5.3-7.6-1.2 0 .5-4z"},
+        {"name":"Senegal","center":[-14.5,14.4],"box":[433,193,450,208],"path":"M435.9 203.1l-2.3-3.5 1.2-.5 1.9-3.8 1-1 4-.4 3 1.7 3.3 4.4 1.6 6.7-2.6 .3-3.2-.7-4.8-.2-3 .8-.4-2.4 2.4 .1 2.1-1.2 2.2 .7 1.2-.7-.5-.9-1.7 .5-1.1-.7-4.3 .8z"},
+        {"name":"Serbia","center":[20.8,44.2],"box":[524,102,536,115],"path":"M524.9 103.5l3.3-.7 3.2 2.9 .3 1.2 1.5 .9 .7-.7 .6 .4-.5 .5 .5 .5-.2 1.8 1.3 1.4-1.3 2.7-1.9 .2 .4-1.3-2.5-1.8-1.2 1.4-2.7-2.2 .8-1.6-1.3-1.1 .5-1.4-.8 0 .8-1.1-1.5-2z"},
+        {"name":"Sierra Leone","center":[-11.8,8.5],"box":[444,214,453,225],"path":"M444.9 217.6l2.2-2.9 3.5-.6 1.3 2.4 .2 2.8 .8-.2-3.3 5-3.9-3.1-.8-3.4z"},
+        {"name":"Slovakia","center":[19.5,48.7],"box":[519,92,533,98],"path":"M532.9 93.9l-1 2-3-.6-6.7 2.6-2.2-1.1-.2-1.4 4.3-2.7 1-.3 1.3 1.1 4.1-.7 2.4 1.1z"},
+        {"name":"Slovenia","center":[14.9,46.1],"box":[512,100,520,105],"path":"M512.8 101.6l2 .3 3.6-1.3 1 1.1-1.9 .8-.9 2.3-3.8-.1 .5-.3-.5-2.8z"},
+        {"name":"Somalia","center":[45.7,4.8],"box":[588,207,616,251],"path":"M590.6 250.2l-1.6-2.6-.1-11.2 2.3-3.5 4.8-3.2 3.4-.1 7.3-9.2 2.9-4.5-.2-6 5.6-1.9 0 4.2-3.8 11.9-2.1 4.5-5.3 7.6-9.1 7.9-4.1 6.1z"},
+        {"name":"Somaliland","center":[46.2,9.8],"box":[592,209,610,221],"path":"M609.4 209.9l.2 6-2.9 4.5-2.2 0-8.8-3.7-3.1-4.2 .5-1.1 .9-1.7 2.7 3.1 12.7-2.9z"},
+        {"name":"South Africa","center":[25.1,-29],"box":[521,313,565,353],"path":"M521.8 333.2l1.3-1.5 1.3 2.1 2.7 .8 3.8-1.8 .5-11.4 2.1 3.4 .2 3 1.8-.3 4.6-4.6 2.3 1.3 3.8-.6 .8-2.4 1.4-.3 1.8-3.2 6.3-4.6 4.5 .5 1.5 6.6-.5 4.5-2-.3-1.2 3.1 1.5 1.7 1.5-.3 .6-1.4 2 0-2.1 6.2-11.1 12.5-6 2.8-.4 .8-8.1-.2-6.4 2.8-1.2 .1-3-2.1-.8-4.7 .8-.6 0-2.3-4.3-9.6zM554 334.4l-1-1-1.3 .6-2.9 3.2 1.7 2.4 2.9-1.8 1.4-2.5-.8-.9z"},
+        {"name":"South Korea","center":[127.8,36.4],"box":[792,125,804,139],"path":"M792.5 128.4l1.2-.1 .4-1.4 2.6-.4 0-.7 5.2 5.6 1.4 3.6-.3 1.7-3.5 1.8-2.2 .3-1.3-4-2.4-3.2 1.7-.5-2.8-2.7z"},
+        {"name":"Spain","center":[-3.6,40.3],"box":[457,110,488,134],"path":"M461.5 130.4l-.2-1 1.3-2-.8-.9 .7-2-.9-1.9 1-.2 .7-4.3 1.1-.8-.6-1.6-3.3 .3-.6-1.5-1.9 1.2 .2-2.1-.9-1.4 3.5-2.2 14.6 1 1 1.2 4.4 1.4 .9-.7 2.7 1.4 2.8-.4 .2 1.8-2.3 2-3.1 .7-2.7 5.2 1 1.8-1.5 1.3-.5 2.1-1.9 .6-1.7 2.3-5.6 0-2.5 2.3-1.2-.3-1.6-2.8-2.3-.5z"},
+        {"name":"Sri Lanka","center":[80.7,7.7],"box":[691,214,697,227],"path":"M696.9 221.9l-.2 3.2-3.4 1.5-1.3-2.4-.7-4.4 .9-5 1.9 1.7 2.8 5.4z"},
+        {"name":"Sudan","center":[29.9,16],"box":[537,177,581,220],"path":"M545.1 219.7l-2.9-2.3 .1-3.5-1.8-3.2-1.7-4.6-.9 .1 .9-2.4-.3-1.2 .8-1-.6-.7 1.8-4.2 2.3 .2-.5-12.2-.1-1.3 3 0-.2-6.2 30.8 0 2.3 10.4 2.5 2-1.2 1.7-2.7 1.5-.8 7.8-1.2 5.7-1.6 1.5-1.2 3.6-1.3 .9-.6 6-.8-5.1-1.4-1.2-.1-4.5-1.2-.2-.2 .7-1.6 .1 1 2.8-2.7 3.9-1.4 .3-2.2-1.8-2.7 2.8-4.9-.8-.9 .6-2.7-2.9-1.9 .4-1.3 4.2-1.7 .9 1.8 1.2z"},
+        {"name":"Suriname","center":[-55.9,4.1],"box":[325,226,337,240],"path":"M335 237.9l-3.8-.6-.1 2.1-1.4-.2-2-4.5-.8 0-1.1-2.2 .3-2.3 1.7-.8 .5-2.8 3.1 .6 2.5-.7 2.8 .8-1.4 2.6 1.2 4-1.5 4z"},
+        {"name":"Sweden","center":[16.6,62.8],"box":[504,37,530,76],"path":"M504.2 65.4l2.6-3.5 .4-3.3-1.4-1.4-.4-3.7 1.1-2.5 2.1 0 .7-1.1-.9-.9 5.8-8.6 1.9 0 .4-1.5 3.9 .4 0-1.7 1.3-.1 6.3 3.1 .7 4.1 .9 1-3.5 .8-1.7 1.9 .5 1.6-6.9 4.6-1.1 3.9 4 3.5-1.7 3.1-2.2 .7-.4 4.8-1 2.7-2.8-.3-1.1 2.3-2.6 .1-4.9-10z"},
+        {"name":"Switzerland","center":[8.1,46.8],"box":[494,97,505,104],"path":"M502.7 98.6l-.2 1.3 2.3 .6-.2 1.2-2.8 .2-.4 1.2-1.6-.4-2.4 1.2-1.1-.7-.8-1.3-1.2 .5 0-1.4 1.6-2.5 1.7-.2 2 0 .5-.6 2.6 .9z"},
+        {"name":"Syria","center":[38.5,35],"box":[570,130,586,146],"path":"M570.1 144l.1-1.8 1.7-2.8-.5-1.2-1.2-.2 0-3.6 1.2-1.4-.1-1.7 .9 .6 2.7-.9 3.4 .6 2.7-1.1 4.1-.5-2.3 2.7 .5 2.3-.4 3.7-5.2 3.2-4.6 3.3-3-1.2z"},
+        {"name":"Taiwan","center":[121,23.7],"box":[791,166,795,178],"path":"M794.8 169.8l-1 7.5-2.7-4.9 2.3-5.4 1.4 .9 0 1.9z"},
+        {"name":"Tajikistan","center":[71,38.6],"box":[646,118,666,132],"path":"M648.4 130.3l.7-3.1-1.1-2.3-1.9-.8 .3-1.3 2.1 .1 1-3.6 3.1-.8-.1 1.5 .5 .8 1-.1-.6 1-2.8-.5 .2 1.8 2.6-.3 3.2 1 4.6-.5 1.3 2.9 2.4 .4 1 2.9-4.3-.2-2.9 2.3-1.3-1-1.1-3.6-1.5-.7-1 2.7-1.5 0-.5 1.4-1-.6-1.6 1-.8-.4z"},
+        {"name":"Tanzania","center":[34.8,-6.3],"box":[557,247,587,282],"path":"M570.2 247.9l10 6.6 .2 1.8 3.8 3.1-1.3 3.8 .1 1.7 1.7 1.1-.8 5.1 1.8 5 1 .7-2.2 1.7-4.5 1.2-1 .9-2.5 .5-5.2-.6-.6-4.2-1.3-2.3-2.6-.6-5.3-2.7-1.4-3.9-1.5-1.7-.7-6.3 1.2-.1 2.6-3.4-.7-2.9 .8-.4 .1-1.8-1-1.7 9.3-.6z"},
+        {"name":"Thailand","center":[101,15],"box":[734,182,758,228],"path":"M757.2 201l-2.6-.4-3.3 .6-1.4 2.6 1 3.7-2.5-1.4-2.2 0 .1-2.4-2.3 0 .1 3.4-1.6 7.2 .3 2.3 1.8 .1 1.9 5.4 4.7 3.8-.9 1.2-1.7 .4-.3-1.6-2.2-1.3-.4 .5-4.6-5.9-.3 1.8-.6-1.7 .7-4.9 2.2-6-1.9-6-2.8-4 .8-.5 .6-2.7-5-7 1.1-.6 .7-3.3 1.8-.2 2.7-2 1.2 .9 .5 1.9 1.8 .1 .3 6.1 2.5-1.9 2.4 .5 .4-1.1 2 .2 2.3 2.5 .6 3.1 2.5 2.6 .3 2.7-.7 1.3z"},
+        {"name":"Timor-Leste","center":[126,-8.8],"box":[811,270,818,274],"path":"M811.1 272.4l2.7-1.5 3.7-.1-6.2 3.1-.2-1.5z"},
+        {"name":"Togo","center":[1,8.4],"box":[480,211,485,227],"path":"M482.4 211.1l-.4 1.7 1.8 2 .6 2.1-.1 7.1 .7 2.1-2.2 .7-1.3-3.1 .4-4.3-1.8-8.3 2.3 0z"},
+        {"name":"Trinidad and Tobago","center":[-61.3,10.4],"box":[316,211,319,214],"path":"M316.8 211.9l2.1-.3-.2 2.3-2.7 0 .8-2z"},
+        {"name":"Tunisia","center":[9.5,34.2],"box":[498,129,509,152],"path":"M504.1 151.4l-1.2-5.5-3.7-3.9-.3-2.3 1.5-1.7 .5-2.6 0-4.5 2.7-1.2 1.7 .3 0 1.6 2.1-1.1-1 2.1 0 1.4 .9 .8-.2 2.6-1.6 1.6 .5 1.7 1.3 0 1.7 2-.1 2.4-3.7 3 .1 2.6-1.2 .7z"},
+        {"name":"Turkey","center":[35.4,39],"box":[543,114,592,135],"path":"M591.1 130.2l-1.1 .5-1-.8-3.9 .1-4.1 .5-2.7 1.1-3.4-.6-2.7 .9-.9-.6 .1 1.7-1.2 1.4-1.1-1.4 .8-1.2-3.6-.4-1.5 1.7-3.8 .4-2.1-1.7-2.7-.1-.5 1.3-1.7 .4-2.5-1.7-2.7 .1-1.8-3.1-1.9-1.7 .9-2.4-1.6-1.5 2.4-2.9 3.8-.1 .7-2.3 4.7 .4 2.7-2 2.8-.9 4-.1 8.2 3.4 4.9-.2 2.6-1.6 2.6-.2 2.6 1.5 .6 2.6 3 1.7-1.5 .9 1.3 3.5-.4 .9 1.7 2.5zM543.5 115.9l2.4-1 2.2 .4 .4 1.2 2.2 1-.4 .8-2.8 .1-2.9 2.6-.9-2 1.1-2.3-1.3-.8z"},
+        {"name":"Turkmenistan","center":[59.3,39.1],"box":[607,113,646,137],"path":"M607.8 116l.8-1 2.7-.6 4 3.2 1.2-.1 2.7-.1-.7-1.5 3.5-2.8 3.6 1.6 .9 2.4 1 .6 3.6 .5 1.9 3.1 5.2 3.6 6.5 2.8 .3 1.9-2.1-.9-.2 1.1-1.9 .6 0 2.5-3.1 1.4-.3 1.4-1.8 .4-2.8-1.2-.7-2.6-1.8-.1-3.4-2.7-5.1-1.9-4.4 .2-1.5 1.7-2.1 .6-1-5.4-2.1-1 .2-2.1-1.6-.2 0-2.6 2.5 .8 1.9-1-3.2-3.6-1.8 .8 .2 2.2-1.1-2z"},
+        {"name":"Uganda","center":[32.4,1.3],"box":[558,231,574,250],"path":"M570.2 247.9l-9.3 .6-2.2 .6 .7-5.9 3.5-5-1.1-.4 .1-3.6 1.1-.8 1.7 .7 4-.8 1.7-1.4 2.8 7.2-3.1 5.6 .1 3.2z"},
+        {"name":"Ukraine","center":[31.2,49.1],"box":[531,84,574,106],"path":"M553.1 84.9l4.4-.6 1.8 1.6-.2 1.5 1.9 .2 1.1 1.9 3.1 1 1.7-.5 1.7 1.4 5 1-.5 2.4 .6 2.7-2.2 .2-1.1 .8 .2 1.4-5.5 1.3-1.9 1.2 .4 1.6-3.4-1.5-.5 .8-4.2-1.1-.3-1.2-2.1 .4-2.3 3.9-3.3-.6 1.1-2.8 2.2 .2 .6-.2-.4-.8-3.5-4.3-2.8-1-2 .7-4 1.4-4.2-1-.9 .6-1.7-1.6 1-2-.3-1.2 1.9-2.4 1.1-.4-1.3-3.4 4-1 12.3 1.8 .6-2.2 1.9-.2z"},
+        {"name":"United Arab Emirates","center":[54.2,23.9],"box":[613,164,626,176],"path":"M613.4 170.2l.6 .7 5.7-.3 4.6-6 .7 1.1 .6 2.4-1.3 0 .5 2.5-1.1 .6-.4 3.8-.5 .6-7.9-1.5-1.5-3.9z"},
+        {"name":"United Kingdom","center":[-2.7,53.9],"box":[462,66,484,92],"path":"M465.9 79.8l-3.1-.6 .1-3.1 1.9-.1 2.4 1.8-1.3 2zM472.9 81.1l.4-1.7-1.5-1.8-2.7-.5-.6-.8 .9-1.3-.7-.8-1.3 1.4 0-2.8-1.1-1.5 .9-2.9 1.8-2.3 4.4 0-2.4 3 4.7-.3-.6 2.3-2.1 2.6 2.3 .1 2.2 3.8 1.5 .4 2.1 4.5 2.8 .6-.3 1.9-1.2 .8 1 1.5-2.1 1.6-7.1 .8-1.1-.6-1.5 1.4-2.2-.3-1.6 1.1-1.2-.6 3.4-3.1 2.1-.7-3.6-.5-.6-1.1 2.4-.9-1.2-1.6 .5-1.9 3.3 .2z"},
+        {"name":"United States of America","center":[-99.1,39.5],"box":[72,31,320,187],"path":"M192.1 94.2l64.9 0 .5-1.2 .8 0 .2 2.1 5.7 1.6 2-.4 3.4 .8 2.4-.9 6.7 4.3 .1 1.4 1.2-.3 .2 1.2 .9 .4-.5 .5 2 1.5-.8 5.4-3.9 4.8 .8 1 10.2-3.7 0-1.8 1.2-.5 4.6 0 6-4.2 8 0 2.4-1.4 5.2-6 .5 .8 1.8-.5 .8 .9-1.2 4.1 1.1 1.7 .1 1-8.5 3.4-1.8 1.8-1 2.3 .4 1.7 1 0 0-1.1 .5 .7-.4 .9-9.7 2.1 3.8-.5 .5 .5-3.6 1-1.4-.4-1 .8 .7 .2-1.1 2.2-2.4 2.4-1.1-1.8 .3 3.4-3.1 3.7 1.1-2.3-1-1.1 .4-2.6-.8 3.3-1.5-.5 1.5 1-.4 7.3-2.1 2.3-2.8 .9-4.9 3.2-7.1 6.3-.9 4.4 1.4 9.8-1.8 5.2-2 0-1-2.1-1.8-6.2 .9-2.1-1.8-4.3-.9-.5-2.9 1.4-2.8-2.3-8.3 .7 .4 2.7-.6 .4-3.8 0-1.5-1.6-2.3 .4-1.7-.7-3.9 .9-7.5 5.1-1.4 3.6 .1 2.5-4.5-1.6-.5-3.6-2.3-5.7-1.5-1.2-2.1 0-2.2 2.5-1.9-.9-1.1-1-.6-3.3-2.7-3.4-4.4 0-.4 1.2-7.1 .1-8.4-3.7 .4-.6-6.3 .5 .1-1.5-2.1-2.2 .1-.9-4.7-1.8-1-9.8-1.5-3.6 .7-2.5-.5-1.7 2.7-5.1 .3-2.4 5.7-8.4 2.4-8 .6-.6 2.8 1-.2 2.9 1-.8 1.5-4.9zM74.5 183.1l1.1 1.8-2.7 1.8-.4-2.4 1-1.8 1 .6zM118.5 61.1l1.5 .3-.8 1.1-1.8 .4-1.5-1.3 2.6-.5zM141.2 67.9l1.3 .2 .2 .9-6.2 2.5-.5-.8 .8-1.3 4.4-1.5zM197 35.9l-23.3 25.4 3.5 .9 1 3.1 6.3-2.5 0 1.5 1.6 2.4-.3 5.3 2.6 1.8-3.5 3.2-1.8-2 1.2-2.5-1.2-2.3 .8-2.7-5.4-.3-2-.8-2.2-2.9-4.6-1.5-3.2 .2-4.7-2.5-2.9 .6-1.3 2-10.1 2.3 4.6-4.4 3.1-.9 0-.7-12.3 5.4 .4 1.4-3.8 2-6.4 2.1-8.3 4.1-13.7 3.8-4.5 .3 10.4-3.8 3-.3 6.8-2.9 3.5-1.6 4.9-3.9-5.7 1.4-.1-1.4-1.5 1 .4-1.4-4.6 1.1 2.8-2.7-.5-1-3.3 .6-1.4-2 1.6-1.6-.5-1.2 2.4-1.6 5.6-2.9 2.9 .2 6.8-1.9 .9-1.3-.7-.5 2.7-1-5.5 1.2-1-.6-3.3 .3-2.3-.6 .3-1.1-1-1.6 10.3-2.4 1.6 0-1.7 1.3 4.5-.1 .1-1.6-1.4-1-.7-2.5-1.8-.8 2.7-1.4 3.7-.1 9.3-3.7 13.7-2.6 2.4 .5 .1 1.2 4.6-.4-.8 .6 2.6 .5 2.3-.3 8.1 1.4 3.1-.4 4.1 1.1zM117 51.7l5 1.4-2.7 .8-1.3-1.1-2 .2 1-1.3z"},
+        {"name":"Uruguay","center":[-56,-32.8],"box":[333,337,346,353],"path":"M333.4 338.3l1.6-.4 9 6 1.7 2.2-.9 1.4 1 1.8-.8 1.9-2.5 1.7-7.5-1.5-1.8-1.7 .2-11.4z"},
+        {"name":"Uzbekistan","center":[63.2,41.7],"box":[613,104,659,131],"path":"M616.5 117.5l-2.5-11.3 5.7-1.8 7 3.6 3 2.8 6.8-.7 3.4 2.2 .6 3.1 1.2 0 1.1 2.5 3.1 .1 1.1 1.5 .9-.1 .5-2.2 3.9-2.7 .8 .4-1.5 1.9 2.1 1.2 1.5-.8 3.3 1.6-2.5 2.2-2-.3-1 .1-.5-.8 .1-1.5-3.1 .8-1 3.6-2.1-.1-.3 1.3 1.9 .8 1.1 2.3-.7 3.1-3.4-.7-.3-1.9-6.5-2.8-5.2-3.6-1.9-3.1-3.6-.5-1-.6-.9-2.4-3.6-1.6-3.5 2.8 .7 1.5-2.7 .1z"},
+        {"name":"Venezuela","center":[-66.2,7.2],"box":[285,207,322,243],"path":"M318.7 229l.3 .9-1 1.1-5.7 2.4-4.5-.9 1.1 .8 .2 4 2.3 .3 .1 .6-5.8 4.4-2.1 .2-1.4-1.7-.8-3-1.7-1.8 1.4-1.5-1.3-3.7 1.4-4.9-.9-.5-4.5 .5-1.8-2.6-4.9-.1-1.3-1.3 .2-3.1-.8-2.1-1.4-.2 1.3-4 2.7-3.5 1.7-.5-.1 .7-1.6 .3 .7 3-1.3 1.8 .9 2.5 1.1-.2 .7-2.2-.7-1.1 0-2.4 3.3-1.2-.2-1.5 1-.9 .8 2.1 1.8 .1 1.7 2.7 5.2-.3 1.4 1.4 2 .4 1.7-1.8 6.4-.2-2.3 .9 .8 1.5 2.2 .2 1.9 1.5 .3 2.5 2.4 .7-2.2 1.8-.2 1.1 .8 1.1-2.3 1.1-.7 2.3 1.7 2.3z"},
+        {"name":"Vietnam","center":[106.3,16.7],"box":[745,172,769,219],"path":"M756.1 212.7l2.1-1.2 2.8-.2-1.4-1.9 4.2-2.4 0-3.7-.9-2 .1-3.1-1-2.2-7.1-8.5-3.4-1.9 2.1-1.9-1.5-2.7-3.2 0-3.6-5.3 1.2-.7 4.6-.4 1.8-1.6 4 1.7-.1 1.8 1.5 1.3 2.8 .8-3 2.6-1.7 2.9-.2 2.2 5.6 7.3 4.6 4.4 1.9 5.7 .3 5.4-9.9 9.4-1.1-1.9 .6-2.1-2.1-1.8z"},
+        {"name":"W. Sahara","center":[-12.1,24.3],"box":[435,159,458,181],"path":"M457.8 159.7l-.1 .8-.1 4.7-8.4-.2-.1 7.9-2.5 .3-.6 1.6 .3 4.5-10.1-.1-.6 1.1 .1-1.3 5.9-.3 1.5-2.5 .9-4.3 3.7-3.3 3-6.5 4.3 0 2.4-.8 .4-1.6z"},
+        {"name":"Yemen","center":[47.5,15.9],"box":[592,186,620,207],"path":"M616 186.5l3.4 7.2-1.8 .8-.4 2.5-6.7 2.7-2.2 2.2-2 0-1.4 1.3-4.6 .9-1.6 1.8-2.1 .4-1.8-.2-.8-1.8 0-1.7-1.9-4.5 .5-.1-.2-3.4 1-.9 .3-2.9 1.1 .8 7.8 .2 .7 1 1.2-.5 1.7-3.3 2.3-1.4 7.5-1.1z"},
+        {"name":"Zambia","center":[27.7,-13.4],"box":[537,270,569,301],"path":"M561.5 270.7l5.3 2.7 1.2 1.4 .6 2.6-1.1 3.3 .4 2.6-1.7 3.9 1.3 .8-8.1 2.6 .2 2.2-3.5 1.6-5.3 5.9-4.6-.7-.5-.2-2.7-1.1-2.1 .7-3.4-4.5 .4-9.8 5.5 0-.2-6.1 1 .1 .1 1 2.9 .2 .8 1.4 2.1 .4 1.7-1 .5 1.7 2 .4 2 3 2 0-.1-3.3-.7 .6-2.5-1.8 .9-6.7-.5-1.4 1.5-2.3 4.6-.2z"},
+        {"name":"Zimbabwe","center":[29.8,-18.9],"box":[546,292,567,314],"path":"M561 313.6l-4.5-.5-1.6-1.4-2-.5-.6-3-1.1-.4-2.8-3.4-2.2-4.8 4.6 .7 5.3-5.9 3.5-1.6 .1 1.1 2.2-.1 4.3 2.7-1 11.1-4.2 6z"}
+    ]
+};
@@ -0,0 +1,219 @@
+/**
+ * GentlyTold Rich Text
+ *
+ * Story paragraphs, timeline entries, news and business text accept a small
+ * Markdown subset: **bold**, *italic* or _italic_, [links](https://…), line
+ * breaks, and "> " block quotes. Whatever comes out — including any HTML the
+ * writer typed — goes through an allow-list sanitizer before it reaches a
+ * page, so data files and intake forms can't inject scripts or styles.
+ */
+
+// --- What survives sanitizing ---
+const INLINE_TAGS = new Set(['a', 'b', 'br', 'em', 'i', 'strong']);
+const BLOCK_TAGS = new Set(['blockquote', 'p']);
+const VOID_TAGS = new Set(['br']);
+
+// Dropped together with everything inside them
+const DROP_CONTENT = new Set(['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'svg', 'math', 'select']);
+
+const SAFE_URL = /^(https?:|mailto:|tel:|\/|#)/i;
+
+const ENTITY = /^&(#\d{1,7}|#x[0-9a-f]{1,6}|[a-z][a-z0-9]{1,31});/i;
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Text between tags: escape, but leave entities the writer already typed
+function escapeText(text) {
+    return text
+        .replace(/&/g, (amp, offset) => (ENTITY.test(text.slice(offset)) ? '&' : '&amp;'))
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(Number(dec)))
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+// Links: http(s), mailto, tel and relative only. Entities and control
+// characters are folded first, so "jav&#x61;script:" is caught too.
+function safeUrl(raw) {
+    const url = decodeEntities(String(raw || '')).replace(/[\u0000- \u007f]/g, '');
+    return SAFE_URL.test(url) && !/^\/\//.test(url) ? url : null;
+}
+
+function parseAttributes(source) {
+    const attrs = {};
+    const pattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let match;
+    while ((match = pattern.exec(source))) {
+        const name = match[1].toLowerCase();
+        if (!(name in attrs)) attrs[name] = match[2] ?? match[3] ?? match[4] ?? '';
+    }
+    return attrs;
+}
+
+function openTag(name, attrs) {
+    if (name !== 'a') return `<${name}>`;
+    const href = safeUrl(attrs.href);
+    if (!href) return '<a>';
+    const external = /^https?:/i.test(href);
+    return `<a href="${escapeHtml(href)}"${external ? ' target="_blank" rel="noopener"' : ''}>`;
+}
+
+/**
+ * Keep only allow-listed tags and attributes. Options:
+ *   blocks: allow <p> and <blockquote> as well as inline tags (default false)
+ * Other tags are removed but their text kept; script, style and the like are
+ * removed with their contents. Unclosed tags are closed, stray closers dropped.
+ */
+function sanitizeHtml(html, { blocks = false } = {}) {
+    const allowed = tag => INLINE_TAGS.has(tag) || (blocks && BLOCK_TAGS.has(tag));
+    const source = String(html || '');
+    const tokens = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-z][a-z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+    const open = [];
+    let out = '';
+    let last = 0;
+    let dropping = null;
+    let match;
+
+    while ((match = tokens.exec(source))) {
+        const [token, closing, rawName = '', rawAttrs = ''] = match;
+        const tag = rawName.toLowerCase();
+
+        if (!dropping) out += escapeText(source.slice(last, match.index));
+        last = match.index + token.length;
+
+        if (dropping) {
+            if (closing && tag === dropping) dropping = null;
+            continue;
+        }
+        if (!rawName) continue; // comment
+        if (DROP_CONTENT.has(tag)) {
+            if (!closing && !/\/\s*$/.test(rawAttrs)) dropping = tag;
+            continue;
+        }
+        if (!allowed(tag)) continue;
+
+        if (VOID_TAGS.has(tag)) {
+            if (!closing) out += `<${tag}>`;
+        } else if (!closing) {
+            // A paragraph can't hold a block: close it first, as browsers do
+            if (BLOCK_TAGS.has(tag) && open.includes('p')) {
+                while (open.length) {
+                    const inner = open.pop();
+                    out += `</${inner}>`;
+                    if (inner === 'p') break;
+                }
+            }
+            open.push(tag);
+            out += openTag(tag, parseAttributes(rawAttrs));
+        } else if (open.includes(tag)) {
+            // Close anything left open inside it first
+            while (open.length) {
+                const inner = open.pop();
+                out += `</${inner}>`;
+                if (inner === tag) break;
+            }
+        }
+    }
+
+    if (!dropping) out += escapeText(source.slice(last));
+    while (open.length) out += `</${open.pop()}>`;
+    return out;
+}
+
+// --- Markdown → HTML (before sanitizing) ---
+
+// Emphasis and links on one run of text; tags the writer typed are left alone
+function inlineMarkdown(text) {
+    const links = [];
+    const stash = html => `\u0000${links.push(html) - 1}\u0000`;
+
+    return text
+        .replace(/\\([\\*_[\]()])/g, (m, ch) => stash(escapeHtml(ch)))
+        .replace(/<[^>]*>/g, stash)
+        .replace(/\[([^\]\n]+)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?\s*\)/g, (m, label, href) => stash(`<a href="${escapeHtml(href)}">${emphasis(label)}</a>`))
+        .replace(/^[\s\S]*$/, emphasis)
+        .replace(/\u0000(\d+)\u0000/g, (m, i) => links[i])
+        .replace(/\u0000(\d+)\u0000/g, (m, i) => links[i]);
+}
+
+function emphasis(text) {
+    return text
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+        .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+}
+
+// Newlines inside a paragraph become <br>
+function lineBreaks(text) {
+    return text.trim().split(/ *\n/).map(line => inlineMarkdown(line.trim())).join('<br>');
+}
+
+/**
+ * One line or paragraph for a spot that is already inside an element
+ * (timeline text, a card's location or description, an intro line).
+ */
+function renderInline(text) {
+    if (text === undefined || text === null) return '';
+    return sanitizeHtml(lineBreaks(String(text)));
+}
+
+// Blocks are paragraphs already; <p> tags typed into one would nest
+function withoutParagraphTags(text) {
+    return text.replace(/<\/?p(?:\s[^>]*)?>/gi, '');
+}
+
+/**
+ * Story text as blocks: blank lines separate paragraphs, and lines starting
+ * with ">" become a block quote. Returns <p> and <blockquote> elements.
+ */
+function renderMarkdown(text) {
+    if (text === undefined || text === null) return '';
+    // Typed paragraph breaks ("</p><p>") count as blank lines
+    const blocks = String(text).replace(/\r\n?/g, '\n').replace(/<\/p>\s*<p(?:\s[^>]*)?>/gi, '\n\n')
+        .split(/\n\s*\n/).filter(block => block.trim());
+    let html = '';
+    let quote = [];
+
+    const flushQuote = () => {
+        if (quote.length) html += `<blockquote>${quote.map(p => `<p>${lineBreaks(p)}</p>`).join('')}</blockquote>`;
+        quote = [];
+    };
+
+    for (const block of blocks) {
+        const lines = block.trim().split('\n');
+        if (lines.every(line => /^\s*>/.test(line))) {
+            quote.push(withoutParagraphTags(lines.map(line => line.replace(/^\s*>\s?/, '')).join('\n')));
+        } else {
+            flushQuote();
+            html += `<p>${lineBreaks(withoutParagraphTags(block))}</p>`;
+        }
+    }
+    flushQuote();
+    return sanitizeHtml(html, { blocks: true });
+}
+
+// --- Rich text → plain text, for print and meta tags ---
+function plainText(html) {
+    return decodeEntities(String(html || '').replace(/<br>|<\/p>/g, ' ').replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+    plainText,
+    renderInline,
+    renderMarkdown,
+    safeUrl,
+    sanitizeHtml
+};
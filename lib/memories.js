@@ -0,0 +1,87 @@
+/**
+ * GentlyTold Shared Memories
+ *
+ * The stories visitors send through the memories worker (memories-worker/),
+ * once the family has approved them. The generator bakes them into the page
+ * at build time — fetched from `GET /api/memories/:slug`, or read from a file
+ * saved from it — so they're part of the page itself, in archives too. A small
+ * script (partials/memories-loader.html) then adds any approved since.
+ */
+
+const { formatDate } = require('./dates');
+const { safeUrl } = require('./markdown');
+const { slugify } = require('./util');
+
+const MEMORIES_API = 'https://gentlytold-memories.kameronmartinllc.workers.dev';
+
+// The memorial's name in the memories worker — set when the family's review
+// link was made; the page title's slug otherwise
+function memoriesSlug(data, pageTitle) {
+    return data.memoriesSlug || slugify(pageTitle);
+}
+
+// `memoriesApi` points a memorial at another copy of the worker
+function memoriesUrl(data, pageTitle) {
+    const api = (data.memoriesApi || MEMORIES_API).replace(/\/$/, '');
+    return `${api}/api/memories/${encodeURIComponent(memoriesSlug(data, pageTitle))}`;
+}
+
+/**
+ * Approved memories as the API serves them, or a file saved from it (the bare
+ * array, or `{ "memories": [...] }`), cleaned up for a data file: entries
+ * without text are dropped and photo paths point at the worker.
+ */
+function normalizeMemories(list, base = MEMORIES_API) {
+    const entries = Array.isArray(list) ? list : (list && Array.isArray(list.memories) ? list.memories : null);
+    if (!entries) throw new Error('expected an array of memories');
+    return entries
+        .filter(entry => entry && typeof entry.memory === 'string' && entry.memory.trim())
+        .map(entry => {
+            const memory = {
+                id: entry.id ? String(entry.id) : null,
+                name: (entry.name || '').trim() || 'Anonymous',
+                relationship: (entry.relationship || '').trim() || null,
+                memory: entry.memory.trim(),
+                date: entry.date || null,
+                photoUrl: entry.photoUrl ? safeUrl(new URL(entry.photoUrl, base).href) : null
+            };
+            return Object.fromEntries(Object.entries(memory).filter(([, value]) => value !== null));
+        });
+}
+
+async function fetchMemories(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`the server answered ${response.status}`);
+    return normalizeMemories(await response.json(), url);
+}
+
+// Memories already in the data file, plus the imported ones (an imported copy wins)
+function mergeMemories(existing, imported) {
+    const ids = new Set(imported.map(memory => memory.id).filter(Boolean));
+    return [...(existing || []).filter(memory => !memory.id || !ids.has(memory.id)), ...imported];
+}
+
+/**
+ * The "Memories Shared" cards, newest first, with the day each was shared.
+ * `t` is the page's wording (lib/locales.js), for the photos' alt text.
+ */
+function buildMemories(memories, locale, t) {
+    return [...(memories || [])]
+        .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')))
+        .map(memory => ({
+            ...memory,
+            // Photo links in a data file are typed by hand; the page only shows safe ones
+            photoUrl: safeUrl(memory.photoUrl),
+            photoAlt: t.memoryPhotoAlt.replace('{author}', memory.name || 'Anonymous'),
+            date: memory.date ? formatDate(String(memory.date).slice(0, 10), 'long', locale) : null
+        }));
+}
+
+module.exports = {
+    MEMORIES_API,
+    buildMemories,
+    fetchMemories,
+    memoriesUrl,
+    mergeMemories,
+    normalizeMemories
+};
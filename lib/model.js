@@ -0,0 +1,126 @@
+/**
+ * GentlyTold Memorial Data Model
+ *
+ * One data format for every renderer — the generator, the API worker and the
+ * engine — plus converters from the older shapes, so a memorial looks the
+ * same whichever path produced it. The format is the one in the README field
+ * table; `version` says which revision a file follows:
+ *
+ *   1  the original data files (personName1, timelineItems[].text…), no version field
+ *   2  adds version, heroPhoto2, quote attributions, photo captions, timeline
+ *      descriptions, family relationships, memoryFormEnabled and customCss
+ *
+ * The workers used to store their own field names (name, birthDate,
+ * portraitImage, timelineItems[].title…). Those records carry no version
+ * either and are recognised by their `name` field.
+ */
+
+const MODEL_VERSION = 2;
+
+// Worker/engine field → model field, for values that only changed name
+const WORKER_FIELDS = {
+    name: 'personName1',
+    partnerName: 'personName2',
+    birthDate: 'personBorn1',
+    deathDate: 'personDied1',
+    partnerBirthDate: 'personBorn2',
+    partnerDeathDate: 'personDied2',
+    funeralHomeUrl: 'funeralHomeWebsite'
+};
+
+// Worker fields folded into others below
+const WORKER_ONLY = ['portraitImage', 'partnerPortraitImage', 'heroImage'];
+
+function isWorkerRecord(data) {
+    return data.version === undefined && data.personName1 === undefined && data.name !== undefined;
+}
+
+// --- Worker/engine record → model ---
+function fromWorkerRecord(data) {
+    const model = {};
+    for (const [key, value] of Object.entries(data)) {
+        // The workers filled every missing field with ''
+        if (value === '' || WORKER_ONLY.includes(key)) continue;
+        model[WORKER_FIELDS[key] || key] = value;
+    }
+
+    model.isCouple = Boolean(data.isCouple && data.partnerName);
+    if (!model.isCouple) {
+        ['personName2', 'personBorn2', 'personDied2'].forEach(key => delete model[key]);
+    }
+
+    // The portrait is the hero photo; the share image only stands in for a missing portrait
+    const heroSrc = data.portraitImage || data.heroImage;
+    if (heroSrc) model.heroPhoto = { src: heroSrc, alt: data.name || '' };
+    if (model.isCouple && data.partnerPortraitImage) {
+        model.heroPhoto2 = { src: data.partnerPortraitImage, alt: data.partnerName };
+    }
+    return model;
+}
+
+// --- List items: older shapes are accepted in any record ---
+function toTimelineItem(item) {
+    if (item.text !== undefined || item.title === undefined) return item;
+    const { title, ...rest } = item;
+    return { ...rest, text: title };
+}
+
+function toPhoto(photo, i) {
+    if (typeof photo === 'string') return { src: photo, alt: `Photo ${i + 1}` };
+    if (!photo || photo.src !== undefined || photo.url === undefined) return photo;
+    const { url, ...rest } = photo;
+    return { ...rest, src: url, alt: rest.alt || rest.caption || `Photo ${i + 1}` };
+}
+
+function mapList(list, fn) {
+    return Array.isArray(list) ? list.map(fn) : list;
+}
+
+function normalizeLists(record) {
+    record.timelineItems = mapList(record.timelineItems, item => (item && typeof item === 'object' ? toTimelineItem(item) : item));
+    record.photos = mapList(record.photos, toPhoto);
+    if (record.timelineItems === undefined) delete record.timelineItems;
+    if (record.photos === undefined) delete record.photos;
+    return record;
+}
+
+/**
+ * Bring any memorial record up to the current version. Values that are not
+ * objects are returned as they are for the validator to report. Throws when
+ * the record is from a newer GentlyTold than this one.
+ */
+function toModel(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return data;
+    if (typeof data.version === 'number' && data.version > MODEL_VERSION) {
+        throw new Error(`Data is version ${data.version}; this copy of GentlyTold reads up to version ${MODEL_VERSION} — update it`);
+    }
+
+    const model = normalizeLists(isWorkerRecord(data) ? fromWorkerRecord(data) : { ...data });
+    // Translations use the same list shapes (the AI writes timeline titles there too)
+    if (model.translations && typeof model.translations === 'object') {
+        model.translations = Object.fromEntries(Object.entries(model.translations)
+            .map(([locale, fields]) => [locale, fields && typeof fields === 'object' ? normalizeLists({ ...fields }) : fields]));
+    }
+    model.version = MODEL_VERSION;
+    return model;
+}
+
+/**
+ * A record the workers build a page from, with what a form or an API call may
+ * leave out — dates, story, timeline, photos, family — filled in as empty, the
+ * way the workers always treated them. Check it against PAGE_SCHEMA. Data
+ * files don't get these: the generator asks for every field.
+ */
+function withPageDefaults(model) {
+    if (!model || typeof model !== 'object' || Array.isArray(model)) return model;
+    const defaults = { isCouple: false, personBorn1: '', personDied1: '', storyParagraphs: [], timelineItems: [], photos: [], familyMembers: [] };
+    if (model.isCouple) Object.assign(defaults, { personBorn2: '', personDied2: '' });
+    return { ...defaults, ...model };
+}
+
+module.exports = {
+    MODEL_VERSION,
+    isWorkerRecord,
+    toModel,
+    withPageDefaults
+};
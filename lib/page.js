@@ -0,0 +1,46 @@
+/**
+ * GentlyTold Memorial Page Loader
+ *
+ * The Node side of rendering: reads partials/ and funeral-homes.json from
+ * disk for generate.js, the batch builder and the preview server. The
+ * renderer itself lives in lib/render.js and is re-exported here.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildFuneralHomeDetails, buildPageTitle, buildView, listSections, renderPage } = require('./render');
+
+const DEFAULT_PARTIALS_DIR = path.join(__dirname, '..', 'partials');
+const FUNERAL_HOMES_FILE = path.join(__dirname, '..', 'funeral-homes.json');
+
+// --- Per-funeral-home settings (default theme), keyed by slugified name ---
+function loadFuneralHomes(file = FUNERAL_HOMES_FILE) {
+    if (!fs.existsSync(file)) return {};
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// --- Load partials/*.html; later directories override earlier ones ---
+function loadPartials(...dirs) {
+    const partials = {};
+    for (const dir of dirs) {
+        if (!dir || !fs.existsSync(dir)) continue;
+        fs.readdirSync(dir)
+            .filter(f => f.endsWith('.html'))
+            .forEach(f => {
+                partials[path.basename(f, '.html')] = fs.readFileSync(path.join(dir, f), 'utf8');
+            });
+    }
+    return partials;
+}
+
+module.exports = {
+    DEFAULT_PARTIALS_DIR,
+    FUNERAL_HOMES_FILE,
+    buildPageTitle,
+    buildFuneralHomeDetails,
+    buildView,
+    listSections,
+    loadFuneralHomes,
+    loadPartials,
+    renderPage
+};
@@ -0,0 +1,94 @@
+/**
+ * GentlyTold Pet Memorials
+ *
+ * Default wording for pet memorials (isPet: true): species-aware section
+ * headings, "Her People" instead of "Family", and a breed / adoption line
+ * for the hero, in each page language (lib/locales.js). Anything the data
+ * file sets itself always wins.
+ */
+
+// First match wins, so specific species sit above broad ones. Species may be
+// written in English or Spanish.
+const SPECIES = [
+    { match: /fish|betta|guppy|koi|tetra|molly|pleco|pez|peces|pececito/, timelineTitle: { en: 'A Life Well-Swum', es: 'Una vida bien nadada' } },
+    { match: /dog|pup|retriever|terrier|shepherd|collie|spaniel|beagle|poodle|labrador|hound|pit ?bull|dachshund|chihuahua|perr[oa]|cachorr[oa]/, timelineTitle: { en: 'A Life Well-Walked', es: 'Una vida bien caminada' } },
+    { match: /cat|kitten|kitty|gat[oa]|gatit[oa]/, timelineTitle: { en: 'Nine Lives, Well Lived', es: 'Siete vidas, bien vividas' } },
+    { match: /bird|parrot|budgie|parakeet|cockatiel|cockatoo|canary|finch|lovebird|macaw|pájaro|pajarito|loro|perico|periquito|canario|\bave\b/, timelineTitle: { en: 'A Life Well-Sung', es: 'Una vida bien cantada' } },
+    { match: /horse|pony|donkey|mule|caballo|yegua|burro|mula/, timelineTitle: { en: 'A Life Well-Galloped', es: 'Una vida bien galopada' } },
+    { match: /rabbit|bunny|conej[oa]/, timelineTitle: { en: 'A Life Well-Hopped', es: 'Una vida bien saltada' } },
+    { match: /hamster|gerbil|guinea pig|mouse|rat|ferret|chinchilla|hámster|cobaya|cuy|ratón|ratoncito|hurón/, timelineTitle: { en: 'A Life Well-Scurried', es: 'Una vida bien correteada' } },
+    { match: /turtle|tortoise|lizard|gecko|snake|iguana|dragon|chameleon|tortuga|lagartija|serpiente|culebra|camaleón/, timelineTitle: { en: 'A Life Well-Basked', es: 'Una vida bien asoleada' } }
+];
+
+const DEFAULT_TIMELINE_TITLE = { en: 'A Life Well-Loved', es: 'Una vida bien amada' };
+
+const PRONOUNS = {
+    she: { possessive: 'Her' },
+    he: { possessive: 'His' },
+    they: { possessive: 'Their' }
+};
+
+// Wording that depends on the pet's name or pronoun, per page language
+const WORDING = {
+    en: {
+        storyTitle: pronoun => `${pronoun.possessive} Story`,
+        familyTitle: pronoun => `${pronoun.possessive} People`,
+        relationshipLabel: name => `How did you know ${name}?`,
+        relationshipPlaceholder: 'Family, neighbor, vet, pet sitter...',
+        shareMemoryText: name => `Did ${name} brighten your day? We'd love to hear about it. Share a story, a memory, or a photo.`,
+        adopted: () => 'Adopted',
+        from: place => `from ${place}`
+    },
+    es: {
+        storyTitle: () => 'Su historia',
+        familyTitle: () => 'Su gente',
+        relationshipLabel: name => `¿Cómo conoció a ${name}?`,
+        relationshipPlaceholder: 'Familia, vecindad, veterinario, cuidador...',
+        shareMemoryText: name => `¿${name} le alegraba el día? Nos encantaría saberlo. Comparta una historia, un recuerdo o una foto.`,
+        adopted: pronoun => (pronoun === PRONOUNS.she ? 'Adoptada' : 'Adoptado'),
+        from: place => `de ${place}`
+    }
+};
+
+function speciesTimelineTitle(petType, locale) {
+    const type = (petType || '').toLowerCase();
+    const species = SPECIES.find(s => s.match.test(type));
+    return (species ? species.timelineTitle : DEFAULT_TIMELINE_TITLE)[locale];
+}
+
+// --- "Golden Retriever · Adopted March 2015 from Alachua County Humane Society" ---
+function buildPetDetails({ petType, petBreed, petAdoptionDate, petAdoptedFrom }, words, pronoun) {
+    const parts = [];
+    const kind = petBreed || petType;
+    if (kind) parts.push(kind);
+    if (petAdoptionDate || petAdoptedFrom) {
+        parts.push([words.adopted(pronoun), petAdoptionDate, petAdoptedFrom && words.from(petAdoptedFrom)].filter(Boolean).join(' '));
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Default headings and wording for a pet memorial. `name` is the display name
+ * (personName1 in data files, name in the workers). Pairs of pets read "Their".
+ * `locale` is the page language ('en' unless given).
+ */
+function petWording({ name, isCouple, petType, petPronoun, petBreed, petAdoptionDate, petAdoptedFrom }, locale = 'en') {
+    const pronoun = !isCouple && PRONOUNS[petPronoun] ? PRONOUNS[petPronoun] : PRONOUNS.they;
+    const lang = WORDING[locale] ? locale : 'en';
+    const words = WORDING[lang];
+
+    return {
+        storyTitle: words.storyTitle(pronoun),
+        timelineTitle: speciesTimelineTitle(petType, lang),
+        familyTitle: words.familyTitle(pronoun),
+        relationshipLabel: words.relationshipLabel(name),
+        relationshipPlaceholder: words.relationshipPlaceholder,
+        shareMemoryText: words.shareMemoryText(name),
+        petDetails: buildPetDetails({ petType, petBreed, petAdoptionDate, petAdoptedFrom }, words, pronoun)
+    };
+}
+
+module.exports = {
+    PRONOUNS,
+    petWording
+};
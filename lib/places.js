@@ -0,0 +1,217 @@
+/**
+ * GentlyTold Places
+ *
+ * The `places` a data file lists — the towns, states and countries someone
+ * called home — drawn as a map with numbered pins. The outlines are bundled
+ * (lib/map-data.js), so the page needs no map server and an archive keeps its
+ * map. Places don't need coordinates: "Benson, Arizona" is pinned in the middle
+ * of Arizona and "Germany" in Germany; `lat` and `lon` put a pin exactly.
+ * A family that stayed in the United States gets a map of the states, one that
+ * moved abroad a map of the world. Pins and the timeline entries that mention
+ * a place link to each other.
+ */
+
+const { COUNTRIES, STATES } = require('./map-data');
+const { US_SIZE, WORLD_SIZE, albersUsa, inUnitedStates, naturalEarth } = require('./projections');
+const { renderInline } = require('./markdown');
+
+// Other ways to write a country than the atlas's own name
+const COUNTRY_ALIASES = {
+    'usa': 'United States of America',
+    'us': 'United States of America',
+    'united states': 'United States of America',
+    'estados unidos': 'United States of America',
+    'uk': 'United Kingdom',
+    'england': 'United Kingdom',
+    'scotland': 'United Kingdom',
+    'wales': 'United Kingdom',
+    'northern ireland': 'United Kingdom',
+    'great britain': 'United Kingdom',
+    'reino unido': 'United Kingdom',
+    'korea': 'South Korea',
+    'republic of korea': 'South Korea',
+    'corea del sur': 'South Korea',
+    'czech republic': 'Czechia',
+    'dominican republic': 'Dominican Rep.',
+    'republica dominicana': 'Dominican Rep.',
+    'bosnia': 'Bosnia and Herz.',
+    'bosnia and herzegovina': 'Bosnia and Herz.',
+    'democratic republic of the congo': 'Dem. Rep. Congo',
+    'ivory coast': "Côte d'Ivoire",
+    'north macedonia': 'Macedonia',
+    'the netherlands': 'Netherlands',
+    'holland': 'Netherlands',
+    'alemania': 'Germany',
+    'espana': 'Spain',
+    'francia': 'France',
+    'italia': 'Italy',
+    'japon': 'Japan',
+    'filipinas': 'Philippines'
+};
+
+// Pins closer than this (in map units at full size) are spread apart
+const PIN_GAP = 24;
+const PIN_RADIUS = 12;
+// A world map zooms in around its pins, but no closer than this width
+const MIN_WORLD_WIDTH = 320;
+const WORLD_MARGIN = 70;
+
+// Lowercase, no accents or full stops: "México" → "mexico", "St. Louis" → "st louis"
+function normalize(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\./g, '').trim().toLowerCase();
+}
+
+const STATE_INDEX = new Map(STATES.flatMap(state => [[normalize(state.name), state], [normalize(state.abbr), state]]));
+const COUNTRY_INDEX = new Map([
+    ...COUNTRIES.map(country => [normalize(country.name), country]),
+    ...Object.entries(COUNTRY_ALIASES).map(([alias, name]) => [alias, COUNTRIES.find(country => country.name === name)])
+].filter(([, country]) => country));
+
+/**
+ * The state or country a place's name ends in — "Pelican Lake, Wisconsin",
+ * "Augusta, ME", "Okinawa, Japan" — or null. A state wins over a country, so
+ * "Dallas, Texas, USA" is Texas.
+ */
+function findRegion(name) {
+    const parts = String(name || '').split(',').map(normalize).filter(Boolean).reverse();
+    const state = parts.map(part => STATE_INDEX.get(part)).find(Boolean);
+    if (state) return { kind: 'state', region: state };
+    const country = parts.map(part => COUNTRY_INDEX.get(part)).find(Boolean);
+    return country ? { kind: 'country', region: country } : null;
+}
+
+// [lon, lat]: the place's own coordinates, or the middle of its state or country
+function placePosition(place, found) {
+    if (typeof place.lat === 'number' && typeof place.lon === 'number') return [place.lon, place.lat];
+    return found ? found.region.center : null;
+}
+
+/**
+ * Places the map can't pin — no coordinates, and no state or country it
+ * recognizes in the name. The generator warns about these.
+ */
+function unplacedPlaces(places) {
+    return (places || []).filter(place => !placePosition(place, findRegion(place.name))).map(place => place.name);
+}
+
+// --- Timeline links: which places each timeline entry is about ---
+// An entry's own `place` (a name or a list of names) decides; otherwise any
+// place whose name, or town, the entry's text mentions.
+function mentions(item, place) {
+    if (item.place) {
+        const named = (Array.isArray(item.place) ? item.place : [item.place]).map(normalize);
+        return named.includes(normalize(place.name));
+    }
+    const text = normalize(`${item.text || ''} ${item.description || ''}`);
+    const town = normalize(place.name.split(',')[0]);
+    const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return [normalize(place.name), town].some(name => name.length > 2 && new RegExp(`(^|[^a-z])${escape(name)}($|[^a-z])`).test(text));
+}
+
+// --- Spread pins that land on the same spot (two towns in one state) ---
+function spreadPins(points, gap) {
+    const placed = [];
+    return points.map(([x, y]) => {
+        let at = [x, y];
+        for (let k = 1; placed.some(([px, py]) => Math.hypot(px - at[0], py - at[1]) < gap) && k <= 18; k++) {
+            const ring = Math.ceil(k / 6);
+            const angle = (k * Math.PI) / 3 + ring * 0.5;
+            at = [x + Math.cos(angle) * gap * ring, y + Math.sin(angle) * gap * ring];
+        }
+        placed.push(at);
+        return at;
+    });
+}
+
+// The part of the world map around the pins, in the full map's proportions
+function worldView(points) {
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    const cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+    const cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+    const aspect = WORLD_SIZE.width / WORLD_SIZE.height;
+    let width = Math.max(MIN_WORLD_WIDTH, Math.max(...xs) - Math.min(...xs) + WORLD_MARGIN * 2, (Math.max(...ys) - Math.min(...ys) + WORLD_MARGIN * 2) * aspect);
+    width = Math.min(width, WORLD_SIZE.width);
+    const height = Math.min(width / aspect, WORLD_SIZE.height);
+    const x = Math.min(Math.max(cx - width / 2, 0), WORLD_SIZE.width - width);
+    const y = Math.min(Math.max(cy - height / 2, 0), WORLD_SIZE.height - height);
+    return { x, y, width, height };
+}
+
+const round = n => Math.round(n * 10) / 10;
+
+/**
+ * The places section: the map (outlines, pins, viewBox), the list under it
+ * with each place's timeline entries, and each timeline entry's anchor and
+ * pins. `timelineItems` are the entries in page order, dates as the page shows
+ * them. Null when there are no places.
+ */
+function buildPlaces(places, timelineItems = []) {
+    if (!places || !places.length) return null;
+
+    const located = places.map((place, i) => {
+        const found = findRegion(place.name);
+        return { place, number: i + 1, found, position: placePosition(place, found) };
+    });
+    const pinned = located.filter(entry => entry.position);
+    const usMap = pinned.every(entry => inUnitedStates(...entry.position));
+    const project = usMap ? albersUsa : naturalEarth;
+    const points = pinned.map(entry => project(...entry.position));
+
+    const view = usMap ? { x: 0, y: 0, ...US_SIZE } : worldView(points);
+    // Pins and labels keep their size on a zoomed-in world map
+    const zoom = view.width / (usMap ? US_SIZE.width : WORLD_SIZE.width);
+    const spread = spreadPins(points, PIN_GAP * zoom);
+
+    // Shaded on the map; a state stands for the whole country on a world map
+    const homes = new Set(located.filter(entry => entry.found)
+        .map(entry => (entry.found.kind === 'state' && !usMap ? 'United States of America' : entry.found.region.name)));
+    const inView = box => box[2] >= view.x && box[0] <= view.x + view.width && box[3] >= view.y && box[1] <= view.y + view.height;
+    const regions = (usMap ? STATES : COUNTRIES)
+        .filter(region => inView(region.box))
+        .map(region => ({ name: region.name, path: region.path, home: homes.has(region.name) }));
+
+    const pins = pinned.map((entry, i) => ({
+        number: entry.number,
+        name: entry.place.name,
+        x: round(spread[i][0]),
+        y: round(spread[i][1]),
+        r: round(PIN_RADIUS * zoom),
+        textSize: round(14 * zoom)
+    }));
+
+    const links = timelineItems.map((item, i) => ({
+        anchor: `timeline-${i + 1}`,
+        label: item.year,
+        numbers: located.filter(entry => mentions(item, entry.place)).map(entry => entry.number)
+    }));
+
+    return {
+        // No map when nothing could be pinned; the list still shows
+        map: points.length ? {
+            viewBox: [view.x, view.y, view.width, view.height].map(round).join(' '),
+            isWorld: !usMap,
+            regions,
+            pins
+        } : null,
+        places: located.map(entry => ({
+            number: entry.number,
+            name: entry.place.name,
+            years: entry.place.years || null,
+            story: entry.place.story ? renderInline(entry.place.story) : null,
+            pinned: Boolean(entry.position),
+            timeline: links.filter(link => link.numbers.includes(entry.number)).map(({ anchor, label }) => ({ anchor, label }))
+        })),
+        // Per timeline entry: its anchor and the pins it mentions
+        timeline: links.map(link => ({
+            anchor: link.anchor,
+            pins: located.filter(entry => link.numbers.includes(entry.number)).map(entry => ({ number: entry.number, name: entry.place.name }))
+        }))
+    };
+}
+
+module.exports = {
+    buildPlaces,
+    findRegion,
+    unplacedPlaces
+};
@@ -0,0 +1,193 @@
+/**
+ * GentlyTold PNG Codec
+ *
+ * A small PNG decoder and encoder on top of Node's built-in zlib, so PNG
+ * photos can be resized with no npm dependencies. Decodes every non-interlaced
+ * color type and bit depth to 8-bit RGBA; encodes 8-bit RGBA.
+ * Interlaced files return null and are copied as they are.
+ */
+
+const zlib = require('zlib');
+const { PNG_SIGNATURE } = require('./exif');
+const { crc32 } = require('./crc32');
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+// --- Decode ---
+
+function decode(buffer) {
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+
+    let pos = PNG_SIGNATURE.length;
+    while (pos + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(pos);
+        const type = buffer.toString('latin1', pos + 4, pos + 8);
+        const data = buffer.subarray(pos + 8, pos + 8 + length);
+        pos += 12 + length;
+
+        if (type === 'IHDR') {
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                depth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header || header.interlace || !(header.colorType in CHANNELS)) return null;
+
+    const { width, height, depth, colorType } = header;
+    const channels = CHANNELS[colorType];
+    const bitsPerPixel = channels * depth;
+    const bpp = Math.max(1, bitsPerPixel >> 3);
+    const stride = Math.ceil((width * bitsPerPixel) / 8);
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+
+    // Undo the per-row filters
+    const rows = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const out = y * stride;
+        for (let x = 0; x < stride; x++) {
+            const a = x >= bpp ? rows[out + x - bpp] : 0;
+            const b = y > 0 ? rows[out + x - stride] : 0;
+            const c = x >= bpp && y > 0 ? rows[out + x - stride - bpp] : 0;
+            let value = line[x];
+            if (filter === 1) value += a;
+            else if (filter === 2) value += b;
+            else if (filter === 3) value += (a + b) >> 1;
+            else if (filter === 4) value += paeth(a, b, c);
+            rows[out + x] = value & 0xff;
+        }
+    }
+
+    // Read one sample (0-255) whatever the bit depth
+    const max = (1 << depth) - 1;
+    const sample = (y, index) => {
+        if (depth === 8) return rows[y * stride + index];
+        if (depth === 16) return rows[y * stride + index * 2];
+        const bit = index * depth;
+        const byte = rows[y * stride + (bit >> 3)];
+        const value = (byte >> (8 - depth - (bit & 7))) & max;
+        return colorType === 3 ? value : Math.round((value * 255) / max);
+    };
+
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4;
+            const s = x * channels;
+            if (colorType === 3) {
+                const index = sample(y, s);
+                data[o] = palette[index * 3];
+                data[o + 1] = palette[index * 3 + 1];
+                data[o + 2] = palette[index * 3 + 2];
+                data[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+            } else if (colorType === 0 || colorType === 4) {
+                const gray = sample(y, s);
+                data[o] = data[o + 1] = data[o + 2] = gray;
+                data[o + 3] = colorType === 4 ? sample(y, s + 1) : 255;
+            } else {
+                data[o] = sample(y, s);
+                data[o + 1] = sample(y, s + 1);
+                data[o + 2] = sample(y, s + 2);
+                data[o + 3] = colorType === 6 ? sample(y, s + 3) : 255;
+            }
+        }
+    }
+
+    return { width, height, data };
+}
+
+// --- Encode ---
+
+function chunk(type, data) {
+    const out = Buffer.alloc(12 + data.length);
+    out.writeUInt32BE(data.length, 0);
+    out.write(type, 4, 'latin1');
+    data.copy(out, 8);
+    out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+    return out;
+}
+
+// Per row, keep whichever filter gives the smallest sum of residuals
+function filterRows(pixels, width, height) {
+    const stride = width * 4;
+    const out = Buffer.alloc((stride + 1) * height);
+    const candidate = Buffer.alloc(stride);
+
+    for (let y = 0; y < height; y++) {
+        let best = null;
+        let bestFilter = 0;
+        let bestScore = Infinity;
+        for (let filter = 0; filter <= 4; filter++) {
+            let score = 0;
+            for (let x = 0; x < stride; x++) {
+                const i = y * stride + x;
+                const a = x >= 4 ? pixels[i - 4] : 0;
+                const b = y > 0 ? pixels[i - stride] : 0;
+                const c = x >= 4 && y > 0 ? pixels[i - stride - 4] : 0;
+                let predictor = 0;
+                if (filter === 1) predictor = a;
+                else if (filter === 2) predictor = b;
+                else if (filter === 3) predictor = (a + b) >> 1;
+                else if (filter === 4) predictor = paeth(a, b, c);
+                const value = (pixels[i] - predictor) & 0xff;
+                candidate[x] = value;
+                score += value < 128 ? value : 256 - value;
+            }
+            if (score < bestScore) {
+                bestScore = score;
+                best = Buffer.from(candidate);
+                bestFilter = filter;
+            }
+        }
+        out[y * (stride + 1)] = bestFilter;
+        best.copy(out, y * (stride + 1) + 1);
+    }
+
+    return out;
+}
+
+function encode({ width, height, data }) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(filterRows(data, width, height), { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = {
+    decode,
+    encode
+};
@@ -0,0 +1,149 @@
+/**
+ * GentlyTold Printed Program
+ *
+ * Lays a memorial out as a folded funeral program from the same data file as
+ * the web page: letter paper, landscape, printed double-sided. A bifold is one
+ * sheet folded in half (four panels), a trifold one sheet folded in thirds (six).
+ * Markup lives in program-template.html and partials/program-*.html.
+ */
+
+const { compile } = require('./template');
+const { buildView } = require('./render');
+const { encodeQr, qrSvg } = require('./qr');
+const { plainText, renderMarkdown } = require('./markdown');
+const { toModel } = require('./model');
+
+// Panels for each side of the sheet, left to right as printed.
+// Folded, the right-hand outside panel is the cover.
+const FOLDS = {
+    bifold: {
+        outside: ['back', 'cover'],
+        inside: ['story', 'service']
+    },
+    trifold: {
+        outside: ['story', 'back', 'cover'],
+        inside: ['service', 'photos', 'family']
+    }
+};
+
+// The service a program is printed for: the funeral or memorial rather than the visitation
+const PROGRAM_SERVICE_TYPES = ['funeral', 'memorial', 'celebration', 'graveside'];
+
+// Roughly what fits on one panel at program type sizes
+const STORY_WORDS = { bifold: 230, trifold: 150 };
+const PROGRAM_PHOTOS = 3;
+const PROGRAM_TIMELINE = 8;
+
+// --- Story text for print: plain, and short enough for one panel ---
+function printText(text) {
+    return plainText(renderMarkdown(text));
+}
+
+function wordCount(text) {
+    return text ? text.split(' ').length : 0;
+}
+
+// Whole sentences up to maxWords; a single overlong sentence is cut with an ellipsis
+function trimToSentences(text, maxWords) {
+    const sentences = text.match(/[^.!?]+[.!?]+["'”’)]*\s*|[^.!?]+$/g) || [text];
+    let result = '';
+    for (const sentence of sentences) {
+        if (result && wordCount((result + sentence).trim()) > maxWords) break;
+        result += sentence;
+    }
+    result = result.trim();
+    if (wordCount(result) > maxWords) {
+        result = `${result.split(' ').slice(0, maxWords).join(' ')}…`;
+    }
+    return result;
+}
+
+/**
+ * The story as printed: programStory if the family wrote one (blank lines
+ * separate paragraphs), otherwise whole paragraphs of storyParagraphs up to
+ * the word budget, trimming the first at a sentence if it is too long alone.
+ */
+function shortStory(data, maxWords) {
+    if (data.programStory) {
+        return data.programStory.split(/\n\s*\n/).map(printText).filter(Boolean);
+    }
+
+    const paragraphs = (data.storyParagraphs || []).map(printText).filter(Boolean);
+    const story = [];
+    let words = 0;
+    for (const paragraph of paragraphs) {
+        const count = wordCount(paragraph);
+        if (words + count > maxWords) {
+            if (!story.length) story.push(trimToSentences(paragraph, maxWords));
+            break;
+        }
+        story.push(paragraph);
+        words += count;
+    }
+    return story;
+}
+
+// QR code for the online memorial, inline so it prints sharp at any size
+function qrCode(url) {
+    return qrSvg(encodeQr(url, { ecLevel: 'M' }), { background: '#ffffff' });
+}
+
+// --- Everything program-template.html can use ---
+function buildProgramView(record, { funeralHomes = {}, fold = 'bifold' } = {}) {
+    const layout = FOLDS[fold];
+    if (!layout) {
+        throw new Error(`Unknown fold "${fold}" — use ${Object.keys(FOLDS).join(' or ')}`);
+    }
+
+    const data = toModel(record);
+    const view = buildView(data, { funeralHomes });
+    const panel = name => ({
+        name,
+        isCover: name === 'cover',
+        isBack: name === 'back',
+        isStory: name === 'story',
+        isService: name === 'service',
+        isPhotos: name === 'photos',
+        isFamily: name === 'family'
+    });
+
+    return {
+        ...view,
+        fold,
+        isTrifold: fold === 'trifold',
+        sheets: [
+            { side: 'Outside', panels: layout.outside.map(panel) },
+            { side: 'Inside', panels: layout.inside.map(panel) }
+        ],
+        programStory: shortStory(data, STORY_WORDS[fold]),
+        programPhotos: (data.photos || [])
+            .filter(photo => !data.heroPhoto || photo.src !== data.heroPhoto.src)
+            .slice(0, PROGRAM_PHOTOS),
+        // Fills the photo panel when there are no photos to show; the view's
+        // timeline is already in date order and rendered to HTML
+        programTimeline: view.timelineItems
+            .slice(0, PROGRAM_TIMELINE)
+            .map(item => ({ ...item, text: plainText(item.text) })),
+        programService: view.services.find(service => PROGRAM_SERVICE_TYPES.includes(service.type)) || view.services[0] || null,
+        memorialUrlText: data.memorialUrl ? data.memorialUrl.replace(/^https?:\/\//, '').replace(/\/$/, '') : null,
+        qrCode: data.memorialUrl ? qrCode(data.memorialUrl) : null
+    };
+}
+
+// --- Render the program (options: { funeralHomes, fold }) ---
+function renderProgram(data, template, partials = {}, options = {}) {
+    return compile(template, 'program-template.html')(buildProgramView(data, options), partials);
+}
+
+// --- Parts of a full program the data leaves out (for console warnings) ---
+function missingProgramFields(data) {
+    return ['orderOfService', 'pallbearers', 'memorialUrl']
+        .filter(field => !data[field] || (Array.isArray(data[field]) && !data[field].length));
+}
+
+module.exports = {
+    FOLDS,
+    missingProgramFields,
+    renderProgram,
+    shortStory
+};
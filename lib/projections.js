@@ -0,0 +1,92 @@
+/**
+ * GentlyTold Map Projections
+ *
+ * Longitude and latitude → x, y on the places map. The state and country
+ * outlines in lib/map-data.js were drawn with these same functions
+ * (scripts/build-map-data.js), so a pin lands where the outline says it should.
+ * The formulas are the ones d3-geo uses for geoAlbersUsa and geoNaturalEarth1.
+ */
+
+const RADIANS = Math.PI / 180;
+
+// --- Conic equal-area (Albers), as d3 builds it: rotate, project, scale, center ---
+function conicEqualArea({ parallels, rotate, center, scale, translate }) {
+    const sy0 = Math.sin(parallels[0] * RADIANS);
+    const n = (sy0 + Math.sin(parallels[1] * RADIANS)) / 2;
+    const c = 1 + sy0 * (2 * n - sy0);
+    const r0 = Math.sqrt(c) / n;
+    const raw = (lambda, phi) => {
+        const r = Math.sqrt(c - 2 * n * Math.sin(phi)) / n;
+        return [r * Math.sin(lambda * n), r0 - r * Math.cos(lambda * n)];
+    };
+    const [cx, cy] = raw(center[0] * RADIANS, center[1] * RADIANS);
+    return (lon, lat) => {
+        // Longitudes wrap, so the Aleutians past 180° stay with the rest of Alaska
+        let lambda = (lon + rotate) * RADIANS;
+        if (lambda > Math.PI) lambda -= 2 * Math.PI;
+        if (lambda < -Math.PI) lambda += 2 * Math.PI;
+        const [x, y] = raw(lambda, lat * RADIANS);
+        return [translate[0] + scale * (x - cx), translate[1] - scale * (y - cy)];
+    };
+}
+
+// --- The fifty states on a 960 × 500 map, Alaska and Hawaii inset bottom left ---
+const US_SIZE = { width: 960, height: 500 };
+const US_SCALE = 1070;
+const US_CENTER = [480, 250];
+
+const lower48 = conicEqualArea({ parallels: [29.5, 45.5], rotate: 96, center: [-0.6, 38.7], scale: US_SCALE, translate: US_CENTER });
+const alaska = conicEqualArea({
+    parallels: [55, 65], rotate: 154, center: [-2, 58.5], scale: US_SCALE * 0.35,
+    translate: [US_CENTER[0] - 0.307 * US_SCALE, US_CENTER[1] + 0.201 * US_SCALE]
+});
+const hawaii = conicEqualArea({
+    parallels: [8, 18], rotate: 157, center: [-3, 19.9], scale: US_SCALE,
+    translate: [US_CENTER[0] - 0.205 * US_SCALE, US_CENTER[1] + 0.212 * US_SCALE]
+});
+
+function isAlaska(lon, lat) {
+    return lat > 50 && (lon < -129 || lon > 170);
+}
+
+function isHawaii(lon, lat) {
+    return lat > 18 && lat < 23 && lon > -161 && lon < -154;
+}
+
+// Roughly the lower 48, for deciding whether a pin belongs on the US map
+function isLower48(lon, lat) {
+    return lat > 24 && lat < 50 && lon > -125 && lon < -66;
+}
+
+function inUnitedStates(lon, lat) {
+    return isLower48(lon, lat) || isAlaska(lon, lat) || isHawaii(lon, lat);
+}
+
+function albersUsa(lon, lat) {
+    if (isAlaska(lon, lat)) return alaska(lon, lat);
+    if (isHawaii(lon, lat)) return hawaii(lon, lat);
+    return lower48(lon, lat);
+}
+
+// --- The world on a 960 × 430 map, Antarctica left off ---
+const WORLD_SIZE = { width: 960, height: 430 };
+const WORLD_SCALE = 175;
+const WORLD_CENTER = [480, 245];
+
+function naturalEarth(lon, lat) {
+    const lambda = lon * RADIANS;
+    const phi = lat * RADIANS;
+    const phi2 = phi * phi;
+    const phi4 = phi2 * phi2;
+    const x = lambda * (0.8707 - 0.131979 * phi2 + phi4 * (-0.013791 + phi4 * (0.003971 * phi2 - 0.001529 * phi4)));
+    const y = phi * (1.007226 + phi2 * (0.015085 + phi4 * (-0.044475 + 0.028874 * phi2 - 0.005916 * phi4)));
+    return [WORLD_CENTER[0] + WORLD_SCALE * x, WORLD_CENTER[1] - WORLD_SCALE * y];
+}
+
+module.exports = {
+    US_SIZE,
+    WORLD_SIZE,
+    albersUsa,
+    inUnitedStates,
+    naturalEarth
+};
@@ -0,0 +1,532 @@
+/**
+ * GentlyTold QR Codes
+ *
+ * A small QR code encoder (Model 2, byte mode, versions 1-40, all four
+ * error-correction levels) with SVG and PNG output, for printing a memorial's
+ * address on programs and prayer cards. Uses only web APIs (TextEncoder,
+ * CompressionStream), so generate.js and the engine worker share it.
+ *
+ *   const qr = encodeQr('https://gentlytold.com/m/jane-doe', { ecLevel: 'M' });
+ *   qrSvg(qr, { style: 'dark' });          // → '<svg …>'
+ *   await qrPng(qr, { scale: 10 });        // → Uint8Array
+ */
+
+const { crc32 } = require('./crc32');
+
+// Light: ink on paper. Dark: gold on black, to match the memorial pages.
+const QR_STYLES = {
+    light: { foreground: '#1a1510', background: '#f5efe8' },
+    dark: { foreground: '#c4a478', background: '#0a0a0a' }
+};
+
+// Format-information bits and table row for each error-correction level
+const EC_LEVELS = {
+    L: { bits: 1, row: 0 },
+    M: { bits: 0, row: 1 },
+    Q: { bits: 3, row: 2 },
+    H: { bits: 2, row: 3 }
+};
+
+// Per level (L, M, Q, H) and version (index 1-40): EC codewords per block, and number of blocks
+const EC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const EC_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+// --- Capacity ---
+
+// Modules left for data and EC codewords once the function patterns are placed
+function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const align = Math.floor(version / 7) + 2;
+        result -= (25 * align - 10) * align - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function dataCodewords(version, level) {
+    const row = EC_LEVELS[level].row;
+    return Math.floor(rawDataModules(version) / 8) - EC_CODEWORDS_PER_BLOCK[row][version] * EC_BLOCKS[row][version];
+}
+
+function alignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const size = version * 4 + 17;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let pos = size - 7; positions.length < count; pos -= step) {
+        positions.splice(1, 0, pos);
+    }
+    return positions;
+}
+
+// --- Reed-Solomon over GF(256) ---
+
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return result;
+}
+
+// Split data into blocks, add EC codewords to each, and interleave
+function addErrorCorrection(data, version, level) {
+    const row = EC_LEVELS[level].row;
+    const blockCount = EC_BLOCKS[row][version];
+    const ecLength = EC_CODEWORDS_PER_BLOCK[row][version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const shortBlocks = blockCount - (rawCodewords % blockCount);
+    const shortLength = Math.floor(rawCodewords / blockCount);
+    const divisor = rsDivisor(ecLength);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < blockCount; i++) {
+        const block = data.slice(k, k + shortLength - ecLength + (i < shortBlocks ? 0 : 1));
+        k += block.length;
+        const ec = rsRemainder(block, divisor);
+        if (i < shortBlocks) block.push(0);
+        blocks.push(block.concat(ec));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // Skip the padding byte in short blocks
+            if (i !== shortLength - ecLength || j >= shortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+// --- Data bits: byte mode, terminator, padding ---
+
+function encodeData(bytes, version, level) {
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    push(0b0100, 4);
+    push(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+
+    const capacity = dataCodewords(version, level) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+        push(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+// --- The module grid ---
+
+function createGrid(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+    return { version, size, modules, reserved, set };
+}
+
+function drawFunctionPatterns(grid) {
+    const { version, size, set } = grid;
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+
+    // Alignment patterns, except where they would overlap a finder
+    const positions = alignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+        positions.forEach((cy, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Version information (versions 7+)
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+}
+
+function drawFormatBits(grid, level, mask) {
+    const { size, set } = grid;
+    const data = (EC_LEVELS[level].bits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true); // always dark
+}
+
+// Place codewords in the two-column zigzag, bottom-right first
+function drawCodewords(grid, codewords) {
+    const { size, modules, reserved } = grid;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5; // skip the vertical timing pattern
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (!reserved[y][x] && i < codewords.length * 8) {
+                    modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+function applyMask(grid, mask) {
+    const { size, modules, reserved } = grid;
+    const test = MASKS[mask];
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!reserved[y][x] && test(x, y)) modules[y][x] = !modules[y][x];
+        }
+    }
+}
+
+// --- Mask choice: the standard penalty score, lowest wins ---
+
+function penalty({ size, modules }) {
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i].map(Number).join(''));
+        lines.push(modules.map(row => Number(row[i])).join(''));
+    }
+
+    for (const line of lines) {
+        // Runs of five or more of one color
+        for (const run of line.match(/0{5,}|1{5,}/g) || []) score += run.length - 2;
+        // Finder-like 1:1:3:1:1 patterns next to four light modules
+        const padded = `0000${line}0000`;
+        for (let at = padded.indexOf('1011101'); at !== -1; at = padded.indexOf('1011101', at + 1)) {
+            if (padded.slice(at - 4, at) === '0000' || padded.slice(at + 7, at + 11) === '0000') score += 40;
+        }
+    }
+
+    // 2x2 blocks of one color
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const color = modules[y][x];
+            if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) score += 3;
+        }
+    }
+
+    // Balance of dark and light
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return score;
+}
+
+/**
+ * encodeQr(text, { ecLevel }) → { version, ecLevel, size, modules }
+ * modules[y][x] is true for dark. ecLevel is L, M (default), Q or H —
+ * roughly 7, 15, 25 and 30% of the code can be damaged or covered.
+ */
+function encodeQr(text, { ecLevel = 'M' } = {}) {
+    const level = String(ecLevel).toUpperCase();
+    if (!EC_LEVELS[level]) {
+        throw new Error(`Unknown QR error-correction level "${ecLevel}" — use L, M, Q or H`);
+    }
+
+    const bytes = Array.from(new TextEncoder().encode(text));
+    let version = 1;
+    while (4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > dataCodewords(version, level) * 8) {
+        if (++version > 40) throw new Error('Text is too long for a QR code');
+    }
+
+    const codewords = addErrorCorrection(encodeData(bytes, version, level), version, level);
+
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        const grid = createGrid(version);
+        drawFunctionPatterns(grid);
+        drawFormatBits(grid, level, mask);
+        drawCodewords(grid, codewords);
+        applyMask(grid, mask);
+        const score = penalty(grid);
+        if (!best || score < best.score) best = { grid, score };
+    }
+
+    return { version, ecLevel: level, size: best.grid.size, modules: best.grid.modules };
+}
+
+// --- Output ---
+
+function resolveColors({ style = 'light', foreground, background }) {
+    const colors = QR_STYLES[style];
+    if (!colors) throw new Error(`Unknown QR style "${style}" — use ${Object.keys(QR_STYLES).join(' or ')}`);
+    return { foreground: foreground || colors.foreground, background: background || colors.background };
+}
+
+// Centered square left clear for a logo, in modules (about a fifth of the code)
+function logoBox(size, margin) {
+    const side = Math.round(size * 0.22) | 1;
+    const start = margin + (size - side) / 2;
+    return { start, side };
+}
+
+function escapeAttr(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * SVG markup, one unit per module. Options: style ('light' | 'dark'),
+ * foreground, background, margin (quiet zone, default 4 modules), and
+ * logo — an image URL or data URI drawn in the centre. Use ecLevel H with a logo.
+ */
+function qrSvg(qr, { margin = 4, logo = null, ...options } = {}) {
+    const { foreground, background } = resolveColors(options);
+    const { size, modules } = qr;
+    const total = size + margin * 2;
+
+    // One path segment per horizontal run of dark modules
+    const path = [];
+    modules.forEach((row, y) => {
+        for (let x = 0; x < size; x++) {
+            if (!row[x]) continue;
+            let end = x;
+            while (end + 1 < size && row[end + 1]) end++;
+            path.push(`M${x + margin} ${y + margin}h${end - x + 1}v1h-${end - x + 1}z`);
+            x = end;
+        }
+    });
+
+    let logoMarkup = '';
+    if (logo) {
+        const { start, side } = logoBox(size, margin);
+        const pad = 0.5;
+        logoMarkup = `<rect x="${start}" y="${start}" width="${side}" height="${side}" fill="${background}"/>`
+            + `<image href="${escapeAttr(logo)}" x="${start + pad}" y="${start + pad}" width="${side - pad * 2}" height="${side - pad * 2}" preserveAspectRatio="xMidYMid meet"/>`;
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">`
+        + `<rect width="${total}" height="${total}" fill="${background}"/>`
+        + `<path fill="${foreground}" d="${path.join('')}"/>`
+        + logoMarkup
+        + `</svg>`;
+}
+
+function hexColor(hex) {
+    const value = hex.replace('#', '');
+    const full = value.length === 3 ? value.replace(/./g, c => c + c) : value;
+    return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16));
+}
+
+// Average the logo pixels under each output pixel, composited over the background
+function drawLogo(pixels, width, logo, box, background) {
+    const scale = Math.min(box.size / logo.width, box.size / logo.height);
+    const w = Math.max(1, Math.round(logo.width * scale));
+    const h = Math.max(1, Math.round(logo.height * scale));
+    const left = box.x + Math.floor((box.size - w) / 2);
+    const top = box.y + Math.floor((box.size - h) / 2);
+
+    for (let y = 0; y < h; y++) {
+        const y0 = Math.floor(y / scale);
+        const y1 = Math.max(y0 + 1, Math.min(logo.height, Math.floor((y + 1) / scale)));
+        for (let x = 0; x < w; x++) {
+            const x0 = Math.floor(x / scale);
+            const x1 = Math.max(x0 + 1, Math.min(logo.width, Math.floor((x + 1) / scale)));
+            const sum = [0, 0, 0, 0];
+            for (let sy = y0; sy < y1; sy++) {
+                for (let sx = x0; sx < x1; sx++) {
+                    const from = (sy * logo.width + sx) * 4;
+                    for (let c = 0; c < 4; c++) sum[c] += logo.data[from + c];
+                }
+            }
+            const count = (y1 - y0) * (x1 - x0);
+            const alpha = sum[3] / count / 255;
+            const to = ((top + y) * width + left + x) * 3;
+            for (let c = 0; c < 3; c++) {
+                pixels[to + c] = Math.round((sum[c] / count) * alpha + background[c] * (1 - alpha));
+            }
+        }
+    }
+}
+
+async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(new TextEncoder().encode(type), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/**
+ * PNG bytes (RGB). Options as qrSvg, plus scale (pixels per module,
+ * default 10); logo here is decoded pixels: { width, height, data: RGBA }.
+ */
+async function qrPng(qr, { margin = 4, scale = 10, logo = null, ...options } = {}) {
+    const colors = resolveColors(options);
+    const foreground = hexColor(colors.foreground);
+    const background = hexColor(colors.background);
+    const { size, modules } = qr;
+    const width = (size + margin * 2) * scale;
+
+    const pixels = new Uint8Array(width * width * 3);
+    for (let y = 0; y < width; y++) {
+        const my = Math.floor(y / scale) - margin;
+        for (let x = 0; x < width; x++) {
+            const mx = Math.floor(x / scale) - margin;
+            const dark = my >= 0 && my < size && mx >= 0 && mx < size && modules[my][mx];
+            pixels.set(dark ? foreground : background, (y * width + x) * 3);
+        }
+    }
+
+    if (logo) {
+        const { start, side } = logoBox(size, margin);
+        const x = Math.round(start * scale);
+        for (let y = x; y < x + side * scale; y++) {
+            for (let i = x; i < x + side * scale; i++) pixels.set(background, (y * width + i) * 3);
+        }
+        const pad = Math.round(scale / 2);
+        drawLogo(pixels, width, logo, { x: x + pad, y: x + pad, size: side * scale - pad * 2 }, background);
+    }
+
+    // Filter type 0 (none) on every row
+    const raw = new Uint8Array((width * 3 + 1) * width);
+    for (let y = 0; y < width; y++) {
+        raw.set(pixels.subarray(y * width * 3, (y + 1) * width * 3), y * (width * 3 + 1) + 1);
+    }
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, width);
+    header[8] = 8; // bit depth
+    header[9] = 2; // RGB
+
+    const parts = [
+        new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', await deflate(raw)),
+        pngChunk('IEND', new Uint8Array(0))
+    ];
+    const png = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let pos = 0;
+    for (const part of parts) {
+        png.set(part, pos);
+        pos += part.length;
+    }
+    return png;
+}
+
+module.exports = {
+    QR_STYLES,
+    encodeQr,
+    qrPng,
+    qrSvg
+};
@@ -0,0 +1,280 @@
+/**
+ * GentlyTold Memorial Renderer
+ *
+ * Turns one memorial record into a complete HTML page using template.html and
+ * the partials (see lib/template.js for the template syntax). The generator,
+ * the API worker and the engine all render through here, so a page looks the
+ * same whichever path produced it. No file system access: callers pass the
+ * template and partials in (lib/page.js loads them from disk, the workers
+ * bundle them through lib/worker-templates.js). Fixed wording comes from
+ * lib/locales.js; a bilingual page is the body rendered once per language.
+ */
+
+const { compile } = require('./template');
+const { resolveTheme, themeCss } = require('./themes');
+const { petWording } = require('./pets');
+const { renderInline, renderMarkdown, safeUrl } = require('./markdown');
+const { toModel } = require('./model');
+const { buildFamilyTree, buildSurvivors } = require('./family');
+const { buildMemories, memoriesUrl } = require('./memories');
+const { buildPlaces } = require('./places');
+const { buildSeo } = require('./seo');
+const { buildServices } = require('./services');
+const { buildVideo } = require('./videos');
+const { DATE_STYLES, ageAt, formatDate, sortTimeline, yearsMarried } = require('./dates');
+const { LOCALES, localeStrings, resolveLocale, translateRecord } = require('./locales');
+const { slugify } = require('./util');
+
+// --- Build page title ---
+function buildPageTitle(data) {
+    if (data.isCouple && data.personName2) {
+        return `${data.personName1} & ${data.personName2}`;
+    }
+    return data.personName1;
+}
+
+// --- Couple hero name: drop person 1's last name when both share it ---
+function buildHeroName1(data) {
+    const name1Parts = data.personName1.split(' ');
+    const name2Parts = data.personName2.split(' ');
+    if (name1Parts[name1Parts.length - 1] === name2Parts[name2Parts.length - 1]) {
+        return name1Parts.slice(0, -1).join(' ');
+    }
+    return data.personName1;
+}
+
+// --- Funeral home phone · website line ---
+function buildFuneralHomeDetails(phone, website) {
+    const details = [];
+    if (phone) {
+        details.push({ text: phone });
+    }
+    if (website) {
+        details.push({ text: website.replace(/^https?:\/\//, ''), href: website });
+    }
+    return details;
+}
+
+// --- Rich-text fields: Markdown subset in, sanitized HTML out (lib/markdown.js) ---
+function buildRichText(data) {
+    const inline = text => (text ? renderInline(text) : text);
+    return {
+        storyParagraphs: (data.storyParagraphs || []).map(renderMarkdown),
+        timelineItems: (data.timelineItems || []).map(item => ({
+            ...item,
+            text: inline(item.text),
+            description: inline(item.description)
+        })),
+        newsArticles: data.newsArticles && data.newsArticles.map(article => ({
+            ...article,
+            title: inline(article.title),
+            description: inline(article.description)
+        })),
+        businesses: data.businesses && data.businesses.map(biz => ({
+            ...biz,
+            location: inline(biz.location),
+            description: inline(biz.description)
+        })),
+        newsIntro: inline(data.newsIntro),
+        newsFootnote: inline(data.newsFootnote),
+        businessesIntro: inline(data.businessesIntro),
+        familyIntro: inline(data.familyIntro)
+    };
+}
+
+// --- "born — died", leaving out whichever date is missing ---
+function buildDates(born, died, style, locale) {
+    return [born, died].filter(Boolean).map(date => formatDate(date, style, locale)).join(' — ');
+}
+
+// --- Date style: the data file's, else the funeral home's, else as written ---
+function resolveDateStyle(data, funeralHomes) {
+    const home = data.funeralHomeName ? funeralHomes[slugify(data.funeralHomeName)] : null;
+    return [data.dateStyle, home && home.dateStyle].find(style => DATE_STYLES.includes(style)) || 'original';
+}
+
+// --- Timeline in date order (unless sortTimeline: false), labels in the date style ---
+function buildTimeline(data, style, locale) {
+    const items = data.sortTimeline === false ? data.timelineItems || [] : sortTimeline(data.timelineItems);
+    return items.map(item => ({ ...item, year: formatDate(item.year, style, locale) }));
+}
+
+// --- "Age 79" or "Married 62 years" under the hero dates, when the dates are exact ---
+function buildLifeFacts(data, showCouple, t) {
+    if (data.showLifeFacts === false) return null;
+    if (showCouple) {
+        const years = data.marriedDate ? yearsMarried(data.marriedDate, data.personDied1, data.personDied2) : null;
+        return years ? (years === 1 ? t.marriedYear : t.marriedYears).replace('{n}', years) : null;
+    }
+    const age = ageAt(data.personBorn1, data.personDied1);
+    return age === null ? null : t.age.replace('{n}', age);
+}
+
+// --- Gallery: photos grouped into albums, dates in the page's date style ---
+// Albums come in the order `albums` lists them, then in order of first use;
+// photos without an album close the gallery under "More Photos" when others
+// have one, or make up the whole gallery when none do.
+function buildGallery(data, style, locale, t) {
+    const photos = (data.photos || []).map(photo => ({
+        ...photo,
+        date: photo.date ? formatDate(photo.date, style, locale) : null,
+        captioned: Boolean(photo.caption || photo.date)
+    }));
+    const titles = [...new Set([...(data.albums || []), ...photos.map(photo => photo.album).filter(Boolean)])];
+    const albums = titles
+        .map(title => ({ title, photos: photos.filter(photo => photo.album === title) }))
+        .filter(album => album.photos.length);
+    const loose = photos.filter(photo => !photo.album);
+    if (loose.length) albums.push({ title: albums.length ? t.morePhotos : null, photos: loose });
+    return albums;
+}
+
+// --- Today, long form, for the archive footer ---
+function today(locale) {
+    const now = new Date();
+    const iso = [now.getFullYear(), now.getMonth() + 1, now.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+    return formatDate(iso, 'long', locale);
+}
+
+// --- Family names, each with its relationship when given ---
+function buildFamily(members) {
+    return (members || []).map(member => (typeof member === 'string'
+        ? { name: member }
+        : { name: member.name, relationship: member.relationship || null }));
+}
+
+// --- "In lieu of flowers": each charity with a safe link and the note to send ---
+function buildDonations(donations, pageTitle, t) {
+    return (donations || []).map(charity => ({
+        ...charity,
+        url: safeUrl(charity.url),
+        urlText: charity.url ? charity.url.replace(/^https?:\/\//, '').replace(/\/$/, '') : null,
+        message: charity.message || t.donationMessage.replace('{name}', pageTitle)
+    }));
+}
+
+// --- Custom CSS goes inside <style>; it must not be able to close it ---
+// CSS has no use for a raw "<", so every one becomes the escape \3C, which
+// reads the same inside CSS strings and can never start a tag.
+function safeCss(css) {
+    return css ? String(css).replace(/</g, '\\3C ') : '';
+}
+
+// --- Section summary (used for console output) ---
+function listSections(data) {
+    const has = list => Boolean(list && list.length);
+    return `${has(data.services) ? 'services, ' : ''}story, timeline${has(data.places) ? ', places' : ''}${data.newsArticles ? ', news' : ''}${data.businesses ? ', businesses' : ''}${has(data.videos) ? ', videos' : ''}, gallery${has(data.memories) ? `, shared memories (${data.memories.length})` : ''}, memories, family${has(data.donations) ? ', donations' : ''}`;
+}
+
+// --- Everything the page body says, in one language ---
+// `second` is the toggle's other language on a bilingual page; dates the family
+// wrote in the first language are spelled out in the second.
+function buildLanguageView(data, locale, { funeralHomes, archive, bilingual, second }) {
+    const showCouple = Boolean(data.isCouple && data.personName2);
+    const pageTitle = buildPageTitle(data);
+    const pet = data.isPet ? petWording({ ...data, name: pageTitle }, locale) : {};
+    const styled = resolveDateStyle(data, funeralHomes);
+    const dateStyle = second && styled === 'original' ? 'long' : styled;
+    const dated = { ...data, timelineItems: buildTimeline(data, dateStyle, locale) };
+    const archivedOn = archive ? today(locale) : null;
+    const t = localeStrings(locale, { name: pageTitle, date: archivedOn });
+    const memories = buildMemories(data.memories, locale, t);
+    const rich = buildRichText(dated);
+    const places = buildPlaces(data.places, dated.timelineItems);
+
+    return {
+        ...data,
+        ...rich,
+        // Timeline entries that mention a place show its pin number
+        timelineItems: places ? rich.timelineItems.map((item, i) => ({ ...item, ...places.timeline[i] })) : rich.timelineItems,
+        locale,
+        languageName: LOCALES[locale].name,
+        t,
+        bilingual,
+        // Form fields appear once per language on a bilingual page
+        idSuffix: bilingual ? `-${locale}` : '',
+        pageTitle,
+        showCouple,
+        heroName1: showCouple ? buildHeroName1(data) : data.personName1,
+        dates1: buildDates(data.personBorn1, data.personDied1, dateStyle, locale),
+        dates2: showCouple ? buildDates(data.personBorn2, data.personDied2, dateStyle, locale) : null,
+        lifeFacts: buildLifeFacts(data, showCouple, t),
+        galleryAlbums: buildGallery(data, dateStyle, locale, t),
+        heroPhoto2: showCouple ? data.heroPhoto2 : null,
+        services: buildServices(data.services, { t, locale, pageTitle, memorialUrl: data.memorialUrl }),
+        storyTitle: data.storyTitle || pet.storyTitle || t.storyTitle,
+        timelineTitle: data.timelineTitle || pet.timelineTitle || (data.isCouple ? t.timelineTitleCouple : t.timelineTitle),
+        places: places && places.places,
+        placesMap: places && places.map,
+        placesTitle: data.placesTitle || (showCouple ? t.placesTitleCouple : t.placesTitle),
+        placesIntro: data.placesIntro ? renderInline(data.placesIntro) : null,
+        family: buildFamily(data.familyMembers),
+        familyTree: buildFamilyTree(data.familyMembers, locale),
+        ...buildSurvivors(data.familyMembers, { locale, subject: pageTitle, isCouple: showCouple }),
+        familyTitle: data.familyTitle || pet.familyTitle || t.familyTitle,
+        donations: buildDonations(data.donations, pageTitle, t),
+        donationsTitle: data.donationsTitle || t.donationsTitle,
+        donationsIntro: renderInline(data.donationsIntro || t.donationsIntro),
+        petDetails: pet.petDetails,
+        businessesSectionTitle: data.businessesSectionTitle || t.businessesTitle,
+        videos: (data.videos || []).map(video => buildVideo(video, t)),
+        shareMemoryText: renderInline(data.shareMemoryText || pet.shareMemoryText || t.shareMemoryText),
+        relationshipLabel: data.relationshipLabel || pet.relationshipLabel || t.relationshipLabel,
+        memories,
+        // Where the page looks for memories approved after it was built (never from an archive)
+        memoriesFeed: !archive && data.liveMemories !== false && (data.memoriesSlug || memories.length)
+            ? memoriesUrl(data, pageTitle)
+            : null,
+        // With a memories slug the form posts to the worker, where the family
+        // reviews it; otherwise FormSubmit emails it to formEmail
+        memoryFormPost: !archive && data.memoriesSlug ? memoriesUrl(data, pageTitle) : null,
+        // The form needs somewhere to send memories, and an archive can't send at all
+        showMemoryForm: Boolean(data.formEmail || data.memoriesSlug) && data.memoryFormEnabled !== false && !archive,
+        relationshipPlaceholder: pet.relationshipPlaceholder || t.relationshipPlaceholder,
+        funeralHomeDetails: buildFuneralHomeDetails(data.funeralHomePhone, data.funeralHomeWebsite),
+        archive,
+        archivedOn
+    };
+}
+
+// --- Everything the templates can use: the data plus derived values ---
+// `languages` holds the body once per language: just the one, or two on a
+// bilingual page (secondLocale), the second with the family's translations.
+function buildView(record, { funeralHomes = {}, archive = false, noindex = false } = {}) {
+    const data = toModel(record);
+    const locale = resolveLocale(data.locale);
+    const secondLocale = LOCALES[data.secondLocale] && data.secondLocale !== locale ? data.secondLocale : null;
+    const bilingual = Boolean(secondLocale);
+    const theme = resolveTheme(data, funeralHomes);
+
+    const view = buildLanguageView(data, locale, { funeralHomes, archive, bilingual });
+    const languages = [view];
+    if (secondLocale) {
+        languages.push(buildLanguageView(translateRecord(data, secondLocale), secondLocale, { funeralHomes, archive, bilingual, second: true }));
+    }
+
+    return {
+        ...view,
+        languages,
+        theme,
+        themeCss: themeCss(theme),
+        customCss: safeCss(data.customCss),
+        seo: buildSeo(data, { pageTitle: view.pageTitle, noindex, archive, locale, alternateLocales: languages.slice(1).map(l => l.locale) })
+    };
+}
+
+// --- Render a full page from any memorial record (options: { funeralHomes, archive, noindex }) ---
+// archive: true renders the offline copy — video stills instead of players, no memory form
+// noindex: true asks search engines to skip the page (previews, drafts)
+function renderPage(data, template, partials = {}, options = {}) {
+    return compile(template, 'template.html')(buildView(data, options), partials);
+}
+
+module.exports = {
+    buildFuneralHomeDetails,
+    buildPageTitle,
+    buildView,
+    listSections,
+    renderPage,
+    safeCss
+};
@@ -0,0 +1,502 @@
+/**
+ * GentlyTold Memorial Data Schema
+ *
+ * The data format documented in the README field table, written as a small
+ * JSON Schema subset, plus a validator that reports every problem with its
+ * JSON path. Errors block generation; warnings (unknown fields) do not.
+ * Validate records after lib/model.js has brought them up to date.
+ */
+
+const { THEMES } = require('./themes');
+const { PRONOUNS } = require('./pets');
+const { MODEL_VERSION } = require('./model');
+const { DATE_STYLES } = require('./dates');
+const { LOCALES, TRANSLATABLE_FIELDS } = require('./locales');
+const { SERVICE_TYPES } = require('./services');
+const { VIDEO_TYPES } = require('./videos');
+const { FAMILY_ROLES } = require('./family');
+
+const str = { type: 'string' };
+const bool = { type: 'boolean' };
+const photo = {
+    type: 'object',
+    properties: {
+        src: str,
+        alt: str
+    }
+};
+
+// A person in the family tree; `children` holds more of the same
+const familyMember = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        relationship: str,
+        role: { type: 'string', enum: FAMILY_ROLES },
+        deceased: bool,
+        spouse: str,
+        photo: { ...photo, required: ['src'] }
+    }
+};
+familyMember.properties.children = {
+    type: 'array',
+    items: { anyOf: [{ type: 'string', minLength: 1 }, familyMember] }
+};
+
+const MEMORIAL_SCHEMA = {
+    type: 'object',
+    required: [
+        'isCouple', 'personName1', 'personBorn1', 'personDied1',
+        'storyParagraphs', 'timelineItems', 'photos', 'familyMembers'
+    ],
+    additionalProperties: false,
+    properties: {
+        version: { type: 'number', enum: [MODEL_VERSION] },
+        isCouple: bool,
+        isPet: bool,
+        petType: str,
+        petPronoun: { type: 'string', enum: Object.keys(PRONOUNS) },
+        petBreed: str,
+        petAdoptionDate: str,
+        petAdoptedFrom: str,
+        theme: { type: 'string', enum: Object.keys(THEMES) },
+        locale: { type: 'string', enum: Object.keys(LOCALES) },
+        secondLocale: { type: 'string', enum: Object.keys(LOCALES) },
+
+        personName1: { type: 'string', minLength: 1 },
+        personBorn1: str,
+        personDied1: str,
+        personName2: { type: 'string', minLength: 1 },
+        personBorn2: str,
+        personDied2: str,
+        marriedDate: str,
+        dateStyle: { type: 'string', enum: DATE_STYLES },
+        showLifeFacts: bool,
+
+        heroQuote: str,
+        heroQuoteAttribution: str,
+        heroPhoto: photo,
+        heroPhoto2: photo,
+
+        // Visitation, funeral, celebration of life… (lib/services.js)
+        services: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['type', 'date'],
+                properties: {
+                    type: { type: 'string', enum: SERVICE_TYPES },
+                    title: str,
+                    date: { type: 'string', minLength: 1 },
+                    time: str,
+                    endTime: str,
+                    venue: str,
+                    address: str,
+                    livestreamUrl: { type: 'string', format: 'uri' },
+                    notes: str
+                }
+            }
+        },
+
+        storyTitle: str,
+        storyParagraphs: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+
+        timelineTitle: str,
+        sortTimeline: bool,
+        timelineItems: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['year', 'text'],
+                // `place` names the places (below) an entry is about, instead of
+                // finding them in its text
+                properties: {
+                    year: str,
+                    text: str,
+                    description: str,
+                    place: { anyOf: [str, { type: 'array', items: str }] }
+                }
+            }
+        },
+
+        // Places they called home, in the order they lived there; the map
+        // finds a state or country in the name, or uses lat/lon
+        places: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    years: str,
+                    lat: { type: 'number', minimum: -90, maximum: 90 },
+                    lon: { type: 'number', minimum: -180, maximum: 180 },
+                    story: str
+                }
+            }
+        },
+        placesTitle: str,
+        placesIntro: str,
+
+        newsArticles: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['title', 'source'],
+                properties: {
+                    title: str,
+                    source: str,
+                    url: { type: 'string', format: 'uri' },
+                    description: str
+                }
+            }
+        },
+        newsIntro: str,
+        newsFootnote: str,
+
+        businesses: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name'],
+                properties: { name: str, location: str, description: str }
+            }
+        },
+        businessesSectionTitle: str,
+        businessesIntro: str,
+
+        videos: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['type', 'url'],
+                properties: {
+                    type: { type: 'string', enum: VIDEO_TYPES },
+                    url: { type: 'string', format: 'uri' },
+                    caption: str,
+                    thumbnail: str,
+                    transcript: str
+                }
+            }
+        },
+
+        photos: {
+            type: 'array',
+            items: { ...photo, required: ['src'], properties: { ...photo.properties, caption: str, date: str, album: str } }
+        },
+        // Album order for the gallery; photos name their album
+        albums: { type: 'array', items: { type: 'string', minLength: 1 } },
+
+        // A name, or { name, relationship, deceased, spouse, photo, children }
+        familyMembers: {
+            type: 'array',
+            items: { anyOf: [{ type: 'string', minLength: 1 }, familyMember] }
+        },
+        familyTitle: str,
+        familyIntro: str,
+        familyNote: str,
+
+        // "In lieu of flowers" charities and memorial funds
+        donations: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    purpose: str,
+                    url: { type: 'string', format: 'uri' },
+                    address: str,
+                    message: str
+                }
+            }
+        },
+        donationsTitle: str,
+        donationsIntro: str,
+
+        closingQuote: str,
+        closingQuoteAttribution: str,
+
+        memorialUrl: { type: 'string', format: 'uri' },
+        metaDescription: str,
+        noindex: bool,
+
+        programStory: str,
+        orderOfService: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['title'],
+                properties: { title: str, detail: str }
+            }
+        },
+        pallbearers: { type: 'array', items: { type: 'string', minLength: 1 } },
+
+        memories: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'memory'],
+                properties: {
+                    id: str,
+                    name: { type: 'string', minLength: 1 },
+                    relationship: str,
+                    memory: { type: 'string', minLength: 1 },
+                    date: str,
+                    photoUrl: { type: 'string', format: 'uri' }
+                }
+            }
+        },
+        memoriesSlug: str,
+        memoriesApi: { type: 'string', format: 'uri' },
+        liveMemories: bool,
+
+        formEmail: { type: 'string', format: 'email' },
+        memoryFormEnabled: bool,
+        shareMemoryText: str,
+        relationshipLabel: str,
+
+        funeralHomeName: str,
+        funeralHomeLogo: str,
+        funeralHomePhone: str,
+        funeralHomeWebsite: { type: 'string', format: 'uri' },
+        funeralHomeTagline: str,
+
+        customCss: str
+    },
+    // Couples need the second person's details too
+    if: { properties: { isCouple: { const: true } } },
+    then: { required: ['personName2', 'personBorn2', 'personDied2'] }
+};
+
+// --- translations: the family's text in another language ---
+// The same fields as the page, none required; a list entry of {} keeps the original
+// (`seen` keeps schemas that contain themselves, like a family member's children, to one copy)
+function optional(schema, seen = new Map()) {
+    if (!schema || typeof schema !== 'object') return schema;
+    if (seen.has(schema)) return seen.get(schema);
+    const { required, minItems, if: condition, then, ...rest } = schema;
+    const copy = { ...rest };
+    seen.set(schema, copy);
+    if (rest.items) copy.items = optional(rest.items, seen);
+    if (rest.anyOf) copy.anyOf = rest.anyOf.map(alt => optional(alt, seen));
+    if (rest.properties) {
+        copy.properties = Object.fromEntries(Object.entries(rest.properties).map(([key, child]) => [key, optional(child, seen)]));
+    }
+    return copy;
+}
+
+const TRANSLATION_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: Object.fromEntries(TRANSLATABLE_FIELDS.map(field => [field, optional(MEMORIAL_SCHEMA.properties[field])]))
+};
+
+MEMORIAL_SCHEMA.properties.translations = {
+    type: 'object',
+    additionalProperties: false,
+    properties: Object.fromEntries(Object.keys(LOCALES).map(code => [code, TRANSLATION_SCHEMA]))
+};
+
+// --- The narrative the API worker's /api/generate asks the model for ---
+// The rules its system prompt sets out; a reply that breaks them is sent back
+// for repair. Translations for a bilingual page follow the same rules.
+const narrativeFields = {
+    storyParagraphs: { type: 'array', minItems: 3, maxItems: 6, items: { type: 'string', minLength: 1 } },
+    timelineItems: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 12,
+        items: {
+            type: 'object',
+            required: ['year', 'title'],
+            properties: {
+                year: { type: 'string', minLength: 1 },
+                title: { type: 'string', minLength: 1 },
+                description: str
+            }
+        }
+    },
+    heroQuote: { type: 'string', minLength: 1 },
+    closingQuote: { type: 'string', minLength: 1 }
+};
+
+const narrativeVersion = {
+    type: 'object',
+    required: Object.keys(narrativeFields),
+    properties: narrativeFields
+};
+
+const NARRATIVE_SCHEMA = {
+    ...narrativeVersion,
+    properties: {
+        ...narrativeFields,
+        translations: {
+            type: 'object',
+            properties: Object.fromEntries(Object.keys(LOCALES).map(code => [code, narrativeVersion]))
+        }
+    }
+};
+
+// --- Pages the workers build from a form or an API call ---
+// The story may be empty, which a data file's can't; lib/model.js
+// withPageDefaults fills in the other fields a form may leave out
+const PAGE_SCHEMA = {
+    ...MEMORIAL_SCHEMA,
+    properties: {
+        ...MEMORIAL_SCHEMA.properties,
+        storyParagraphs: optional(MEMORIAL_SCHEMA.properties.storyParagraphs)
+    }
+};
+
+const FORMATS = {
+    email: v => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+    uri: v => /^https?:\/\/[^\s]+$/.test(v)
+};
+
+const FORMAT_NAMES = {
+    email: 'an email address',
+    uri: 'an http(s):// URL'
+};
+
+// --- Helper: JSON type name (arrays and null are not "object") ---
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function childPath(parent, key) {
+    if (typeof key === 'number') return `${parent}[${key}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${parent}.${key}` : `${parent}[${JSON.stringify(key)}]`;
+}
+
+// --- Does a value satisfy a schema? (used for if/then) ---
+function matches(value, schema) {
+    return walk(value, schema, '$', []).every(p => p.level !== 'error');
+}
+
+function walk(value, schema, at, problems) {
+    const error = message => problems.push({ level: 'error', path: at, message });
+
+    if ('const' in schema && value !== schema.const) {
+        error(`must be ${JSON.stringify(schema.const)}`);
+        return problems;
+    }
+
+    // First alternative of the value's type decides (enough for string-or-object lists)
+    if (schema.anyOf) {
+        const alternative = schema.anyOf.find(alt => !alt.type || alt.type === typeOf(value));
+        if (!alternative) {
+            error(`expected ${schema.anyOf.map(alt => alt.type).join(' or ')}, got ${typeOf(value)}`);
+            return problems;
+        }
+        return walk(value, alternative, at, problems);
+    }
+
+    if (schema.type && typeOf(value) !== schema.type) {
+        error(`expected ${schema.type}, got ${typeOf(value)}`);
+        return problems;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        error(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength && value.trim().length < schema.minLength) {
+            error('must not be empty');
+        } else if (schema.format && value && !FORMATS[schema.format](value)) {
+            error(`must be ${FORMAT_NAMES[schema.format]} (got ${JSON.stringify(value)})`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if ('minimum' in schema && value < schema.minimum) error(`must be at least ${schema.minimum}`);
+        if ('maximum' in schema && value > schema.maximum) error(`must be at most ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems && value.length < schema.minItems) {
+            error(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.maxItems && value.length > schema.maxItems) {
+            error(`must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => walk(item, schema.items, childPath(at, i), problems));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const required = [...(schema.required || [])];
+        if (schema.if && schema.then && matches(value, schema.if)) {
+            required.push(...(schema.then.required || []));
+        }
+        required.forEach(key => {
+            if (value[key] === undefined) {
+                problems.push({ level: 'error', path: childPath(at, key), message: 'is required' });
+            }
+        });
+
+        const properties = schema.properties || {};
+        for (const [key, child] of Object.entries(value)) {
+            if (properties[key]) {
+                walk(child, properties[key], childPath(at, key), problems);
+            } else if (schema.additionalProperties === false) {
+                problems.push({ level: 'warning', path: childPath(at, key), message: 'unknown field (ignored by the generator)' });
+            }
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Validate memorial data. Returns { errors, warnings }, each a list of
+ * { path, message } where path is a JSON path such as $.timelineItems[3].text.
+ */
+function validate(data, schema = MEMORIAL_SCHEMA) {
+    const problems = walk(data, schema, '$', []);
+    const strip = ({ path, message }) => ({ path, message });
+    return {
+        errors: problems.filter(p => p.level === 'error').map(strip),
+        warnings: problems.filter(p => p.level === 'warning').map(strip)
+    };
+}
+
+/**
+ * Parse a data file's JSON, turning syntax errors into a line/column report.
+ * Returns { data } or { error }.
+ */
+function parseJSON(raw) {
+    try {
+        return { data: JSON.parse(raw) };
+    } catch (e) {
+        const match = e.message.match(/position (\d+)/);
+        if (!match) return { error: e.message };
+        const before = raw.slice(0, Number(match[1])).split('\n');
+        const line = before.length;
+        const column = before[before.length - 1].length + 1;
+        return { error: `${e.message.replace(/ in JSON at position \d+.*$/, '')} (line ${line}, column ${column})` };
+    }
+}
+
+// --- Human-readable report for the console ---
+function formatReport(file, { errors, warnings }) {
+    const lines = [];
+    lines.push(`${errors.length ? '✗' : '✓'} ${file}`);
+    errors.forEach(e => lines.push(`    ✗ ${e.path}: ${e.message}`));
+    warnings.forEach(w => lines.push(`    ⚠ ${w.path}: ${w.message}`));
+    return lines.join('\n');
+}
+
+module.exports = {
+    MEMORIAL_SCHEMA,
+    NARRATIVE_SCHEMA,
+    PAGE_SCHEMA,
+    validate,
+    parseJSON,
+    formatReport
+};
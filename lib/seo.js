@@ -0,0 +1,122 @@
+/**
+ * GentlyTold Search and Sharing Metadata
+ *
+ * Everything a memorial's <head> tells search engines and social sites: a
+ * description, the canonical link, Open Graph and Twitter card tags (so a
+ * memorial shared on Facebook shows a card with the photo), a robots noindex
+ * switch, and schema.org JSON-LD — a Person for each person remembered with
+ * birth and death dates, and the funeral home as a FuneralHome.
+ * The markup itself is in partials/meta.html.
+ */
+
+const { plainText, renderMarkdown } = require('./markdown');
+const { isoDate } = require('./dates');
+const { LOCALES, localeStrings } = require('./locales');
+
+const SITE_NAME = 'GentlyTold';
+const DESCRIPTION_LENGTH = 160;
+
+// Social sites need absolute image URLs; relative paths resolve against the memorial's address
+function absoluteUrl(src, base) {
+    if (!src || /^data:/i.test(src)) return null;
+    if (/^https?:\/\//i.test(src)) return src;
+    if (!base) return null;
+    try {
+        return new URL(src, base).href;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Whole words up to the limit, with an ellipsis when cut
+function truncate(text, max) {
+    if (text.length <= max) return text;
+    const cut = text.slice(0, max - 1);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length).replace(/[\s,;:.—–-]+$/, '')}…`;
+}
+
+function buildDescription(data, t) {
+    if (data.metaDescription) return truncate(plainText(renderMarkdown(data.metaDescription)), DESCRIPTION_LENGTH);
+    const story = plainText(renderMarkdown((data.storyParagraphs || [])[0] || ''));
+    return truncate(`${t.descriptionLead} ${story || t.descriptionFallback}`, DESCRIPTION_LENGTH);
+}
+
+// --- schema.org ---
+function buildPerson(name, born, died, photo, url) {
+    const person = { '@type': 'Person', name };
+    const birthDate = isoDate(born);
+    const deathDate = isoDate(died);
+    if (birthDate) person.birthDate = birthDate;
+    if (deathDate) person.deathDate = deathDate;
+    if (photo) person.image = photo;
+    if (url) person.url = url;
+    return person;
+}
+
+function buildFuneralHome(data, base) {
+    if (!data.funeralHomeName) return null;
+    const home = { '@type': 'FuneralHome', name: data.funeralHomeName };
+    if (data.funeralHomeWebsite) home.url = data.funeralHomeWebsite;
+    if (data.funeralHomePhone) home.telephone = data.funeralHomePhone;
+    const logo = absoluteUrl(data.funeralHomeLogo, base);
+    if (logo) home.logo = logo;
+    return home;
+}
+
+function buildJsonLd(data, { title, description, url, image, languages }) {
+    const funeralHome = buildFuneralHome(data, url);
+    const people = data.isPet ? [] : [buildPerson(data.personName1, data.personBorn1, data.personDied1, image, url)];
+    if (!data.isPet && data.isCouple && data.personName2) {
+        const image2 = data.heroPhoto2 ? absoluteUrl(data.heroPhoto2.src, url) : image;
+        people.push(buildPerson(data.personName2, data.personBorn2, data.personDied2, image2, url));
+    }
+
+    const page = { '@type': 'WebPage', name: title, description, inLanguage: languages.length > 1 ? languages : languages[0] };
+    if (url) page.url = url;
+    if (image) page.primaryImageOfPage = image;
+    if (people.length) page.about = people;
+    if (funeralHome) page.publisher = funeralHome;
+
+    // Safe inside <script>: nothing in it can close the tag
+    return JSON.stringify({ '@context': 'https://schema.org', ...page }, null, 2)
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Metadata for one memorial. Options:
+ *   pageTitle         the people remembered, as in the page heading
+ *   noindex           keep the page out of search results (also data.noindex)
+ *   archive           offline copy: no canonical link or share images
+ *   locale            page language (lib/locales.js), default 'en'
+ *   alternateLocales  the other language of a bilingual page
+ */
+function buildSeo(data, { pageTitle, noindex = false, archive = false, locale = 'en', alternateLocales = [] }) {
+    const url = archive ? null : data.memorialUrl || null;
+    const t = localeStrings(locale, { name: pageTitle });
+    const title = t.pageTitle;
+    const description = buildDescription(data, t);
+    const photo = data.heroPhoto || (data.photos || [])[0];
+    const image = archive || !photo ? null : absoluteUrl(photo.src, url);
+
+    return {
+        title,
+        description,
+        locale: LOCALES[locale].ogLocale,
+        alternateLocales: alternateLocales.map(code => LOCALES[code].ogLocale),
+        canonicalUrl: url,
+        siteName: SITE_NAME,
+        image,
+        imageAlt: image ? photo.alt || pageTitle : null,
+        imageWidth: image && photo.width ? photo.width : null,
+        imageHeight: image && photo.height ? photo.height : null,
+        twitterCard: image ? 'summary_large_image' : 'summary',
+        noindex: Boolean(noindex || data.noindex),
+        jsonLd: buildJsonLd(data, { title, description, url, image, languages: [locale, ...alternateLocales] })
+    };
+}
+
+module.exports = {
+    buildSeo
+};
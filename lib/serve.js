@@ -0,0 +1,214 @@
+/**
+ * GentlyTold Preview Server
+ *
+ * `node generate.js serve <data.json>` renders a memorial in memory, serves it
+ * on localhost and reloads the browser whenever the data file, the template,
+ * a partial, funeral-homes.json or a local photo changes. Validation and
+ * template errors appear as an overlay on the last good page, so a half-typed
+ * edit never leaves the writer staring at a blank screen.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { loadFuneralHomes, loadPartials, renderPage } = require('./page');
+const { imageSources, processImages } = require('./images');
+const { validate, parseJSON } = require('./schema');
+const { toModel } = require('./model');
+const { typeFromPath } = require('./archive');
+
+const EVENTS_PATH = '/__gentlytold/events';
+const POLL_INTERVAL = 300;
+const DEBOUNCE = 100;
+
+const RELOAD_SCRIPT = `<script>
+new EventSource('${EVENTS_PATH}').addEventListener('reload', () => location.reload());
+</script>`;
+
+const BLANK_PAGE = '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="UTF-8">\n<title>GentlyTold Preview</title>\n</head>\n<body>\n</body>\n</html>';
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// --- Error overlay, shown over the last page that built ---
+function errorOverlay(file, problems) {
+    const items = problems
+        .map(p => `<li><code style="color:#f0b35e;">${escapeHtml(p.path)}</code> ${escapeHtml(p.message)}</li>`)
+        .join('');
+    return `<div id="gentlytold-errors" style="position:fixed;inset:0;z-index:99999;background:rgba(10,10,10,0.88);color:#f5efe8;font:15px/1.6 ui-monospace,Menlo,Consolas,monospace;padding:3rem 2rem;overflow:auto;">
+<div style="max-width:760px;margin:0 auto;">
+<p style="color:#ff7b72;font-size:1.1rem;margin-bottom:0.5rem;">✗ ${escapeHtml(file)} — page not updated</p>
+<ul style="list-style:none;padding:0;margin:1rem 0;">${items}</ul>
+<p style="color:#8a8079;">Fix the file and save; this page reloads by itself. Showing the last version that built.</p>
+<button onclick="this.closest('#gentlytold-errors').remove()" style="margin-top:1rem;padding:0.4rem 1rem;background:none;color:#f5efe8;border:1px solid #5a5048;border-radius:4px;cursor:pointer;">Dismiss</button>
+</div>
+</div>`;
+}
+
+function injectBeforeBodyEnd(html, snippet) {
+    return html.includes('</body>') ? html.replace('</body>', `${snippet}\n</body>`) : html + snippet;
+}
+
+function listFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).map(f => path.join(dir, f));
+}
+
+// --- One build: rendered HTML or problems, plus every file it read ---
+function build({ dataPath, templateFile, partialDirs, funeralHomesFile, workDir, log }) {
+    const dataDir = path.dirname(dataPath);
+    const watch = [dataPath, templateFile, funeralHomesFile, ...partialDirs, ...partialDirs.flatMap(listFiles)];
+    const fail = (where, message) => ({ html: null, problems: [{ path: where, message }], watch });
+
+    let raw;
+    try {
+        raw = fs.readFileSync(dataPath, 'utf8');
+    } catch (e) {
+        return fail('$', e.message);
+    }
+
+    const parsed = parseJSON(raw);
+    if (parsed.error) return fail('$', parsed.error);
+    let data;
+    try {
+        data = toModel(parsed.data);
+    } catch (e) {
+        return fail('$', e.message);
+    }
+
+    const report = validate(data);
+    report.warnings.forEach(w => log(`  ⚠ ${w.path}: ${w.message}`));
+    if (report.errors.length) return { html: null, problems: report.errors, watch };
+
+    try {
+        const template = fs.readFileSync(templateFile, 'utf8');
+        const partials = loadPartials(...partialDirs);
+        const funeralHomes = loadFuneralHomes(funeralHomesFile);
+        const images = processImages(data, { sourceDirs: [dataDir], outDir: workDir, log });
+        watch.push(...imageSources(data, [dataDir]));
+        return { html: renderPage(images.data, template, partials, { funeralHomes }), problems: [], watch };
+    } catch (e) {
+        return fail('render', e.message);
+    }
+}
+
+// Resolve a URL path inside one of the roots, never outside them
+function findStatic(urlPath, roots) {
+    let relative;
+    try {
+        relative = decodeURIComponent(urlPath).replace(/^\/+/, '');
+    } catch (e) {
+        return null;
+    }
+    for (const root of roots) {
+        const file = path.resolve(root, relative);
+        if (!file.startsWith(path.resolve(root) + path.sep)) continue;
+        if (fs.existsSync(file) && fs.statSync(file).isFile()) return file;
+    }
+    return null;
+}
+
+/**
+ * Start the preview server. Options:
+ *   dataPath, templateFile, partialDirs, funeralHomesFile
+ *   port (default 4000), host (default 127.0.0.1), log
+ * Returns the http.Server; Ctrl+C stops it and removes the scratch folder.
+ */
+function startServer({ dataPath, templateFile, partialDirs, funeralHomesFile, port = 4000, host = '127.0.0.1', log = console.log }) {
+    // Resized photos live in a scratch folder, never in output/
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gentlytold-serve-'));
+    const clients = new Set();
+    let current = { html: null, problems: [] };
+    let lastGood = null;
+    let watched = new Set();
+    let timer = null;
+
+    const rebuild = () => {
+        const started = Date.now();
+        current = build({ dataPath, templateFile, partialDirs, funeralHomesFile, workDir, log });
+        if (current.html) lastGood = current.html;
+
+        if (current.problems.length) {
+            log(`✗ ${dataPath}`);
+            current.problems.forEach(p => log(`    ✗ ${p.path}: ${p.message}`));
+        } else {
+            log(`✓ Rebuilt in ${Date.now() - started}ms`);
+        }
+
+        watchFiles(current.watch);
+        clients.forEach(res => res.write('event: reload\ndata: \n\n'));
+    };
+
+    const onChange = (now, before) => {
+        if (now.mtimeMs === before.mtimeMs && now.size === before.size) return;
+        clearTimeout(timer);
+        timer = setTimeout(rebuild, DEBOUNCE);
+    };
+
+    // Polling survives editors that save by replacing the file
+    function watchFiles(files) {
+        const next = new Set(files.map(f => path.resolve(f)));
+        watched.forEach(file => {
+            if (!next.has(file)) fs.unwatchFile(file, onChange);
+        });
+        next.forEach(file => {
+            if (!watched.has(file)) fs.watchFile(file, { interval: POLL_INTERVAL }, onChange);
+        });
+        watched = next;
+    }
+
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (pathname === EVENTS_PATH) {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+            res.write(': connected\n\n');
+            clients.add(res);
+            req.on('close', () => clients.delete(res));
+            return;
+        }
+
+        if (pathname === '/' || pathname === '/index.html') {
+            let html = current.html || lastGood || BLANK_PAGE;
+            if (current.problems.length) html = injectBeforeBodyEnd(html, errorOverlay(dataPath, current.problems));
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+            res.end(injectBeforeBodyEnd(html, RELOAD_SCRIPT));
+            return;
+        }
+
+        const file = findStatic(pathname, [workDir, path.dirname(dataPath)]);
+        if (!file) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': typeFromPath(file), 'Cache-Control': 'no-store' });
+        fs.createReadStream(file).pipe(res);
+    });
+
+    const stop = () => {
+        watched.forEach(file => fs.unwatchFile(file, onChange));
+        clients.forEach(res => res.end());
+        server.close();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    };
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+            stop();
+            process.exit(0);
+        });
+    }
+
+    rebuild();
+    server.listen(port, host, () => {
+        log(`\nPreviewing ${dataPath} at http://${host === '127.0.0.1' ? 'localhost' : host}:${server.address().port}/`);
+        log('Watching the data file, template, partials and photos — Ctrl+C to stop');
+    });
+    return server;
+}
+
+module.exports = {
+    startServer
+};
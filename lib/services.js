@@ -0,0 +1,163 @@
+/**
+ * GentlyTold Services
+ *
+ * The visitation, funeral, celebration of life and the rest, from the
+ * `services` a data file lists: when and where each one is, a calendar file
+ * (.ics) to save it, a directions link and the livestream. Once a service's
+ * day has gone by it reads "Funeral Service held on…" instead — decided when
+ * the page is rendered, and again in the visitor's browser
+ * (partials/service-dates.html), since a page is built once and read for years.
+ */
+
+const { formatDate, formatTime, formatWeekdayDate, parseDate, parseTime } = require('./dates');
+const { safeUrl } = require('./markdown');
+const { slugify } = require('./util');
+
+const SERVICE_TYPES = ['visitation', 'funeral', 'memorial', 'celebration', 'graveside', 'reception', 'other'];
+
+// Locale string holding each type's default title
+const TYPE_TITLES = {
+    visitation: 'serviceVisitation',
+    funeral: 'serviceFuneral',
+    memorial: 'serviceMemorial',
+    celebration: 'serviceCelebration',
+    graveside: 'serviceGraveside',
+    reception: 'serviceReception',
+    other: 'serviceOther'
+};
+
+const pad = n => String(n).padStart(2, '0');
+
+// --- iCalendar (RFC 5545) ---
+function icsText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 bytes continue on the next line after a space
+function icsFold(line) {
+    const encoder = new TextEncoder();
+    const parts = [''];
+    let bytes = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (bytes + size > 74) {
+            parts.push('');
+            bytes = 0;
+        }
+        parts[parts.length - 1] += char;
+        bytes += size;
+    }
+    return parts.join('\r\n ');
+}
+
+function icsDay(date) {
+    return date.start.replace(/-/g, '');
+}
+
+function icsDateTime(day, time) {
+    return `${icsDay(day)}T${pad(time.hours)}${pad(time.minutes)}00`;
+}
+
+// The day after, or an hour later, for events without an end
+function addMinutes(day, time, minutes) {
+    const moment = new Date(Date.UTC(day.year, day.month - 1, day.day, time.hours, time.minutes + minutes));
+    return `${moment.getUTCFullYear()}${pad(moment.getUTCMonth() + 1)}${pad(moment.getUTCDate())}T${pad(moment.getUTCHours())}${pad(moment.getUTCMinutes())}00`;
+}
+
+function nextDay(day) {
+    return addMinutes(day, { hours: 0, minutes: 0 }, 24 * 60).slice(0, 8);
+}
+
+/**
+ * A calendar file for one service, or null when its date isn't a single day.
+ * Times are "floating" — 10 AM on the calendar of whoever saves it, which is
+ * right for a service people attend in person.
+ */
+function buildIcs(service, { title, pageTitle, memorialUrl, uid, stamp }) {
+    const day = parseDate(service.date);
+    if (day.precision !== 'day' || day.approximate) return null;
+    const start = parseTime(service.time);
+    const end = start && parseTime(service.endTime);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//GentlyTold//Memorial//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${stamp}`
+    ];
+    if (start) {
+        lines.push(`DTSTART:${icsDateTime(day, start)}`);
+        lines.push(`DTEND:${end ? icsDateTime(day, end) : addMinutes(day, start, 60)}`);
+    } else {
+        lines.push(`DTSTART;VALUE=DATE:${icsDay(day)}`);
+        lines.push(`DTEND;VALUE=DATE:${nextDay(day)}`);
+    }
+    lines.push(`SUMMARY:${icsText(`${title} — ${pageTitle}`)}`);
+    const location = [service.venue, service.address].filter(Boolean).join(', ');
+    if (location) lines.push(`LOCATION:${icsText(location)}`);
+    const description = [service.notes, service.livestreamUrl, memorialUrl].filter(Boolean).join('\n\n');
+    if (description) lines.push(`DESCRIPTION:${icsText(description)}`);
+    if (service.livestreamUrl || memorialUrl) lines.push(`URL:${service.livestreamUrl || memorialUrl}`);
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+    return `${lines.map(icsFold).join('\r\n')}\r\n`;
+}
+
+function directionsUrl(service) {
+    const place = [service.venue, service.address].filter(Boolean).join(', ');
+    return service.address ? `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(place)}` : null;
+}
+
+// --- Today as YYYY-MM-DD on the rendering machine's clock ---
+function todayIso(now) {
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+function formatStamp(now) {
+    return now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+}
+
+/**
+ * The services section: each entry with its title, "when" line, the "held
+ * on" line used once it's past, and its calendar file as a data: URL.
+ * Options: t (lib/locales.js strings), locale, pageTitle, memorialUrl, now.
+ */
+function buildServices(services, { t, locale, pageTitle, memorialUrl, now = new Date() }) {
+    const today = todayIso(now);
+    const stamp = formatStamp(now);
+    const base = slugify(pageTitle) || 'memorial';
+    return (services || []).map((entry, i) => {
+        // Links typed into the intake form go into href attributes
+        const service = { ...entry, livestreamUrl: safeUrl(entry.livestreamUrl) };
+        const title = service.title || t[TYPE_TITLES[service.type]] || t.serviceOther;
+        const day = parseDate(service.date);
+        const exact = day.precision === 'day' && !day.approximate;
+        const time = service.time ? formatTime(service.time, locale) : null;
+        const endTime = service.endTime ? formatTime(service.endTime, locale) : null;
+        const ics = buildIcs(service, { title, pageTitle, memorialUrl, uid: `${base}-${i + 1}@gentlytold.com`, stamp });
+        const directions = directionsUrl(service);
+        return {
+            ...service,
+            title,
+            date: exact ? formatWeekdayDate(service.date, locale) : formatDate(service.date, 'long', locale),
+            time: time && endTime ? `${time} – ${endTime}` : time,
+            // The last day it's upcoming, for the visitor's browser to check
+            day: exact ? day.start : null,
+            past: exact && day.start < today,
+            heldOn: exact ? t.serviceHeldOn.replace('{type}', title).replace('{day}', formatDate(day.start, 'long', locale)) : null,
+            directionsUrl: directions,
+            icsHref: ics ? `data:text/calendar;charset=utf-8,${encodeURIComponent(ics)}` : null,
+            icsName: `${slugify(`${title} ${pageTitle}`) || 'service'}.ics`,
+            hasLinks: Boolean(service.livestreamUrl || ics || directions)
+        };
+    });
+}
+
+module.exports = {
+    SERVICE_TYPES,
+    buildIcs,
+    buildServices
+};
@@ -0,0 +1,198 @@
+/**
+ * GentlyTold Batch Site Builder
+ *
+ * Builds every memorial in a data directory into <outDir>/<slug>/index.html
+ * (photos in <outDir>/<slug>/images/), plus one index page per funeral home at
+ * <outDir>/funeral-homes/<slug>/index.html.
+ *
+ * A small manifest (<outDir>/.gentlytold-build.json) remembers a hash of each
+ * data file, its photos, the templates, partials, funeral-homes.json and renderer,
+ * so unchanged memorials are skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { buildPageTitle, buildFuneralHomeDetails, renderPage } = require('./page');
+const { compile } = require('./template');
+const { resolveTheme, themeCss } = require('./themes');
+const { imageSources, processImages, hasJpegCodec } = require('./images');
+const { slugify } = require('./util');
+const { validate, parseJSON, formatReport } = require('./schema');
+const { toModel } = require('./model');
+
+const MANIFEST_FILE = '.gentlytold-build.json';
+const FUNERAL_HOMES_DIR = 'funeral-homes';
+
+function hash(...parts) {
+    const h = crypto.createHash('sha256');
+    parts.forEach(part => h.update(part));
+    return h.digest('hex');
+}
+
+// --- Hash of the renderer source, so code changes force a rebuild ---
+function rendererHash() {
+    const files = [path.join(__dirname, '..', 'generate.js')];
+    fs.readdirSync(__dirname)
+        .filter(f => f.endsWith('.js'))
+        .sort()
+        .forEach(f => files.push(path.join(__dirname, f)));
+    return hash(...files.map(f => fs.readFileSync(f)));
+}
+
+function readManifest(outDir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(outDir, MANIFEST_FILE), 'utf8'));
+    } catch (e) {
+        return { memorials: {} };
+    }
+}
+
+function writeIfChanged(file, contents) {
+    if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === contents) return false;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents, 'utf8');
+    return true;
+}
+
+// --- Build one funeral home's index page ---
+function renderFuneralHomeIndex(home, memorials, template, partials, funeralHomes) {
+    const theme = resolveTheme({ funeralHomeName: home.name }, funeralHomes);
+    return compile(template, 'funeral-home-template.html')({
+        funeralHomeName: home.name,
+        funeralHomeTagline: home.tagline,
+        funeralHomeDetails: buildFuneralHomeDetails(home.phone, home.website),
+        memorialCount: `${memorials.length} ${memorials.length === 1 ? 'memorial' : 'memorials'}`,
+        memorials,
+        theme,
+        themeCss: themeCss(theme)
+    }, partials);
+}
+
+function memorialDates(data) {
+    const span = (born, died) => [born, died].filter(Boolean).join(' — ');
+    if (data.isCouple && data.personName2) {
+        return [span(data.personBorn1, data.personDied1), span(data.personBorn2, data.personDied2)]
+            .filter(Boolean)
+            .join(' · ');
+    }
+    return span(data.personBorn1, data.personDied1);
+}
+
+// --- Build the whole site ---
+function buildSite({ dataDir, outDir, templateFile, indexTemplateFile, partials = {}, funeralHomes = {}, force = false, log = console.log }) {
+    const template = fs.readFileSync(templateFile, 'utf8');
+    const indexTemplate = fs.readFileSync(indexTemplateFile, 'utf8');
+    const partialSources = Object.keys(partials).sort().map(name => `${name}\n${partials[name]}`);
+    const baseHash = hash(template, indexTemplate, ...partialSources, JSON.stringify(funeralHomes), String(hasJpegCodec), rendererHash());
+
+    const previous = force ? { memorials: {} } : readManifest(outDir);
+    const manifest = { generatedAt: new Date().toISOString(), memorials: {} };
+    const stats = { built: 0, skipped: 0, failed: 0, removed: 0, indexes: 0 };
+
+    const files = fs.readdirSync(dataDir).filter(f => f.endsWith('.json')).sort();
+    const seen = new Set();
+
+    for (const file of files) {
+        const slug = slugify(path.basename(file, '.json'));
+        const raw = fs.readFileSync(path.join(dataDir, file), 'utf8');
+        const outFile = path.join(outDir, slug, 'index.html');
+
+        const prev = previous.memorials[slug];
+        seen.add(slug);
+
+        // A broken data file keeps its last good page listed until it is fixed
+        const fail = message => {
+            console.error(message);
+            if (prev) manifest.memorials[slug] = prev;
+            stats.failed++;
+        };
+
+        let { data, error } = parseJSON(raw);
+        try {
+            if (!error) data = toModel(data);
+        } catch (e) {
+            error = e.message;
+        }
+        if (error) {
+            fail(`✗ ${file}: ${error}`);
+            continue;
+        }
+
+        const report = validate(data);
+        if (report.errors.length) {
+            fail(formatReport(file, report));
+            continue;
+        }
+
+        // Photos count towards the hash by size and modification time
+        const sourceDirs = [dataDir, outDir];
+        const photoStamps = imageSources(data, sourceDirs).map(f => {
+            const stat = fs.statSync(f);
+            return `${f}:${stat.size}:${stat.mtimeMs}`;
+        });
+        const fileHash = hash(baseHash, raw, ...photoStamps);
+
+        const entry = {
+            file,
+            hash: fileHash,
+            title: buildPageTitle(data),
+            dates: memorialDates(data),
+            funeralHome: data.funeralHomeName ? {
+                name: data.funeralHomeName,
+                phone: data.funeralHomePhone || '',
+                website: data.funeralHomeWebsite || '',
+                tagline: data.funeralHomeTagline || ''
+            } : null
+        };
+
+        if (prev && prev.hash === fileHash && fs.existsSync(outFile)) {
+            manifest.memorials[slug] = entry;
+            stats.skipped++;
+            continue;
+        }
+
+        try {
+            const images = processImages(data, { sourceDirs, outDir: path.dirname(outFile), log });
+            writeIfChanged(outFile, renderPage(images.data, template, partials, { funeralHomes }));
+        } catch (e) {
+            fail(`✗ ${file}: ${e.message}`);
+            continue;
+        }
+
+        manifest.memorials[slug] = entry;
+        stats.built++;
+        log(`  ✓ ${slug}/index.html`);
+    }
+
+    stats.removed = Object.keys(previous.memorials).filter(slug => !seen.has(slug)).length;
+
+    // --- Funeral home indexes ---
+    const homes = new Map();
+    for (const [slug, entry] of Object.entries(manifest.memorials)) {
+        if (!entry.funeralHome) continue;
+        const homeSlug = slugify(entry.funeralHome.name);
+        if (!homes.has(homeSlug)) {
+            homes.set(homeSlug, { home: entry.funeralHome, memorials: [] });
+        }
+        homes.get(homeSlug).memorials.push({ slug, title: entry.title, dates: entry.dates });
+    }
+
+    for (const [homeSlug, { home, memorials }] of homes) {
+        memorials.sort((a, b) => a.title.localeCompare(b.title));
+        const indexFile = path.join(outDir, FUNERAL_HOMES_DIR, homeSlug, 'index.html');
+        if (writeIfChanged(indexFile, renderFuneralHomeIndex(home, memorials, indexTemplate, partials, funeralHomes))) {
+            stats.indexes++;
+            log(`  ✓ ${FUNERAL_HOMES_DIR}/${homeSlug}/index.html`);
+        }
+    }
+
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+
+    return stats;
+}
+
+module.exports = {
+    buildSite
+};
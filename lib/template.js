@@ -0,0 +1,292 @@
+/**
+ * GentlyTold Template Engine
+ *
+ * A small Handlebars-style engine for template.html and its partials.
+ * No file system access here — callers pass the template text and partials in.
+ *
+ *   {{name}}              escaped output (dotted paths: {{heroPhoto.src}})
+ *   {{{name}}}            raw output — only for fields that already hold HTML
+ *   {{#if x}}…{{else}}…{{/if}}      also {{#unless x}}
+ *   {{#each list}}…{{else}}…{{/each}}  {{this}}, {{@index}}, {{@number}}, {{@first}}, {{@last}}
+ *   {{#with obj}}…{{/with}}
+ *   {{> partial}}         or {{> partial someContext}}
+ *   {{! comment }}
+ *
+ * Names are looked up in the current item first, then in enclosing scopes;
+ * {{../name}} skips straight to the parent scope. Empty arrays count as false.
+ * A block or partial tag alone on its line leaves no blank line behind.
+ */
+
+const BLOCKS = ['if', 'unless', 'each', 'with'];
+
+// --- Helper: Escape HTML ---
+function escapeHtml(value) {
+    if (value === null || value === undefined || value === false) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function lineAt(source, index) {
+    return source.slice(0, index).split('\n').length;
+}
+
+// --- Tokenize into text and tags, stripping standalone tag lines ---
+function tokenize(source, name) {
+    const tokens = [];
+    let pos = 0;
+
+    while (pos < source.length) {
+        const open = source.indexOf('{{', pos);
+        if (open === -1) {
+            tokens.push({ type: 'text', value: source.slice(pos) });
+            break;
+        }
+        if (open > pos) tokens.push({ type: 'text', value: source.slice(pos, open) });
+
+        const triple = source.startsWith('{{{', open);
+        const closer = triple ? '}}}' : '}}';
+        const close = source.indexOf(closer, open + (triple ? 3 : 2));
+        if (close === -1) {
+            throw new Error(`Template error in ${name} (line ${lineAt(source, open)}): unclosed tag`);
+        }
+
+        const body = source.slice(open + (triple ? 3 : 2), close).trim();
+        const tag = parseTag(body, triple);
+        tag.line = lineAt(source, open);
+        tokens.push(tag);
+        pos = close + closer.length;
+    }
+
+    return stripStandalone(tokens);
+}
+
+function parseTag(body, triple) {
+    if (triple) return { type: 'var', path: body, raw: true };
+
+    const sigil = body[0];
+    const rest = body.slice(1).trim();
+
+    if (sigil === '!') return { type: 'comment' };
+    if (sigil === '&') return { type: 'var', path: rest, raw: true };
+    if (sigil === '>') {
+        const [partial, context] = rest.split(/\s+/);
+        return { type: 'partial', name: partial, path: context || 'this' };
+    }
+    if (sigil === '#') {
+        const [block, ...args] = rest.split(/\s+/);
+        return { type: 'open', block, path: args.join(' ') || 'this' };
+    }
+    if (sigil === '/') return { type: 'close', block: rest };
+    if (body === 'else') return { type: 'else' };
+    return { type: 'var', path: body, raw: false };
+}
+
+// Block, partial and comment tags that sit alone on a line take the line with them
+function stripStandalone(tokens) {
+    const standalone = new Set(['open', 'close', 'else', 'partial', 'comment']);
+
+    for (let i = 0; i < tokens.length; i++) {
+        const tag = tokens[i];
+        if (!standalone.has(tag.type)) continue;
+
+        const prev = tokens[i - 1];
+        const next = tokens[i + 1];
+        const before = prev ? (prev.type === 'text' ? prev.value : null) : '';
+        const after = next ? (next.type === 'text' ? next.value : null) : '';
+        if (before === null || after === null) continue;
+
+        const lineStart = before.lastIndexOf('\n');
+        const leading = before.slice(lineStart + 1);
+        const atLineStart = lineStart !== -1 || !prev || i === 1 || prev.startsLine;
+        const trailing = after.match(/^[ \t]*(\r?\n|$)/);
+        if (!atLineStart || /\S/.test(leading) || !trailing) continue;
+
+        if (tag.type === 'partial') tag.indent = leading;
+        if (prev) prev.value = before.slice(0, lineStart + 1);
+        if (next) {
+            next.value = after.slice(trailing[0].length);
+            next.startsLine = true;
+        }
+    }
+
+    return tokens.filter(t => t.type !== 'comment' && !(t.type === 'text' && t.value === ''));
+}
+
+// --- Build a tree of nodes from the token list ---
+function parse(tokens, name) {
+    const root = [];
+    // Each frame remembers the open block and the list (body or else-branch) being filled
+    const stack = [{ node: null, list: root }];
+
+    for (const token of tokens) {
+        const frame = stack[stack.length - 1];
+
+        if (token.type === 'open') {
+            if (!BLOCKS.includes(token.block)) {
+                throw new Error(`Template error in ${name} (line ${token.line}): unknown block {{#${token.block}}}`);
+            }
+            const node = { type: token.block, path: token.path, line: token.line, children: [], inverse: [] };
+            frame.list.push(node);
+            stack.push({ node, list: node.children });
+        } else if (token.type === 'else') {
+            if (!frame.node || frame.node.type === 'with') {
+                throw new Error(`Template error in ${name} (line ${token.line}): {{else}} outside an if/unless/each block`);
+            }
+            frame.list = frame.node.inverse;
+        } else if (token.type === 'close') {
+            if (!frame.node || frame.node.type !== token.block) {
+                const expected = frame.node ? `{{/${frame.node.type}}} for line ${frame.node.line}` : 'no open block';
+                throw new Error(`Template error in ${name} (line ${token.line}): unexpected {{/${token.block}}}, expected ${expected}`);
+            }
+            stack.pop();
+        } else {
+            frame.list.push(token);
+        }
+    }
+
+    if (stack.length > 1) {
+        const { node } = stack[stack.length - 1];
+        throw new Error(`Template error in ${name} (line ${node.line}): {{#${node.type}}} is never closed`);
+    }
+
+    return root;
+}
+
+/**
+ * Compile template source into a reusable render function:
+ *   const render = compile(source, 'template.html');
+ *   render(context, partials)  // partials: { name: source }
+ */
+function compile(source, name = 'template') {
+    const nodes = parse(tokenize(source, name), name);
+    const render = (context, partials = {}) => renderNodes(nodes, [{ value: context }], { ...partials }, name);
+    // Partials render inside the caller's scope chain, not just their own context
+    render.renderWith = (stack, partials) => renderNodes(nodes, stack, partials, name);
+    return render;
+}
+
+// --- Scope lookup ---
+function lookup(stack, path) {
+    if (path === 'this' || path === '.') return stack[stack.length - 1].value;
+
+    let depth = stack.length - 1;
+    while (path.startsWith('../')) {
+        path = path.slice(3);
+        depth = Math.max(0, depth - 1);
+    }
+
+    if (path.startsWith('@')) {
+        const frame = stack[depth];
+        return frame.data ? frame.data[path.slice(1)] : undefined;
+    }
+
+    const [head, ...rest] = path.replace(/^this\./, '').split('.');
+    let value;
+    for (let i = depth; i >= 0; i--) {
+        const scope = stack[i].value;
+        if (scope !== null && typeof scope === 'object' && head in scope) {
+            value = scope[head];
+            break;
+        }
+        if (path.startsWith('this.')) break;
+    }
+
+    for (const key of rest) {
+        if (value === null || value === undefined) return undefined;
+        value = value[key];
+    }
+    return value;
+}
+
+function truthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return Boolean(value);
+}
+
+function indentLines(text, indent) {
+    if (!indent) return text;
+    return text.replace(/^(?=.)/gm, indent);
+}
+
+function renderNodes(nodes, stack, partials, name) {
+    let out = '';
+
+    for (const node of nodes) {
+        switch (node.type) {
+            case 'text':
+                out += node.value;
+                break;
+
+            case 'var': {
+                const value = lookup(stack, node.path);
+                if (node.raw) {
+                    out += value === null || value === undefined || value === false ? '' : String(value);
+                } else {
+                    out += escapeHtml(value);
+                }
+                break;
+            }
+
+            case 'if':
+            case 'unless': {
+                const pass = truthy(lookup(stack, node.path)) === (node.type === 'if');
+                out += renderNodes(pass ? node.children : node.inverse, stack, partials, name);
+                break;
+            }
+
+            case 'with': {
+                const value = lookup(stack, node.path);
+                if (truthy(value)) {
+                    out += renderNodes(node.children, [...stack, { value }], partials, name);
+                }
+                break;
+            }
+
+            case 'each': {
+                const list = lookup(stack, node.path);
+                const items = Array.isArray(list) ? list : [];
+                if (items.length === 0) {
+                    out += renderNodes(node.inverse, stack, partials, name);
+                    break;
+                }
+                items.forEach((item, index) => {
+                    const data = { index, number: index + 1, first: index === 0, last: index === items.length - 1 };
+                    out += renderNodes(node.children, [...stack, { value: item, data }], partials, name);
+                });
+                break;
+            }
+
+            case 'partial': {
+                const source = partials[node.name];
+                if (source === undefined) {
+                    throw new Error(`Template error in ${name} (line ${node.line}): partial "${node.name}" not found`);
+                }
+                const render = typeof source === 'function' ? source : compile(source, `partials/${node.name}.html`);
+                partials[node.name] = render;
+                const value = lookup(stack, node.path);
+                const inner = node.path === 'this' ? stack : [...stack, { value }];
+                out += indentLines(render.renderWith(inner, partials), node.indent);
+                break;
+            }
+        }
+    }
+
+    return out;
+}
+
+/**
+ * One-shot helper: render(source, context, partials)
+ */
+function render(source, context, partials = {}, name = 'template') {
+    return compile(source, name)(context, partials);
+}
+
+module.exports = {
+    compile,
+    render,
+    escapeHtml
+};
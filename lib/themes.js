@@ -0,0 +1,177 @@
+/**
+ * GentlyTold Memorial Themes
+ *
+ * Each theme is a set of design tokens — colors, fonts and section ornaments.
+ * Renderers emit them as CSS custom properties (themeCss) and style everything
+ * through var(--gt-*), so the same markup works in every theme. A memorial
+ * without a theme of its own gets its funeral home's.
+ */
+
+const { slugify } = require('./util');
+
+const PLAYFAIR_LATO = 'https://fonts.googleapis.com/css2?family=Playfair+Display:ital,wght@0,400;0,600;0,700;1,400&family=Lato:wght@300;400;700&display=swap';
+
+const THEMES = {
+    'dark-gold': {
+        label: 'Dark & Gold',
+        colorScheme: 'dark',
+        bg: '#0a0a0a',
+        bgRaised: '#1a1510',
+        text: '#e8e0d8',
+        textRgb: '232, 224, 216',
+        heading: '#f5efe8',
+        body: '#d4ccc4',
+        muted: '#a89880',
+        faint: '#7a7068',
+        dim: '#4a4440',
+        dimLink: '#5a5450',
+        accent: '#c4a478',
+        accentRgb: '196, 164, 120',
+        accentHover: '#d4b88a',
+        onAccent: '#0a0a0a',
+        fontHeading: "'Playfair Display', serif",
+        fontBody: "'Lato', sans-serif",
+        fontsHref: PLAYFAIR_LATO,
+        ornament: '✦ ✦ ✦',
+        ornamentSmall: '✦'
+    },
+
+    light: {
+        label: 'Light',
+        colorScheme: 'light',
+        bg: '#faf8f4',
+        bgRaised: '#f1ebe0',
+        text: '#3a322b',
+        textRgb: '58, 50, 43',
+        heading: '#2a231d',
+        body: '#4a4038',
+        muted: '#7d6e5d',
+        faint: '#94877a',
+        dim: '#b3a898',
+        dimLink: '#94877a',
+        accent: '#9c7a46',
+        accentRgb: '156, 122, 70',
+        accentHover: '#826434',
+        onAccent: '#ffffff',
+        fontHeading: "'Playfair Display', serif",
+        fontBody: "'Lato', sans-serif",
+        fontsHref: PLAYFAIR_LATO,
+        ornament: '✦ ✦ ✦',
+        ornamentSmall: '✦'
+    },
+
+    'soft-floral': {
+        label: 'Soft Floral',
+        colorScheme: 'light',
+        bg: '#fbf6f4',
+        bgRaised: '#f6e9e6',
+        text: '#4a3b3d',
+        textRgb: '74, 59, 61',
+        heading: '#3d2e31',
+        body: '#5a4a4c',
+        muted: '#8c7477',
+        faint: '#a48f91',
+        dim: '#c4b3b4',
+        dimLink: '#a48f91',
+        accent: '#b4707c',
+        accentRgb: '180, 112, 124',
+        accentHover: '#9a5a66',
+        onAccent: '#ffffff',
+        fontHeading: "'Cormorant Garamond', serif",
+        fontBody: "'Nunito Sans', sans-serif",
+        fontsHref: 'https://fonts.googleapis.com/css2?family=Cormorant+Garamond:ital,wght@0,400;0,600;1,400&family=Nunito+Sans:wght@300;400;700&display=swap',
+        ornament: '❀ ❀ ❀',
+        ornamentSmall: '❀'
+    },
+
+    'classic-serif': {
+        label: 'Classic Serif',
+        colorScheme: 'light',
+        bg: '#f6f1e7',
+        bgRaised: '#ece4d3',
+        text: '#2b2622',
+        textRgb: '43, 38, 34',
+        heading: '#1e1a17',
+        body: '#3b342e',
+        muted: '#6b5f53',
+        faint: '#857a6e',
+        dim: '#b0a596',
+        dimLink: '#857a6e',
+        accent: '#7a5c3a',
+        accentRgb: '122, 92, 58',
+        accentHover: '#5f4629',
+        onAccent: '#ffffff',
+        fontHeading: "'EB Garamond', serif",
+        fontBody: "'EB Garamond', serif",
+        fontsHref: 'https://fonts.googleapis.com/css2?family=EB+Garamond:ital,wght@0,400;0,600;1,400&display=swap',
+        ornament: '— ❦ —',
+        ornamentSmall: '❦'
+    },
+
+    'high-contrast': {
+        label: 'High Contrast',
+        colorScheme: 'dark',
+        bg: '#000000',
+        bgRaised: '#000000',
+        text: '#ffffff',
+        textRgb: '255, 255, 255',
+        heading: '#ffffff',
+        body: '#ffffff',
+        muted: '#e6e6e6',
+        faint: '#cccccc',
+        dim: '#b3b3b3',
+        dimLink: '#cccccc',
+        accent: '#ffd23f',
+        accentRgb: '255, 210, 63',
+        accentHover: '#ffe27a',
+        onAccent: '#000000',
+        fontHeading: "'Atkinson Hyperlegible', sans-serif",
+        fontBody: "'Atkinson Hyperlegible', sans-serif",
+        fontsHref: 'https://fonts.googleapis.com/css2?family=Atkinson+Hyperlegible:ital,wght@0,400;0,700;1,400&display=swap',
+        ornament: '◆ ◆ ◆',
+        ornamentSmall: '◆'
+    }
+};
+
+const DEFAULT_THEME = 'dark-gold';
+
+/**
+ * Pick the theme for a memorial: its own `theme` field, else its funeral home's
+ * default (from funeral-homes.json, keyed by slugified name), else dark-gold.
+ * Unknown names fall through to the next choice.
+ */
+function resolveTheme(data, funeralHomes = {}) {
+    const home = data.funeralHomeName ? funeralHomes[slugify(data.funeralHomeName)] : null;
+    const name = [data.theme, home && home.theme].find(n => n && THEMES[n]) || DEFAULT_THEME;
+    return { name, ...THEMES[name] };
+}
+
+// --- Tokens as CSS custom properties ---
+function themeCss(theme) {
+    return `:root {
+    --gt-bg: ${theme.bg};
+    --gt-bg-raised: ${theme.bgRaised};
+    --gt-text: ${theme.text};
+    --gt-text-rgb: ${theme.textRgb};
+    --gt-heading: ${theme.heading};
+    --gt-body: ${theme.body};
+    --gt-muted: ${theme.muted};
+    --gt-faint: ${theme.faint};
+    --gt-dim: ${theme.dim};
+    --gt-dim-link: ${theme.dimLink};
+    --gt-accent: ${theme.accent};
+    --gt-accent-rgb: ${theme.accentRgb};
+    --gt-accent-hover: ${theme.accentHover};
+    --gt-on-accent: ${theme.onAccent};
+    --gt-font-heading: ${theme.fontHeading};
+    --gt-font-body: ${theme.fontBody};
+    color-scheme: ${theme.colorScheme};
+}`;
+}
+
+module.exports = {
+    THEMES,
+    DEFAULT_THEME,
+    resolveTheme,
+    themeCss
+};
@@ -0,0 +1,18 @@
+/**
+ * slugify(): the URL-safe names used for page addresses, funeral home keys
+ * and file names.
+ */
+
+// --- Helper: URL-safe slug ---
+function slugify(str) {
+    return String(str || '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9\s-]/g, '')
+        .trim()
+        .replace(/[\s-]+/g, '-');
+}
+
+module.exports = {
+    slugify
+};
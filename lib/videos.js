@@ -0,0 +1,134 @@
+/**
+ * GentlyTold Videos and Audio
+ *
+ * Turns the `videos` a data file lists into what partials/videos.html shows.
+ * Hosted players (YouTube, Vimeo, Facebook, Google Drive) and HLS streams
+ * start as a still image with a play button; the player itself is loaded
+ * only when a visitor clicks, so nobody's browser talks to a video site just
+ * by opening the memorial. Files (MP4, WebM, audio) play in the browser's
+ * own player. Any entry can carry a transcript, shown under it.
+ */
+
+const { safeUrl } = require('./markdown');
+
+const VIDEO_TYPES = ['youtube', 'vimeo', 'facebook', 'drive', 'direct', 'webm', 'hls', 'audio'];
+
+// Shown on the play button, so visitors know where the player comes from
+const PROVIDERS = {
+    youtube: 'YouTube',
+    vimeo: 'Vimeo',
+    facebook: 'Facebook',
+    drive: 'Google Drive'
+};
+
+const AUDIO_TYPES = {
+    mp3: 'audio/mpeg',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    ogg: 'audio/ogg',
+    oga: 'audio/ogg',
+    opus: 'audio/ogg',
+    wav: 'audio/wav'
+};
+
+// --- IDs from the usual share links ---
+function extractYouTubeId(url) {
+    if (!url) return null;
+    // Handle youtube.com/watch?v=ID, youtu.be/ID, youtube.com/embed/ID, youtube.com/shorts/ID
+    const match = url.match(/(?:youtube\.com\/watch\?.*v=|youtu\.be\/|youtube\.com\/embed\/|youtube\.com\/shorts\/)([a-zA-Z0-9_-]{11})/);
+    return match ? match[1] : null;
+}
+
+function extractVimeoId(url) {
+    if (!url) return null;
+    const match = url.match(/vimeo\.com\/(?:video\/)?(\d+)/);
+    return match ? match[1] : null;
+}
+
+// drive.google.com/file/d/ID/view, …/open?id=ID
+function extractDriveId(url) {
+    if (!url) return null;
+    const match = url.match(/drive\.google\.com\/(?:file\/d\/|open\?id=|uc\?(?:export=\w+&)?id=)([a-zA-Z0-9_-]{10,})/);
+    return match ? match[1] : null;
+}
+
+function extension(url) {
+    const match = String(url || '').split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i);
+    return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * The type for a pasted link, for forms that don't ask: "youtube", "vimeo",
+ * "facebook", "drive", "hls", "audio", "webm", or "direct" for anything else.
+ */
+function detectVideoType(url) {
+    if (/youtube\.com|youtu\.be/i.test(url)) return 'youtube';
+    if (/vimeo\.com/i.test(url)) return 'vimeo';
+    if (/facebook\.com|fb\.watch/i.test(url)) return 'facebook';
+    if (/drive\.google\.com/i.test(url)) return 'drive';
+    const ext = extension(url);
+    if (ext === 'm3u8') return 'hls';
+    if (AUDIO_TYPES[ext]) return 'audio';
+    if (ext === 'webm') return 'webm';
+    return 'direct';
+}
+
+// --- Player address, loaded on click ---
+function embedUrl(video) {
+    switch (video.type) {
+        case 'youtube': {
+            const id = extractYouTubeId(video.url);
+            return id ? `https://www.youtube-nocookie.com/embed/${id}?autoplay=1` : null;
+        }
+        case 'vimeo': {
+            const id = extractVimeoId(video.url);
+            return id ? `https://player.vimeo.com/video/${id}?dnt=1&autoplay=1` : null;
+        }
+        case 'facebook':
+            return `https://www.facebook.com/plugins/video.php?href=${encodeURIComponent(video.url)}&show_text=false&autoplay=true`;
+        case 'drive': {
+            const id = extractDriveId(video.url);
+            return id ? `https://drive.google.com/file/d/${id}/preview` : null;
+        }
+        default:
+            return null;
+    }
+}
+
+function mediaType(video) {
+    if (video.type === 'audio') return AUDIO_TYPES[extension(video.url)] || null;
+    if (video.type === 'webm' || extension(video.url) === 'webm') return 'video/webm';
+    return 'video/mp4';
+}
+
+/**
+ * One entry of the videos section. `t` is the page's wording (lib/locales.js),
+ * for the "Plays from YouTube" line on click-to-load players.
+ */
+function buildVideo(entry, t) {
+    // The link is also the play button's fallback href
+    const video = { ...entry, url: safeUrl(entry.url) };
+    const youtubeId = video.type === 'youtube' ? extractYouTubeId(video.url) : null;
+    const embed = embedUrl(video);
+    const isAudio = video.type === 'audio';
+    const isFile = video.type === 'direct' || video.type === 'webm';
+    return {
+        ...video,
+        embedUrl: embed,
+        isAudio,
+        isHls: video.type === 'hls',
+        isFile,
+        // Click-to-load; a hosted video whose link we can't read opens on its site instead
+        isFacade: Boolean(PROVIDERS[video.type]) || video.type === 'hls',
+        mediaType: isAudio || isFile ? mediaType(video) : null,
+        playsFrom: PROVIDERS[video.type] ? t.playsFrom.replace('{site}', PROVIDERS[video.type]) : null,
+        // Still image for the play button and for archives, where players can't load
+        poster: video.thumbnail || (youtubeId ? `https://img.youtube.com/vi/${youtubeId}/hqdefault.jpg` : null)
+    };
+}
+
+module.exports = {
+    VIDEO_TYPES,
+    buildVideo,
+    detectVideoType
+};
@@ -0,0 +1,54 @@
+/**
+ * GentlyTold Worker Templates
+ *
+ * The workers can't read files at run time, so they import the page template
+ * and its partials as text (wrangler bundles .html imports as strings). This
+ * is the one ES module in lib/ — Node never loads it; the generator reads the
+ * same files from disk through lib/page.js. A new partial used by
+ * template.html needs a line here too.
+ */
+
+import template from '../template.html';
+import businesses from '../partials/businesses.html';
+import donations from '../partials/donations.html';
+import familyTree from '../partials/family-tree.html';
+import funeralHomeBranding from '../partials/funeral-home-branding.html';
+import funeralHomeDetails from '../partials/funeral-home-details.html';
+import gallery from '../partials/gallery.html';
+import hero from '../partials/hero.html';
+import languageToggle from '../partials/language-toggle.html';
+import lightbox from '../partials/lightbox.html';
+import memories from '../partials/memories.html';
+import memoriesLoader from '../partials/memories-loader.html';
+import memoryFormSender from '../partials/memory-form-sender.html';
+import meta from '../partials/meta.html';
+import news from '../partials/news.html';
+import places from '../partials/places.html';
+import serviceDates from '../partials/service-dates.html';
+import services from '../partials/services.html';
+import videoPlayer from '../partials/video-player.html';
+import videos from '../partials/videos.html';
+
+export const partials = {
+    businesses,
+    donations,
+    'family-tree': familyTree,
+    'funeral-home-branding': funeralHomeBranding,
+    'funeral-home-details': funeralHomeDetails,
+    gallery,
+    hero,
+    'language-toggle': languageToggle,
+    lightbox,
+    memories,
+    'memories-loader': memoriesLoader,
+    'memory-form-sender': memoryFormSender,
+    meta,
+    news,
+    places,
+    'service-dates': serviceDates,
+    services,
+    'video-player': videoPlayer,
+    videos
+};
+
+export { template };
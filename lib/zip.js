@@ -0,0 +1,94 @@
+/**
+ * GentlyTold ZIP Writer
+ *
+ * Writes plain, uncompressed ("stored") ZIP files — the most widely readable
+ * kind, which is what an archive meant to outlast today's software needs.
+ * Uses only Uint8Array and TextEncoder, so it runs in Node and the workers.
+ */
+
+const { crc32 } = require('./crc32');
+
+// MS-DOS date and time, as ZIP headers store them
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+function toBytes(contents) {
+    return typeof contents === 'string' ? new TextEncoder().encode(contents) : contents;
+}
+
+/**
+ * createZip([{ path, contents }], date) → Uint8Array
+ * contents may be a string (written as UTF-8) or bytes.
+ */
+function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, day } = dosDateTime(date);
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.path);
+        const data = toBytes(file.contents);
+        const crc = crc32(data);
+
+        const local = new Uint8Array(30 + name.length);
+        const lv = new DataView(local.buffer);
+        lv.setUint32(0, 0x04034b50, true);
+        lv.setUint16(4, 20, true);         // version needed
+        lv.setUint16(6, 0x0800, true);     // UTF-8 names
+        lv.setUint16(8, 0, true);          // stored
+        lv.setUint16(10, time, true);
+        lv.setUint16(12, day, true);
+        lv.setUint32(14, crc, true);
+        lv.setUint32(18, data.length, true);
+        lv.setUint32(22, data.length, true);
+        lv.setUint16(26, name.length, true);
+        local.set(name, 30);
+
+        const central = new Uint8Array(46 + name.length);
+        const cv = new DataView(central.buffer);
+        cv.setUint32(0, 0x02014b50, true);
+        cv.setUint16(4, 20, true);         // version made by
+        cv.setUint16(6, 20, true);
+        cv.setUint16(8, 0x0800, true);
+        cv.setUint16(10, 0, true);
+        cv.setUint16(12, time, true);
+        cv.setUint16(14, day, true);
+        cv.setUint32(16, crc, true);
+        cv.setUint32(20, data.length, true);
+        cv.setUint32(24, data.length, true);
+        cv.setUint16(28, name.length, true);
+        cv.setUint32(42, offset, true);
+        central.set(name, 46);
+
+        locals.push(local, data);
+        centrals.push(central);
+        offset += local.length + data.length;
+    }
+
+    const centralSize = centrals.reduce((sum, c) => sum + c.length, 0);
+    const end = new Uint8Array(22);
+    const ev = new DataView(end.buffer);
+    ev.setUint32(0, 0x06054b50, true);
+    ev.setUint16(8, files.length, true);
+    ev.setUint16(10, files.length, true);
+    ev.setUint32(12, centralSize, true);
+    ev.setUint32(16, offset, true);
+
+    const parts = [...locals, ...centrals, end];
+    const zip = new Uint8Array(offset + centralSize + end.length);
+    let pos = 0;
+    for (const part of parts) {
+        zip.set(part, pos);
+        pos += part.length;
+    }
+    return zip;
+}
+
+module.exports = {
+    createZip
+};
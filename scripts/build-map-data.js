@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * Builds lib/map-data.js — the state and country outlines the places map
+ * draws — from the us-atlas and world-atlas TopoJSON packages:
+ *
+ *   npm pack us-atlas@3 world-atlas@2 && tar xzf us-atlas-3.0.1.tgz ... (one folder each)
+ *   node scripts/build-map-data.js <us-atlas folder> <world-atlas folder>
+ *
+ * Outlines are projected with lib/projections.js, simplified to about half a
+ * pixel and written as SVG path data, so the page needs no map server and the
+ * file stays small enough to bundle into the workers. Run it again only to
+ * change the detail or pick up a new atlas release.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { albersUsa, naturalEarth } = require('../lib/projections');
+
+const OUTPUT = path.join(__dirname, '..', 'lib', 'map-data.js');
+
+// Half a map pixel; outlines are drawn a little under 1px wide
+const TOLERANCE = 0.5;
+// Islands smaller than this many square map pixels are left off
+const MIN_AREA = { us: 1.5, world: 4 };
+
+// The fifty states and DC by FIPS code (territories aren't drawn by Albers USA)
+const STATE_ABBREVIATIONS = {
+    '01': 'AL', '02': 'AK', '04': 'AZ', '05': 'AR', '06': 'CA', '08': 'CO', '09': 'CT', '10': 'DE',
+    '11': 'DC', '12': 'FL', '13': 'GA', '15': 'HI', '16': 'ID', '17': 'IL', '18': 'IN', '19': 'IA',
+    '20': 'KS', '21': 'KY', '22': 'LA', '23': 'ME', '24': 'MD', '25': 'MA', '26': 'MI', '27': 'MN',
+    '28': 'MS', '29': 'MO', '30': 'MT', '31': 'NE', '32': 'NV', '33': 'NH', '34': 'NJ', '35': 'NM',
+    '36': 'NY', '37': 'NC', '38': 'ND', '39': 'OH', '40': 'OK', '41': 'OR', '42': 'PA', '44': 'RI',
+    '45': 'SC', '46': 'SD', '47': 'TN', '48': 'TX', '49': 'UT', '50': 'VT', '51': 'VA', '53': 'WA',
+    '54': 'WV', '55': 'WI', '56': 'WY'
+};
+
+// --- TopoJSON: quantized, delta-encoded arcs → longitude/latitude lines ---
+// A line that crosses 180° (Russia, Fiji, the Aleutians) carries on past it
+// rather than jumping to the other side of the map
+function decodeArcs(topology) {
+    const { scale, translate } = topology.transform;
+    return topology.arcs.map(arc => {
+        let x = 0;
+        let y = 0;
+        let wrap = 0;
+        let previous = null;
+        return arc.map(([dx, dy]) => {
+            x += dx;
+            y += dy;
+            const lon = x * scale[0] + translate[0];
+            if (previous !== null && Math.abs(lon + wrap - previous) > 180) wrap += lon + wrap > previous ? -360 : 360;
+            previous = lon + wrap;
+            return [previous, y * scale[1] + translate[1]];
+        });
+    });
+}
+
+// Each polygon as rings of arc indexes; ~i is arc i backwards
+function polygonsOf(geometry) {
+    if (geometry.type === 'Polygon') return [geometry.arcs];
+    if (geometry.type === 'MultiPolygon') return geometry.arcs;
+    return [];
+}
+
+// --- Douglas–Peucker, in map pixels ---
+function simplify(points, tolerance) {
+    if (points.length < 3) return points;
+    const keep = new Array(points.length).fill(false);
+    keep[0] = keep[points.length - 1] = true;
+    const stack = [[0, points.length - 1]];
+    while (stack.length) {
+        const [first, last] = stack.pop();
+        const [ax, ay] = points[first];
+        const [bx, by] = points[last];
+        const length = Math.hypot(bx - ax, by - ay);
+        let farthest = -1;
+        let distance = tolerance;
+        for (let i = first + 1; i < last; i++) {
+            const [px, py] = points[i];
+            const d = length
+                ? Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / length
+                : Math.hypot(px - ax, py - ay);
+            if (d > distance) {
+                farthest = i;
+                distance = d;
+            }
+        }
+        if (farthest !== -1) {
+            keep[farthest] = true;
+            stack.push([first, farthest], [farthest, last]);
+        }
+    }
+    return points.filter((_, i) => keep[i]);
+}
+
+function area(ring) {
+    let sum = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        sum += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+    }
+    return sum / 2;
+}
+
+// The middle of a ring by area, for "Texas" or "Germany" without coordinates
+function centroid(ring) {
+    let x = 0;
+    let y = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+        x += (ring[j][0] + ring[i][0]) * cross;
+        y += (ring[j][1] + ring[i][1]) * cross;
+    }
+    const a = area(ring) * 6;
+    return [x / a, y / a];
+}
+
+const round = n => Math.round(n * 10) / 10;
+
+// Absolute first point, then short relative steps
+function pathData(rings) {
+    return rings.map(ring => {
+        const points = ring.map(([x, y]) => [Math.round(x * 10), Math.round(y * 10)]);
+        let d = `M${points[0][0] / 10} ${points[0][1] / 10}l`;
+        for (let i = 1; i < points.length; i++) {
+            const dx = (points[i][0] - points[i - 1][0]) / 10;
+            const dy = (points[i][1] - points[i - 1][1]) / 10;
+            if (dx || dy) d += `${dx}${dy < 0 ? '' : ' '}${dy}`.replace(/^(-?)0\./, '$1.').replace(/([ -])0\./g, '$1.') + ' ';
+        }
+        return `${d.trim()}z`;
+    }).join('').replace(/ -/g, '-');
+}
+
+/**
+ * Regions of one topology object: name, outline path, the middle of its
+ * largest piece (longitude, latitude) and its bounding box on the map.
+ */
+function buildRegions(topology, objectName, { project, minArea, include = () => true, extra = () => ({}) }) {
+    const arcs = decodeArcs(topology);
+    const projected = new Map();
+    // An arc is simplified once and shared by the regions on both sides of
+    // it; `shift` moves it a whole turn east or west to meet the arc before it
+    const arcPoints = (index, shift) => {
+        const i = index < 0 ? ~index : index;
+        const key = `${i}:${shift}`;
+        if (!projected.has(key)) projected.set(key, simplify(arcs[i].map(([lon, lat]) => project(lon + shift, lat)), TOLERANCE));
+        const points = projected.get(key);
+        return index < 0 ? [...points].reverse() : points;
+    };
+    const lonLat = index => (index < 0 ? [...arcs[~index]].reverse() : arcs[index]);
+    // Each arc's shift, so a ring stays in one piece across 180°
+    const ringShifts = ringArcs => {
+        let end = null;
+        return ringArcs.map(index => {
+            const line = lonLat(index);
+            const shift = end === null ? 0 : Math.round((end - line[0][0]) / 360) * 360;
+            end = line[line.length - 1][0] + shift;
+            return shift;
+        });
+    };
+
+    return topology.objects[objectName].geometries
+        .filter(include)
+        .map(geometry => {
+            const rings = [];
+            let largest = null;
+            for (const polygon of polygonsOf(geometry)) {
+                polygon.forEach((ringArcs, r) => {
+                    const shifts = ringShifts(ringArcs);
+                    const ring = ringArcs.flatMap((index, a) => arcPoints(index, shifts[a]).slice(a ? 1 : 0));
+                    if (ring.length < 4 || Math.abs(area(ring)) < minArea) return;
+                    rings.push(ring);
+                    // Holes (lakes, enclaves) don't count as the region's middle
+                    const outline = ringArcs.flatMap((index, a) => lonLat(index).map(([lon, lat]) => [lon + shifts[a], lat]).slice(a ? 1 : 0));
+                    if (r === 0 && (!largest || Math.abs(area(outline)) > Math.abs(area(largest)))) largest = outline;
+                });
+            }
+            if (!rings.length) return null;
+            const xs = rings.flat().map(p => p[0]);
+            const ys = rings.flat().map(p => p[1]);
+            const [lon, lat] = centroid(largest);
+            return {
+                name: geometry.properties.name,
+                ...extra(geometry),
+                center: [round(lon), round(lat)],
+                box: [Math.floor(Math.min(...xs)), Math.floor(Math.min(...ys)), Math.ceil(Math.max(...xs)), Math.ceil(Math.max(...ys))],
+                path: pathData(rings)
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function main() {
+    const [usDir, worldDir] = process.argv.slice(2);
+    if (!usDir || !worldDir) {
+        console.error('Usage: node scripts/build-map-data.js <us-atlas folder> <world-atlas folder>');
+        process.exit(1);
+    }
+    const read = (dir, file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    const usPackage = read(usDir, 'package.json');
+    const worldPackage = read(worldDir, 'package.json');
+
+    const states = buildRegions(read(usDir, 'states-10m.json'), 'states', {
+        project: albersUsa,
+        minArea: MIN_AREA.us,
+        include: geometry => Boolean(STATE_ABBREVIATIONS[geometry.id]),
+        extra: geometry => ({ abbr: STATE_ABBREVIATIONS[geometry.id] })
+    });
+    const countries = buildRegions(read(worldDir, 'countries-110m.json'), 'countries', {
+        project: naturalEarth,
+        minArea: MIN_AREA.world,
+        include: geometry => geometry.properties.name !== 'Antarctica'
+    });
+
+    const line = region => `        ${JSON.stringify(region)}`;
+    const source = `/**
+ * GentlyTold Map Data — generated by scripts/build-map-data.js; don't edit.
+ *
+ * State outlines from ${usPackage.name} ${usPackage.version} (US Census Bureau
+ * cartographic boundaries) and country outlines from ${worldPackage.name}
+ * ${worldPackage.version} (Natural Earth 1:110m), both public domain; the
+ * packages are ISC-licensed by Mike Bostock. Paths are already projected with
+ * lib/projections.js (Albers USA, Natural Earth).
+ */
+
+module.exports = {
+    STATES: [
+${states.map(line).join(',\n')}
+    ],
+    COUNTRIES: [
+${countries.map(line).join(',\n')}
+    ]
+};
+`;
+    fs.writeFileSync(OUTPUT, source);
+    console.log(`✓ ${path.relative(process.cwd(), OUTPUT)}: ${states.length} states, ${countries.length} countries, ${Math.round(source.length / 1024)} KB`);
+}
+
+main();
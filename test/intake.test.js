@@ -0,0 +1,71 @@
+/**
+ * An intake submission on its way to a page: what site/intake.html posts after
+ * /api/generate wrote a bilingual story, through the engine's record mapping,
+ * the checks and the renderer.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { formToRecord } = require('../lib/intake');
+const { withPageDefaults } = require('../lib/model');
+const { DEFAULT_PARTIALS_DIR, loadPartials, renderPage } = require('../lib/page');
+const { PAGE_SCHEMA, validate } = require('../lib/schema');
+
+const template = fs.readFileSync(path.join(__dirname, '..', 'template.html'), 'utf8');
+const partials = loadPartials(DEFAULT_PARTIALS_DIR);
+
+// The form's own fields, with the written story in place of the family's text
+const submission = {
+    personName1: 'Margaret Thompson',
+    personBorn1: 'March 15, 1942',
+    personDied1: 'January 8, 2025',
+    isCouple: false,
+    locale: 'en',
+    secondLocale: 'es',
+    storyText: 'She taught for thirty years.\n\nShe grew roses.\n\nHer garden still blooms.',
+    familyStoryText: 'She taught. She grew roses.',
+    timelineItems: [
+        { year: '1942', title: 'Born in Harlan', description: 'Coal country.' },
+        { year: '2025', title: 'Said goodbye' }
+    ],
+    heroQuote: 'Every student had a story.',
+    closingQuote: 'What we have once enjoyed we can never lose.',
+    familyMembers: ['Robert', ''],
+    translations: {
+        es: {
+            storyParagraphs: ['Enseñó durante treinta años.', 'Cultivaba rosas.', 'Su jardín sigue floreciendo.'],
+            timelineItems: [
+                { year: '1942', title: 'Nació en Harlan', description: 'Tierra del carbón.' },
+                { year: '2025', title: 'Despedida' }
+            ],
+            heroQuote: 'Cada alumno tenía una historia.',
+            closingQuote: 'Lo que una vez disfrutamos nunca lo perdemos.'
+        },
+        xx: { storyParagraphs: ['Unknown language'] }
+    }
+};
+
+test('the narrative translations are kept, in the page shapes', () => {
+    const record = formToRecord(submission);
+    assert.deepEqual(Object.keys(record.translations), ['es']);
+    assert.deepEqual(record.translations.es.timelineItems[0], { year: '1942', text: 'Nació en Harlan', description: 'Tierra del carbón.' });
+    assert.equal(record.translations.es.storyParagraphs.length, record.storyParagraphs.length);
+    assert.deepEqual(validate(withPageDefaults(record), PAGE_SCHEMA).errors, []);
+});
+
+test('the bilingual page carries the second-language story', () => {
+    const html = renderPage(withPageDefaults(formToRecord(submission)), template, partials);
+    for (const text of ['Enseñó durante treinta años.', 'Su jardín sigue floreciendo.', 'Nació en Harlan', 'Cada alumno tenía una historia.']) {
+        assert.ok(html.includes(text), text);
+    }
+    assert.ok(html.includes('She taught for thirty years.'));
+    assert.ok(html.includes('data-lang="es"'));
+});
+
+test('a submission without translations has none', () => {
+    const { translations, ...english } = submission;
+    assert.equal(formToRecord(english).translations, undefined);
+    assert.equal(formToRecord({ ...english, translations: 'oops' }).translations, undefined);
+});
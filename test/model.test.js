@@ -0,0 +1,42 @@
+/**
+ * Records the workers build pages from: older field names, what a form may
+ * leave out, and what no version of the schema accepts.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toModel, withPageDefaults } = require('../lib/model');
+const { PAGE_SCHEMA, validate } = require('../lib/schema');
+
+const check = data => validate(withPageDefaults(toModel(data)), PAGE_SCHEMA).errors;
+
+test('a worker couple record with an empty partner death date is accepted', () => {
+    const record = {
+        name: 'Jerry Rhodes', partnerName: 'Gloria Rhodes', isCouple: true,
+        birthDate: '1940', deathDate: '2020', partnerBirthDate: '1942', partnerDeathDate: '',
+        storyParagraphs: ['They met in 1958.']
+    };
+    assert.deepEqual(check(record), []);
+    assert.equal(withPageDefaults(toModel(record)).personDied2, '');
+});
+
+test('a bare worker record gets empty lists, not errors', () => {
+    assert.deepEqual(check({ name: 'Ann Lee' }), []);
+    const page = withPageDefaults(toModel({ name: 'Ann Lee' }));
+    assert.deepEqual([page.storyParagraphs, page.timelineItems, page.photos, page.familyMembers], [[], [], [], []]);
+});
+
+test('fields that are there still have to be right', () => {
+    assert.deepEqual(check({ name: 'Ann Lee', familyMembers: 'oops' }), [
+        { path: '$.familyMembers', message: 'expected array, got string' }
+    ]);
+});
+
+test('a data file still needs its story', () => {
+    const { errors } = validate(withPageDefaults(toModel({ name: 'Ann Lee' })));
+    assert.ok(errors.some(e => e.path === '$.storyParagraphs'));
+});
+
+test('records from a newer version are refused', () => {
+    assert.throws(() => toModel({ version: 3, personName1: 'Ann Lee' }), /version 3/);
+});
@@ -0,0 +1,53 @@
+/**
+ * Rendering whole pages from the sample data: what a data file can put in a
+ * page, and what it must not.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_PARTIALS_DIR, loadPartials, renderPage } = require('../lib/page');
+const { safeCss } = require('../lib/render');
+
+const template = fs.readFileSync(path.join(__dirname, '..', 'template.html'), 'utf8');
+const partials = loadPartials(DEFAULT_PARTIALS_DIR);
+const sample = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'jerry-gloria.json'), 'utf8'));
+
+// --- customCss is written into <style> unescaped ---
+test('safeCss leaves no "<" in custom CSS', () => {
+    assert.equal(safeCss('.story { color: #333; }'), '.story { color: #333; }');
+    assert.equal(safeCss('a::before { content: "<3"; }'), 'a::before { content: "\\3C 3"; }');
+    assert.equal(safeCss(''), '');
+    assert.equal(safeCss(undefined), '');
+});
+
+test('nested tags in customCss cannot close <style> or open <script>', () => {
+    const payload = '<</style/style><<scriptscript>alert(1)<</script/script>';
+    assert.ok(!safeCss(payload).includes('<'));
+
+    const html = renderPage({ ...sample, customCss: payload }, template, partials);
+    const at = html.indexOf('alert(1)');
+    assert.ok(at > 0);
+    assert.ok(html.lastIndexOf('<style', at) > html.lastIndexOf('</style>', at), 'the payload stays inside <style>');
+    assert.ok(!/<script>alert/i.test(html));
+});
+
+// --- Where Share a Memory sends a visitor's story ---
+test('with a memories slug the form posts to the memories worker', () => {
+    const html = renderPage({ ...sample, memoriesSlug: 'rhodes' }, template, partials);
+    assert.match(html, /<form action="https:\/\/gentlytold-memories\.[^"]+\/api\/memories\/rhodes" method="POST"[^>]*data-memory-post/);
+    assert.match(html, /name="photo"/);
+    assert.ok(!html.includes('formsubmit.co'));
+    assert.ok(html.includes('.memory-form[data-memory-post]'), 'the sender script is on the page');
+});
+
+test('without one it falls back to FormSubmit, and needs formEmail for that', () => {
+    const html = renderPage(sample, template, partials);
+    assert.ok(html.includes(`action="https://formsubmit.co/${sample.formEmail}"`));
+    assert.match(html, /name="attachment"/);
+    assert.ok(!html.includes('data-memory-post'));
+
+    assert.ok(!renderPage({ ...sample, formEmail: undefined }, template, partials).includes('class="memory-form"'));
+    assert.ok(renderPage({ ...sample, formEmail: undefined, memoriesSlug: 'rhodes' }, template, partials).includes('class="memory-form"'));
+});
@@ -0,0 +1,99 @@
+// ============================================================================
+// GentlyTold.com — Checking a narrative reply
+// The rules buildSystemPrompt (index.js) sets out: NARRATIVE_SCHEMA in
+// lib/schema.js, plus birth and death in the timeline and, for a bilingual
+// page, a full translation. Every provider's reply goes through here, the
+// stub's too. Each problem has a `message` for the API's `failedChecks` and a
+// `fix` for the repair prompt.
+// ============================================================================
+
+import { LOCALES } from '../../lib/locales.js';
+import { NARRATIVE_SCHEMA, validate } from '../../lib/schema.js';
+
+// The model's reply → { data }, or { problems } when it isn't the narrative
+// JSON the system prompt asks for
+export function checkNarrative(rawText, input) {
+  // Extract JSON from the reply (may be wrapped in markdown fences)
+  let data;
+  try {
+    const jsonMatch = rawText.match(/```json\s*([\s\S]*?)```/) || rawText.match(/(\{[\s\S]*\})/);
+    if (!jsonMatch) throw new Error('no JSON object found');
+    data = JSON.parse(jsonMatch[1]);
+  } catch (parseErr) {
+    console.error('Failed to parse AI response:', rawText);
+    return {
+      problems: [{
+        message: `reply: not valid JSON (${parseErr.message})`,
+        fix: 'Your reply could not be read as JSON. Reply with the JSON object only — no markdown fences, no text before or after it, and every string properly quoted and escaped.',
+      }],
+    };
+  }
+
+  const problems = [
+    ...validate(data, NARRATIVE_SCHEMA).errors.map(({ path, message }) => ({ message: `${fieldName(path)}: ${message}`, fix: schemaFix(path, message) })),
+    ...lifeEventProblems(data, input),
+    ...translationProblems(data, input),
+  ];
+  if (problems.length) {
+    console.error('AI response failed checks:', problems.map(problem => problem.message), rawText);
+    return { problems };
+  }
+  return { data };
+}
+
+// The limits the system prompt and the repair prompt quote
+export const STORY_PARAGRAPHS = NARRATIVE_SCHEMA.properties.storyParagraphs;
+export const TIMELINE_ITEMS = NARRATIVE_SCHEMA.properties.timelineItems;
+
+// What to ask for when a field breaks the schema: the rule it broke, then
+// what the field should hold
+function schemaFix(path, message) {
+  const [, translation, field] = path.match(/^\$(?:\.translations\.(\w+))?\.?(\w*)/);
+  const where = translation ? ` in "translations.${translation}"` : '';
+  const fixes = {
+    storyParagraphs: `Write ${STORY_PARAGRAPHS.minItems} to ${STORY_PARAGRAPHS.maxItems} "storyParagraphs"${where}, each a non-empty string of at least 3 sentences.`,
+    timelineItems: `Give "timelineItems"${where} ${TIMELINE_ITEMS.minItems} to ${TIMELINE_ITEMS.maxItems} entries, each with a non-empty "year" and "title" as strings and an optional "description" string.`,
+    heroQuote: `Include a non-empty "heroQuote"${where}: the family's quote, or a fitting one, attributed if possible.`,
+    closingQuote: `Include a non-empty "closingQuote"${where}, different from the hero quote: something about memory, legacy or the endurance of love.`,
+  };
+  const broken = `${fieldName(path)} ${message}.`;
+  if (translation && !field) return `${broken} Give "translations.${translation}" all four keys: "storyParagraphs", "timelineItems", "heroQuote" and "closingQuote".`;
+  return `${broken} ${fixes[field] || 'Fix it to match the output format.'}`;
+}
+
+// "$.timelineItems[2].year" → "timelineItems[2].year"
+function fieldName(path) {
+  return path.replace(/^\$\.?/, '') || 'reply';
+}
+
+// Birth and death always belong in the timeline
+function lifeEventProblems(data, input) {
+  if (!Array.isArray(data.timelineItems)) return [];
+  const years = data.timelineItems.map(item => String(item && item.year));
+  return [['birth', input.birthDate], ['death', input.deathDate]]
+    .map(([event, date]) => [event, (String(date || '').match(/\b\d{4}\b/) || [])[0]])
+    .filter(([, year]) => year && !years.some(itemYear => itemYear.includes(year)))
+    .map(([event, year]) => ({
+      message: `timelineItems: no entry for the ${event} (${year})`,
+      fix: `Add a "timelineItems" entry for the ${event}, with "year": "${year}", in date order.`,
+    }));
+}
+
+// A bilingual page needs the second language, entry for entry
+function translationProblems(data, input) {
+  const code = input.secondLocale !== (input.locale || 'en') ? input.secondLocale : null;
+  if (!code) return [];
+  const translation = data.translations && data.translations[code];
+  if (!translation) {
+    return [{
+      message: `translations.${code}: missing`,
+      fix: `Add "translations": { "${code}": { ... } } with the story paragraphs, timeline items and both quotes translated into ${LOCALES[code].englishName}.`,
+    }];
+  }
+  return ['storyParagraphs', 'timelineItems']
+    .filter(key => Array.isArray(data[key]) && Array.isArray(translation[key]) && translation[key].length !== data[key].length)
+    .map(key => ({
+      message: `translations.${code}.${key}: ${translation[key].length} ${translation[key].length === 1 ? 'entry' : 'entries'}, the original has ${data[key].length}`,
+      fix: `Make "translations.${code}.${key}" match "${key}" one to one: ${data[key].length} entries, in the same order.`,
+    }));
+}
@@ -1,8 +1,18 @@
 // ============================================================================
 // GentlyTold.com — Memorial Pages API Worker
-// Cloudflare Worker with R2 storage and Claude AI generation
+// Cloudflare Worker with R2 storage and Claude AI generation (or an offline
+// stub — see providers.js)
 // ============================================================================
 
+import { LOCALES } from '../../lib/locales.js';
+import { toModel, withPageDefaults } from '../../lib/model.js';
+import { PAGE_SCHEMA, validate } from '../../lib/schema.js';
+import { renderPage } from '../../lib/render.js';
+import { partials, template } from '../../lib/worker-templates.js';
+import { STORY_PARAGRAPHS, TIMELINE_ITEMS, checkNarrative } from './checks.js';
+import { modelProvider } from './providers.js';
+import funeralHomes from '../../funeral-homes.json';
+
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
@@ -20,7 +30,7 @@ export default {
       }
 
       // Auth check for all other endpoints
-      const authError = checkAuth(request, env);
+      const authError = checkAuth(request, env, path);
       if (authError) return corsResponse(authError);
 
       // Route
@@ -46,12 +56,18 @@ export default {
 // Auth
 // ============================================================================
 
-function checkAuth(request, env) {
+// API_KEY opens every endpoint. INTAKE_KEYS — comma-separated, one per funeral
+// home — only open /api/generate, the one call the intake form makes from a
+// browser; taking a key out of the list revokes it without touching the others.
+function checkAuth(request, env, path) {
   const apiKey = request.headers.get('X-API-Key');
-  if (!apiKey || apiKey !== env.API_KEY) {
-    return Response.json({ error: 'Unauthorized — missing or invalid X-API-Key' }, { status: 401 });
-  }
-  return null;
+  if (apiKey && apiKey === env.API_KEY) return null;
+  if (apiKey && path === '/api/generate' && intakeKeys(env).includes(apiKey)) return null;
+  return Response.json({ error: 'Unauthorized — missing or invalid X-API-Key' }, { status: 401 });
+}
+
+function intakeKeys(env) {
+  return (env.INTAKE_KEYS || '').split(',').map(key => key.trim()).filter(Boolean);
 }
 
 // ============================================================================
@@ -68,66 +84,278 @@ function corsResponse(response) {
 }
 
 // ============================================================================
-// POST /api/generate — AI narrative generation via Claude
+// POST /api/generate — AI narrative generation via Claude (AI_PROVIDER)
+// ?stream=1 answers with Server-Sent Events instead (see "Streaming" below)
 // ============================================================================
 
 async function handleGenerate(request, env) {
+  const stream = new URL(request.url).searchParams.get('stream') === '1';
   const body = await request.json();
   const { name, birthDate, deathDate, familyMembers, obituaryText, timelineEvents, quote, isCouple, partnerName } = body;
+  const { isPet, petType, petPronoun, petBreed, petAdoptionDate, petAdoptedFrom } = body;
+  const { donations } = body;
+  const { locale = 'en', secondLocale } = body;
 
   if (!name) {
     return Response.json({ error: 'Missing required field: name' }, { status: 400 });
   }
+  for (const field of ['familyMembers', 'timelineEvents', 'donations']) {
+    if (body[field] !== undefined && body[field] !== null && !Array.isArray(body[field])) {
+      return Response.json({ error: `${field} must be a list` }, { status: 400 });
+    }
+  }
+  for (const code of [locale, secondLocale].filter(Boolean)) {
+    if (!LOCALES[code]) {
+      return Response.json({ error: `Unknown locale "${code}" — use ${Object.keys(LOCALES).join(' or ')}` }, { status: 400 });
+    }
+  }
 
-  const systemPrompt = buildSystemPrompt();
-  const userPrompt = buildUserPrompt({ name, birthDate, deathDate, familyMembers, obituaryText, timelineEvents, quote, isCouple, partnerName });
+  const systemPrompt = buildSystemPrompt({ isPet, locale, secondLocale: secondLocale !== locale ? secondLocale : null });
+  const userPrompt = buildUserPrompt({ name, birthDate, deathDate, familyMembers, obituaryText, timelineEvents, quote, isCouple, partnerName, isPet, petType, petPronoun, petBreed, petAdoptionDate, petAdoptedFrom, donations });
 
-  const claudeResponse = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': env.ANTHROPIC_API_KEY,
-      'anthropic-version': '2023-06-01',
-    },
-    body: JSON.stringify({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4096,
-      system: systemPrompt,
-      messages: [{ role: 'user', content: userPrompt }],
-    }),
-  });
+  const provider = modelProvider(env);
+  if (provider.error) {
+    return Response.json({ error: 'AI provider misconfigured', detail: provider.error }, { status: 500 });
+  }
+  const modelRequest = { system: systemPrompt, messages: [{ role: 'user', content: userPrompt }], input: body };
 
-  if (!claudeResponse.ok) {
-    const errText = await claudeResponse.text();
-    console.error('Claude API error:', claudeResponse.status, errText);
-    return Response.json({ error: 'AI generation failed', detail: errText }, { status: 502 });
+  if (stream) {
+    const streamed = await provider.stream(modelRequest);
+    if (streamed.error) return Response.json({ error: streamed.error, detail: streamed.detail }, { status: 502 });
+    return streamGenerate(provider, modelRequest, streamed.chunks);
   }
 
-  const claudeData = await claudeResponse.json();
-  const rawText = claudeData.content?.[0]?.text || '';
+  let conversation = modelRequest;
+  const usage = {};
+  const failedChecks = [];
+  for (let attempt = 1; ; attempt++) {
+    const reply = await provider.complete(conversation);
+    if (reply.error) {
+      return Response.json({ error: reply.error, detail: reply.detail, attempts: attempt, failedChecks }, { status: 502 });
+    }
+    addUsage(usage, reply.usage);
+
+    const checked = checkNarrative(reply.text, body);
+    if (!checked.problems) {
+      return Response.json({
+        success: true,
+        data: checked.data,
+        model: provider.model,
+        usage,
+        attempts: attempt,
+        failedChecks,
+      });
+    }
+    failedChecks.push({ attempt, problems: checked.problems.map(problem => problem.message) });
+    if (isLastAttempt(provider, attempt)) {
+      return Response.json({ error: checksFailed(attempt), attempts: attempt, failedChecks, raw: reply.text }, { status: 502 });
+    }
+    conversation = repairRequest(conversation, reply.text, checked.problems);
+  }
+}
 
-  // Extract JSON from Claude's response (may be wrapped in markdown fences)
-  let generated;
-  try {
-    const jsonMatch = rawText.match(/```json\s*([\s\S]*?)```/) || rawText.match(/(\{[\s\S]*\})/);
-    generated = JSON.parse(jsonMatch[1]);
-  } catch (parseErr) {
-    console.error('Failed to parse Claude response:', rawText);
-    return Response.json({ error: 'Failed to parse AI response', raw: rawText }, { status: 502 });
+// ============================================================================
+// Repair and retry
+// A reply that breaks the rules (checkNarrative, in checks.js) goes back to
+// the model with what to fix, up to MAX_ATTEMPTS replies in all. A
+// deterministic provider (the stub) would only repeat itself, so its first
+// failed reply is the last.
+// ============================================================================
+
+const MAX_ATTEMPTS = 3;
+
+function isLastAttempt(provider, attempt) {
+  return provider.deterministic || attempt === MAX_ATTEMPTS;
+}
+
+function checksFailed(attempts) {
+  return attempts === 1 ? 'AI response failed its checks' : `AI response failed its checks ${attempts} times`;
+}
+
+// The conversation so far, plus the reply and what to fix in it
+function repairRequest(conversation, reply, problems) {
+  const fixes = [...new Set(problems.map(problem => problem.fix))];
+  return {
+    ...conversation,
+    messages: [
+      ...conversation.messages,
+      { role: 'assistant', content: reply || '(empty reply)' },
+      {
+        role: 'user',
+        content: `Your reply doesn't follow the rules yet:
+${fixes.map(fix => `- ${fix}`).join('\n')}
+
+Keep everything else as it is. Return the whole corrected JSON object — no markdown fences, no commentary.`,
+      },
+    ],
+  };
+}
+
+// Token counts over every attempt
+function addUsage(total, usage) {
+  for (const [key, value] of Object.entries(usage || {})) {
+    if (typeof value === 'number') total[key] = (total[key] || 0) + value;
   }
+  return total;
+}
 
-  return Response.json({
-    success: true,
-    data: generated,
-    usage: claudeData.usage,
+// ============================================================================
+// Streaming — /api/generate?stream=1
+// Each story paragraph is sent as soon as the model finishes writing it
+// (`event: paragraph`). A reply that fails its checks is followed by
+// `event: retry` (the paragraphs so far are void; the repaired story streams
+// next), and the last event is the whole checked result (`event: done`, the
+// same body as the plain response) or `event: error`.
+// ============================================================================
+
+function streamGenerate(provider, modelRequest, firstChunks) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  // A reader that has gone away shouldn't stop the rest from being logged
+  const send = (event, data) => writer.write(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)).catch(() => {});
+
+  (async () => {
+    let conversation = modelRequest;
+    let chunks = firstChunks;
+    const usage = {};
+    const failedChecks = [];
+    try {
+      for (let attempt = 1; ; attempt++) {
+        let rawText = '';
+        let index = 0;
+        const attemptUsage = {};
+        const readParagraphs = paragraphReader();
+        for await (const chunk of chunks) {
+          // Streamed usage updates replace each other within one reply
+          if (chunk.usage) Object.assign(attemptUsage, chunk.usage);
+          if (chunk.text) {
+            rawText += chunk.text;
+            for (const text of readParagraphs(rawText)) {
+              await send('paragraph', { index: index++, text, attempt });
+            }
+          }
+        }
+        addUsage(usage, attemptUsage);
+
+        const checked = checkNarrative(rawText, modelRequest.input);
+        if (!checked.problems) {
+          await send('done', { success: true, data: checked.data, model: provider.model, usage, attempts: attempt, failedChecks });
+          break;
+        }
+        const problems = checked.problems.map(problem => problem.message);
+        failedChecks.push({ attempt, problems });
+        if (isLastAttempt(provider, attempt)) {
+          await send('error', { error: checksFailed(attempt), attempts: attempt, failedChecks, raw: rawText });
+          break;
+        }
+        await send('retry', { attempt: attempt + 1, problems });
+
+        conversation = repairRequest(conversation, rawText, checked.problems);
+        const next = await provider.stream(conversation);
+        if (next.error) {
+          await send('error', { error: next.error, detail: next.detail, attempts: attempt + 1, failedChecks });
+          break;
+        }
+        chunks = next.chunks;
+      }
+    } catch (err) {
+      console.error('AI stream failed:', err);
+      await send('error', { error: 'AI generation failed', detail: err.message, failedChecks });
+    } finally {
+      await writer.close().catch(() => {});
+    }
+  })();
+
+  return new Response(readable, {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+    },
   });
 }
 
+// Finished story paragraphs out of the JSON while it's still being written.
+// Called with the whole text so far; returns the paragraphs whose closing
+// quote has arrived since the last call. Only the first "storyParagraphs"
+// counts — a bilingual reply's translation comes after it.
+function paragraphReader() {
+  let position = -1;
+  let finished = false;
+  return text => {
+    const found = [];
+    if (position < 0) {
+      const key = text.search(/"storyParagraphs"\s*:\s*\[/);
+      if (key < 0) return found;
+      position = text.indexOf('[', key) + 1;
+    }
+    while (!finished) {
+      const next = text.slice(position).search(/\S/);
+      if (next < 0) break;
+      const start = position + next;
+      if (text[start] === ',') {
+        position = start + 1;
+        continue;
+      }
+      // The end of the list, or not a list of strings — `done` sorts it out
+      if (text[start] !== '"') {
+        finished = true;
+        break;
+      }
+      let end = start + 1;
+      while (end < text.length && text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+      if (end >= text.length) break;
+      try {
+        found.push(JSON.parse(text.slice(start, end + 1)));
+      } catch (err) {
+        finished = true;
+        break;
+      }
+      position = end + 1;
+    }
+    return found;
+  };
+}
+
 // ============================================================================
 // Claude system prompt — the heart of narrative generation
 // ============================================================================
 
-function buildSystemPrompt() {
+// Appended to VOICE & TONE for pet memorials (isPet)
+const PET_VOICE = `
+PET TRIBUTES — this memorial is for a beloved animal, written for the family who loved them:
+- Lighter and more affectionate than a human eulogy. Gentle humor is welcome; the grief is still real.
+- Celebrate the animal's personality — habits, quirks, favorite spots, the small daily rituals they shared with their people.
+- Refer to the family as "their people" or by name; the pet is a companion, not an owner's possession.
+- Don't give the animal human accomplishments or thoughts the family didn't describe. Keep it true to the species.
+- Timeline milestones are adoption or homecoming, moves, firsts, favorite adventures, and the goodbye — not schooling or careers.
+- If a pronoun is given, use it; otherwise use the pet's name or "they".
+`;
+
+// Appended for narratives in a language other than English, and for bilingual pages
+function languageRules(locale, secondLocale) {
+  const language = LOCALES[locale].englishName;
+  let rules = '';
+  if (locale !== 'en') {
+    rules += `
+LANGUAGE — write the whole narrative in ${language}:
+- Story paragraphs, timeline titles and descriptions, and both quotes are in ${language}, written natively rather than translated word for word.
+- Keep people's and places' names exactly as the family wrote them. Write dates the way a ${language} speaker would.
+- Keep a quote in its original language only if the family provided it that way.
+`;
+  }
+  if (secondLocale) {
+    const second = LOCALES[secondLocale].englishName;
+    rules += `
+BILINGUAL PAGE — the page also has a second version in ${second}:
+- Add a "translations" object to the JSON: { "translations": { "${secondLocale}": { "storyParagraphs": [...], "timelineItems": [...], "heroQuote": "...", "closingQuote": "..." } } }.
+- It holds the same content faithfully translated into ${second}: the same number of paragraphs and timeline items, in the same order, with the same keys.
+`;
+  }
+  return rules;
+}
+
+function buildSystemPrompt({ isPet = false, locale = 'en', secondLocale = null } = {}) {
   return `You are a compassionate memorial writer for GentlyTold.com, a platform that creates beautiful, dignified online memorial pages for families honoring their loved ones.
 
 Your role is to transform raw obituary information, family details, and life events into a warm, eloquent, and deeply personal life narrative. You write with the reverence of a eulogy, the intimacy of a family letter, and the polish of fine literary prose.
@@ -139,7 +367,7 @@ VOICE & TONE:
 - Vary sentence rhythm. Mix longer reflective passages with shorter, poignant lines.
 - Avoid clichés like "passed away peacefully," "left this world," or "gone too soon" unless the family specifically used them. Find fresher, more personal language.
 - When details are sparse, write gracefully around gaps — never fabricate.
-
+${isPet ? PET_VOICE : ''}${languageRules(locale, secondLocale)}
 OUTPUT FORMAT — Return ONLY valid JSON with this exact structure:
 {
   "storyParagraphs": [
@@ -157,31 +385,60 @@ OUTPUT FORMAT — Return ONLY valid JSON with this exact structure:
 }
 
 RULES:
-- storyParagraphs: Generate 3–6 paragraphs depending on how much source material is provided. Each should be a substantive paragraph (3–5 sentences minimum).
-- timelineItems: Refine the provided timeline events. Clean up language, add warmth. Include 4–12 items depending on source material. Always include birth and death.
+- storyParagraphs: Generate ${STORY_PARAGRAPHS.minItems}–${STORY_PARAGRAPHS.maxItems} paragraphs depending on how much source material is provided. Each should be a substantive paragraph (3–5 sentences minimum).
+- timelineItems: Refine the provided timeline events. Clean up language, add warmth. Include ${TIMELINE_ITEMS.minItems}–${TIMELINE_ITEMS.maxItems} items depending on source material. Always include birth and death.
 - heroQuote: If the family provided a quote, use it (polish lightly if needed). If not, select something fitting — prefer lesser-known quotes that feel personal rather than generic.
 - closingQuote: Always provide this. Something about memory, legacy, or the endurance of love.
+- Formatting: plain text, never HTML. Inside story paragraphs you may use *italics* for titles of books, songs or ships and **bold** sparingly; nothing else.
 - For couples: Weave their story together. Honor both individuals while celebrating their shared journey.
+- Family: Weave the people who mattered into the story, but don't end with a "survived by" list — the page writes that out from the family details. Someone marked as having died before them belongs in the past tense.
+- In lieu of flowers: If the family named charities, you may mention one where it fits the story naturally — a cause tied to their life, usually near the end. Never write an appeal for money, never repeat links or addresses (the page lists them), and never name a charity the family didn't.
 - Return ONLY the JSON object — no markdown fences, no preamble, no commentary.`;
 }
 
-function buildUserPrompt({ name, birthDate, deathDate, familyMembers, obituaryText, timelineEvents, quote, isCouple, partnerName }) {
+// One line per person, their children indented under them
+function familyLines(members, indent) {
+  if (!Array.isArray(members)) return '';
+  return members.filter(member => typeof member === 'string' || (member && member.name)).map(member => {
+    const person = typeof member === 'string' ? { name: member } : member;
+    const details = [
+      person.spouse && `married to ${person.spouse}`,
+      person.deceased && 'died before them',
+      person.note
+    ].filter(Boolean);
+    const line = `${indent}- ${person.relationship ? `${person.relationship}: ` : ''}${person.name}${details.length ? ` (${details.join('; ')})` : ''}\n`;
+    return line + familyLines(person.children, `${indent}  `);
+  }).join('');
+}
+
+function buildUserPrompt({ name, birthDate, deathDate, familyMembers, obituaryText, timelineEvents, quote, isCouple, partnerName, isPet, petType, petPronoun, petBreed, petAdoptionDate, petAdoptedFrom, donations }) {
   let prompt = `Please write a memorial narrative for the following:\n\n`;
 
+  if (isPet) {
+    prompt += `TYPE: Pet memorial${isCouple && partnerName ? ' (two pets)' : ''}\n`;
+  }
+
   if (isCouple && partnerName) {
-    prompt += `TYPE: Couple memorial\nNAMES: ${name} & ${partnerName}\n`;
+    prompt += `${isPet ? '' : 'TYPE: Couple memorial\n'}NAMES: ${name} & ${partnerName}\n`;
   } else {
     prompt += `NAME: ${name}\n`;
   }
 
+  if (isPet) {
+    if (petType) prompt += `SPECIES: ${petType}\n`;
+    if (petBreed) prompt += `BREED: ${petBreed}\n`;
+    if (petPronoun) prompt += `PRONOUN: ${petPronoun}\n`;
+    if (petAdoptionDate || petAdoptedFrom) {
+      prompt += `ADOPTED: ${[petAdoptionDate, petAdoptedFrom && `from ${petAdoptedFrom}`].filter(Boolean).join(' ')}\n`;
+    }
+  }
+
   if (birthDate) prompt += `BORN: ${birthDate}\n`;
   if (deathDate) prompt += `DIED: ${deathDate}\n`;
 
   if (familyMembers && familyMembers.length > 0) {
     prompt += `\nFAMILY:\n`;
-    for (const member of familyMembers) {
-      prompt += `- ${member.relationship}: ${member.name}${member.note ? ` (${member.note})` : ''}\n`;
-    }
+    prompt += familyLines(familyMembers, '');
   }
 
   if (quote) {
@@ -195,6 +452,13 @@ function buildUserPrompt({ name, birthDate, deathDate, familyMembers, obituaryTe
     }
   }
 
+  if (donations && donations.length > 0) {
+    prompt += `\nIN LIEU OF FLOWERS, GIFTS TO:\n`;
+    for (const charity of donations) {
+      prompt += `- ${charity.name}${charity.purpose ? ` — ${charity.purpose}` : ''}\n`;
+    }
+  }
+
   if (obituaryText) {
     prompt += `\nOBITUARY / LIFE STORY TEXT:\n${obituaryText}\n`;
   }
@@ -276,11 +540,23 @@ function getExtension(filename, mimeType) {
 async function handleBuild(request, env) {
   const data = await request.json();
 
-  if (!data.name) {
-    return Response.json({ error: 'Missing required field: name' }, { status: 400 });
+  // Current records (personName1…) or the older worker shape (name…)
+  if (!data.personName1 && !data.name) {
+    return Response.json({ error: 'Missing required field: personName1 (or name)' }, { status: 400 });
   }
 
-  const html = renderMemorialPage(data);
+  // Refused like the generator refuses a bad data file: every problem with its
+  // path. A record from a newer GentlyTold can't be read at all.
+  let record;
+  try {
+    record = withPageDefaults(toModel(data));
+  } catch (err) {
+    return invalidRecord({ errors: [{ path: '$', message: err.message }], warnings: [] });
+  }
+  const report = validate(record, PAGE_SCHEMA);
+  if (report.errors.length) return invalidRecord(report);
+
+  const html = renderMemorialPage(record);
 
   return new Response(html, {
     status: 200,
@@ -291,609 +567,14 @@ async function handleBuild(request, env) {
   });
 }
 
-// ============================================================================
-// HTML Template Renderer
-// ============================================================================
-
-function renderMemorialPage(data) {
-  const {
-    name = 'In Loving Memory',
-    partnerName = '',
-    isCouple = false,
-    birthDate = '',
-    deathDate = '',
-    partnerBirthDate = '',
-    partnerDeathDate = '',
-    heroQuote = '',
-    heroQuoteAttribution = '',
-    storyParagraphs = [],
-    timelineItems = [],
-    photos = [],
-    familyMembers = [],
-    closingQuote = '',
-    closingQuoteAttribution = '',
-    funeralHomeName = '',
-    funeralHomeUrl = '',
-    funeralHomeLogo = '',
-    memoryFormEnabled = true,
-    customCss = '',
-    heroImage = '',
-    portraitImage = '',
-    partnerPortraitImage = '',
-  } = data;
-
-  const displayName = isCouple && partnerName ? `${name} & ${partnerName}` : name;
-  const dateDisplay = buildDateDisplay(data);
-  const safeDisplayName = esc(displayName);
-
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width, initial-scale=1.0">
-<title>${safeDisplayName} — Memorial | GentlyTold</title>
-<meta name="description" content="A memorial tribute to ${safeDisplayName}. Celebrating a life well lived.">
-<meta property="og:title" content="${safeDisplayName} — Memorial">
-<meta property="og:description" content="A memorial tribute to ${safeDisplayName}">
-${heroImage ? `<meta property="og:image" content="${esc(heroImage)}">` : ''}
-<link rel="preconnect" href="https://fonts.googleapis.com">
-<link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-<link href="https://fonts.googleapis.com/css2?family=Playfair+Display:ital,wght@0,400;0,600;0,700;1,400&family=Lato:wght@300;400;700&display=swap" rel="stylesheet">
-<style>
-/* ========== Reset & Base ========== */
-*, *::before, *::after { margin: 0; padding: 0; box-sizing: border-box; }
-html { scroll-behavior: smooth; }
-body {
-  font-family: 'Lato', sans-serif;
-  font-weight: 300;
-  background: #0a0a0a;
-  color: #e8e0d8;
-  line-height: 1.8;
-  -webkit-font-smoothing: antialiased;
-}
-img { max-width: 100%; display: block; }
-a { color: #c4a478; text-decoration: none; transition: color 0.3s; }
-a:hover { color: #d4b88a; }
-
-/* ========== Typography ========== */
-h1, h2, h3, h4 { font-family: 'Playfair Display', serif; font-weight: 400; }
-.section-title {
-  font-size: clamp(1.5rem, 3vw, 2.2rem);
-  color: #c4a478;
-  text-align: center;
-  margin-bottom: 2rem;
-  letter-spacing: 0.03em;
-}
-.section-title::after {
-  content: '';
-  display: block;
-  width: 60px;
-  height: 1px;
-  background: #c4a478;
-  margin: 0.8rem auto 0;
+function invalidRecord({ errors, warnings }) {
+  return Response.json({ error: 'Invalid memorial data', errors, warnings }, { status: 400 });
 }
 
-/* ========== Layout ========== */
-.container { max-width: 900px; margin: 0 auto; padding: 0 1.5rem; }
-section { padding: 5rem 0; }
-.divider {
-  width: 40px;
-  height: 1px;
-  background: rgba(196, 164, 120, 0.4);
-  margin: 0 auto;
-}
-
-/* ========== Hero ========== */
-.hero {
-  min-height: 100vh;
-  display: flex;
-  flex-direction: column;
-  justify-content: center;
-  align-items: center;
-  text-align: center;
-  position: relative;
-  overflow: hidden;
-  padding: 4rem 1.5rem;
-}
-.hero::before {
-  content: '';
-  position: absolute;
-  inset: 0;
-  background: ${heroImage ? `url('${heroImage}') center/cover no-repeat` : 'linear-gradient(180deg, #0a0a0a 0%, #121210 50%, #0a0a0a 100%)'};
-  opacity: ${heroImage ? '0.25' : '1'};
-  z-index: 0;
-}
-.hero > * { position: relative; z-index: 1; }
-
-.hero-portraits {
-  display: flex;
-  gap: 1.5rem;
-  justify-content: center;
-  margin-bottom: 2.5rem;
-}
-.portrait {
-  width: 160px;
-  height: 160px;
-  border-radius: 50%;
-  object-fit: cover;
-  border: 2px solid rgba(196, 164, 120, 0.5);
-  box-shadow: 0 8px 32px rgba(0,0,0,0.5);
-}
-
-.hero h1 {
-  font-size: clamp(2.2rem, 5vw, 4rem);
-  color: #e8e0d8;
-  letter-spacing: 0.04em;
-  margin-bottom: 0.5rem;
-  line-height: 1.2;
-}
-.hero-dates {
-  font-size: 1.1rem;
-  color: rgba(232, 224, 216, 0.6);
-  letter-spacing: 0.15em;
-  text-transform: uppercase;
-  font-weight: 300;
-  margin-bottom: 2rem;
-}
-.hero-quote {
-  max-width: 600px;
-  font-family: 'Playfair Display', serif;
-  font-style: italic;
-  font-size: clamp(1rem, 2vw, 1.25rem);
-  color: rgba(196, 164, 120, 0.85);
-  line-height: 1.7;
-}
-.hero-quote-attribution {
-  margin-top: 0.5rem;
-  font-family: 'Lato', sans-serif;
-  font-style: normal;
-  font-size: 0.85rem;
-  color: rgba(196, 164, 120, 0.5);
-}
-
-/* ========== Story ========== */
-.story p {
-  font-size: 1.05rem;
-  line-height: 2;
-  margin-bottom: 1.5rem;
-  color: rgba(232, 224, 216, 0.9);
-}
-.story p:first-of-type::first-letter {
-  font-family: 'Playfair Display', serif;
-  font-size: 3.5rem;
-  float: left;
-  line-height: 1;
-  margin-right: 0.1em;
-  color: #c4a478;
-}
-
-/* ========== Timeline ========== */
-.timeline { position: relative; padding-left: 2rem; }
-.timeline::before {
-  content: '';
-  position: absolute;
-  left: 0;
-  top: 0;
-  bottom: 0;
-  width: 1px;
-  background: linear-gradient(180deg, transparent, #c4a478 10%, #c4a478 90%, transparent);
-}
-.timeline-item {
-  position: relative;
-  margin-bottom: 2.5rem;
-  padding-left: 1.5rem;
-}
-.timeline-item::before {
-  content: '';
-  position: absolute;
-  left: -2.35rem;
-  top: 0.4rem;
-  width: 8px;
-  height: 8px;
-  border-radius: 50%;
-  background: #c4a478;
-  box-shadow: 0 0 12px rgba(196, 164, 120, 0.4);
-}
-.timeline-year {
-  font-family: 'Playfair Display', serif;
-  font-size: 0.9rem;
-  color: #c4a478;
-  letter-spacing: 0.1em;
-  margin-bottom: 0.25rem;
-}
-.timeline-title {
-  font-family: 'Playfair Display', serif;
-  font-size: 1.15rem;
-  color: #e8e0d8;
-  margin-bottom: 0.3rem;
-}
-.timeline-desc {
-  font-size: 0.95rem;
-  color: rgba(232, 224, 216, 0.65);
-}
-
-/* ========== Gallery ========== */
-.gallery-grid {
-  display: grid;
-  grid-template-columns: repeat(auto-fill, minmax(250px, 1fr));
-  gap: 1rem;
-}
-.gallery-item {
-  aspect-ratio: 4/3;
-  overflow: hidden;
-  border-radius: 4px;
-  cursor: pointer;
-  position: relative;
-}
-.gallery-item img {
-  width: 100%;
-  height: 100%;
-  object-fit: cover;
-  transition: transform 0.6s ease;
-}
-.gallery-item:hover img { transform: scale(1.05); }
-.gallery-caption {
-  position: absolute;
-  bottom: 0;
-  left: 0;
-  right: 0;
-  padding: 1rem;
-  background: linear-gradient(transparent, rgba(0,0,0,0.8));
-  font-size: 0.85rem;
-  color: rgba(232, 224, 216, 0.8);
-  opacity: 0;
-  transition: opacity 0.3s;
-}
-.gallery-item:hover .gallery-caption { opacity: 1; }
-
-/* ========== Lightbox ========== */
-.lightbox {
-  display: none;
-  position: fixed;
-  inset: 0;
-  background: rgba(0,0,0,0.95);
-  z-index: 1000;
-  justify-content: center;
-  align-items: center;
-  cursor: pointer;
-}
-.lightbox.active { display: flex; }
-.lightbox img {
-  max-width: 90vw;
-  max-height: 90vh;
-  object-fit: contain;
-  border-radius: 4px;
-}
-
-/* ========== Memory Form ========== */
-.memory-form {
-  max-width: 600px;
-  margin: 0 auto;
-}
-.memory-form textarea,
-.memory-form input {
-  width: 100%;
-  background: rgba(232, 224, 216, 0.05);
-  border: 1px solid rgba(196, 164, 120, 0.2);
-  color: #e8e0d8;
-  font-family: 'Lato', sans-serif;
-  font-size: 1rem;
-  padding: 0.9rem 1rem;
-  border-radius: 4px;
-  margin-bottom: 1rem;
-  transition: border-color 0.3s;
-}
-.memory-form textarea:focus,
-.memory-form input:focus {
-  outline: none;
-  border-color: #c4a478;
-}
-.memory-form textarea { min-height: 150px; resize: vertical; }
-.memory-form button {
-  background: transparent;
-  color: #c4a478;
-  border: 1px solid #c4a478;
-  padding: 0.8rem 2.5rem;
-  font-family: 'Lato', sans-serif;
-  font-size: 0.9rem;
-  letter-spacing: 0.1em;
-  text-transform: uppercase;
-  cursor: pointer;
-  transition: all 0.3s;
-  display: block;
-  margin: 0 auto;
-  border-radius: 4px;
-}
-.memory-form button:hover {
-  background: #c4a478;
-  color: #0a0a0a;
-}
-
-/* ========== Family ========== */
-.family-grid {
-  display: grid;
-  grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
-  gap: 1.5rem;
-  text-align: center;
-}
-.family-member {
-  padding: 1.5rem 1rem;
-  background: rgba(232, 224, 216, 0.03);
-  border: 1px solid rgba(196, 164, 120, 0.1);
-  border-radius: 4px;
-}
-.family-member-name {
-  font-family: 'Playfair Display', serif;
-  font-size: 1.1rem;
-  color: #e8e0d8;
-  margin-bottom: 0.25rem;
-}
-.family-member-relation {
-  font-size: 0.85rem;
-  color: #c4a478;
-  text-transform: uppercase;
-  letter-spacing: 0.08em;
-}
-
-/* ========== Closing Quote ========== */
-.closing-quote {
-  text-align: center;
-  padding: 4rem 1.5rem;
-}
-.closing-quote blockquote {
-  font-family: 'Playfair Display', serif;
-  font-style: italic;
-  font-size: clamp(1.1rem, 2.5vw, 1.5rem);
-  color: rgba(196, 164, 120, 0.8);
-  max-width: 700px;
-  margin: 0 auto;
-  line-height: 1.8;
-}
-.closing-quote .attribution {
-  margin-top: 0.75rem;
-  font-family: 'Lato', sans-serif;
-  font-style: normal;
-  font-size: 0.85rem;
-  color: rgba(196, 164, 120, 0.45);
-}
-
-/* ========== Footer ========== */
-footer {
-  text-align: center;
-  padding: 3rem 1.5rem;
-  border-top: 1px solid rgba(196, 164, 120, 0.1);
-}
-.footer-funeral-home {
-  margin-bottom: 1.5rem;
-}
-.footer-funeral-home img {
-  max-height: 40px;
-  margin: 0 auto 0.5rem;
-  opacity: 0.7;
-}
-.footer-funeral-home-name {
-  font-size: 0.85rem;
-  color: rgba(232, 224, 216, 0.5);
-  letter-spacing: 0.05em;
-}
-.footer-brand {
-  font-size: 0.75rem;
-  color: rgba(232, 224, 216, 0.25);
-  letter-spacing: 0.08em;
-}
-.footer-brand a { color: rgba(196, 164, 120, 0.4); }
-.footer-brand a:hover { color: rgba(196, 164, 120, 0.7); }
-
-/* ========== Animations ========== */
-.fade-in {
-  opacity: 0;
-  transform: translateY(20px);
-  transition: opacity 0.8s ease, transform 0.8s ease;
-}
-.fade-in.visible {
-  opacity: 1;
-  transform: translateY(0);
-}
-
-/* ========== Responsive ========== */
-@media (max-width: 600px) {
-  .portrait { width: 120px; height: 120px; }
-  .hero-portraits { gap: 1rem; }
-  section { padding: 3.5rem 0; }
-  .timeline { padding-left: 1.5rem; }
-  .gallery-grid { grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); }
-  .family-grid { grid-template-columns: 1fr 1fr; }
-}
-
-${customCss ? customCss : ''}
-</style>
-</head>
-<body>
-
-<!-- ==================== Hero ==================== -->
-<section class="hero">
-  ${(portraitImage || partnerPortraitImage) ? `
-  <div class="hero-portraits">
-    ${portraitImage ? `<img src="${esc(portraitImage)}" alt="${esc(name)}" class="portrait">` : ''}
-    ${isCouple && partnerPortraitImage ? `<img src="${esc(partnerPortraitImage)}" alt="${esc(partnerName)}" class="portrait">` : ''}
-  </div>` : ''}
-  <h1>${safeDisplayName}</h1>
-  <p class="hero-dates">${esc(dateDisplay)}</p>
-  ${heroQuote ? `
-  <div class="hero-quote">
-    <p>"${esc(heroQuote)}"</p>
-    ${heroQuoteAttribution ? `<p class="hero-quote-attribution">— ${esc(heroQuoteAttribution)}</p>` : ''}
-  </div>` : ''}
-</section>
-
-<div class="divider"></div>
-
-<!-- ==================== Story ==================== -->
-${storyParagraphs.length > 0 ? `
-<section class="story fade-in">
-  <div class="container">
-    <h2 class="section-title">${isCouple ? 'Their Story' : 'A Life Remembered'}</h2>
-    ${storyParagraphs.map(p => `<p>${esc(p)}</p>`).join('\n    ')}
-  </div>
-</section>
-<div class="divider"></div>` : ''}
-
-<!-- ==================== Timeline ==================== -->
-${timelineItems.length > 0 ? `
-<section class="fade-in">
-  <div class="container">
-    <h2 class="section-title">Life's Journey</h2>
-    <div class="timeline">
-      ${timelineItems.map(item => `
-      <div class="timeline-item">
-        <div class="timeline-year">${esc(item.year || '')}</div>
-        <div class="timeline-title">${esc(item.title || '')}</div>
-        ${item.description ? `<div class="timeline-desc">${esc(item.description)}</div>` : ''}
-      </div>`).join('')}
-    </div>
-  </div>
-</section>
-<div class="divider"></div>` : ''}
-
-<!-- ==================== Gallery ==================== -->
-${photos.length > 0 ? `
-<section class="fade-in">
-  <div class="container">
-    <h2 class="section-title">Cherished Moments</h2>
-    <div class="gallery-grid">
-      ${photos.map((photo, i) => `
-      <div class="gallery-item" onclick="openLightbox('${esc(photo.url || photo)}')">
-        <img src="${esc(photo.url || photo)}" alt="${esc(photo.caption || `Photo ${i + 1}`)}" loading="lazy">
-        ${photo.caption ? `<div class="gallery-caption">${esc(photo.caption)}</div>` : ''}
-      </div>`).join('')}
-    </div>
-  </div>
-</section>
-<div class="divider"></div>` : ''}
-
-<!-- ==================== Share a Memory ==================== -->
-${memoryFormEnabled ? `
-<section class="fade-in">
-  <div class="container">
-    <h2 class="section-title">Share a Memory</h2>
-    <form class="memory-form" id="memoryForm" onsubmit="submitMemory(event)">
-      <input type="text" name="authorName" placeholder="Your name" required>
-      <input type="text" name="relationship" placeholder="Your relationship (e.g., friend, neighbor, coworker)">
-      <textarea name="memory" placeholder="Share your favorite memory or what ${esc(name)} meant to you..." required></textarea>
-      <button type="submit">Share Memory</button>
-    </form>
-    <div id="memoryConfirmation" style="display:none; text-align:center; color:#c4a478; margin-top:1.5rem;">
-      <p>Thank you for sharing your memory. It means the world to the family.</p>
-    </div>
-  </div>
-</section>
-<div class="divider"></div>` : ''}
-
-<!-- ==================== Family ==================== -->
-${familyMembers.length > 0 ? `
-<section class="fade-in">
-  <div class="container">
-    <h2 class="section-title">${isCouple ? 'Their Family' : 'Family'}</h2>
-    <div class="family-grid">
-      ${familyMembers.map(member => `
-      <div class="family-member">
-        <div class="family-member-name">${esc(member.name || '')}</div>
-        <div class="family-member-relation">${esc(member.relationship || '')}</div>
-      </div>`).join('')}
-    </div>
-  </div>
-</section>` : ''}
-
-<!-- ==================== Closing Quote ==================== -->
-${closingQuote ? `
-<section class="closing-quote fade-in">
-  <blockquote>
-    <p>"${esc(closingQuote)}"</p>
-    ${closingQuoteAttribution ? `<p class="attribution">— ${esc(closingQuoteAttribution)}</p>` : ''}
-  </blockquote>
-</section>` : ''}
-
-<!-- ==================== Footer ==================== -->
-<footer>
-  ${funeralHomeName ? `
-  <div class="footer-funeral-home">
-    ${funeralHomeLogo ? `<img src="${esc(funeralHomeLogo)}" alt="${esc(funeralHomeName)}">` : ''}
-    <p class="footer-funeral-home-name">${funeralHomeUrl ? `<a href="${esc(funeralHomeUrl)}" target="_blank" rel="noopener">${esc(funeralHomeName)}</a>` : esc(funeralHomeName)}</p>
-  </div>` : ''}
-  <p class="footer-brand">Created with care by <a href="https://gentlytold.com" target="_blank" rel="noopener">GentlyTold</a></p>
-</footer>
-
-<!-- ==================== Lightbox ==================== -->
-<div class="lightbox" id="lightbox" onclick="closeLightbox()">
-  <img id="lightboxImg" src="" alt="Photo">
-</div>
-
-<!-- ==================== Scripts ==================== -->
-<script>
-// Intersection observer for fade-in
-const observer = new IntersectionObserver((entries) => {
-  entries.forEach(entry => {
-    if (entry.isIntersecting) {
-      entry.target.classList.add('visible');
-      observer.unobserve(entry.target);
-    }
-  });
-}, { threshold: 0.15 });
-document.querySelectorAll('.fade-in').forEach(el => observer.observe(el));
-
-// Lightbox
-function openLightbox(src) {
-  document.getElementById('lightboxImg').src = src;
-  document.getElementById('lightbox').classList.add('active');
-}
-function closeLightbox() {
-  document.getElementById('lightbox').classList.remove('active');
-}
-document.addEventListener('keydown', e => { if (e.key === 'Escape') closeLightbox(); });
-
-// Memory form
-function submitMemory(e) {
-  e.preventDefault();
-  const form = e.target;
-  // In production, this would POST to an API endpoint
-  form.style.display = 'none';
-  document.getElementById('memoryConfirmation').style.display = 'block';
-}
-</script>
-
-</body>
-</html>`;
-}
-
-// ============================================================================
-// Utility: HTML escape
 // ============================================================================
-
-function esc(str) {
-  if (!str) return '';
-  return String(str)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-}
-
+// Memorial page — the shared renderer (lib/render.js), same as the generator
 // ============================================================================
-// Utility: Build display date string
-// ============================================================================
-
-function buildDateDisplay(data) {
-  const { birthDate, deathDate, isCouple, partnerBirthDate, partnerDeathDate, name, partnerName } = data;
 
-  if (isCouple && partnerName) {
-    const p1 = [birthDate, deathDate].filter(Boolean).join(' – ');
-    const p2 = [partnerBirthDate, partnerDeathDate].filter(Boolean).join(' – ');
-    if (p1 && p2) return `${name}: ${p1}  ·  ${partnerName}: ${p2}`;
-    if (p1) return p1;
-    if (p2) return p2;
-    return '';
-  }
-
-  return [birthDate, deathDate].filter(Boolean).join(' – ');
+function renderMemorialPage(data) {
+  return renderPage(data, template, partials, { funeralHomes });
 }
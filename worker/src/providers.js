@@ -0,0 +1,311 @@
+// ============================================================================
+// GentlyTold.com — Model providers for /api/generate
+// Which model writes the narrative, with what settings. `anthropic` calls
+// Claude; `stub` writes a plain narrative from the request itself, with no
+// network and no key, and the same words every time — for development, demos
+// and tests.
+//
+// A provider has two calls, both taking { system, messages, input } —
+// `messages` the conversation so far ({ role, content }, user first; a repair
+// adds the last reply and what to fix), `input` the request body, for
+// providers that don't read prompts:
+//   complete(request) → { text, usage }         or { error, detail }
+//   stream(request)   → { chunks }              or { error, detail }
+// where `chunks` yields { text } pieces of the reply and { usage } updates.
+// A provider marked `deterministic` gives the same reply to the same request
+// whatever the conversation says, so a reply that fails its checks isn't
+// sent back for repair.
+// ============================================================================
+
+import { NARRATIVE_SCHEMA } from '../../lib/schema.js';
+import { checkNarrative } from './checks.js';
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+const DEFAULT_MAX_TOKENS = 4096;
+
+// ============================================================================
+// Configuration — from the worker's environment
+//   AI_PROVIDER     anthropic (default) or stub
+//   AI_MODEL        model name (default claude-sonnet-4-20250514)
+//   AI_MAX_TOKENS   reply length limit (default 4096)
+//   AI_TEMPERATURE  0–1; the model's own default when unset
+// ============================================================================
+
+export function modelProvider(env = {}) {
+  const name = env.AI_PROVIDER || 'anthropic';
+  const maxTokens = env.AI_MAX_TOKENS ? Number(env.AI_MAX_TOKENS) : DEFAULT_MAX_TOKENS;
+  const temperature = env.AI_TEMPERATURE !== undefined && env.AI_TEMPERATURE !== '' ? Number(env.AI_TEMPERATURE) : undefined;
+
+  if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+    return { error: `AI_MAX_TOKENS must be a whole number, got "${env.AI_MAX_TOKENS}"` };
+  }
+  if (temperature !== undefined && !(temperature >= 0 && temperature <= 1)) {
+    return { error: `AI_TEMPERATURE must be between 0 and 1, got "${env.AI_TEMPERATURE}"` };
+  }
+
+  if (name === 'anthropic') {
+    return anthropicProvider({ apiKey: env.ANTHROPIC_API_KEY, model: env.AI_MODEL || DEFAULT_MODEL, maxTokens, temperature });
+  }
+  if (name === 'stub') {
+    return stubProvider();
+  }
+  return { error: `Unknown AI_PROVIDER "${name}" — use anthropic or stub` };
+}
+
+// ============================================================================
+// Anthropic — Claude's Messages API
+// ============================================================================
+
+function anthropicProvider({ apiKey, model, maxTokens, temperature }) {
+  const call = async ({ system, messages }, stream) => {
+    const response = await fetch('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        system,
+        messages,
+        stream,
+      }),
+    });
+    if (!response.ok) {
+      const detail = await response.text();
+      console.error('Claude API error:', response.status, detail);
+      return { error: 'AI generation failed', detail };
+    }
+    return { response };
+  };
+
+  return {
+    name: 'anthropic',
+    model,
+
+    async complete(request) {
+      const { response, error, detail } = await call(request, false);
+      if (error) return { error, detail };
+      const data = await response.json();
+      return { text: data.content?.[0]?.text || '', usage: data.usage };
+    },
+
+    async stream(request) {
+      const { response, error, detail } = await call(request, true);
+      if (error) return { error, detail };
+      return { chunks: claudeChunks(response.body) };
+    },
+  };
+}
+
+// Claude's event stream → { text } and { usage } chunks
+async function* claudeChunks(body) {
+  for await (const event of claudeEvents(body)) {
+    if (event.type === 'message_start') {
+      yield { usage: event.message?.usage };
+    } else if (event.type === 'message_delta') {
+      yield { usage: event.usage };
+    } else if (event.type === 'error') {
+      throw new Error(event.error?.message || 'Claude stream error');
+    } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+      yield { text: event.delta.text };
+    }
+  }
+}
+
+// Claude's own event stream → one parsed `data:` object per event
+async function* claudeEvents(body) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value.replace(/\r\n/g, '\n');
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const data = buffer.slice(0, end).split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      buffer = buffer.slice(end + 2);
+      if (data) yield JSON.parse(data);
+    }
+  }
+}
+
+// ============================================================================
+// Stub — a narrative put together from the request, offline and repeatable.
+// It only rearranges what the family sent (their story, timeline and family)
+// around fixed sentences; nothing is made up, and it reads like a stub.
+// A repair prompt can't change what it writes, so it checks its own reply
+// (checks.js) and fails outright when that doesn't pass.
+// ============================================================================
+
+// Streamed in pieces this long, so streaming clients see it arrive in parts
+const STUB_CHUNK = 48;
+const STUB_MAX_PARAGRAPHS = NARRATIVE_SCHEMA.properties.storyParagraphs.maxItems;
+const STUB_MAX_TIMELINE = NARRATIVE_SCHEMA.properties.timelineItems.maxItems;
+
+const STUB_WORDING = {
+  en: {
+    opening: (subject, span) => `This is the story of ${subject}${span ? `, ${span}` : ''}, as the family tells it.`,
+    noStory: subject => `The family's memories of ${subject} will be written here.`,
+    along: events => `Along the way: ${events}.`,
+    event: (year, title) => (year ? `in ${year}, ${title}` : title),
+    remembered: names => `Remembered with love by ${names}.`,
+    closing: subject => `The story of ${subject} goes on in everyone who knew them.`,
+    born: 'Born',
+    died: 'Said goodbye',
+    always: 'Always',
+    inMemory: 'In our memory',
+    and: 'and',
+    quotes: [
+      '"To live in hearts we leave behind is not to die." — Thomas Campbell',
+      '"Unable are the loved to die, for love is immortality." — Emily Dickinson',
+      '"What we have once enjoyed we can never lose. All that we love deeply becomes a part of us." — Helen Keller',
+    ],
+  },
+  es: {
+    opening: (subject, span) => `Esta es la historia de ${subject}${span ? `, ${span}` : ''}, contada por su familia.`,
+    noStory: subject => `Aquí irán los recuerdos de la familia de ${subject}.`,
+    along: events => `A lo largo del camino: ${events}.`,
+    event: (year, title) => (year ? `en ${year}, ${title}` : title),
+    remembered: names => `Le recuerdan con cariño ${names}.`,
+    closing: subject => `La historia de ${subject} sigue en todos los que le conocieron.`,
+    born: 'Nacimiento',
+    died: 'Despedida',
+    always: 'Siempre',
+    inMemory: 'En nuestra memoria',
+    and: 'y',
+    quotes: [
+      '"Quien vive en los corazones que deja atrás no muere." — Thomas Campbell',
+      '"La muerte no existe, la gente solo muere cuando la olvidan." — Isabel Allende',
+      '"Lo que una vez disfrutamos nunca lo perdemos. Todo lo que amamos profundamente se convierte en parte de nosotros." — Helen Keller',
+    ],
+  },
+};
+
+function stubProvider() {
+  return {
+    name: 'stub',
+    model: 'stub',
+    deterministic: true,
+
+    async complete({ input }) {
+      const { text, error, detail } = stubReply(input);
+      if (error) return { error, detail };
+      return { text, usage: { input_tokens: 0, output_tokens: 0 } };
+    },
+
+    async stream({ input }) {
+      const { text, error, detail } = stubReply(input);
+      if (error) return { error, detail };
+      async function* chunks() {
+        yield { usage: { input_tokens: 0, output_tokens: 0 } };
+        for (let i = 0; i < text.length; i += STUB_CHUNK) {
+          yield { text: text.slice(i, i + STUB_CHUNK) };
+        }
+      }
+      return { chunks: chunks() };
+    },
+  };
+}
+
+// The stub's reply, or an error when it doesn't pass the checks — a bug in the
+// stub, which no number of retries would fix
+function stubReply(input = {}) {
+  const text = stubNarrative(input);
+  const checked = checkNarrative(text, input);
+  if (checked.problems) {
+    return { error: 'Stub narrative failed its checks', detail: checked.problems.map(problem => problem.message).join('; ') };
+  }
+  return { text };
+}
+
+// The reply the prompt asks for, as JSON text — so the stub's output goes
+// through the same parsing and checks as Claude's
+function stubNarrative(input = {}) {
+  const locale = STUB_WORDING[input.locale] ? input.locale : 'en';
+  const narrative = stubVersion(input, STUB_WORDING[locale]);
+  if (input.secondLocale && input.secondLocale !== locale && STUB_WORDING[input.secondLocale]) {
+    narrative.translations = { [input.secondLocale]: stubVersion(input, STUB_WORDING[input.secondLocale]) };
+  }
+  return JSON.stringify(narrative, null, 2);
+}
+
+function stubVersion(input, words) {
+  const subject = input.isCouple && input.partnerName ? `${input.name} ${words.and} ${input.partnerName}` : input.name;
+  const span = [fieldText(input.birthDate), fieldText(input.deathDate)].filter(Boolean).join(' – ');
+  const events = (Array.isArray(input.timelineEvents) ? input.timelineEvents : [])
+    .filter(event => event && typeof event === 'object')
+    .map(event => ({ year: fieldText(event.year), title: fieldText(event.title || event.text) }))
+    .filter(event => event.title);
+
+  const story = fieldText(input.obituaryText).split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  const eventList = events.map(event => words.event(event.year, event.title));
+  const living = (Array.isArray(input.familyMembers) ? input.familyMembers : [])
+    .map(member => (typeof member === 'string' ? { name: member } : member))
+    .filter(member => member && member.name && !member.deceased)
+    .map(member => member.name);
+
+  const around = [
+    eventList.length ? words.along(joinNames(eventList, words.and)) : null,
+    living.length ? words.remembered(joinNames(living, words.and)) : null,
+  ].filter(Boolean);
+  // Six paragraphs at most, like the prompt asks: a long story is run together
+  // at the end
+  const room = STUB_MAX_PARAGRAPHS - 2 - around.length;
+  const family = story.length > room ? [...story.slice(0, room - 1), story.slice(room - 1).join(' ')] : story;
+  const storyParagraphs = [
+    words.opening(subject, span),
+    ...(family.length ? family : [words.noStory(subject)]),
+    ...around,
+    words.closing(subject),
+  ];
+
+  // The family's dated events, with birth and death heading and closing them
+  // when they're missing. Undated events stay in the story only.
+  const year = date => (fieldText(date).match(/\b\d{4}\b/) || [])[0];
+  const hasYear = (items, y) => items.some(item => item.year.includes(y));
+  const dated = events.filter(event => event.year);
+  const born = year(input.birthDate);
+  const died = year(input.deathDate);
+  if (born && !hasYear(dated, born)) dated.unshift({ year: born, title: words.born });
+  if (died && !hasYear(dated, died)) dated.push({ year: died, title: words.died });
+  // Too many for the timeline: birth and death stay, the rest in order
+  const keep = [born, died].filter(Boolean).map(y => dated.findIndex(item => item.year.includes(y)));
+  const spare = STUB_MAX_TIMELINE - new Set(keep).size;
+  let others = 0;
+  const timelineItems = dated.filter((item, i) => keep.includes(i) || others++ < spare);
+  // With no dates at all, one entry so the timeline isn't empty
+  if (!timelineItems.length) timelineItems.push({ year: words.always, title: words.inMemory });
+
+  const quote = fieldText(input.quote);
+  const pick = offset => words.quotes[(stringHash(subject) + offset) % words.quotes.length];
+  return {
+    storyParagraphs,
+    timelineItems,
+    heroQuote: quote || pick(0),
+    closingQuote: pick(quote ? 0 : 1),
+  };
+}
+
+// A request field as trimmed text; anything that isn't a string or a number
+// counts as empty
+function fieldText(value) {
+  return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+}
+
+function joinNames(items, and) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} ${and} ${items[items.length - 1]}` : items[0];
+}
+
+// The same quotes for the same name, run after run
+function stringHash(text) {
+  let hash = 0;
+  for (const char of String(text)) hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  return hash;
+}